@@ -0,0 +1,83 @@
+// ========================================
+// SIGNLENS - APP SHELL
+// ========================================
+// The files the service worker (sw.js) precaches so the app starts
+// offline. A classic script, loaded there with importScripts(): service
+// workers registered as modules are not supported by every browser.
+//
+// APP_SHELL is relative to the app's root: the page, its styles and icons
+// and every module main.js and the detection worker import, statically or
+// with import(). A module the app loads before the service worker is
+// registered would otherwise never reach its cache.
+//
+// MEDIAPIPE_FILES is relative to the MediaPipe asset base: the scripts in
+// MEDIAPIPE_SCRIPTS and HANDS_FILES under hands/ (see assets.js).
+//
+// src/app-shell.test.mjs checks both lists against the code.
+
+self.APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'src/assets.js',
+    'src/avatar.js',
+    'src/calibration.js',
+    'src/conversation.js',
+    'src/gesture-detection.js',
+    'src/gestures/alphabet/geometry.js',
+    'src/gestures/alphabet/signs.js',
+    'src/gestures/alphabet/speller.js',
+    'src/gestures/avatar/index.js',
+    'src/gestures/avatar/pose.js',
+    'src/gestures/custom/features.js',
+    'src/gestures/custom/index.js',
+    'src/gestures/custom/knn.js',
+    'src/gestures/custom/store.js',
+    'src/gestures/lint.js',
+    'src/gestures/motion/dtw.js',
+    'src/gestures/motion/index.js',
+    'src/gestures/motion/signs.js',
+    'src/gestures/oneHand/fingers.js',
+    'src/gestures/oneHand/signs.js',
+    'src/gestures/packs/asl.js',
+    'src/gestures/packs/bsl.js',
+    'src/gestures/packs/english.js',
+    'src/gestures/packs/index.js',
+    'src/gestures/packs/isl.js',
+    'src/gestures/registry.js',
+    'src/gestures/smoothing.js',
+    'src/gestures/thresholds.js',
+    'src/gestures/tracking.js',
+    'src/gestures/twoHand/relations.js',
+    'src/gestures/twoHand/signs.js',
+    'src/input.js',
+    'src/inspector.js',
+    'src/main.js',
+    'src/output.js',
+    'src/overlay.js',
+    'src/pipeline-worker.js',
+    'src/pipeline.js',
+    'src/practice.js',
+    'src/session.js',
+    'src/settings.js',
+    'src/signlens.js',
+    'src/tts.js'
+];
+
+self.MEDIAPIPE_FILES = [
+    'drawing_utils/drawing_utils.js',
+    'hands/hands.js',
+    'hands/hands.binarypb',
+    'hands/hands_solution_packed_assets_loader.js',
+    'hands/hands_solution_packed_assets.data',
+    'hands/hands_solution_simd_wasm_bin.js',
+    'hands/hands_solution_simd_wasm_bin.wasm',
+    'hands/hands_solution_wasm_bin.js',
+    'hands/hands_solution_wasm_bin.wasm',
+    'hands/hand_landmark_full.tflite',
+    'hands/hand_landmark_lite.tflite'
+];
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+import { HANDS_FILES, MEDIAPIPE_SCRIPTS } from './assets.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// Static imports and re-exports, import() and new URL('./x.js', import.meta.url)
+const IMPORT = /\bfrom\s*['"](\.[^'"]+)['"]|\bimport\s*\(\s*['"](\.[^'"]+)['"]\s*\)|new URL\(\s*['"](\.[^'"]+\.js)['"]/g;
+
+// Runs a classic script the way importScripts() does, returning the lists
+// it puts on `self` (copied out of the script's context, for deepEqual).
+function runClassic(file) {
+    const self = {};
+    vm.runInNewContext(readFileSync(path.join(ROOT, file), 'utf8'), { self }, { filename: file });
+    return Object.fromEntries(Object.entries(self).map(([name, list]) => [name, [...list]]));
+}
+
+function moduleGraph(entry) {
+    const seen = new Set();
+    const visit = file => {
+        if (seen.has(file)) return;
+        seen.add(file);
+        // Without line comments, which may show how to import a module
+        const source = readFileSync(path.join(ROOT, file), 'utf8').replace(/^\s*\/\/.*$/gm, '');
+        for (const match of source.matchAll(IMPORT)) {
+            visit(path.posix.join(path.posix.dirname(file), match[1] || match[2] || match[3]));
+        }
+    };
+    visit(entry);
+    return [...seen];
+}
+
+const { APP_SHELL, MEDIAPIPE_FILES } = runClassic('src/app-shell.js');
+
+test('the app shell lists every module the app loads', () => {
+    const missing = moduleGraph('src/main.js').filter(file => !APP_SHELL.includes(file));
+    assert.deepEqual(missing, []);
+});
+
+test('every file in the app shell exists', () => {
+    const absent = APP_SHELL.filter(file => file !== './' && !existsSync(path.join(ROOT, file)));
+    assert.deepEqual(absent, []);
+});
+
+test('the precached MediaPipe files are the ones assets.js loads and fetches', () => {
+    const expected = new Set([
+        ...MEDIAPIPE_SCRIPTS.map(({ file }) => file),
+        ...HANDS_FILES.map(file => `hands/${file}`)
+    ]);
+    assert.deepEqual(new Set(MEDIAPIPE_FILES), expected);
+});
+
+test('the service worker is a classic script', () => {
+    const source = readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+    assert.doesNotThrow(() => new vm.Script(source, { filename: 'sw.js' }));
+    assert.match(source, /importScripts\('src\/app-shell\.js'\)/);
+});
@@ -0,0 +1,120 @@
+// ========================================
+// SIGNLENS - MEDIAPIPE ASSETS
+// ========================================
+// MediaPipe's scripts, model and wasm files are served with the app from
+// assets/mediapipe/ (fetched by tools/fetch-mediapipe.mjs). Pages can
+// point elsewhere, e.g. a CDN or a shared server, with
+//   <meta name="signlens-assets" content="https://example.org/mediapipe/">
+// The base holds one directory per package: hands/ and drawing_utils/.
+// When the base cannot serve them, e.g. in a fresh checkout where the
+// fetch script has not been run, they are loaded from jsDelivr instead.
+
+export const DEFAULT_ASSET_BASE = 'assets/mediapipe/';
+
+// jsDelivr lays out the latest version of each package like an asset base.
+// The packages are no longer updated, so that is the version the fetch
+// script pins.
+export const CDN_ASSET_BASE = 'https://cdn.jsdelivr.net/npm/@mediapipe/';
+
+// Scripts defining the globals the app uses (Hands, drawConnectors,
+// drawLandmarks, HAND_CONNECTIONS), in load order. Cameras are opened by
+// input.js, not MediaPipe's camera_utils.
+export const MEDIAPIPE_SCRIPTS = [
+    { file: 'drawing_utils/drawing_utils.js', global: 'drawConnectors' },
+    { file: 'hands/hands.js', global: 'Hands' }
+];
+
+// Everything MediaPipe Hands fetches at run time, whichever model
+// complexity and wasm build (SIMD or not) the browser ends up using.
+export const HANDS_FILES = [
+    'hands.js',
+    'hands.binarypb',
+    'hands_solution_packed_assets_loader.js',
+    'hands_solution_packed_assets.data',
+    'hands_solution_simd_wasm_bin.js',
+    'hands_solution_simd_wasm_bin.wasm',
+    'hands_solution_wasm_bin.js',
+    'hands_solution_wasm_bin.wasm',
+    'hand_landmark_full.tflite',
+    'hand_landmark_lite.tflite'
+];
+
+/**
+ * The asset base of the page: the signlens-assets meta tag or the default,
+ * as an absolute URL ending in a slash.
+ * @param {Document} [doc]
+ * @returns {string}
+ */
+export function assetBase(doc = globalThis.document) {
+    const meta = doc && doc.querySelector('meta[name="signlens-assets"]');
+    const base = (meta && meta.content.trim()) || DEFAULT_ASSET_BASE;
+    const url = new URL(base, doc ? doc.baseURI : undefined).href;
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * URL of a MediaPipe file under an asset base.
+ * @param {string} base - From assetBase().
+ * @param {string} file - E.g. "hands/hands.js".
+ * @returns {string}
+ */
+export function assetUrl(base, file) {
+    return new URL(file, base).href;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.crossOrigin = 'anonymous';
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+async function loadScripts(base) {
+    for (const { file, global } of MEDIAPIPE_SCRIPTS) {
+        if (!(global in globalThis)) await loadScript(assetUrl(base, file));
+    }
+}
+
+async function loadWithFallback(base, fallback) {
+    try {
+        await loadScripts(base);
+        return base;
+    } catch (error) {
+        if (!fallback || fallback === base) throw error;
+        console.warn(`MediaPipe is not served from ${base} (run tools/fetch-mediapipe.mjs), loading it from ${fallback}`);
+    }
+    try {
+        await loadScripts(fallback);
+        return fallback;
+    } catch {
+        throw new Error(`Could not load MediaPipe from ${base} or ${fallback}. ` +
+            'Run tools/fetch-mediapipe.mjs to serve it with the app.');
+    }
+}
+
+// The base the scripts were loaded from, shared by everything that loads them
+let loading = null;
+
+/**
+ * Loads the MediaPipe scripts that are not loaded yet, in order, falling
+ * back to another base when one of them cannot be loaded from `base`.
+ * Later calls get the base of the first successful one.
+ * @param {string} base - From assetBase().
+ * @param {object} [options] - { fallback }: the base to try next, by
+ *   default CDN_ASSET_BASE; null to only try `base`.
+ * @returns {Promise<string>} - The base the scripts came from, which the
+ *   rest of MediaPipe's files have to be loaded from as well.
+ */
+export function loadMediaPipe(base, { fallback = CDN_ASSET_BASE } = {}) {
+    if (!loading) {
+        loading = loadWithFallback(base, fallback);
+        loading.catch(() => {
+            loading = null;
+        });
+    }
+    return loading;
+}
@@ -0,0 +1,234 @@
+// ========================================
+// SIGNLENS - TEXT TO SIGN AVATAR
+// ========================================
+
+import { motionDuration, planSigns, signFrame } from './gestures/avatar/index.js';
+
+const AVATAR_DEFAULTS = {
+    signMs: 1200,       // How long a static sign is held
+    letterMs: 700,      // How long a fingerspelled letter is held
+    missingMs: 600,     // Pause on text that cannot be signed
+    transitionMs: 250,  // Blend from one handshape into the next
+    repeatSlide: 0.05,  // A repeated letter slides sideways (share of the width)
+    dominantHand: 'right',
+    displayName: null   // name => display name in the spoken language
+};
+
+/**
+ * Plays text back as signs: an animated hand skeleton on a canvas, drawn
+ * like the live camera view. Words the registry has a sign for are shown
+ * as that sign, other words are fingerspelled, and characters without a
+ * letter sign are only captioned.
+ */
+export class SignAvatar {
+    constructor(canvas, registry, config = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.registry = registry;
+        this.config = { ...AVATAR_DEFAULTS, ...config };
+        this.listeners = { step: [], end: [] };
+        this.timeline = [];
+        this.pending = [];
+        this.frameRequest = null;
+        this.current = -1;
+        this.lastHands = null;
+        this.previousHands = null;
+    }
+
+    /**
+     * Registers a callback run when playback moves to the next sign.
+     * @param {Function} listener - Called with the step and its index.
+     * @returns {Function} - Removes the listener.
+     */
+    onStep(listener) {
+        return this._listen('step', listener);
+    }
+
+    /**
+     * Registers a callback run when playback finishes or is stopped.
+     * @param {Function} listener
+     * @returns {Function} - Removes the listener.
+     */
+    onEnd(listener) {
+        return this._listen('end', listener);
+    }
+
+    /**
+     * Updates timings, the dominant hand or the display-name lookup.
+     * Applies from the next play().
+     * @param {object} changes - Any of the AVATAR_DEFAULTS keys.
+     */
+    configure(changes) {
+        this.config = { ...this.config, ...changes };
+    }
+
+    get playing() {
+        return this.frameRequest !== null;
+    }
+
+    /**
+     * Plays text after whatever is playing, e.g. each new sentence of speech.
+     * @param {string} text
+     */
+    enqueue(text) {
+        if (this.playing) {
+            this.pending.push(text);
+        } else {
+            this._start(text);
+        }
+    }
+
+    /**
+     * Plays text now, replacing whatever is playing or queued.
+     * @param {string} text
+     * @returns {Array<object>} - The planned steps, see planSigns().
+     */
+    play(text) {
+        this.stop();
+        return this._start(text);
+    }
+
+    stop() {
+        this.pending = [];
+        this._halt();
+    }
+
+    _start(text) {
+        const steps = planSigns(text, this.registry, {
+            displayName: this.config.displayName || undefined
+        });
+        if (steps.length === 0) return steps;
+
+        let start = 0;
+        this.timeline = steps.map((step, i) => {
+            const sign = step.name ? this.registry.get(step.name) : null;
+            const previous = steps[i - 1];
+            const duration = !sign ? this.config.missingMs
+                : motionDuration(sign) || (step.spelled ? this.config.letterMs : this.config.signMs);
+            const segment = {
+                step,
+                sign,
+                start,
+                duration,
+                repeated: Boolean(sign && previous && previous.name === step.name)
+            };
+            start += duration;
+            return segment;
+        });
+
+        this.current = -1;
+        this.startedAt = performance.now();
+        this.frameRequest = requestAnimationFrame(now => this._frame(now));
+        return steps;
+    }
+
+    _halt() {
+        if (this.frameRequest === null) return;
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.timeline = [];
+        this.previousHands = null;
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this._emit('end');
+    }
+
+    _frame(now) {
+        const elapsed = now - this.startedAt;
+        const index = this.timeline.findIndex(s => elapsed < s.start + s.duration);
+        if (index === -1) {
+            this._halt();
+            while (this.pending.length > 0 && !this.playing) this._start(this.pending.shift());
+            return;
+        }
+
+        const segment = this.timeline[index];
+        if (index !== this.current) {
+            this.previousHands = this.current >= 0 ? this.lastHands : null;
+            this.current = index;
+            this._emit('step', segment.step, index);
+        }
+
+        const t = (elapsed - segment.start) / segment.duration;
+        let hands = segment.sign ? this._hands(segment, t) : [];
+        const blend = (elapsed - segment.start) / this.config.transitionMs;
+        if (blend < 1 && this.previousHands) hands = blendHands(this.previousHands, hands, blend);
+
+        this.lastHands = hands;
+        this._draw(hands);
+        this.frameRequest = requestAnimationFrame(next => this._frame(next));
+    }
+
+    _hands(segment, t) {
+        const hands = signFrame(segment.sign, this.registry, t, {
+            dominantHand: this.config.dominantHand,
+            aspect: this.canvas.width / this.canvas.height
+        });
+        if (!segment.repeated) return hands;
+
+        // Double letters slide away from the body so they read as two.
+        const direction = this.config.dominantHand === 'right' ? -1 : 1;
+        const dx = direction * this.config.repeatSlide * Math.min(1, t * 2);
+        return hands.map(hand => ({
+            ...hand,
+            landmarks: hand.landmarks.map(p => ({ ...p, x: p.x + dx }))
+        }));
+    }
+
+    _draw(hands) {
+        drawHands(this.ctx, hands);
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
+
+/**
+ * Clears a canvas and draws hand skeletons on it, styled like the camera overlay.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{landmarks: Array}>} hands - E.g. from signFrame().
+ */
+export function drawHands(ctx, hands) {
+    ctx.save();
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+    for (const { landmarks } of hands) {
+        drawConnectors(ctx, landmarks, HAND_CONNECTIONS, {
+            color: '#00FF00',
+            lineWidth: 4
+        });
+        drawLandmarks(ctx, landmarks, {
+            color: '#FF0000',
+            lineWidth: 1,
+            radius: 3
+        });
+    }
+
+    ctx.restore();
+}
+
+// Interpolates hands of the same role; hands that appear or disappear are cut in.
+function blendHands(from, to, amount) {
+    return to.map(hand => {
+        const previous = from.find(h => h.role === hand.role);
+        if (!previous) return hand;
+        return {
+            ...hand,
+            landmarks: hand.landmarks.map((p, i) => {
+                const q = previous.landmarks[i];
+                return {
+                    x: q.x + (p.x - q.x) * amount,
+                    y: q.y + (p.y - q.y) * amount,
+                    z: q.z + (p.z - q.z) * amount
+                };
+            })
+        };
+    });
+}
@@ -0,0 +1,314 @@
+// ========================================
+// SIGNLENS - HAND CALIBRATION
+// ========================================
+
+import { FINGER_NAMES, OPEN_CURL_THRESHOLD } from './gestures/oneHand/fingers.js';
+import { DEFAULT_THRESHOLDS } from './gestures/registry.js';
+
+const CALIBRATION_FORMAT = 'signlens-calibration';
+const CALIBRATION_VERSION = 1;
+const STORAGE_KEY = 'signlens-calibration';
+
+const CALIBRATION_DEFAULTS = {
+    countdownMs: 2000, // Time to get into each shape before sampling starts
+    samples: 30        // Frames sampled per shape
+};
+
+const closedHand = { thumb: false, index: false, middle: false, ring: false, pinky: false };
+
+/**
+ * The shapes the signer is asked to show, with the finger states each one
+ * stands for. Open palm and fist give each finger's range; the others show
+ * how far a finger stays open or closed while its neighbours move. Any
+ * step can be skipped by a signer who cannot make the shape.
+ */
+export const CALIBRATION_STEPS = [
+    {
+        id: 'open',
+        prompt: 'Show an open palm with your fingers spread',
+        fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true }
+    },
+    { id: 'fist', prompt: 'Make a fist', fingers: closedHand },
+    { id: 'point', prompt: 'Point up with your index finger', fingers: { ...closedHand, index: true } },
+    {
+        id: 'two',
+        prompt: 'Hold up your index and middle fingers',
+        fingers: { ...closedHand, index: true, middle: true }
+    },
+    { id: 'pinky', prompt: 'Hold up only your little finger', fingers: { ...closedHand, pinky: true } },
+    {
+        id: 'thumb',
+        prompt: 'Give a thumbs up',
+        fingers: { ...closedHand, thumb: true },
+        pose: { roll: -45 },
+        thumbRise: true
+    }
+];
+
+// Smallest gap between a finger's open and closed curls that still tells them apart.
+const MIN_CURL_GAP = 0.05;
+// Smallest curl range the scores are normalized by, so noise is not magnified.
+const MIN_CURL_RANGE = 0.15;
+// Share of the signer's thumbs-up rise required to count as thumbs up.
+const THUMB_RISE_SHARE = 0.5;
+const MIN_POINT_MARGIN = 0.05;
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+    return sorted[index];
+}
+
+/**
+ * One finger's calibration from its curls in shapes where it was open and
+ * where it was closed. The threshold sits in the gap between the two; when
+ * the curls overlap, the finger cannot be told apart reliably.
+ * @param {number[]} open
+ * @param {number[]} closed
+ * @returns {object} - { open, closed, threshold, range, reliable }; open and
+ *   closed are median curls, null when that side was not sampled.
+ */
+function calibrateFinger(open, closed) {
+    if (open.length === 0 || closed.length === 0) {
+        return {
+            open: open.length ? percentile(open, 0.5) : null,
+            closed: closed.length ? percentile(closed, 0.5) : null,
+            threshold: OPEN_CURL_THRESHOLD,
+            range: 1,
+            reliable: true
+        };
+    }
+
+    const openMedian = percentile(open, 0.5);
+    const closedMedian = percentile(closed, 0.5);
+    const openHigh = percentile(open, 0.9);
+    const closedLow = percentile(closed, 0.1);
+    const reliable = closedLow - openHigh >= MIN_CURL_GAP;
+
+    return {
+        open: openMedian,
+        closed: closedMedian,
+        threshold: reliable ? (openHigh + closedLow) / 2 : (openMedian + closedMedian) / 2,
+        range: Math.min(1, Math.max(MIN_CURL_RANGE, closedMedian - openMedian)),
+        reliable
+    };
+}
+
+/**
+ * Derives a calibration profile from the samples of each step. Fingers
+ * that were never sampled open or closed keep the default threshold.
+ * @param {object} samples - Per step id, a list of { curls, thumbRise }.
+ * @returns {object} - { format, version, created, fingers: { finger: calibrateFinger() },
+ *   pointMargin, ignoreFingers } where `ignoreFingers` lists the unreliable fingers.
+ */
+export function deriveCalibration(samples) {
+    const curls = {};
+    for (const finger of FINGER_NAMES) curls[finger] = { open: [], closed: [] };
+
+    const rises = [];
+    for (const step of CALIBRATION_STEPS) {
+        for (const sample of samples[step.id] || []) {
+            for (const finger of FINGER_NAMES) {
+                curls[finger][step.fingers[finger] ? 'open' : 'closed'].push(sample.curls[finger]);
+            }
+            if (step.thumbRise) rises.push(sample.thumbRise);
+        }
+    }
+
+    const fingers = {};
+    for (const finger of FINGER_NAMES) fingers[finger] = calibrateFinger(curls[finger].open, curls[finger].closed);
+
+    // A signer whose thumb rises less than the default pointing margin still gets thumbs up.
+    let pointMargin = DEFAULT_THRESHOLDS.pointMargin;
+    if (rises.length > 0) {
+        const rise = THUMB_RISE_SHARE * percentile(rises, 0.5);
+        pointMargin = Math.max(MIN_POINT_MARGIN, Math.min(pointMargin, rise));
+    }
+
+    return {
+        format: CALIBRATION_FORMAT,
+        version: CALIBRATION_VERSION,
+        created: Date.now(),
+        fingers,
+        pointMargin,
+        ignoreFingers: FINGER_NAMES.filter(finger => !fingers[finger].reliable)
+    };
+}
+
+/**
+ * Detector thresholds from a calibration profile, see DEFAULT_THRESHOLDS.
+ * @param {object} profile
+ * @returns {object} - { openCurl, curlRange, ignoreFingers, pointMargin }.
+ */
+export function calibrationThresholds(profile) {
+    const openCurl = {};
+    const curlRange = {};
+    for (const finger of FINGER_NAMES) {
+        openCurl[finger] = profile.fingers[finger].threshold;
+        curlRange[finger] = profile.fingers[finger].range;
+    }
+    return { openCurl, curlRange, ignoreFingers: [...profile.ignoreFingers], pointMargin: profile.pointMargin };
+}
+
+/**
+ * Checks that data is a calibration profile this version can use.
+ * @param {object} profile
+ * @returns {object} - The profile.
+ */
+export function validateCalibration(profile) {
+    if (!profile || profile.format !== CALIBRATION_FORMAT || !profile.fingers ||
+        !Array.isArray(profile.ignoreFingers) || !Number.isFinite(profile.pointMargin) ||
+        !FINGER_NAMES.every(finger =>
+            Number.isFinite(profile.fingers[finger]?.threshold) && Number.isFinite(profile.fingers[finger].range))) {
+        throw new Error('Not a SignLens calibration profile');
+    }
+    if (profile.version > CALIBRATION_VERSION) {
+        throw new Error(`Calibration version ${profile.version} is newer than supported (${CALIBRATION_VERSION})`);
+    }
+    return profile;
+}
+
+/**
+ * @param {Storage} [storage]
+ * @returns {object|null} - The saved calibration profile, if any.
+ */
+export function loadCalibration(storage = globalThis.localStorage) {
+    const saved = storage && storage.getItem(STORAGE_KEY);
+    if (!saved) return null;
+    try {
+        return validateCalibration(JSON.parse(saved));
+    } catch (error) {
+        console.error('Could not read the calibration:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves a calibration profile, or removes the saved one when `profile` is null.
+ * @param {object|null} profile
+ * @param {Storage} [storage]
+ */
+export function saveCalibration(profile, storage = globalThis.localStorage) {
+    if (!storage) return;
+    try {
+        if (profile) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(profile));
+        } else {
+            storage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('Could not save the calibration:', error);
+    }
+}
+
+/**
+ * Walks the signer through CALIBRATION_STEPS: a countdown to get into each
+ * shape, then `samples` frames of it, and derives the profile at the end.
+ */
+export class CalibrationSession {
+    constructor(config = {}) {
+        this.config = { ...CALIBRATION_DEFAULTS, ...config };
+        this.listeners = { step: [], complete: [] };
+        this.stepIndex = -1;
+    }
+
+    /**
+     * Registers a callback run when a new step starts.
+     * @param {Function} listener - Called with the step and its index.
+     * @returns {Function} - Removes the listener.
+     */
+    onStep(listener) {
+        return this._listen('step', listener);
+    }
+
+    /**
+     * Registers a callback run when every step is done or skipped.
+     * @param {Function} listener - Called with the derived profile.
+     * @returns {Function} - Removes the listener.
+     */
+    onComplete(listener) {
+        return this._listen('complete', listener);
+    }
+
+    get running() {
+        return this.stepIndex >= 0;
+    }
+
+    get step() {
+        return CALIBRATION_STEPS[this.stepIndex] || null;
+    }
+
+    /**
+     * @param {number} [timestamp]
+     */
+    start(timestamp = Date.now()) {
+        this.samples = {};
+        this._enterStep(0, timestamp);
+    }
+
+    /**
+     * Samples one frame of the current step.
+     * @param {object|null} hand - describeHand() of the signer's hand.
+     * @param {number} timestamp - Frame time in milliseconds.
+     * @returns {object|null} - { step, index, phase: "countdown"|"sampling", progress (0-1) },
+     *   or null when not running.
+     */
+    update(hand, timestamp) {
+        if (!this.running) return null;
+        const step = this.step;
+        const index = this.stepIndex;
+
+        const waited = timestamp - this.stepStart;
+        if (waited < this.config.countdownMs) {
+            return { step, index, phase: 'countdown', progress: waited / this.config.countdownMs };
+        }
+
+        const samples = this.samples[step.id];
+        if (hand) {
+            const tip = hand.landmarks[4];
+            const ip = hand.landmarks[3];
+            samples.push({ curls: { ...hand.curls }, thumbRise: (ip.y - tip.y) / hand.scale });
+        }
+
+        const progress = samples.length / this.config.samples;
+        if (progress >= 1) this._enterStep(index + 1, timestamp);
+        return { step, index, phase: 'sampling', progress: Math.min(1, progress) };
+    }
+
+    /**
+     * Skips a shape the signer cannot make; its samples are dropped.
+     * @param {number} [timestamp]
+     */
+    skip(timestamp = Date.now()) {
+        if (!this.running) return;
+        delete this.samples[this.step.id];
+        this._enterStep(this.stepIndex + 1, timestamp);
+    }
+
+    stop() {
+        this.stepIndex = -1;
+    }
+
+    _enterStep(index, timestamp) {
+        if (index >= CALIBRATION_STEPS.length) {
+            this.stepIndex = -1;
+            this._emit('complete', deriveCalibration(this.samples));
+            return;
+        }
+        this.stepIndex = index;
+        this.stepStart = timestamp;
+        this.samples[CALIBRATION_STEPS[index].id] = [];
+        this._emit('step', CALIBRATION_STEPS[index], index);
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
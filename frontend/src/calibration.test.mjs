@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CALIBRATION_STEPS, CalibrationSession, calibrationThresholds, deriveCalibration, loadCalibration,
+    saveCalibration, validateCalibration
+} from './calibration.js';
+import { FINGER_NAMES } from './gestures/oneHand/fingers.js';
+import { DEFAULT_THRESHOLDS, createDefaultRegistry, describeHand } from './gestures/registry.js';
+import { LABELS, handLandmarks } from './gestures/hand-fixtures.mjs';
+
+// Just enough of the Web Storage API for the calibration.
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Samples of every step from a signer whose open fingers curl `open` and
+// closed fingers `closed`, with a little noise, rising the thumb by `rise`.
+function samplesFor({ open = 0.1, closed = 0.9, rise = 0.6, stuck = null } = {}) {
+    const samples = {};
+    for (const step of CALIBRATION_STEPS) {
+        samples[step.id] = Array.from({ length: 10 }, (_, i) => {
+            const curls = {};
+            for (const finger of FINGER_NAMES) {
+                curls[finger] = finger === stuck ? 0.5 : (step.fingers[finger] ? open : closed) + (i % 3) * 0.01;
+            }
+            return { curls, thumbRise: rise };
+        });
+    }
+    return samples;
+}
+
+test('thresholds sit between the signer\'s open and closed curls', () => {
+    const profile = deriveCalibration(samplesFor({ open: 0.3, closed: 0.6 }));
+    for (const finger of FINGER_NAMES) {
+        const { threshold, range, reliable } = profile.fingers[finger];
+        assert.ok(threshold > 0.32 && threshold < 0.6, `${finger} ${threshold}`);
+        assert.ok(Math.abs(range - 0.3) < 1e-9, `${finger} ${range}`);
+        assert.equal(reliable, true);
+    }
+    assert.deepEqual(profile.ignoreFingers, []);
+    assert.equal(profile.pointMargin, DEFAULT_THRESHOLDS.pointMargin);
+});
+
+test('a finger that looks the same open and closed is ignored', () => {
+    const profile = deriveCalibration(samplesFor({ stuck: 'ring' }));
+    assert.deepEqual(profile.ignoreFingers, ['ring']);
+
+    const thresholds = calibrationThresholds(profile);
+    const registry = createDefaultRegistry();
+    // A "four" with the ring finger down still counts once the ring finger is ignored.
+    const landmarks = handLandmarks({ index: true, middle: true, pinky: true }, { yaw: 180, hand: 'right' });
+    assert.equal(registry.satisfies('NUMBER_4', describeHand(landmarks, LABELS.right)), false);
+    assert.equal(registry.satisfies('NUMBER_4', describeHand(landmarks, LABELS.right, 1, thresholds)), true);
+});
+
+test('a small thumbs-up lowers the pointing margin, within limits', () => {
+    assert.equal(deriveCalibration(samplesFor({ rise: 0.2 })).pointMargin, 0.1);
+    assert.equal(deriveCalibration(samplesFor({ rise: 0 })).pointMargin, 0.05);
+});
+
+test('steps nobody sampled keep the defaults', () => {
+    const profile = deriveCalibration({});
+    assert.deepEqual(calibrationThresholds(profile), {
+        openCurl: Object.fromEntries(FINGER_NAMES.map(finger => [finger, DEFAULT_THRESHOLDS.openCurl])),
+        curlRange: Object.fromEntries(FINGER_NAMES.map(finger => [finger, 1])),
+        ignoreFingers: [],
+        pointMargin: DEFAULT_THRESHOLDS.pointMargin
+    });
+});
+
+test('profiles with missing or non-finite values are rejected', () => {
+    const profile = JSON.parse(JSON.stringify(deriveCalibration(samplesFor())));
+    assert.equal(validateCalibration(profile), profile);
+
+    const broken = (change) => {
+        const copy = JSON.parse(JSON.stringify(profile));
+        change(copy);
+        return copy;
+    };
+    assert.throws(() => validateCalibration(broken(p => { p.fingers.index.range = null; })), /Not a SignLens calibration/);
+    assert.throws(() => validateCalibration(broken(p => { p.fingers.thumb.threshold = 'x'; })), /Not a SignLens calibration/);
+    assert.throws(() => validateCalibration(broken(p => { delete p.pointMargin; })), /Not a SignLens calibration/);
+    assert.throws(() => validateCalibration(broken(p => { p.version = 99; })), /newer than supported/);
+});
+
+test('a saved calibration is loaded back, and removed with null', () => {
+    const storage = memoryStorage();
+    const profile = deriveCalibration(samplesFor());
+    saveCalibration(profile, storage);
+    assert.deepEqual(loadCalibration(storage), JSON.parse(JSON.stringify(profile)));
+    saveCalibration(null, storage);
+    assert.equal(loadCalibration(storage), null);
+});
+
+test('a session counts down, samples each step and can skip one', () => {
+    const session = new CalibrationSession({ countdownMs: 100, samples: 2 });
+    const steps = [];
+    let profile = null;
+    session.onStep(step => steps.push(step.id));
+    session.onComplete(result => { profile = result; });
+
+    const hand = describeHand(handLandmarks({ thumb: true, index: true, middle: true, ring: true, pinky: true }));
+    session.start(0);
+    assert.equal(session.update(hand, 50).phase, 'countdown');
+    assert.equal(session.update(hand, 100).progress, 0.5);
+    assert.equal(session.update(null, 110).progress, 0.5);
+    session.update(hand, 120);
+    assert.equal(session.step.id, 'fist');
+
+    let t = 120;
+    while (session.running) session.skip(t += 10);
+    assert.deepEqual(steps, CALIBRATION_STEPS.map(step => step.id));
+    assert.ok(profile);
+    assert.equal(profile.fingers.index.open, hand.curls.index);
+    assert.equal(profile.fingers.index.closed, null);
+    assert.equal(session.update(hand, t + 10), null);
+});
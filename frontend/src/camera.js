@@ -1,25 +0,0 @@
-export function setupCamera(videoElement, onResults) {
-  const hands = new window.Hands({
-    locateFile: (file) =>
-      `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
-  });
-
-  hands.setOptions({
-    maxNumHands: 2,
-    modelComplexity: 1,
-    minDetectionConfidence: 0.7,
-    minTrackingConfidence: 0.7,
-  });
-
-  hands.onResults(onResults);
-
-  const camera = new window.Camera(videoElement, {
-    onFrame: async () => {
-      await hands.send({ image: videoElement });
-    },
-    width: 640,
-    height: 480,
-  });
-
-  camera.start();
-}
\ No newline at end of file
@@ -0,0 +1,214 @@
+// ========================================
+// SIGNLENS - CONVERSATION
+// ========================================
+
+export const SPEAKERS = {
+    sign: 'Signer',
+    speech: 'Speaker'
+};
+
+const CONVERSATION_FORMAT = 'signlens-conversation';
+const STORAGE_KEY = 'signlens-conversation';
+
+/**
+ * A two-way conversation: signed sentences and recognized speech as
+ * alternating speaker turns. Consecutive messages from the same speaker
+ * join one turn. Text that is still being recognized (interim speech, or a
+ * sign sentence that is not finished yet) is kept apart from the turns
+ * until it is final.
+ */
+export class Conversation {
+    constructor() {
+        this.turns = [];
+        this.interim = { sign: '', speech: '' };
+        this.listeners = { change: [] };
+        this.nextId = 1;
+    }
+
+    /**
+     * Registers a callback run after every change.
+     * @param {Function} listener - Called with the conversation.
+     * @returns {Function} - Removes the listener.
+     */
+    onChange(listener) {
+        return this._listen('change', listener);
+    }
+
+    /**
+     * Adds a final message, joining the last turn when the speaker is the same.
+     * @param {string} speaker - "sign" or "speech".
+     * @param {string} text
+     * @param {number} [timestamp] - Milliseconds since the epoch.
+     * @returns {object|null} - The turn the message went to.
+     */
+    add(speaker, text, timestamp = Date.now()) {
+        if (!(speaker in SPEAKERS)) throw new Error(`Unknown speaker "${speaker}"`);
+        text = text.trim();
+        this.interim[speaker] = '';
+        if (!text) {
+            this._emit();
+            return null;
+        }
+
+        let turn = this.turns[this.turns.length - 1];
+        if (!turn || turn.speaker !== speaker) {
+            turn = { id: this.nextId++, speaker, messages: [], start: timestamp, end: timestamp };
+            this.turns.push(turn);
+        }
+        turn.messages.push({ text, timestamp });
+        turn.end = Math.max(turn.end, timestamp);
+
+        this._emit();
+        return turn;
+    }
+
+    /**
+     * Shows text that is still being recognized; it is replaced by the next
+     * interim text and cleared by the final message.
+     * @param {string} speaker - "sign" or "speech".
+     * @param {string} text
+     */
+    setInterim(speaker, text) {
+        if (this.interim[speaker] === text) return;
+        this.interim[speaker] = text;
+        this._emit();
+    }
+
+    clear() {
+        this.turns = [];
+        this.interim = { sign: '', speech: '' };
+        this._emit();
+    }
+
+    turnText(turn) {
+        return turn.messages.map(m => m.text).join(' ');
+    }
+
+    toText() {
+        return this.turns.map(turn =>
+            `[${new Date(turn.start).toLocaleTimeString()}] ${SPEAKERS[turn.speaker]}: ${this.turnText(turn)}`
+        ).join('\n');
+    }
+
+    toJSON() {
+        return {
+            format: CONVERSATION_FORMAT,
+            version: 1,
+            turns: this.turns.map(({ speaker, messages, start, end }) => ({
+                speaker,
+                text: this.turnText({ messages }),
+                start,
+                end,
+                messages: messages.map(m => ({ ...m }))
+            }))
+        };
+    }
+
+    /**
+     * Saves the conversation so it survives a page reload.
+     * @param {Storage} [storage]
+     */
+    save(storage = globalThis.localStorage) {
+        if (!storage) return;
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.error('Could not save the conversation:', error);
+        }
+    }
+
+    /**
+     * Restores a conversation saved with save().
+     * @param {Storage} [storage]
+     * @returns {boolean} - False when there was nothing to restore.
+     */
+    restore(storage = globalThis.localStorage) {
+        const saved = storage && storage.getItem(STORAGE_KEY);
+        if (!saved) return false;
+
+        try {
+            const data = JSON.parse(saved);
+            if (data.format !== CONVERSATION_FORMAT || !Array.isArray(data.turns)) return false;
+            this.turns = data.turns
+                .filter(turn => turn.speaker in SPEAKERS && Array.isArray(turn.messages))
+                .map(({ speaker, messages, start, end }) => ({ id: this.nextId++, speaker, messages, start, end }));
+        } catch (error) {
+            console.error('Could not restore the conversation:', error);
+            return false;
+        }
+        this._emit();
+        return true;
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type = 'change') {
+        for (const listener of this.listeners[type]) listener(this);
+    }
+}
+
+const EXPORT_FORMATS = {
+    txt: { type: 'text/plain', serialize: c => c.toText() },
+    json: { type: 'application/json', serialize: c => JSON.stringify(c.toJSON(), null, 2) }
+};
+
+/**
+ * Downloads the conversation in the browser.
+ * @param {Conversation} conversation
+ * @param {string} format - "txt" or "json".
+ */
+export function downloadConversation(conversation, format) {
+    const { type, serialize } = EXPORT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([serialize(conversation)], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `signlens-conversation.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function createBubble(speaker, text, time, interim = false) {
+    const bubble = document.createElement('div');
+    bubble.className = `conversation-turn turn-${speaker}${interim ? ' turn-interim' : ''}`;
+
+    const meta = document.createElement('span');
+    meta.className = 'turn-meta';
+    meta.textContent = interim ? `${SPEAKERS[speaker]} · …` : `${SPEAKERS[speaker]} · ${time}`;
+
+    const body = document.createElement('p');
+    body.className = 'turn-text';
+    body.textContent = text;
+
+    bubble.append(meta, body);
+    return bubble;
+}
+
+/**
+ * Renders the conversation as chat bubbles, signer on the left and
+ * speaker on the right, followed by any interim text.
+ * @param {HTMLElement} container
+ * @param {Conversation} conversation
+ */
+export function renderConversation(container, conversation) {
+    container.replaceChildren();
+
+    for (const turn of conversation.turns) {
+        const time = new Date(turn.start).toLocaleTimeString();
+        container.appendChild(createBubble(turn.speaker, conversation.turnText(turn), time));
+    }
+    for (const speaker of Object.keys(SPEAKERS)) {
+        if (conversation.interim[speaker]) {
+            container.appendChild(createBubble(speaker, conversation.interim[speaker], null, true));
+        }
+    }
+
+    if (container.children.length === 0) {
+        container.textContent = 'Signed sentences and speech will appear here as a conversation.';
+    }
+    container.scrollTop = container.scrollHeight;
+}
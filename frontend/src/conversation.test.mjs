@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Conversation } from './conversation.js';
+
+// Just enough of the Web Storage API for save() and restore().
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('messages from the same speaker join one turn until the other speaks', () => {
+    const conversation = new Conversation();
+    conversation.add('sign', 'Hello', 1000);
+    conversation.add('sign', 'How are you', 2000);
+    conversation.add('speech', ' Fine, thanks ', 3000);
+    conversation.add('sign', 'Good', 4000);
+
+    assert.deepEqual(conversation.turns.map(turn => turn.speaker), ['sign', 'speech', 'sign']);
+    assert.equal(conversation.turnText(conversation.turns[0]), 'Hello How are you');
+    assert.equal(conversation.turnText(conversation.turns[1]), 'Fine, thanks');
+    assert.deepEqual([conversation.turns[0].start, conversation.turns[0].end], [1000, 2000]);
+});
+
+test('interim text is kept apart and cleared by the final message', () => {
+    const conversation = new Conversation();
+    let changes = 0;
+    conversation.onChange(() => changes++);
+
+    conversation.setInterim('speech', 'Fine');
+    conversation.setInterim('speech', 'Fine');
+    assert.equal(changes, 1);
+    assert.equal(conversation.turns.length, 0);
+
+    conversation.add('speech', 'Fine, thanks');
+    assert.equal(conversation.interim.speech, '');
+    assert.equal(conversation.add('speech', '   '), null);
+    assert.equal(conversation.turns.length, 1);
+    assert.throws(() => conversation.add('robot', 'Hi'), /Unknown speaker/);
+});
+
+test('a saved conversation is restored turn by turn', () => {
+    const storage = memoryStorage();
+    const original = new Conversation();
+    original.add('sign', 'Hello', 1000);
+    original.add('speech', 'Hi there', 2000);
+    original.save(storage);
+
+    const restored = new Conversation();
+    assert.equal(restored.restore(storage), true);
+    assert.deepEqual(restored.toJSON(), original.toJSON());
+    assert.equal(new Conversation().restore(memoryStorage()), false);
+});
+
+test('anything that is not a saved conversation is left alone', () => {
+    const storage = memoryStorage();
+    storage.setItem('signlens-conversation', JSON.stringify({ format: 'other', turns: [] }));
+    assert.equal(new Conversation().restore(storage), false);
+});
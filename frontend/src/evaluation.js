@@ -0,0 +1,359 @@
+// ========================================
+// SIGNLENS - BATCH EVALUATION
+// ========================================
+
+import { describeHand } from './gestures/registry.js';
+import { describeRelations } from './gestures/twoHand/relations.js';
+
+const REPORT_FORMAT = 'signlens-evaluation';
+const REPORT_VERSION = 1;
+
+// Expected or predicted label of a sample where no sign should fire or none did.
+export const NO_SIGN = '(none)';
+
+function toSample(id, label, multiHandLandmarks, multiHandedness = [], image = undefined) {
+    return {
+        id,
+        label: label && label !== 'NONE' ? label : NO_SIGN,
+        multiHandLandmarks,
+        multiHandedness,
+        ...(image ? { image } : {})
+    };
+}
+
+/**
+ * The labeled samples of a dataset file: an exported custom sign dataset
+ * (each sample's label) or the frame results of an image folder or video
+ * (frames with an `expected` sign, see input.js). A label of null or
+ * "NONE" marks a sample where no sign should be recognized.
+ * @param {object} data - The parsed file.
+ * @param {string} [source] - Name used in the sample IDs, e.g. the file name.
+ * @returns {Array<{id: string, label: string, multiHandLandmarks: Array, multiHandedness: Array, image?: object}>}
+ *   image is the frame size, where the file has it.
+ */
+export function datasetSamples(data, source = 'dataset') {
+    if (data && data.format === 'signlens-custom-signs' && Array.isArray(data.samples)) {
+        return data.samples.map((sample, i) => toSample(`${source}#${i}`, sample.label, sample.landmarks));
+    }
+    if (data && data.format === 'signlens-frame-results' && Array.isArray(data.frames)) {
+        return data.frames
+            .filter(frame => 'expected' in frame)
+            .map((frame, i) => toSample(
+                `${source}:${frame.name || frame.time || i}`,
+                frame.expected,
+                frame.multiHandLandmarks,
+                frame.multiHandedness,
+                frame.image
+            ));
+    }
+    throw new Error('Not a labeled dataset (a custom sign dataset or frame results with expected signs)');
+}
+
+// Signs whose rules hold for the hands of the last processed frame, in priority order.
+function satisfiedSigns(detector) {
+    const { registry, handTracker } = detector;
+    const thresholds = detector.config.THRESHOLDS;
+    const handedness = {};
+    for (const track of handTracker.tracks) handedness[track.role] = track.handedness;
+
+    const describe = role => {
+        const landmarks = handTracker[`${role}Hand`];
+        return landmarks ? describeHand(landmarks, handedness[role], handTracker.aspect, thresholds) : null;
+    };
+    const dominant = describe('dominant');
+    const nonDominant = describe('nonDominant');
+    const accepts = sign => detector._acceptsSign(sign);
+
+    if (dominant && nonDominant && detector.config.MODE !== 'spelling') {
+        const relations = describeRelations(dominant, nonDominant);
+        return registry.twoHandSigns
+            .filter(sign => accepts(sign) && registry.satisfiesTwoHand(sign.name, dominant, nonDominant, relations))
+            .map(sign => sign.name);
+    }
+    const hand = dominant || nonDominant;
+    if (!hand) return [];
+    return registry.oneHandSigns
+        .filter(sign => accepts(sign) && registry.satisfies(sign.name, hand))
+        .map(sign => sign.name);
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * The sample labels that name no sign in the registry. Such samples can only
+ * count as misses, e.g. custom signs whose recordings were not loaded.
+ * @param {Array<object>} samples - From datasetSamples().
+ * @param {SignRegistry} registry
+ * @returns {string[]}
+ */
+export function unknownLabels(samples, registry) {
+    const labels = new Set(samples.map(sample => sample.label));
+    return [...labels].filter(label => label !== NO_SIGN && !registry.get(label)).sort();
+}
+
+/**
+ * Classifies every sample as a still, with the detector's history reset in
+ * between, and reports how the predictions compare with the labels.
+ * @param {Array<object>} samples - From datasetSamples().
+ * @param {ImprovedGestureDetector} detector
+ * @returns {object} - The report: { format, version, created, detector, samples,
+ *   accuracy, signs: { name: { support, predicted, tp, fp, fn, precision, recall, f1 } },
+ *   confusion: { labels, counts: { expected: { predicted: n } } }, overlaps, results }.
+ *   Precision and recall are null where nothing was predicted or expected.
+ */
+export function evaluateSamples(samples, detector) {
+    const minConfidence = detector.config.MIN_CONFIDENCE;
+    const results = samples.map(sample => {
+        detector.reset();
+        detector.process(sample, 0);
+        const raw = detector.handTracker.rawDetection;
+        const predicted = raw && raw.label && raw.confidence >= minConfidence ? raw.label : NO_SIGN;
+        return {
+            id: sample.id,
+            expected: sample.label,
+            predicted,
+            confidence: raw && raw.label ? raw.confidence : 0,
+            satisfied: satisfiedSigns(detector)
+        };
+    });
+    detector.reset();
+
+    const labels = [...new Set(results.flatMap(r => [r.expected, r.predicted]))]
+        .sort((a, b) => (a === NO_SIGN) - (b === NO_SIGN) || a.localeCompare(b));
+    const counts = {};
+    for (const label of labels) counts[label] = {};
+    for (const { expected, predicted } of results) {
+        counts[expected][predicted] = (counts[expected][predicted] || 0) + 1;
+    }
+
+    const signs = {};
+    for (const label of labels.filter(l => l !== NO_SIGN)) {
+        const tp = results.filter(r => r.expected === label && r.predicted === label).length;
+        const support = results.filter(r => r.expected === label).length;
+        const predicted = results.filter(r => r.predicted === label).length;
+        const precision = ratio(tp, predicted);
+        const recall = ratio(tp, support);
+        signs[label] = {
+            support,
+            predicted,
+            tp,
+            fp: predicted - tp,
+            fn: support - tp,
+            precision,
+            recall,
+            f1: precision !== null && recall !== null && precision + recall > 0
+                ? (2 * precision * recall) / (precision + recall)
+                : null
+        };
+    }
+
+    return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        created: new Date().toISOString(),
+        detector: {
+            mode: detector.config.MODE,
+            minConfidence,
+            pack: detector.registry.pack ? detector.registry.pack.id : null
+        },
+        samples: results.length,
+        accuracy: ratio(results.filter(r => r.expected === r.predicted).length, results.length),
+        signs,
+        confusion: { labels, counts },
+        overlaps: findOverlaps(results),
+        results: results.map(({ id, expected, predicted, confidence }) => ({ id, expected, predicted, confidence }))
+    };
+}
+
+/**
+ * Rules that overlap on the samples: a sign whose rule held but lost to
+ * another sign whose rule also held and comes first. A sign that lost every
+ * time its rule held is `unreachable` with this priority order, e.g.
+ * OPEN_PALM behind NUMBER_5, which checks the same fingers.
+ * @param {Array<object>} results - Per sample { expected, predicted, satisfied }.
+ * @returns {Array<{sign: string, shadowedBy: string, count: number, held: number, unreachable: boolean}>}
+ *   where `held` counts the samples on which the sign's rule held.
+ */
+export function findOverlaps(results) {
+    const held = {};
+    const won = {};
+    const lost = {};
+    for (const { predicted, satisfied } of results) {
+        for (const sign of satisfied) {
+            held[sign] = (held[sign] || 0) + 1;
+            if (sign === predicted) {
+                won[sign] = (won[sign] || 0) + 1;
+            } else if (satisfied.includes(predicted)) {
+                const key = `${sign}\u0000${predicted}`;
+                lost[key] = (lost[key] || 0) + 1;
+            }
+        }
+    }
+
+    return Object.entries(lost)
+        .map(([key, count]) => {
+            const [sign, shadowedBy] = key.split('\u0000');
+            return { sign, shadowedBy, count, held: held[sign], unreachable: !won[sign] };
+        })
+        .sort((a, b) => b.unreachable - a.unreachable || b.count - a.count || a.sign.localeCompare(b.sign));
+}
+
+function change(before, after) {
+    return {
+        before,
+        after,
+        delta: before !== null && after !== null && before !== undefined && after !== undefined ? after - before : null
+    };
+}
+
+/**
+ * Whether data is a report written by evaluateSamples(), e.g. a baseline.
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isEvaluationReport(data) {
+    return Boolean(data) && data.format === REPORT_FORMAT && Boolean(data.signs) && Array.isArray(data.results);
+}
+
+/**
+ * Compares a report with a baseline report of the same dataset.
+ * @param {object} report
+ * @param {object} baseline
+ * @param {object} [options] - { tolerance } a drop in precision or recall
+ *   larger than this counts as a regression.
+ * @returns {object} - { accuracy, signs: [{ sign, precision, recall, regression }],
+ *   changed: [{ id, expected, before, after }], regressions }, where the
+ *   metrics are { before, after, delta }.
+ */
+export function compareReports(report, baseline, { tolerance = 0 } = {}) {
+    if (!isEvaluationReport(baseline)) throw new Error('Not a SignLens evaluation report');
+
+    const names = [...new Set([...Object.keys(baseline.signs), ...Object.keys(report.signs)])].sort();
+    const signs = names.map(sign => {
+        const before = baseline.signs[sign] || {};
+        const after = report.signs[sign] || {};
+        const precision = change(before.precision ?? null, after.precision ?? null);
+        const recall = change(before.recall ?? null, after.recall ?? null);
+        const dropped = metric => metric.delta !== null && metric.delta < -tolerance;
+        return { sign, precision, recall, regression: dropped(precision) || dropped(recall) };
+    });
+
+    const previous = new Map(baseline.results.map(r => [r.id, r]));
+    const changed = report.results
+        .filter(r => previous.has(r.id) && previous.get(r.id).predicted !== r.predicted)
+        .map(r => ({ id: r.id, expected: r.expected, before: previous.get(r.id).predicted, after: r.predicted }));
+
+    return {
+        accuracy: change(baseline.accuracy, report.accuracy),
+        signs,
+        changed,
+        regressions: signs.filter(s => s.regression).length
+    };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function percent(value) {
+    return value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+function signedPercent(value) {
+    if (value === null || value === undefined) return '';
+    const text = `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+    const className = value > 0 ? 'up' : value < 0 ? 'down' : '';
+    return `<span class="${className}">${text}</span>`;
+}
+
+/**
+ * A standalone HTML page for a report.
+ * @param {object} report - From evaluateSamples().
+ * @param {object} [diff] - From compareReports().
+ * @returns {string}
+ */
+export function renderReportHtml(report, diff = null) {
+    const signDiff = new Map((diff ? diff.signs : []).map(s => [s.sign, s]));
+    const signRows = Object.entries(report.signs).map(([name, s]) => {
+        const d = signDiff.get(name);
+        return `<tr${d && d.regression ? ' class="regression"' : ''}>` +
+            `<td>${escapeHtml(name)}</td><td>${s.support}</td><td>${s.predicted}</td>` +
+            `<td>${percent(s.precision)} ${d ? signedPercent(d.precision.delta) : ''}</td>` +
+            `<td>${percent(s.recall)} ${d ? signedPercent(d.recall.delta) : ''}</td>` +
+            `<td>${percent(s.f1)}</td></tr>`;
+    }).join('\n');
+
+    const { labels, counts } = report.confusion;
+    const largest = Math.max(1, ...labels.flatMap(e => labels.map(p => counts[e][p] || 0)));
+    const matrixRows = labels.map(expected => `<tr><th>${escapeHtml(expected)}</th>` + labels.map(predicted => {
+        const n = counts[expected][predicted] || 0;
+        const hue = expected === predicted ? 120 : 0;
+        const style = n ? ` style="background: hsla(${hue}, 70%, 45%, ${(0.15 + 0.85 * n / largest).toFixed(2)})"` : '';
+        return `<td${style}>${n || ''}</td>`;
+    }).join('') + '</tr>').join('\n');
+
+    const overlapRows = report.overlaps.map(o =>
+        `<tr${o.unreachable ? ' class="regression"' : ''}><td>${escapeHtml(o.sign)}</td>` +
+        `<td>${escapeHtml(o.shadowedBy)}</td><td>${o.count} of ${o.held}</td>` +
+        `<td>${o.unreachable ? 'unreachable' : ''}</td></tr>`
+    ).join('\n');
+
+    const changedRows = diff ? diff.changed.map(c =>
+        `<tr><td>${escapeHtml(c.id)}</td><td>${escapeHtml(c.expected)}</td>` +
+        `<td>${escapeHtml(c.before)}</td><td>${escapeHtml(c.after)}</td></tr>`
+    ).join('\n') : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>SignLens evaluation ${escapeHtml(report.created)}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 2em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    .matrix th { writing-mode: vertical-rl; }
+    .matrix tr th { writing-mode: horizontal-tb; }
+    .regression { background: #fde2e2; }
+    .up { color: #1a7f37; }
+    .down { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>SignLens evaluation</h1>
+<p>${report.samples} samples, accuracy ${percent(report.accuracy)}${diff ? ` ${signedPercent(diff.accuracy.delta)}` : ''};
+mode ${escapeHtml(report.detector.mode)}, pack ${escapeHtml(report.detector.pack || 'default')},
+minimum confidence ${report.detector.minConfidence}. Generated ${escapeHtml(report.created)}.</p>
+${diff ? `<p>Compared with the baseline: ${diff.regressions} signs regressed, ${diff.changed.length} samples changed.</p>` : ''}
+
+<h2>Per sign</h2>
+<table>
+<tr><th>Sign</th><th>Samples</th><th>Predicted</th><th>Precision</th><th>Recall</th><th>F1</th></tr>
+${signRows}
+</table>
+
+<h2>Confusion matrix</h2>
+<p>Rows are the expected signs, columns the predicted ones.</p>
+<table class="matrix">
+<tr><th></th>${labels.map(l => `<th>${escapeHtml(l)}</th>`).join('')}</tr>
+${matrixRows}
+</table>
+
+<h2>Overlapping rules</h2>
+${report.overlaps.length ? `<table>
+<tr><th>Sign</th><th>Shadowed by</th><th>Lost</th><th></th></tr>
+${overlapRows}
+</table>` : '<p>No overlaps on these samples.</p>'}
+${diff ? `
+<h2>Changed predictions</h2>
+${diff.changed.length ? `<table>
+<tr><th>Sample</th><th>Expected</th><th>Baseline</th><th>Now</th></tr>
+${changedRows}
+</table>` : '<p>None.</p>'}` : ''}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImprovedGestureDetector } from './gesture-detection.js';
+import {
+    NO_SIGN, compareReports, datasetSamples, evaluateSamples, findOverlaps, isEvaluationReport, unknownLabels
+} from './evaluation.js';
+import { createDefaultRegistry } from './gestures/registry.js';
+import { signFrame } from './gestures/avatar/index.js';
+
+const registry = createDefaultRegistry();
+
+// A frame-results dataset with the avatar's pose of each sign, as a
+// right-handed signer on a plain camera image of the given size.
+function posedDataset(labels, image = { width: 640, height: 480 }) {
+    return {
+        format: 'signlens-frame-results',
+        frames: labels.map((label, i) => {
+            const aspect = image.width / image.height;
+            const hands = label === NO_SIGN ? [] : signFrame(registry.get(label), registry, 0, { aspect });
+            return {
+                name: `${i}.png`,
+                expected: label === NO_SIGN ? null : label,
+                multiHandLandmarks: hands.map(hand => hand.landmarks),
+                multiHandedness: hands.map(hand => ({ label: hand.role === 'dominant' ? 'Left' : 'Right', score: 0.95 })),
+                image
+            };
+        })
+    };
+}
+
+test('datasets give one labeled sample per labeled frame or custom sample', () => {
+    const frames = datasetSamples({
+        format: 'signlens-frame-results',
+        frames: [
+            { name: 'a.png', expected: 'NUMBER_1', multiHandLandmarks: [] },
+            { name: 'b.png', expected: 'NONE', multiHandLandmarks: [] },
+            { name: 'c.png', multiHandLandmarks: [] }
+        ]
+    }, 'set');
+    assert.deepEqual(frames.map(s => [s.id, s.label]), [['set:a.png', 'NUMBER_1'], ['set:b.png', NO_SIGN]]);
+
+    const custom = datasetSamples({ format: 'signlens-custom-signs', samples: [{ label: 'WAVE', landmarks: [] }] }, 'mine');
+    assert.deepEqual(custom.map(s => [s.id, s.label]), [['mine#0', 'WAVE']]);
+
+    assert.throws(() => datasetSamples({ format: 'something else' }), /Not a labeled dataset/);
+});
+
+test('labels the registry does not know are listed', () => {
+    const samples = [{ label: 'NUMBER_1' }, { label: NO_SIGN }, { label: 'WAVE' }, { label: 'WAVE' }];
+    assert.deepEqual(unknownLabels(samples, registry), ['WAVE']);
+});
+
+test('the avatar poses are recognized as their signs, whatever the frame size', () => {
+    const labels = ['NUMBER_1', 'THUMBS_UP', 'NUMBER_6', NO_SIGN];
+    for (const image of [{ width: 640, height: 480 }, { width: 480, height: 640 }]) {
+        const samples = datasetSamples(posedDataset(labels, image));
+        assert.deepEqual(samples[0].image, image);
+        const report = evaluateSamples(samples, new ImprovedGestureDetector({}, registry));
+        assert.equal(report.accuracy, 1, `${image.width}x${image.height}`);
+        assert.equal(report.samples, labels.length);
+        for (const label of labels.filter(l => l !== NO_SIGN)) {
+            assert.deepEqual([report.signs[label].precision, report.signs[label].recall], [1, 1], label);
+        }
+        assert.equal(report.detector.pack, 'asl');
+    }
+});
+
+test('a sign whose rule held but never won is unreachable', () => {
+    const overlaps = findOverlaps([
+        { predicted: 'NUMBER_5', satisfied: ['NUMBER_5', 'OPEN_PALM'] },
+        { predicted: 'NUMBER_5', satisfied: ['NUMBER_5', 'OPEN_PALM'] },
+        { predicted: 'A', satisfied: ['A', 'B'] },
+        { predicted: 'B', satisfied: ['B'] }
+    ]);
+    assert.deepEqual(overlaps, [
+        { sign: 'OPEN_PALM', shadowedBy: 'NUMBER_5', count: 2, held: 2, unreachable: true },
+        { sign: 'B', shadowedBy: 'A', count: 1, held: 2, unreachable: false }
+    ]);
+});
+
+test('a drop beyond the tolerance is a regression', () => {
+    const report = (recall, predicted) => ({
+        format: 'signlens-evaluation',
+        accuracy: recall,
+        signs: { A: { precision: 1, recall } },
+        results: [{ id: 's1', expected: 'A', predicted }]
+    });
+    const baseline = report(1, 'A');
+    const diff = compareReports(report(0.95, NO_SIGN), baseline);
+    assert.equal(diff.regressions, 1);
+    assert.deepEqual(diff.changed, [{ id: 's1', expected: 'A', before: 'A', after: NO_SIGN }]);
+    assert.equal(compareReports(report(0.95, 'A'), baseline, { tolerance: 0.1 }).regressions, 0);
+    assert.throws(() => compareReports(report(1, 'A'), {}), /Not a SignLens evaluation report/);
+    assert.ok(isEvaluationReport(baseline));
+    assert.ok(!isEvaluationReport({ format: 'signlens-evaluation' }));
+    assert.ok(!isEvaluationReport(null));
+});
@@ -4,211 +4,381 @@
  * KEY IMPROVEMENTS:
  * 1. Clear finger state definitions (OPEN/CLOSED) with confidence thresholds.
  * 2. Non-overlapping gesture rules for 0-5.
- * 3. Frame-based stability check to reduce flickering.
+ * 3. Temporal smoothing to reduce flickering: One-Euro filtered landmarks,
+ *    majority voting with enter/exit hysteresis and a hands-lost timeout.
  * 4. Class-based architecture for better organization.
+ * 5. Sign rules come from the shared sign registry (src/gestures/registry.js).
+ * 6. Motion signs are matched over a rolling landmark history per hand.
+ * 7. A "spelling" mode that matches only fingerspelled letters.
+ * 8. Detections carry a confidence, ranked alternatives and the finger
+ *    states behind them; low-confidence matches are suppressed.
+ * 9. "Gesture started/ended" events for the UI and transcript.
+ * 10. Two-hand signs can require spatial relations between the hands
+ *     (contact, stacking, relative height, palm facing, relative motion).
+ * 11. Hands keep their identity across frames and are matched as the
+ *     signer's dominant and non-dominant hand, not by screen side.
+ * 12. Thresholds and smoothing can be reconfigured while running.
+ * 13. Frames can be processed by a copy of the detector in a worker, whose
+ *     state and events the main-thread detector takes over.
  */
 
-// Landmark indices for different fingers
-const FINGER_LANDMARKS = {
-    THUMB: [1, 2, 3, 4],
-    INDEX: [5, 6, 7, 8],
-    MIDDLE: [9, 10, 11, 12],
-    RING: [13, 14, 15, 16],
-    PINKY: [17, 18, 19, 20]
-};
-
-class ImprovedGestureDetector {
-    constructor(config = {}) {
+import { DEFAULT_THRESHOLDS, defaultRegistry, describeHand } from "./gestures/registry.js";
+import { MotionRecognizer } from "./gestures/motion/index.js";
+import { LabelSmoother, LandmarkSmoother } from "./gestures/smoothing.js";
+import { HandPairMotion, describeRelations } from "./gestures/twoHand/relations.js";
+import { HandTracker } from "./gestures/tracking.js";
+
+/**
+ * Width / height of the frame MediaPipe analysed, or 1 when unknown.
+ * @param {object} results - The results from MediaPipe Hands.
+ * @returns {number}
+ */
+function imageAspect(results) {
+    const image = results.image;
+    return image && image.width > 0 && image.height > 0 ? image.width / image.height : 1;
+}
+
+export class ImprovedGestureDetector {
+    constructor(config = {}, registry = defaultRegistry) {
+        this.registry = registry;
         this.config = {
-            STABILITY_FRAMES: 3, // As requested
-            ...config
+            MODE: "signs",       // "signs" or "spelling" (letters only)
+            MIN_CONFIDENCE: 0.6, // Detections below this are treated as no gesture
+            CANDIDATES: 3,       // Alternatives reported with each detection
+            VOTE_WINDOW: 5,      // Frames that vote on the gesture
+            ENTER_VOTES: 3,      // Votes a sign needs to become the gesture
+            EXIT_VOTES: 2,       // Votes the gesture needs to stay
+            HAND_TIMEOUT_MS: 500, // Hands missing this long clear the gesture
+            // One-Euro landmark filter; set to null to classify raw landmarks
+            LANDMARK_FILTER: { minCutoff: 1.0, beta: 10, dCutoff: 1.0 },
+            DOMINANT_HAND: "right", // Signer's dominant hand, "right" or "left"
+            MIRRORED: false,     // Whether the camera image is mirrored (selfie view)
+            ...config,
+            // Finger, pointing and hand-distance thresholds, see DEFAULT_THRESHOLDS
+            THRESHOLDS: { ...DEFAULT_THRESHOLDS, ...config.THRESHOLDS }
         };
 
         this.handTracker = {
-            leftHand: null,
-            rightHand: null,
-            stabilityBuffer: [],
-            lastGesture: null
+            dominantHand: null,
+            nonDominantHand: null,
+            tracks: [],
+            aspect: 1,
+            lastDetection: null,
+            rawDetection: null,
+            motionSigns: [],
+            gestureEvents: []
         };
+        this.listeners = { start: [], end: [] };
+
+        this.motionRecognizer = new MotionRecognizer(registry, {
+            ...this.config.MOTION,
+            openCurl: this.config.THRESHOLDS.openCurl,
+            ignoreFingers: this.config.THRESHOLDS.ignoreFingers
+        });
+        this.tracker = new HandTracker({
+            ...this.config.TRACKING,
+            dominantHand: this.config.DOMINANT_HAND,
+            mirrored: this.config.MIRRORED
+        });
+        this.pairMotion = new HandPairMotion();
+        this.landmarkSmoother = new LandmarkSmoother(this.config.LANDMARK_FILTER || {});
+        this.labelSmoother = this._createLabelSmoother();
+        this._acceptsSign = this._acceptsSign.bind(this);
     }
 
     /**
-     * Determines if a finger is open or closed based on landmark positions.
-     * @param {Array} landmarks - The hand landmarks.
-     * @param {string} fingerName - The name of the finger (e.g., 'INDEX').
-     * @returns {boolean} - True if the finger is open, false otherwise.
+     * Registers a callback run when a gesture starts, i.e. once per held sign.
+     * @param {Function} listener - Called with { label, start, detection }.
+     * @returns {Function} - Removes the listener.
      */
-    _isFingerOpen(landmarks, fingerName) {
-        const finger = FINGER_LANDMARKS[fingerName];
-        const tip = landmarks[finger[3]]; // Tip of the finger
-        const pip = landmarks[finger[1]]; // PIP joint
-
-        if (fingerName === 'THUMB') {
-            // For the thumb, check horizontal extension relative to its base
-            const mcp = landmarks[finger[0]];
-            return Math.abs(tip.x - mcp.x) > 0.04; // Empirically determined threshold
-        } else {
-            // For other fingers, check if the tip is above the PIP joint
-            return tip.y < pip.y;
-        }
+    onGestureStart(listener) {
+        return this._listen("start", listener);
     }
 
     /**
-     * Gets the state (open/closed) for all five fingers.
-     * @param {Array} landmarks - The hand landmarks.
-     * @returns {object} - An object with boolean states for each finger.
+     * Registers a callback run when the current gesture ends.
+     * @param {Function} listener - Called with { label, start, end, reason },
+     *   where reason is "changed", "timeout" (hands gone) or "reset".
+     * @returns {Function} - Removes the listener.
      */
-    _getFingerStates(landmarks) {
-        if (!landmarks) return null;
-        return {
-            thumb: this._isFingerOpen(landmarks, 'THUMB'),
-            index: this._isFingerOpen(landmarks, 'INDEX'),
-            middle: this._isFingerOpen(landmarks, 'MIDDLE'),
-            ring: this._isFingerOpen(landmarks, 'RING'),
-            pinky: this._isFingerOpen(landmarks, 'PINKY'),
-        };
+    onGestureEnd(listener) {
+        return this._listen("end", listener);
     }
 
     /**
-     * Main processing pipeline for gesture detection.
-     * @param {object} results - The results from MediaPipe Hands.
-     * @returns {string|null} - The detected and stabilized gesture.
+     * Forgets all per-frame history, e.g. before replaying a recorded session.
+     */
+    reset() {
+        this.handTracker.dominantHand = null;
+        this.handTracker.nonDominantHand = null;
+        this.handTracker.tracks = [];
+        this.handTracker.aspect = 1;
+        this.tracker.reset();
+        this.handTracker.lastDetection = null;
+        this.handTracker.rawDetection = null;
+        this.handTracker.motionSigns = [];
+        this.motionRecognizer.reset();
+        this.pairMotion.reset();
+        this.landmarkSmoother.reset();
+        this._dispatch(this.labelSmoother.reset());
+    }
+
+    /**
+     * Switches between whole signs and fingerspelling.
+     * @param {string} mode - "signs" or "spelling".
+     */
+    setMode(mode) {
+        if (mode === this.config.MODE) return;
+        this.config.MODE = mode;
+        this.reset();
+    }
+
+    /**
+     * Sets the signer's dominant hand and re-decides which tracked hand is which.
+     * @param {string} hand - "right" or "left".
+     */
+    setDominantHand(hand) {
+        this.config.DOMINANT_HAND = hand;
+        this.tracker.configure({ dominantHand: hand });
+        this.motionRecognizer.reset();
+        this.pairMotion.reset();
+    }
+
+    /**
+     * Changes configuration while running. Settings that shape the history
+     * (voting, landmark filter) start it over; thresholds apply from the
+     * next frame.
+     * @param {object} changes - Any of the config keys. THRESHOLDS replaces all
+     *   thresholds; the ones it leaves out go back to DEFAULT_THRESHOLDS.
      */
-    process(results) {
-        const { leftHand, rightHand } = this._assignHandRoles(results);
-        this.handTracker.leftHand = leftHand;
-        this.handTracker.rightHand = rightHand;
-
-        let detectedGesture = null;
-
-        if (leftHand && rightHand) {
-            detectedGesture = this._detectTwoHandGesture(leftHand, rightHand);
-        } else if (leftHand || rightHand) {
-            const singleHand = leftHand || rightHand;
-            detectedGesture = this._detectSingleHandGesture(singleHand);
+    configure(changes) {
+        const { MODE, DOMINANT_HAND, MIRRORED, THRESHOLDS, ...rest } = changes;
+        const previous = this.config;
+        this.config = { ...previous, ...rest };
+
+        if (THRESHOLDS) {
+            this.config.THRESHOLDS = { ...DEFAULT_THRESHOLDS, ...THRESHOLDS };
+            this.motionRecognizer.options.openCurl = this.config.THRESHOLDS.openCurl;
+            this.motionRecognizer.options.ignoreFingers = this.config.THRESHOLDS.ignoreFingers;
+        }
+        const changed = key => key in rest && rest[key] !== previous[key];
+        if (["VOTE_WINDOW", "ENTER_VOTES", "EXIT_VOTES", "HAND_TIMEOUT_MS"].some(changed)) {
+            this._dispatch(this.labelSmoother.reset());
+            this.labelSmoother = this._createLabelSmoother();
+            this.handTracker.lastDetection = null;
+        }
+        if (changed("LANDMARK_FILTER")) {
+            this.landmarkSmoother = new LandmarkSmoother(this.config.LANDMARK_FILTER || {});
         }
+        if (MIRRORED !== undefined && MIRRORED !== previous.MIRRORED) {
+            this.config.MIRRORED = MIRRORED;
+            this.tracker.configure({ mirrored: MIRRORED });
+        }
+        if (DOMINANT_HAND !== undefined && DOMINANT_HAND !== previous.DOMINANT_HAND) {
+            this.setDominantHand(DOMINANT_HAND);
+        }
+        if (MODE !== undefined) this.setMode(MODE);
+    }
+
+    /**
+     * Builds the label smoother from the voting config.
+     * @returns {LabelSmoother}
+     */
+    _createLabelSmoother() {
+        return new LabelSmoother({
+            window: this.config.VOTE_WINDOW,
+            enterVotes: this.config.ENTER_VOTES,
+            exitVotes: this.config.EXIT_VOTES,
+            timeoutMs: this.config.HAND_TIMEOUT_MS
+        });
+    }
 
-        const stableGesture = this._applyStabilityFilter(detectedGesture);
-        return stableGesture;
+    /**
+     * Whether a registry sign is active in the current mode.
+     * @param {object} sign - A registry entry.
+     * @returns {boolean}
+     */
+    _acceptsSign(sign) {
+        const isLetter = sign.category === "letter";
+        return this.config.MODE === "spelling" ? isLetter : !isLetter;
     }
 
     /**
-     * Assigns hand landmarks to left/right roles based on their screen position.
+     * Main processing pipeline for gesture detection.
+     * Motion signs completed on this frame are left in `handTracker.motionSigns`,
+     * the unfiltered detection of this frame in `handTracker.rawDetection` and
+     * the gesture start/end events of this frame in `handTracker.gestureEvents`.
      * @param {object} results - The results from MediaPipe Hands.
-     * @returns {object} - { leftHand, rightHand }
+     * @param {number} [timestamp] - Frame time in milliseconds.
+     * @returns {object|null} - The stabilized detection: { label, confidence,
+     *   candidates: [{ label, confidence }], hands: ["dominant"|"nonDominant"], fingers, curls },
+     *   where `fingers` and `curls` are keyed by hand role; two-hand detections
+     *   also carry the `relations` between the hands.
      */
-    _assignHandRoles(results) {
-        if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
-            return { leftHand: null, rightHand: null };
-        }
+    process(results, timestamp = Date.now()) {
+        const { dominantHand, nonDominantHand, handedness } = this._assignHandRoles(results, timestamp);
+        this.handTracker.dominantHand = dominantHand;
+        this.handTracker.nonDominantHand = nonDominantHand;
+        this.handTracker.aspect = imageAspect(results);
+        this.handTracker.motionSigns = this.motionRecognizer.push(
+            { dominant: dominantHand, nonDominant: nonDominantHand },
+            timestamp,
+            handedness,
+            this._acceptsSign
+        );
+
+        let detection = null;
 
-        if (results.multiHandLandmarks.length === 1) {
-            const hand = results.multiHandLandmarks[0];
-            const handLabel = results.multiHandedness[0].label;
-            // The labels can be "Left" or "Right", but they refer to the actual hand,
-            // not its position on the screen. We'll use screen position for consistency.
-            // Let's assume a single hand is the 'dominant' hand for now, let's call it right.
-             if (handLabel === "Left") {
-                return { leftHand: hand, rightHand: null };
-            } else {
-                return { leftHand: null, rightHand: hand };
+        if (dominantHand && nonDominantHand && this.config.MODE !== "spelling") {
+            detection = this._detectTwoHandGesture(dominantHand, nonDominantHand, timestamp, handedness);
+        } else {
+            this.pairMotion.reset();
+            if (dominantHand || nonDominantHand) {
+                const role = dominantHand ? "dominant" : "nonDominant";
+                detection = this._detectSingleHandGesture(
+                    dominantHand || nonDominantHand, role, handedness[role]
+                );
             }
         }
+        this.handTracker.rawDetection = detection;
 
-        const hand1 = results.multiHandLandmarks[0];
-        const hand2 = results.multiHandLandmarks[1];
-        const x1 = hand1[0].x;
-        const x2 = hand2[0].x;
+        const confident = detection && detection.label &&
+            detection.confidence >= this.config.MIN_CONFIDENCE;
+        const events = this.labelSmoother.push(
+            confident ? detection.label : null,
+            timestamp,
+            this.handTracker.tracks.some(track => !track.held)
+        );
+        const stableGesture = this.labelSmoother.label;
 
-        // The hand with the smaller x-coordinate is the left hand on the screen
-        if (x1 < x2) {
-            return { leftHand: hand1, rightHand: hand2 };
-        } else {
-            return { leftHand: hand2, rightHand: hand1 };
+        if (!stableGesture) {
+            this.handTracker.lastDetection = null;
+        } else if (confident && detection.label === stableGesture) {
+            this.handTracker.lastDetection = detection;
+        } else if (this.handTracker.lastDetection?.label !== stableGesture) {
+            // The gesture changed on a frame that voted for something else.
+            this.handTracker.lastDetection = null;
+        }
+
+        for (const event of events) {
+            if (event.type === "start") event.detection = this.handTracker.lastDetection;
         }
+        this._dispatch(events);
+        return this.handTracker.lastDetection;
     }
 
     /**
-     * Detects gestures for a single hand.
-     * @param {Array} landmarks - The hand landmarks.
-     * @returns {string|null} - The detected gesture name.
+     * Takes over a frame processed by another detector with the same
+     * configuration, e.g. in the detection worker: its hand tracker state
+     * replaces this one's and its gesture events go to this detector's listeners.
+     * @param {object} state - Any of { dominantHand, nonDominantHand, tracks,
+     *   motionSigns, lastDetection, rawDetection }.
+     * @param {Array<object>} [events] - Gesture events, each with `type` "start" or "end".
+     * @returns {object|null} - The stabilized detection, as from process().
      */
-    _detectSingleHandGesture(landmarks) {
-        if (!landmarks) return null;
-
-        const fingers = this._getFingerStates(landmarks);
-        const openFingers = Object.values(fingers).filter(Boolean).length;
+    applyRemote(state, events = []) {
+        Object.assign(this.handTracker, state);
+        this._dispatch(events);
+        return this.handTracker.lastDetection;
+    }
 
-        // Number Gestures (with specific rules to avoid conflict)
-        if (!fingers.thumb && fingers.index && !fingers.middle && !fingers.ring && !fingers.pinky) return "NUMBER_1";
-        if (!fingers.thumb && fingers.index && fingers.middle && !fingers.ring && !fingers.pinky) return "NUMBER_2";
-        // Number 3 can be thumb+index+middle or index+middle+ring. Let's support both.
-        if (fingers.thumb && fingers.index && fingers.middle && !fingers.ring && !fingers.pinky) return "NUMBER_3";
-        if (!fingers.thumb && fingers.index && fingers.middle && fingers.ring && !fingers.pinky) return "NUMBER_3_ALT"; // Alternative 3
-        if (fingers.index && fingers.middle && fingers.ring && fingers.pinky && !fingers.thumb) return "NUMBER_4";
-        if (openFingers === 5) return "NUMBER_5"; // Same as OPEN_PALM, but we'll prioritize it
-        if (openFingers === 0) return "NUMBER_0"; // Same as FIST
+    /**
+     * Runs a hand through the landmark filter, unless it is disabled.
+     * @param {number} id - The hand's track ID.
+     * @param {Array} landmarks
+     * @param {number} timestamp
+     * @returns {Array|null} - The landmarks to classify.
+     */
+    _smoothLandmarks(id, landmarks, timestamp) {
+        if (!this.config.LANDMARK_FILTER) return landmarks;
+        return this.landmarkSmoother.smooth(id, landmarks, timestamp);
+    }
 
-        // General Gestures
-        if (openFingers === 5) return "OPEN_PALM";
-        if (openFingers === 0) return "FIST";
-        if (fingers.thumb && openFingers === 1) return "THUMBS_UP";
-        if (fingers.index && openFingers === 1) return "POINTING_UP";
+    /**
+     * Gives the hands of this frame their dominant/non-dominant roles, using
+     * the identity tracker so a hand keeps its role from frame to frame.
+     * @param {object} results - The results from MediaPipe Hands.
+     * @param {number} timestamp - Frame time in milliseconds.
+     * @returns {object} - { dominantHand, nonDominantHand, handedness }, with
+     *   smoothed landmarks (null for a missing hand) and MediaPipe's
+     *   "Left"/"Right" label of each, by role.
+     */
+    _assignHandRoles(results, timestamp) {
+        const tracks = this.tracker.update(results, timestamp);
+        this.handTracker.tracks = tracks;
+        this.landmarkSmoother.retain(tracks.map(track => track.id));
 
-        // Thumbs down is tricky, requires checking orientation, which is less reliable.
-        // Let's keep it simple for now and rely on THUMBS_UP.
+        const roles = { dominantHand: null, nonDominantHand: null, handedness: {} };
+        for (const track of tracks) {
+            roles[`${track.role}Hand`] = this._smoothLandmarks(track.id, track.landmarks, timestamp);
+            roles.handedness[track.role] = track.handedness;
+        }
+        return roles;
+    }
 
-        return null;
+    /**
+     * Detects gestures for a single hand.
+     * @param {Array} landmarks - The hand landmarks.
+     * @param {string} [role] - "dominant" or "nonDominant".
+     * @param {string|null} [handedness] - MediaPipe's "Left"/"Right" label.
+     * @returns {object|null} - The detection (label is null when nothing matched).
+     */
+    _detectSingleHandGesture(landmarks, role = "dominant", handedness = null) {
+        if (!landmarks) return null;
+        const hand = describeHand(landmarks, handedness, this.handTracker.aspect, this.config.THRESHOLDS);
+        const ranking = this.registry.rankOneHand(hand, this._acceptsSign, this.config.CANDIDATES);
+        return {
+            ...ranking,
+            hands: [role],
+            fingers: { [role]: hand.fingers },
+            curls: { [role]: hand.curls }
+        };
     }
     
     /**
      * Detects gestures involving two hands.
-     * @param {Array} leftLandmarks 
-     * @param {Array} rightLandmarks 
-     * @returns {string|null}
+     * @param {Array} dominantLandmarks
+     * @param {Array} nonDominantLandmarks
+     * @param {number} [timestamp] - Frame time, for the hands' relative motion.
+     * @param {object} [handedness] - MediaPipe's labels keyed by role.
+     * @returns {object|null} - The detection (label is null when nothing matched).
      */
-    _detectTwoHandGesture(leftLandmarks, rightLandmarks) {
-        if (!leftLandmarks || !rightLandmarks) return null;
-
-        const leftGesture = this._detectSingleHandGesture(leftLandmarks);
-        const rightGesture = this._detectSingleHandGesture(rightLandmarks);
-
-        // HELLO: Two open palms
-        if (leftGesture === "OPEN_PALM" && rightGesture === "OPEN_PALM") {
-            return "HELLO";
-        }
-        // Add other two-hand gestures from the original file
-        if (leftGesture === "FIST" && rightGesture === "FIST") {
-            return "THANK_YOU";
-        }
-        if (leftGesture === "THUMBS_UP" && rightGesture === "THUMBS_UP") {
-            return "EXCELLENT";
-        }
-
-        return null;
+    _detectTwoHandGesture(dominantLandmarks, nonDominantLandmarks, timestamp = Date.now(), handedness = {}) {
+        if (!dominantLandmarks || !nonDominantLandmarks) return null;
+        const { aspect } = this.handTracker;
+        const { THRESHOLDS } = this.config;
+        const dominant = describeHand(dominantLandmarks, handedness.dominant, aspect, THRESHOLDS);
+        const nonDominant = describeHand(nonDominantLandmarks, handedness.nonDominant, aspect, THRESHOLDS);
+        const relations = describeRelations(
+            dominant, nonDominant, this.pairMotion.update(dominant, nonDominant, timestamp)
+        );
+        const ranking = this.registry.rankTwoHand(
+            dominant, nonDominant, this._acceptsSign, this.config.CANDIDATES, relations
+        );
+        return {
+            ...ranking,
+            hands: ["dominant", "nonDominant"],
+            fingers: { dominant: dominant.fingers, nonDominant: nonDominant.fingers },
+            curls: { dominant: dominant.curls, nonDominant: nonDominant.curls },
+            relations
+        };
     }
 
     /**
-     * Applies a stability filter to reduce gesture flickering.
-     * @param {string|null} currentGesture - The gesture detected in the current frame.
-     * @returns {string|null} - The stable gesture.
+     * Records this frame's gesture events and notifies the listeners.
+     * @param {Array<object>} events - From the label smoother.
      */
-    _applyStabilityFilter(currentGesture) {
-        this.handTracker.stabilityBuffer.push(currentGesture);
-
-        if (this.handTracker.stabilityBuffer.length > this.config.STABILITY_FRAMES) {
-            this.handTracker.stabilityBuffer.shift();
+    _dispatch(events) {
+        this.handTracker.gestureEvents = events;
+        for (const { type, ...event } of events) {
+            for (const listener of this.listeners[type]) listener(event);
         }
+    }
 
-        // Check if all frames in the buffer are the same
-        const allSame = this.handTracker.stabilityBuffer.every(g => g === currentGesture);
-
-        if (this.handTracker.stabilityBuffer.length === this.config.STABILITY_FRAMES && allSame) {
-            if (this.handTracker.lastGesture !== currentGesture) {
-                this.handTracker.lastGesture = currentGesture;
-            }
-        }
-        
-        return this.handTracker.lastGesture;
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
     }
 }
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImprovedGestureDetector } from './gesture-detection.js';
+import { createDefaultRegistry, describeHand } from './gestures/registry.js';
+import { LABELS, handLandmarks } from './gestures/hand-fixtures.mjs';
+
+const POINT = { index: true };
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+
+// One MediaPipe result with a right hand, optionally a left one too.
+function results(right, left = null) {
+    const hands = [[right, 'right'], [left, 'left']].filter(([landmarks]) => landmarks);
+    return {
+        multiHandLandmarks: hands.map(([landmarks]) => landmarks),
+        multiHandedness: hands.map(([, side]) => ({ label: LABELS[side], score: 0.9 }))
+    };
+}
+
+// On a plain camera image the signer's right hand shows on the left.
+const rightHand = (open, turn = {}) => handLandmarks(open, { ...turn, x: 0.3 });
+const leftHand = (open, turn = {}) => handLandmarks(open, { ...turn, x: 0.7, hand: 'left' });
+
+test('a detection is reported once stable, with its confidence and ranked candidates', () => {
+    const detector = new ImprovedGestureDetector({}, createDefaultRegistry());
+    const frame = results(rightHand(POINT, { yaw: 180 }));
+
+    assert.equal(detector.process(frame, 0), null);
+    assert.equal(detector.process(frame, 33), null);
+    const detection = detector.process(frame, 66);
+
+    assert.equal(detection.label, 'NUMBER_1');
+    assert.ok(detection.confidence > 0.9);
+    assert.equal(detection.candidates.length, 3);
+    assert.equal(detection.candidates[0].label, 'NUMBER_1');
+    assert.ok(detection.candidates.every((c, i, all) => i === 0 || all[i - 1].confidence >= c.confidence));
+    assert.equal(detection.hands.length, 1);
+    assert.equal(detection.fingers[detection.hands[0]].index, true);
+});
+
+test('detections under MIN_CONFIDENCE count as no gesture but stay visible as raw', () => {
+    const detector = new ImprovedGestureDetector({ MIN_CONFIDENCE: 1.01 }, createDefaultRegistry());
+    const frame = results(rightHand(POINT, { yaw: 180 }));
+    for (let t = 0; t < 200; t += 33) assert.equal(detector.process(frame, t), null);
+    assert.equal(detector.handTracker.rawDetection.label, 'NUMBER_1');
+});
+
+test('two hands are scored as the geometric mean of their handshapes', () => {
+    const registry = createDefaultRegistry();
+    const detector = new ImprovedGestureDetector({}, registry);
+    const frame = results(rightHand(POINT, { yaw: 180 }), leftHand(OPEN, { yaw: 180 }));
+    let detection = null;
+    for (let t = 0; t < 100; t += 33) detection = detector.process(frame, t);
+
+    assert.equal(detection.label, 'NUMBER_6');
+    assert.deepEqual(detection.hands, ['dominant', 'nonDominant']);
+    const right = describeHand(frame.multiHandLandmarks[0], LABELS.right);
+    const left = describeHand(frame.multiHandLandmarks[1], LABELS.left);
+    assert.equal(
+        registry.scoreTwoHand('NUMBER_6', right, left),
+        Math.sqrt(registry.scoreOneHand('NUMBER_1', right) * registry.scoreOneHand('NUMBER_5', left))
+    );
+});
+
+test('a sign whose points or palm condition fails scores zero', () => {
+    const registry = createDefaultRegistry();
+    const facing = describeHand(rightHand(POINT), LABELS.right);
+    assert.equal(registry.scoreOneHand('NUMBER_1', facing), 0);
+    assert.ok(registry.scoreOneHand('POINTING_UP', facing) > 0.9);
+    const thumbUp = describeHand(rightHand({ thumb: true }, { roll: -45 }), LABELS.right);
+    assert.equal(registry.scoreOneHand('THUMBS_DOWN', thumbUp), 0);
+    assert.ok(registry.scoreOneHand('THUMBS_UP', thumbUp) > 0.9);
+});
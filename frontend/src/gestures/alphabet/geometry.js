@@ -0,0 +1,47 @@
+// Geometry helpers for handshape predicates. They work on the hand object
+// built by describeHand, whose `local` points are in the hand-local frame
+// (palm lengths, y toward the fingers), so they hold for either hand.
+
+const INDEX_MCP = 5;
+const PINKY_MCP = 17;
+
+export function distance(hand, a, b) {
+  const p = hand.local[a];
+  const q = hand.local[b];
+  return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+}
+
+export function touching(hand, a, b, threshold = 0.3) {
+  return distance(hand, a, b) < threshold;
+}
+
+// Position of a landmark across the knuckles: 0 at the index MCP, 1 at the
+// pinky MCP, negative on the thumb side of the index.
+export function across(hand, point) {
+  const start = hand.local[INDEX_MCP];
+  const end = hand.local[PINKY_MCP];
+  const p = hand.local[point];
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  return ((p.x - start.x) * dx + (p.y - start.y) * dy) / ((dx * dx + dy * dy) || 1);
+}
+
+// Height of a landmark along the wrist → middle-MCP axis, in palm lengths.
+export function height(hand, point) {
+  return hand.local[point].y;
+}
+
+// Where a finger points on screen, from its base to its tip:
+// "up", "down" or "side". Unlike finger states this depends on how the
+// hand is held, which is what tells H from U or P from K. Widths are
+// scaled by the image aspect so the two axes compare like for like.
+export function pointing(hand, base, tip) {
+  const dx = (hand.landmarks[tip].x - hand.landmarks[base].x) * (hand.aspect || 1);
+  const dy = hand.landmarks[tip].y - hand.landmarks[base].y;
+  if (Math.abs(dx) > Math.abs(dy)) return "side";
+  return dy < 0 ? "up" : "down";
+}
+
+export function curledBetween(hand, fingers, min, max) {
+  return fingers.every(f => hand.curls[f] >= min && hand.curls[f] <= max);
+}
@@ -0,0 +1,161 @@
+import { across, curledBetween, distance, height, pointing, touching } from "./geometry.js";
+
+// Static ASL fingerspelling letters (J and Z move, see motion/signs.js).
+// Several letters share a finger pattern with a number, so they carry the
+// "letter" category and are only matched in spelling mode. Order matters:
+// the more specific handshape of each similar group comes first.
+// `pose` tells the avatar how to draw a letter that its finger pattern
+// alone does not pin down (see avatar/pose.js).
+const FOUR_CLOSED = { index: false, middle: false, ring: false, pinky: false };
+const TWO_OPEN = { index: true, middle: true, ring: false, pinky: false };
+const INDEX_ONLY = { index: true, middle: false, ring: false, pinky: false };
+const FINGERS = ["index", "middle", "ring", "pinky"];
+
+// Thumb tip (4) positions for the closed-fist letters.
+const thumbBelowKnuckles = hand => height(hand, 4) < (height(hand, 6) + height(hand, 10)) / 2 - 0.05;
+const thumbBetween = (hand, from, to) => {
+  const position = across(hand, 4);
+  return position >= from && position < to && !thumbBelowKnuckles(hand);
+};
+
+export const LETTER_SIGNS = [
+  {
+    name: "LETTER_F",
+    fingers: { middle: true, ring: true, pinky: true },
+    match: hand => touching(hand, 4, 8, 0.35),
+    pose: { curls: { index: 0.6 }, thumb: { to: 8 } },
+  },
+  {
+    name: "LETTER_W",
+    fingers: { thumb: false, index: true, middle: true, ring: true, pinky: false },
+  },
+  {
+    name: "LETTER_B",
+    fingers: { thumb: false, index: true, middle: true, ring: true, pinky: true },
+  },
+  {
+    name: "LETTER_K",
+    fingers: TWO_OPEN,
+    match: hand => pointing(hand, 5, 8) === "up" && touching(hand, 4, 10, 0.45),
+    pose: { spread: 12, thumb: { to: 10, offset: { x: -0.12, z: 0.1 } } },
+  },
+  {
+    name: "LETTER_P",
+    fingers: TWO_OPEN,
+    match: hand => pointing(hand, 5, 8) === "down" && touching(hand, 4, 10, 0.45),
+    pose: { spread: 12, thumb: { to: 10, offset: { x: -0.12, z: 0.1 } }, roll: 180 },
+  },
+  {
+    name: "LETTER_H",
+    fingers: TWO_OPEN,
+    match: hand => pointing(hand, 5, 8) === "side",
+    pose: { spread: 0, roll: 90 },
+  },
+  {
+    name: "LETTER_R",
+    fingers: TWO_OPEN,
+    // Index crossed over the middle finger.
+    match: hand => across(hand, 8) > across(hand, 12),
+    pose: { cross: true },
+  },
+  {
+    name: "LETTER_U",
+    fingers: TWO_OPEN,
+    match: hand => distance(hand, 8, 12) < 1.3 * distance(hand, 5, 9),
+    pose: { spread: 0 },
+  },
+  {
+    name: "LETTER_V",
+    fingers: TWO_OPEN,
+  },
+  {
+    name: "LETTER_Y",
+    fingers: { thumb: true, index: false, middle: false, ring: false, pinky: true },
+  },
+  {
+    name: "LETTER_I",
+    fingers: { thumb: false, index: false, middle: false, ring: false, pinky: true },
+  },
+  {
+    name: "LETTER_G",
+    fingers: INDEX_ONLY,
+    match: hand => pointing(hand, 5, 8) === "side",
+    pose: { thumb: "out", roll: 90 },
+  },
+  {
+    name: "LETTER_Q",
+    fingers: INDEX_ONLY,
+    match: hand => pointing(hand, 5, 8) === "down",
+    pose: { thumb: "out", roll: 180 },
+  },
+  {
+    name: "LETTER_L",
+    fingers: { ...INDEX_ONLY, thumb: true },
+  },
+  {
+    name: "LETTER_D",
+    fingers: INDEX_ONLY,
+    match: hand => touching(hand, 4, 12, 0.45),
+    pose: { thumb: { to: 12 } },
+  },
+  {
+    name: "LETTER_X",
+    fingers: { middle: false, ring: false, pinky: false },
+    // Index raised from the knuckle but hooked at the middle joint.
+    match: hand =>
+      height(hand, 6) - height(hand, 5) > 0.3 && height(hand, 8) < height(hand, 6),
+    pose: { joints: { index: [0, 110, 70] } },
+  },
+  {
+    name: "LETTER_O",
+    match: hand => curledBetween(hand, FINGERS, 0.2, 0.8) && touching(hand, 4, 8, 0.3),
+    pose: { curls: { index: 0.55, middle: 0.55, ring: 0.55, pinky: 0.55 }, thumb: { to: 8 } },
+  },
+  {
+    name: "LETTER_C",
+    match: hand => {
+      const gap = distance(hand, 4, 8);
+      return curledBetween(hand, FINGERS, 0.2, 0.7) && gap >= 0.4 && gap <= 1.2;
+    },
+    pose: { curls: { index: 0.6, middle: 0.6, ring: 0.6, pinky: 0.6 }, thumb: { to: 8, offset: { y: -0.7 } } },
+  },
+  {
+    name: "LETTER_E",
+    fingers: FOUR_CLOSED,
+    // Fingertips rest on top of the tucked thumb.
+    match: hand =>
+      (height(hand, 8) + height(hand, 12)) / 2 > height(hand, 4) + 0.05 &&
+      across(hand, 4) >= 0,
+    pose: { curls: { index: 0.88, middle: 0.88, ring: 0.88, pinky: 0.88 }, thumb: { at: { x: 0.1, y: 0.4, z: 0.25 } } },
+  },
+  {
+    name: "LETTER_A",
+    fingers: FOUR_CLOSED,
+    // Thumb alongside the index finger rather than across the fist.
+    match: hand => across(hand, 4) < -0.05,
+    pose: { thumb: { at: { x: -0.4, y: 0.85, z: 0.1 } } },
+  },
+  {
+    name: "LETTER_S",
+    fingers: FOUR_CLOSED,
+    match: thumbBelowKnuckles,
+  },
+  {
+    name: "LETTER_T",
+    fingers: FOUR_CLOSED,
+    match: hand => thumbBetween(hand, -0.05, 0.33),
+    pose: { thumb: { at: { x: -0.14, y: 1, z: 0.3 } } },
+  },
+  {
+    name: "LETTER_N",
+    fingers: FOUR_CLOSED,
+    match: hand => thumbBetween(hand, 0.33, 0.66),
+    pose: { thumb: { at: { x: 0.09, y: 1, z: 0.3 } } },
+  },
+  {
+    name: "LETTER_M",
+    fingers: FOUR_CLOSED,
+    match: hand => thumbBetween(hand, 0.66, 1.2),
+    pose: { thumb: { at: { x: 0.32, y: 1, z: 0.3 } } },
+  },
+].map(sign => ({ ...sign, category: "letter" }));
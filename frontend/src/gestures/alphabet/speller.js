@@ -0,0 +1,109 @@
+const LETTER_PREFIX = "LETTER_";
+
+const DEFAULTS = {
+  holdMs: 400,      // A letter must be held this long to be typed
+  repeatMs: 1200,   // Holding it this much longer types it again
+  pauseMs: 1500,    // No letter for this long ends the word
+};
+
+export function letterOf(signName) {
+  return typeof signName === "string" && signName.startsWith(LETTER_PREFIX)
+    ? signName.slice(LETTER_PREFIX.length)
+    : null;
+}
+
+/**
+ * Turns a stream of per-frame letter signs into words.
+ *
+ * A letter is typed once it has been held for `holdMs`. To type it twice
+ * (the "LL" in "HELLO") either drop the hand shape briefly and sign it again,
+ * or keep holding it for another `repeatMs`. When no letter is seen for
+ * `pauseMs`, the pending word is committed.
+ */
+export class Speller {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.letters = [];
+    this.current = null;     // Letter currently in view
+    this.currentSince = 0;   // When it came into view
+    this.lastTyped = 0;      // When `current` was last typed (0 = not yet)
+    this.lastSeen = 0;       // Last time any letter was in view
+    this.quietUntil = 0;     // Static letters are ignored until then
+  }
+
+  get word() {
+    return this.letters.join("");
+  }
+
+  /**
+   * Feeds one frame of the detector output.
+   * @param {string|null} signName - Detected sign, e.g. "LETTER_A"; anything else counts as no letter.
+   * @param {number} timestamp - Frame time in milliseconds.
+   * @returns {{ word: string, typed: string|null, committed: string|null }}
+   */
+  push(signName, timestamp) {
+    const letter = letterOf(signName);
+    let typed = null;
+
+    if (letter !== this.current) {
+      this.current = letter;
+      this.currentSince = timestamp;
+      this.lastTyped = 0;
+    }
+
+    if (letter && timestamp >= this.quietUntil) {
+      this.lastSeen = timestamp;
+      const due = this.lastTyped
+        ? timestamp - this.lastTyped >= this.options.repeatMs
+        : timestamp - Math.max(this.currentSince, this.quietUntil) >= this.options.holdMs;
+      if (due) {
+        typed = this._type(letter, timestamp);
+      }
+    }
+
+    return { word: this.word, typed, committed: this._commitIfPaused(timestamp) };
+  }
+
+  /**
+   * Types a letter immediately, for motion letters (J, Z) that are reported
+   * once when their movement completes rather than held. The handshape left
+   * at the end of the movement (I for J) is not typed as a static letter.
+   */
+  addLetter(signName, timestamp) {
+    const letter = letterOf(signName);
+    if (!letter) return null;
+
+    this.lastSeen = timestamp;
+    this.quietUntil = timestamp + this.options.repeatMs;
+    return this._type(letter, timestamp);
+  }
+
+  /**
+   * Ends the word now. Returns it, or null if nothing was spelled.
+   */
+  commit() {
+    const word = this.word;
+    this.letters = [];
+    return word || null;
+  }
+
+  removeLast() {
+    return this.letters.pop() || null;
+  }
+
+  _type(letter, timestamp) {
+    this.letters.push(letter);
+    this.lastTyped = timestamp;
+    return letter;
+  }
+
+  _commitIfPaused(timestamp) {
+    if (this.letters.length === 0 || this.current) return null;
+    if (timestamp - this.lastSeen < this.options.pauseMs) return null;
+    return this.commit();
+  }
+}
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Speller, letterOf } from "./speller.js";
+
+// Feeds `sign` every 100 ms from `from` up to (not including) `to`, and
+// returns what was typed and committed along the way.
+function hold(speller, sign, from, to) {
+  const typed = [];
+  const committed = [];
+  for (let t = from; t < to; t += 100) {
+    const result = speller.push(sign, t);
+    if (result.typed) typed.push(result.typed);
+    if (result.committed) committed.push(result.committed);
+  }
+  return { typed, committed };
+}
+
+test("letterOf reads letter signs and ignores everything else", () => {
+  assert.equal(letterOf("LETTER_A"), "A");
+  assert.equal(letterOf("THUMBS_UP"), null);
+  assert.equal(letterOf(null), null);
+});
+
+test("a letter is typed once it has been held, and again if held much longer", () => {
+  const speller = new Speller();
+  assert.deepEqual(hold(speller, "LETTER_A", 0, 400).typed, []);
+  assert.deepEqual(hold(speller, "LETTER_A", 400, 500).typed, ["A"]);
+  assert.deepEqual(hold(speller, "LETTER_A", 500, 1600).typed, []);
+  assert.deepEqual(hold(speller, "LETTER_A", 1600, 1700).typed, ["A"]);
+  assert.equal(speller.word, "AA");
+});
+
+test("dropping the handshape and signing it again types a double letter", () => {
+  const speller = new Speller();
+  hold(speller, "LETTER_L", 0, 600);
+  hold(speller, null, 600, 800);
+  hold(speller, "LETTER_L", 800, 1400);
+  assert.equal(speller.word, "LL");
+});
+
+test("a pause with no letter commits the word", () => {
+  const speller = new Speller();
+  hold(speller, "LETTER_H", 0, 500);
+  hold(speller, "LETTER_I", 500, 1000);
+  const { committed } = hold(speller, null, 1000, 3000);
+  assert.deepEqual(committed, ["HI"]);
+  assert.equal(speller.word, "");
+});
+
+test("a non-letter sign counts as no letter", () => {
+  const speller = new Speller();
+  hold(speller, "LETTER_A", 0, 500);
+  assert.deepEqual(hold(speller, "THUMBS_UP", 500, 2500).committed, ["A"]);
+});
+
+test("a motion letter is typed at once and its final handshape is not typed after it", () => {
+  const speller = new Speller();
+  assert.equal(speller.addLetter("LETTER_J", 0), "J");
+  assert.deepEqual(hold(speller, "LETTER_I", 0, 1200).typed, []);
+  assert.deepEqual(hold(speller, "LETTER_I", 1200, 1700).typed, ["I"]);
+  assert.equal(speller.word, "JI");
+  assert.equal(speller.addLetter("HELLO", 1700), null);
+});
+
+test("removeLast and commit edit the pending word", () => {
+  const speller = new Speller();
+  speller.addLetter("LETTER_N", 0);
+  speller.addLetter("LETTER_O", 10);
+  assert.equal(speller.removeLast(), "O");
+  assert.equal(speller.commit(), "N");
+  assert.equal(speller.commit(), null);
+  assert.equal(speller.removeLast(), null);
+});
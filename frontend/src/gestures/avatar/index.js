@@ -0,0 +1,191 @@
+import { mirrorPath, pathLength } from "../motion/dtw.js";
+import { buildHand, shapeOf } from "./pose.js";
+
+export { buildHand, shapeOf } from "./pose.js";
+
+const MAX_PHRASE_WORDS = 3;
+const ONE_HAND = { x: 0.5, y: 0.5, size: 0.3 };
+const TWO_HANDS = {
+  dominant: { x: 0.3, y: 0.5 },
+  nonDominant: { x: 0.7, y: 0.5 },
+  size: 0.27,
+};
+const MOTION_SIZE = 0.2;
+
+function normalizeWords(text) {
+  return text
+    .toLocaleLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}\s'-]/gu, " ")
+    .split(/[\s-]+/)
+    .map(word => word.replace(/^'+|'+$/g, ""))
+    .filter(Boolean);
+}
+
+function defaultName(name) {
+  return name.toLowerCase().replace(/_/g, " ");
+}
+
+/**
+ * Maps spoken words and phrases to the signs that can be drawn: every
+ * non-letter, non-custom sign under its display name, its name and, for
+ * numbers, its digits. Motion signs come first, as they are usually the
+ * citation form of a word (HELLO_WAVE before the static HELLO).
+ * @param {SignRegistry} registry
+ * @param {Function} [displayName] - The sign's display name in the spoken language.
+ * @returns {Map<string, object>} - Registry entries keyed by normalized phrase.
+ */
+export function buildSignIndex(registry, displayName = defaultName) {
+  const index = new Map();
+  const signs = [...registry.motionSigns, ...registry.oneHandSigns, ...registry.twoHandSigns]
+    .filter(sign => sign.category === "sign");
+
+  for (const sign of signs) {
+    const keys = [displayName(sign.name), defaultName(sign.name)];
+    const number = /^NUMBER_(\d+)$/.exec(sign.name);
+    if (number) keys.push(number[1]);
+
+    for (const key of keys) {
+      const phrase = key && normalizeWords(key).join(" ");
+      if (phrase && !index.has(phrase)) index.set(phrase, sign);
+    }
+  }
+  return index;
+}
+
+// Fingerspelling of one word: a step per character, with `name` null for
+// characters the registry has no letter or digit for.
+function spell(word, registry) {
+  return [...word.toLocaleUpperCase()].map((char, i) => {
+    const name = /\d/.test(char) ? `NUMBER_${char}` : `LETTER_${char}`;
+    const sign = registry.get(name);
+    return { word, text: char, name: sign ? name : null, spelled: true, letter: i };
+  });
+}
+
+/**
+ * Turns text into the signs to play: known words and phrases (up to three
+ * words, longest first) become their sign, everything else is fingerspelled.
+ * @param {string} text
+ * @param {SignRegistry} registry
+ * @param {object} [options] - { displayName(name), index } where `index`
+ *   is a prebuilt buildSignIndex() map.
+ * @returns {Array<{word: string, text: string, name: string|null, spelled: boolean}>}
+ */
+export function planSigns(text, registry, options = {}) {
+  const index = options.index || buildSignIndex(registry, options.displayName);
+  const words = normalizeWords(text);
+  const steps = [];
+
+  for (let i = 0; i < words.length;) {
+    let length = Math.min(MAX_PHRASE_WORDS, words.length - i);
+    for (; length > 0; length--) {
+      const phrase = words.slice(i, i + length).join(" ");
+      const sign = index.get(phrase);
+      if (sign) {
+        steps.push({ word: phrase, text: phrase, name: sign.name, spelled: false });
+        break;
+      }
+    }
+    if (length === 0) {
+      steps.push(...spell(words[i], registry));
+      length = 1;
+    }
+    i += length;
+  }
+  return steps;
+}
+
+// Position along a path at t (0-1), by distance travelled.
+function pointAlong(path, t) {
+  const total = pathLength(path);
+  let remaining = t * total;
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const segment = Math.hypot(b.x - a.x, b.y - a.y);
+    if (remaining <= segment && segment > 0) {
+      const f = remaining / segment;
+      return { x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y) };
+    }
+    remaining -= segment;
+  }
+  return path[path.length - 1];
+}
+
+function motionFrame(sign, t, { hand, aspect, mirror }) {
+  const { point, path, minScaleGrowth = 1 } = sign.motion;
+  const template = mirror ? mirrorPath(path) : path;
+  const size = MOTION_SIZE * (1 + (minScaleGrowth - 1) * 1.2 * t);
+
+  // Center the path's bounding box, then move the hand so the tracked point follows it.
+  const xs = template.map(p => p.x);
+  const ys = template.map(p => p.y);
+  const center = {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2,
+  };
+  const at = pointAlong(template, t);
+  const target = {
+    x: 0.5 + ((at.x - center.x) * MOTION_SIZE) / aspect,
+    y: 0.5 + (at.y - center.y) * MOTION_SIZE,
+  };
+
+  const landmarks = buildHand(shapeOf(sign), { hand, aspect, size });
+  const dx = target.x - landmarks[point].x;
+  const dy = target.y - landmarks[point].y;
+  return landmarks.map(p => ({ x: p.x + dx, y: p.y + dy, z: p.z }));
+}
+
+function twoHandFrame(sign, registry, { dominantHand, aspect, mirror }) {
+  const layout = sign.pose || {};
+  const hands = [];
+  for (const role of ["dominant", "nonDominant"]) {
+    const part = sign[role] && registry.get(sign[role]);
+    if (!part) continue;
+
+    const placement = { ...TWO_HANDS[role], size: TWO_HANDS.size, ...layout[role] };
+    const isDominant = role === "dominant";
+    hands.push({
+      role,
+      landmarks: buildHand(shapeOf(part), {
+        ...placement,
+        x: mirror ? 1 - placement.x : placement.x,
+        aspect,
+        hand: isDominant === (dominantHand === "right") ? "right" : "left",
+      }),
+    });
+  }
+  return hands;
+}
+
+/**
+ * The hands of a sign at one moment of its playback, in image coordinates
+ * (0-1) for drawing with drawConnectors. Static signs look the same at
+ * every t; motion signs follow their template path.
+ * @param {object} sign - The registry entry.
+ * @param {SignRegistry} registry - Resolves the handshapes of two-hand signs.
+ * @param {number} t - Progress through the sign, 0 to 1.
+ * @param {object} [options] - { dominantHand: "right"|"left", aspect: width / height }.
+ * @returns {Array<{role: string, landmarks: Array}>}
+ */
+export function signFrame(sign, registry, t, { dominantHand = "right", aspect = 1 } = {}) {
+  // A right-handed signer's dominant hand shows on the left of the image.
+  const mirror = dominantHand === "left";
+  if (sign.kind === "twoHand") return twoHandFrame(sign, registry, { dominantHand, aspect, mirror });
+
+  if (sign.kind === "motion") {
+    return [{ role: "dominant", landmarks: motionFrame(sign, t, { hand: dominantHand, aspect, mirror }) }];
+  }
+  return [{ role: "dominant", landmarks: buildHand(shapeOf(sign), { ...ONE_HAND, hand: dominantHand, aspect }) }];
+}
+
+/**
+ * How long a motion sign plays: the middle of its duration range.
+ * @param {object} sign
+ * @returns {number|null} - Milliseconds, null for static signs.
+ */
+export function motionDuration(sign) {
+  if (sign.kind !== "motion") return null;
+  const [min = 500, max = min] = sign.motion.durationMs || [];
+  return (min + max) / 2;
+}
@@ -0,0 +1,163 @@
+import { FINGER_NAMES } from "../oneHand/fingers.js";
+
+// A handshape is drawn from a hand model in palm lengths (wrist to middle
+// MCP): x runs across the knuckles toward the pinky, y from the wrist
+// toward the fingers and z out of the palm. Poses are placed in image
+// coordinates the way the camera sees the signer, palm toward the camera,
+// so a right hand has its thumb on the right of the image.
+const WRIST = { x: 0, y: 0, z: 0 };
+const ANCHOR = { x: 0, y: 0.5, z: 0 }; // Palm center, which placements position
+
+const FINGER_BASES = {
+  index: { x: -0.24, y: 0.96 },
+  middle: { x: 0, y: 1 },
+  ring: { x: 0.22, y: 0.94 },
+  pinky: { x: 0.42, y: 0.84 },
+};
+const FINGER_BONES = {
+  index: [0.42, 0.25, 0.21],
+  middle: [0.46, 0.28, 0.22],
+  ring: [0.43, 0.26, 0.21],
+  pinky: [0.34, 0.2, 0.18],
+};
+// Fan of open fingers, as a multiple of the spread angle
+const FINGER_FAN = { index: -1, middle: 0, ring: 1, pinky: 2 };
+// Joint angles (degrees) of a fully curled finger: MCP, PIP, DIP
+const CURLED_JOINTS = [90, 100, 70];
+
+const THUMB_CMC = { x: -0.2, y: 0.22, z: 0 };
+const THUMB_MCP = { x: -0.4, y: 0.45, z: 0.05 };
+const THUMB_BONES = [0.3, 0.3];
+const THUMB_ANGLE = 45; // Degrees from the fingers toward the thumb side
+// Where a closed thumb rests: across the front of the curled fingers.
+const THUMB_TUCKED = { x: 0.15, y: 0.72, z: 0.35 };
+
+const DEFAULT_SHAPE = {
+  spread: 8,       // Degrees between neighbouring open fingers
+  roll: 0,         // Degrees the fingers turn toward the thumb side, in the image plane
+  pitch: 0,        // Degrees the fingers tip toward the camera
+  yaw: 0,          // Degrees the palm turns toward the thumb side
+};
+
+const rad = degrees => (degrees * Math.PI) / 180;
+
+function add(a, b, scale = 1) {
+  return { x: a.x + b.x * scale, y: a.y + b.y * scale, z: a.z + b.z * scale };
+}
+
+/**
+ * The handshape of a registry entry: one curl per finger from its `fingers`
+ * pattern (a motion sign's `motion.fingers`), refined by the entry's
+ * optional `pose`:
+ *   { curls, joints: { finger: [mcp, pip, dip] }, spread, cross,
+ *     thumb: "out" | "tucked" | { to: landmark, offset } | { at: {x, y, z} },
+ *     roll, pitch, yaw }
+ * Fingers the pattern leaves open to choice are drawn closed.
+ * @param {object} entry - A one-hand or motion sign.
+ * @returns {object}
+ */
+export function shapeOf(entry) {
+  const fingers = (entry.motion && entry.motion.fingers) || entry.fingers || {};
+  const pose = entry.pose || {};
+
+  const curls = {};
+  for (const finger of FINGER_NAMES) curls[finger] = fingers[finger] ? 0 : 1;
+
+  return {
+    ...DEFAULT_SHAPE,
+    thumb: fingers.thumb ? "out" : "tucked",
+    ...pose,
+    curls: { ...curls, ...pose.curls },
+    joints: { ...pose.joints },
+  };
+}
+
+function buildFinger(points, finger, shape) {
+  const [first, ...rest] = shape.joints[finger] || CURLED_JOINTS.map(angle => angle * shape.curls[finger]);
+  let fan = rad(FINGER_FAN[finger] * shape.spread);
+  let depth = 0;
+  if (shape.cross && finger === "index") {
+    fan = rad(18);
+    depth = 0.05;
+  } else if (shape.cross && finger === "middle") {
+    fan = rad(-5);
+  }
+
+  let point = { ...FINGER_BASES[finger], z: depth };
+  points.push(point);
+  let bend = 0;
+  FINGER_BONES[finger].forEach((length, i) => {
+    bend += rad(i === 0 ? first : rest[i - 1]);
+    const direction = {
+      x: Math.sin(fan) * Math.cos(bend),
+      y: Math.cos(fan) * Math.cos(bend),
+      z: Math.sin(bend),
+    };
+    point = add(point, direction, length);
+    points.push(point);
+  });
+}
+
+function thumbTip(points, shape) {
+  const { thumb } = shape;
+  if (thumb === "tucked") return THUMB_TUCKED;
+  if (typeof thumb === "object" && thumb.at) return { z: 0, ...thumb.at };
+  if (typeof thumb === "object") return add(points[thumb.to], { x: 0, y: 0, z: 0, ...thumb.offset });
+
+  const angle = rad(THUMB_ANGLE);
+  const direction = { x: -Math.sin(angle), y: Math.cos(angle), z: 0.1 };
+  return add(THUMB_MCP, direction, THUMB_BONES[0] + THUMB_BONES[1]);
+}
+
+// The thumb's IP joint sits halfway to the tip, bowed out of the palm.
+function buildThumb(points, shape) {
+  const tip = thumbTip(points, shape);
+  const straight = shape.thumb === "out";
+  const ip = {
+    x: (THUMB_MCP.x + tip.x) / 2 - (straight ? 0 : 0.05),
+    y: (THUMB_MCP.y + tip.y) / 2,
+    z: (THUMB_MCP.z + tip.z) / 2 + (straight ? 0 : 0.12),
+  };
+  return [THUMB_CMC, THUMB_MCP, ip, tip];
+}
+
+function rotate(point, { roll, pitch, yaw }) {
+  let { x, y, z } = point;
+  // Roll in the image plane, then pitch about the horizontal, then yaw about the vertical.
+  const r = rad(roll);
+  [x, y] = [x * Math.cos(r) - y * Math.sin(r), x * Math.sin(r) + y * Math.cos(r)];
+  const p = rad(pitch);
+  [y, z] = [y * Math.cos(p) - z * Math.sin(p), y * Math.sin(p) + z * Math.cos(p)];
+  const w = rad(yaw);
+  [x, z] = [x * Math.cos(w) + z * Math.sin(w), -x * Math.sin(w) + z * Math.cos(w)];
+  return { x, y, z };
+}
+
+/**
+ * Landmarks of a handshape, in MediaPipe's layout and image coordinates.
+ * @param {object} shape - From shapeOf().
+ * @param {object} [placement] - { x, y } of the palm center in image coordinates,
+ *   `size` (palm length as a share of the image height), `aspect` (image
+ *   width / height), `hand` ("right" or "left") and extra roll, pitch and yaw.
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export function buildHand(shape, placement = {}) {
+  const { x = 0.5, y = 0.5, size = 0.3, aspect = 1, hand = "right" } = placement;
+  const turn = {
+    roll: shape.roll + (placement.roll || 0),
+    pitch: shape.pitch + (placement.pitch || 0),
+    yaw: shape.yaw + (placement.yaw || 0),
+  };
+
+  const fingers = [];
+  for (const finger of ["index", "middle", "ring", "pinky"]) buildFinger(fingers, finger, shape);
+  const model = [WRIST, null, null, null, null, ...fingers];
+  model.splice(1, 4, ...buildThumb(model, shape));
+
+  // The model's x runs toward the pinky, which is on the left of the image for a right hand.
+  const side = hand === "right" ? -1 : 1;
+  return model.map(point => {
+    const p = rotate({ x: point.x - ANCHOR.x, y: point.y - ANCHOR.y, z: point.z - ANCHOR.z }, turn);
+    return { x: x + (side * p.x * size) / aspect, y: y - p.y * size, z: (-p.z * size) / aspect };
+  });
+}
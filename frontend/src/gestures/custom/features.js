@@ -0,0 +1,29 @@
+import { getHandFrame, toHandFrame } from "../oneHand/fingers.js";
+
+// Weight of the on-screen hand direction relative to the handshape, so a
+// recorded sign still tells "pointing up" from "pointing down".
+const ORIENTATION_WEIGHT = 1;
+
+// Hand landmarks as a flat vector in the hand-local frame (palm lengths),
+// followed by the direction the hand points on screen.
+export function handFeatures(landmarks) {
+  const frame = getHandFrame(landmarks);
+  const features = [];
+  for (const point of toHandFrame(landmarks, frame)) {
+    features.push(point.x, point.y, point.z);
+  }
+  features.push(frame.up.x * ORIENTATION_WEIGHT, frame.up.y * ORIENTATION_WEIGHT);
+  return features;
+}
+
+// Two-hand signs also need the hands' relative placement, in palm lengths
+// of the dominant hand.
+export function twoHandFeatures(dominantLandmarks, nonDominantLandmarks) {
+  const { scale } = getHandFrame(dominantLandmarks);
+  return [
+    ...handFeatures(dominantLandmarks),
+    ...handFeatures(nonDominantLandmarks),
+    (nonDominantLandmarks[0].x - dominantLandmarks[0].x) / scale,
+    (nonDominantLandmarks[0].y - dominantLandmarks[0].y) / scale,
+  ];
+}
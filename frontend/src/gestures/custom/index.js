@@ -0,0 +1,208 @@
+import { defaultRegistry } from "../registry.js";
+import { handFeatures, twoHandFeatures } from "./features.js";
+import { KnnClassifier } from "./knn.js";
+import { SampleStore } from "./store.js";
+
+export const CUSTOM_CATEGORY = "custom";
+const DATASET_FORMAT = "signlens-custom-signs";
+const DATASET_VERSION = 1;
+
+// "wave hi" -> "WAVE_HI", so custom labels look like the built-in sign names.
+export function toSignName(label) {
+  return String(label).trim().toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+function copyLandmarks(landmarks) {
+  return landmarks.map(({ x, y, z }) => ({ x, y, z: z || 0 }));
+}
+
+/**
+ * Signs recorded by the user, recognized by a kNN classifier next to the
+ * rule-based ones. Samples persist in IndexedDB and each label becomes a
+ * registry sign in the "custom" category, tried before the built-in signs.
+ */
+export class CustomSignSet {
+  constructor(registry = defaultRegistry, store = new SampleStore(), options = {}) {
+    this.registry = registry;
+    this.store = store;
+    this.classifier = new KnnClassifier(options);
+    this.samples = [];
+    // Classification of the hand object currently being matched, so the
+    // kNN search runs once per frame rather than once per custom sign.
+    this.cache = new WeakMap();
+  }
+
+  async load() {
+    this.samples = await this.store.getAll();
+    this._rebuild();
+  }
+
+  /**
+   * Lists custom signs with how many samples each has.
+   * @returns {Array<{name: string, hands: number, count: number}>}
+   */
+  get signs() {
+    const signs = new Map();
+    for (const sample of this.samples) {
+      const entry = signs.get(sample.label) || { name: sample.label, hands: sample.hands, count: 0 };
+      entry.count++;
+      signs.set(sample.label, entry);
+    }
+    return [...signs.values()];
+  }
+
+  /**
+   * Stores recorded samples under a label and makes the sign recognizable.
+   * @param {string} label
+   * @param {Array<Array>} recorded - Per sample, one landmark array per hand, dominant first.
+   */
+  async addSamples(label, recorded) {
+    const name = toSignName(label);
+    const existing = this.registry.get(name);
+    if (!name || (existing && existing.category !== CUSTOM_CATEGORY)) {
+      throw new Error(`"${label}" cannot be used as a custom sign name`);
+    }
+
+    const samples = recorded.map(landmarks => ({
+      label: name,
+      hands: landmarks.length,
+      landmarks,
+      createdAt: Date.now(),
+    }));
+    const hands = this.signs.find(s => s.name === name)?.hands;
+    if (samples.some(s => s.hands !== (hands || samples[0].hands))) {
+      throw new Error(`All samples of "${name}" must use the same number of hands`);
+    }
+
+    const ids = await this.store.add(samples);
+    samples.forEach((sample, i) => { sample.id = ids[i]; });
+    this.samples.push(...samples);
+    this._rebuild();
+    return name;
+  }
+
+  async remove(name) {
+    await this.store.deleteLabel(name);
+    this.samples = this.samples.filter(s => s.label !== name);
+    this._rebuild();
+  }
+
+  async clear() {
+    await this.store.clear();
+    this.samples = [];
+    this._rebuild();
+  }
+
+  exportDataset() {
+    return {
+      format: DATASET_FORMAT,
+      version: DATASET_VERSION,
+      samples: this.samples.map(({ label, hands, landmarks, createdAt }) => ({
+        label, hands, landmarks, createdAt,
+      })),
+    };
+  }
+
+  /**
+   * Adds the samples of an exported dataset.
+   * @param {object} dataset - As produced by exportDataset.
+   * @param {object} [options] - { replace: true } drops existing samples first.
+   */
+  async importDataset(dataset, { replace = false } = {}) {
+    if (!dataset || dataset.format !== DATASET_FORMAT || !Array.isArray(dataset.samples)) {
+      throw new Error("Not a SignLens custom sign dataset");
+    }
+    if (replace) await this.clear();
+
+    const byLabel = new Map();
+    for (const sample of dataset.samples) {
+      if (!Array.isArray(sample.landmarks) || sample.landmarks.some(h => h.length !== 21)) {
+        throw new Error(`Invalid landmarks in sample "${sample.label}"`);
+      }
+      const list = byLabel.get(sample.label) || [];
+      list.push(sample.landmarks);
+      byLabel.set(sample.label, list);
+    }
+    for (const [label, recorded] of byLabel) {
+      await this.addSamples(label, recorded);
+    }
+  }
+
+  _rebuild() {
+    this.classifier.clear();
+    for (const sample of this.samples) {
+      const [first, second] = sample.landmarks;
+      this.classifier.add(sample.label, second ? twoHandFeatures(first, second) : handFeatures(first));
+    }
+    this.cache = new WeakMap();
+
+    for (const sign of [...this.registry.oneHandSigns, ...this.registry.twoHandSigns]) {
+      if (sign.category === CUSTOM_CATEGORY) this.registry.unregister(sign.name);
+    }
+    for (const { name, hands } of this.signs) {
+      const classify = hands === 2
+        ? ({ dominant, nonDominant }) =>
+          this._classify(dominant, () => twoHandFeatures(dominant.landmarks, nonDominant.landmarks))
+        : hand => this._classify(hand, () => handFeatures(hand.landmarks));
+
+      this.registry.register({
+        name,
+        category: CUSTOM_CATEGORY,
+        hands,
+        match: input => classify(input)?.label === name,
+        // Share of the nearest neighbours that voted for the sign
+        confidence: input => (classify(input)?.votes || 0) / this.classifier.options.k,
+      }, { first: true });
+    }
+  }
+
+  _classify(key, features) {
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.classifier.classify(features()));
+    }
+    return this.cache.get(key);
+  }
+}
+
+/**
+ * Collects landmark samples for one label from the tracked hands of each frame.
+ */
+export class SampleRecorder {
+  constructor({ count = 30, frameStep = 2 } = {}) {
+    this.count = count;
+    this.frameStep = frameStep; // Keep every Nth frame for more varied samples
+    this.active = false;
+  }
+
+  start(label) {
+    this.label = label;
+    this.samples = [];
+    this.hands = 0;
+    this.frame = 0;
+    this.active = true;
+  }
+
+  cancel() {
+    this.active = false;
+  }
+
+  /**
+   * @param {Array<Array>} tracked - This frame's hand landmarks, dominant hand first.
+   * @returns {{ done: boolean, progress: number, samples: Array }|null} - null when not recording.
+   */
+  push(tracked) {
+    if (!this.active) return null;
+
+    const hands = tracked.slice(0, 2).map(copyLandmarks);
+    // The first frame with hands fixes whether the sign is one- or two-handed.
+    if (hands.length > 0 && !this.hands) this.hands = hands.length;
+
+    if (hands.length > 0 && hands.length === this.hands && this.frame++ % this.frameStep === 0) {
+      this.samples.push(hands);
+    }
+
+    const done = this.samples.length >= this.count;
+    if (done) this.active = false;
+    return { done, progress: this.samples.length / this.count, samples: this.samples };
+  }
+}
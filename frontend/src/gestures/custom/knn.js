@@ -0,0 +1,75 @@
+function euclidean(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+const DEFAULTS = {
+  k: 5,
+  // Mean distance to the winning neighbours above which nothing matches,
+  // in the palm-length units of the feature vectors.
+  maxDistance: 1.2,
+};
+
+/**
+ * k-nearest-neighbour classifier over labelled feature vectors. One-hand
+ * and two-hand samples are kept apart since their vectors differ in length.
+ */
+export class KnnClassifier {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.samples = [];
+  }
+
+  add(label, features) {
+    this.samples.push({ label, features });
+  }
+
+  removeLabel(label) {
+    this.samples = this.samples.filter(s => s.label !== label);
+  }
+
+  clear() {
+    this.samples = [];
+  }
+
+  get labels() {
+    return [...new Set(this.samples.map(s => s.label))];
+  }
+
+  /**
+   * @param {number[]} features
+   * @returns {{label: string, distance: number, votes: number}|null}
+   */
+  classify(features) {
+    const neighbours = this.samples
+      .filter(s => s.features.length === features.length)
+      .map(s => ({ label: s.label, distance: euclidean(s.features, features) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, this.options.k);
+    if (neighbours.length === 0) return null;
+
+    const tally = new Map();
+    for (const n of neighbours) {
+      const entry = tally.get(n.label) || { label: n.label, votes: 0, total: 0 };
+      entry.votes++;
+      entry.total += n.distance;
+      tally.set(n.label, entry);
+    }
+
+    let best = null;
+    for (const entry of tally.values()) {
+      if (!best || entry.votes > best.votes ||
+          (entry.votes === best.votes && entry.total < best.total)) {
+        best = entry;
+      }
+    }
+
+    const distance = best.total / best.votes;
+    if (distance > this.options.maxDistance) return null;
+    return { label: best.label, distance, votes: best.votes };
+  }
+}
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { KnnClassifier } from "./knn.js";
+import { CustomSignSet, toSignName } from "./index.js";
+import { MemorySampleStore } from "./store.js";
+import { createDefaultRegistry, describeHand } from "../registry.js";
+import { LABELS, handLandmarks } from "../hand-fixtures.mjs";
+
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+
+// An open hand showing its back, which the built-in rules read as NUMBER_5.
+const landmarks = handLandmarks(OPEN, { yaw: 180 });
+const describe = () => describeHand(landmarks, LABELS.right);
+
+test("the label with most of the k nearest votes wins", () => {
+  const knn = new KnnClassifier({ k: 3 });
+  knn.add("A", [0, 0]);
+  knn.add("A", [0, 0.2]);
+  knn.add("B", [0.1, 0]);
+  knn.add("B", [5, 5]);
+  assert.deepEqual(knn.classify([0, 0.1]), { label: "A", distance: 0.1, votes: 2 });
+  assert.deepEqual(knn.labels, ["A", "B"]);
+});
+
+test("a tie in votes goes to the closer label", () => {
+  const knn = new KnnClassifier({ k: 2 });
+  knn.add("A", [0]);
+  knn.add("B", [0.5]);
+  assert.equal(knn.classify([0.4]).label, "B");
+});
+
+test("nothing matches beyond maxDistance, or with vectors of another length", () => {
+  const knn = new KnnClassifier({ maxDistance: 1 });
+  knn.add("A", [0, 0]);
+  assert.equal(knn.classify([3, 0]), null);
+  assert.equal(knn.classify([0, 0, 0]), null);
+  knn.removeLabel("A");
+  assert.equal(knn.classify([0, 0]), null);
+});
+
+test("custom signs are tried before the built-in ones", async () => {
+  const registry = createDefaultRegistry();
+  const set = new CustomSignSet(registry, new MemorySampleStore());
+  assert.equal(toSignName(" my wave! "), "MY_WAVE");
+  assert.equal(await set.addSamples("my wave", [[landmarks], [landmarks], [landmarks]]), "MY_WAVE");
+  await assert.rejects(set.addSamples("number 5", [[landmarks]]), /cannot be used as a custom sign name/);
+
+  assert.equal(registry.oneHandSigns[0].name, "MY_WAVE");
+  assert.equal(registry.matchOneHand(describe()), "MY_WAVE");
+  assert.deepEqual(set.signs, [{ name: "MY_WAVE", hands: 1, count: 3 }]);
+
+  await set.remove("MY_WAVE");
+  assert.equal(registry.get("MY_WAVE"), null);
+  assert.equal(registry.matchOneHand(describe()), "NUMBER_5");
+});
+
+test("an exported dataset imports into another set", async () => {
+  const registry = createDefaultRegistry();
+  const source = new CustomSignSet(createDefaultRegistry(), new MemorySampleStore());
+  await source.addSamples("WAVE", [[landmarks]]);
+
+  const store = new MemorySampleStore();
+  await new CustomSignSet(registry, store).importDataset(source.exportDataset());
+  assert.ok(registry.get("WAVE"));
+  assert.equal((await store.getAll()).length, 1);
+});
@@ -0,0 +1,90 @@
+const DB_NAME = "signlens";
+const DB_VERSION = 1;
+const STORE_NAME = "customSamples";
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * IndexedDB storage for recorded custom-sign samples. Each record is
+ * { id, label, hands, landmarks, createdAt }, where `landmarks` holds one
+ * array of 21 points per hand, dominant hand first.
+ */
+export class SampleStore {
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    if (!this.indexedDB) throw new Error("IndexedDB is not available");
+
+    const req = this.indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+      store.createIndex("label", "label");
+    };
+    this.db = await request(req);
+    return this.db;
+  }
+
+  async _store(mode) {
+    const db = await this.open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  async getAll() {
+    return request((await this._store("readonly")).getAll());
+  }
+
+  async add(samples) {
+    const store = await this._store("readwrite");
+    return Promise.all(samples.map(sample => request(store.add(sample))));
+  }
+
+  async deleteLabel(label) {
+    const store = await this._store("readwrite");
+    const keys = await request(store.index("label").getAllKeys(label));
+    await Promise.all(keys.map(key => request(store.delete(key))));
+  }
+
+  async clear() {
+    await request((await this._store("readwrite")).clear());
+  }
+}
+
+/**
+ * SampleStore's interface over an array, for custom signs that are not
+ * kept, e.g. loaded from an exported dataset in Node.
+ */
+export class MemorySampleStore {
+  constructor() {
+    this.records = [];
+    this.nextId = 1;
+  }
+
+  async getAll() {
+    return this.records.map(record => ({ ...record }));
+  }
+
+  async add(samples) {
+    return samples.map(sample => {
+      const id = this.nextId++;
+      this.records.push({ ...sample, id });
+      return id;
+    });
+  }
+
+  async deleteLabel(label) {
+    this.records = this.records.filter(record => record.label !== label);
+  }
+
+  async clear() {
+    this.records = [];
+  }
+}
@@ -0,0 +1,90 @@
+// Hand landmarks for tests, in MediaPipe's layout. A hand is built in palm
+// lengths (wrist to middle MCP) with x across the knuckles toward the
+// pinky, y from the wrist toward the fingers and z out of the palm, then
+// turned and placed in the image palm toward the camera, so a right hand
+// has its thumb on the right of the image.
+const FINGER_BASES = {
+  index: { x: -0.24, y: 0.96 },
+  middle: { x: 0, y: 1 },
+  ring: { x: 0.22, y: 0.94 },
+  pinky: { x: 0.42, y: 0.84 },
+};
+const FINGER_BONES = {
+  index: [0.42, 0.25, 0.21],
+  middle: [0.46, 0.28, 0.22],
+  ring: [0.43, 0.26, 0.21],
+  pinky: [0.34, 0.2, 0.18],
+};
+const CURLED_JOINTS = [90, 100, 70]; // Degrees at the MCP, PIP and DIP of a closed finger
+
+const THUMB_CMC = { x: -0.2, y: 0.22, z: 0 };
+const THUMB_MCP = { x: -0.4, y: 0.45, z: 0.05 };
+const THUMB_OPEN_TIP = { x: -0.82, y: 0.87, z: 0.11 };
+const THUMB_TUCKED_TIP = { x: 0.15, y: 0.72, z: 0.35 };
+
+// MediaPipe's label for each hand on a plain (not mirrored) camera image,
+// where it reads the hands the other way round.
+export const LABELS = { right: "Left", left: "Right" };
+
+const rad = degrees => (degrees * Math.PI) / 180;
+
+function finger(name, open) {
+  let point = { ...FINGER_BASES[name], z: 0 };
+  const points = [point];
+  let bend = 0;
+  FINGER_BONES[name].forEach((length, i) => {
+    bend += open ? 0 : rad(CURLED_JOINTS[i]);
+    point = {
+      x: point.x,
+      y: point.y + Math.cos(bend) * length,
+      z: point.z + Math.sin(bend) * length,
+    };
+    points.push(point);
+  });
+  return points;
+}
+
+function thumb(open) {
+  const tip = open ? THUMB_OPEN_TIP : THUMB_TUCKED_TIP;
+  const ip = {
+    x: (THUMB_MCP.x + tip.x) / 2,
+    y: (THUMB_MCP.y + tip.y) / 2,
+    z: (THUMB_MCP.z + tip.z) / 2 + (open ? 0 : 0.12),
+  };
+  return [THUMB_CMC, THUMB_MCP, ip, tip];
+}
+
+function rotate({ x, y, z }, { roll = 0, pitch = 0, yaw = 0 }) {
+  const r = rad(roll);
+  [x, y] = [x * Math.cos(r) - y * Math.sin(r), x * Math.sin(r) + y * Math.cos(r)];
+  const p = rad(pitch);
+  [y, z] = [y * Math.cos(p) - z * Math.sin(p), y * Math.sin(p) + z * Math.cos(p)];
+  const w = rad(yaw);
+  [x, z] = [x * Math.cos(w) + z * Math.sin(w), -x * Math.sin(w) + z * Math.cos(w)];
+  return { x, y, z };
+}
+
+/**
+ * The 21 landmarks of a hand.
+ * @param {object} open - Which fingers are open, e.g. { thumb: true, index: true };
+ *   the others are closed.
+ * @param {object} [placement] - { x, y } of the wrist in image coordinates,
+ *   `size` (palm length as a share of the image height), `aspect` (image
+ *   width / height), `hand` ("right" or "left"), and roll (in the image
+ *   plane, toward the thumb), pitch (fingers toward the camera) and yaw
+ *   (palm toward the thumb side) in degrees.
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+export function handLandmarks(open = {}, placement = {}) {
+  const { x = 0.5, y = 0.7, size = 0.2, aspect = 1, hand = "right" } = placement;
+  const model = [
+    { x: 0, y: 0, z: 0 },
+    ...thumb(Boolean(open.thumb)),
+    ...["index", "middle", "ring", "pinky"].flatMap(name => finger(name, Boolean(open[name]))),
+  ];
+  const side = hand === "right" ? -1 : 1;
+  return model.map(point => {
+    const p = rotate(point, placement);
+    return { x: x + (side * p.x * size) / aspect, y: y - p.y * size, z: (-p.z * size) / aspect };
+  });
+}
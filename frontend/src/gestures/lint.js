@@ -0,0 +1,298 @@
+import { FINGER_DIRECTIONS, FINGER_NAMES, PALM_FACINGS } from "./oneHand/fingers.js";
+
+// Static checks of the sign rules. A hand is in one of 32 finger-state
+// combinations, and where the signs declare `palm` or `points` conditions
+// also faces one of PALM_FACINGS and points the fingers they name one of
+// FINGER_DIRECTIONS. In each such hand state, the first sign in priority
+// order whose `fingers` pattern, `palm` and `points` fit and whose `match`
+// predicate (if any) holds wins. Without looking at landmarks, a sign with
+// a predicate might or might not fire, a sign without one always does; so
+// NUMBER_5 (palm away) and OPEN_PALM (any palm) both fire, while two signs
+// told apart only by a predicate are reported. Signs without a `fingers`
+// pattern (custom signs, letters recognized by shape alone) are not
+// checked, but when they are tried before every patterned sign, as custom
+// signs are, the linter warns that they can pre-empt all of them.
+//
+// Two-hand signs are checked the same way on pairs of hand states, with
+// each hand fitting its handshape. Relations, a `match` predicate or a
+// handshape with a predicate (or without a pattern) make a two-hand sign
+// one that might or might not fire.
+
+// The detector tries letters only in spelling mode and the other signs
+// only outside it, so each group is checked on its own.
+export const SIGN_GROUPS = [
+  { name: "signs", filter: sign => sign.category !== "letter" },
+  { name: "letters", filter: sign => sign.category === "letter" },
+];
+
+/**
+ * Every open/closed combination of the five fingers, all closed first.
+ * @returns {Array<object>} - 32 objects like { thumb: false, index: true, ... }.
+ */
+export function fingerCombinations() {
+  return Array.from({ length: 1 << FINGER_NAMES.length }, (_, bits) =>
+    Object.fromEntries(FINGER_NAMES.map((finger, i) => [finger, Boolean(bits & (1 << i))]))
+  );
+}
+
+/**
+ * The hand states the rules of some signs tell apart: every finger-state
+ * combination, times every palm facing if any of the signs declares `palm`
+ * (otherwise palm is null, any facing), times every direction of each
+ * finger named in a `points` pattern.
+ * @param {Array<object>} signs - One-hand signs.
+ * @returns {Array<{fingers: object, palm: string|null, points: object}>}
+ */
+export function handStates(signs) {
+  const palms = signs.some(sign => sign.palm) ? PALM_FACINGS : [null];
+  let points = [{}];
+  for (const finger of FINGER_NAMES.filter(finger => signs.some(sign => sign.points && finger in sign.points))) {
+    points = points.flatMap(directions => FINGER_DIRECTIONS.map(direction => ({ ...directions, [finger]: direction })));
+  }
+  return fingerCombinations().flatMap(fingers =>
+    palms.flatMap(palm => points.map(directions => ({ fingers, palm, points: directions })))
+  );
+}
+
+/**
+ * A finger-state combination for reports, e.g. "thumb+index open".
+ * @param {object} fingers
+ * @returns {string}
+ */
+export function describeFingers(fingers) {
+  const open = FINGER_NAMES.filter(finger => fingers[finger]);
+  if (open.length === 0) return "all closed";
+  if (open.length === FINGER_NAMES.length) return "all open";
+  return `${open.join("+")} open`;
+}
+
+/**
+ * A hand state for reports, e.g. "all open, palm away" or "thumb open, thumb up".
+ * @param {object} state - From handStates().
+ * @returns {string}
+ */
+export function describeState({ fingers, palm, points }) {
+  return [
+    describeFingers(fingers),
+    ...(palm ? [`palm ${palm}`] : []),
+    ...Object.entries(points).map(([finger, direction]) => `${finger} ${direction}`),
+  ].join(", ");
+}
+
+function fits(pattern, fingers, ignore) {
+  return Object.keys(pattern).every(finger => ignore.includes(finger) || pattern[finger] === fingers[finger]);
+}
+
+// Whether a sign's fingers pattern and its palm and points conditions fit a hand state.
+function fitsState(sign, state, ignore) {
+  return fits(sign.fingers, state.fingers, ignore) &&
+    (!sign.palm || sign.palm === state.palm) &&
+    (!sign.points || fits(sign.points, state.points, []));
+}
+
+// Signs without a pattern that come before every sign with one.
+function preempting(signs, patterned) {
+  const firstPatterned = signs.findIndex(patterned);
+  if (firstPatterned === -1) return [];
+  const count = signs.filter(patterned).length;
+  return signs.slice(0, firstPatterned).map(sign => ({ sign: sign.name, signs: count }));
+}
+
+// Which hand states (from `states`) a hand of a two-hand sign can be in:
+// those its handshape fits, or all of them.
+function handshape(registry, name, states, ignoreFingers) {
+  const sign = name ? registry.get(name) : null;
+  const patterned = Boolean(sign && sign.fingers);
+  return {
+    patterned,
+    guarded: Boolean(sign) && (!patterned || typeof sign.match === "function"),
+    fits: states.map(state => !patterned || fitsState(sign, state, ignoreFingers)),
+  };
+}
+
+function lintTwoHandSigns(registry, filter, ignoreFingers) {
+  const twoHandSigns = registry.twoHandSigns.filter(sign => !filter || filter(sign));
+  const shapes = twoHandSigns
+    .flatMap(sign => [sign.dominant, sign.nonDominant])
+    .map(name => name && registry.get(name))
+    .filter(Boolean);
+  const states = handStates(shapes);
+  const signs = twoHandSigns.map(sign => {
+    const [dominant, nonDominant] = [sign.dominant, sign.nonDominant]
+      .map(name => handshape(registry, name, states, ignoreFingers));
+    return {
+      name: sign.name,
+      dominant,
+      nonDominant,
+      patterned: dominant.patterned || nonDominant.patterned,
+      guarded: Boolean(sign.relations && Object.keys(sign.relations).length > 0) ||
+        typeof sign.match === "function" || dominant.guarded || nonDominant.guarded,
+    };
+  });
+  const fitsPair = (sign, d, n) => sign.dominant.fits[d] && sign.nonDominant.fits[n];
+
+  const unreachable = [];
+  signs.forEach((sign, i) => {
+    if (!sign.patterned) return;
+    const certain = signs.slice(0, i).filter(earlier => !earlier.guarded);
+    const shadowedBy = new Set();
+    let reachable = false;
+    for (let d = 0; d < states.length && !reachable; d++) {
+      if (!sign.dominant.fits[d]) continue;
+      for (let n = 0; n < states.length && !reachable; n++) {
+        if (!sign.nonDominant.fits[n]) continue;
+        const first = certain.find(earlier => fitsPair(earlier, d, n));
+        if (first) shadowedBy.add(first.name); else reachable = true;
+      }
+    }
+    if (!reachable) unreachable.push({ sign: sign.name, shadowedBy: [...shadowedBy] });
+  });
+
+  return {
+    checked: signs.filter(sign => sign.patterned).length,
+    unreachable,
+    preempting: preempting(signs, sign => sign.patterned),
+    unchecked: signs.filter(sign => !sign.patterned).map(sign => sign.name),
+  };
+}
+
+/**
+ * Checks the finger-pattern signs of a registry against every hand state
+ * their rules tell apart (see handStates), and the two-hand signs against
+ * all pairs of states.
+ * @param {SignRegistry} registry
+ * @param {object} [options] - { filter(sign) } limits the signs, e.g. to one
+ *   of SIGN_GROUPS; { ignoreFingers } as in the detector's thresholds.
+ * @returns {object} - {
+ *   states: [{ fingers, palm, points, candidates, reachable }]  signs that fit,
+ *     and those that can fire: candidates up to the first one without a predicate,
+ *   unreachable: [{ sign, shadowedBy }]  signs that can never fire, two-hand
+ *     signs included,
+ *   ambiguous: [{ fingers, palm, points, signs }]  states where which sign
+ *     fires depends on predicates and list order,
+ *   uncovered: [{ fingers, palm, points }]  states no sign fits (none when the
+ *     group has no finger patterns at all),
+ *   shadowedPredicates: [{ sign, shadowedBy, states }]  signs with a predicate
+ *     that an earlier sign can pre-empt, in `states` of their states,
+ *   preempting: [{ sign, signs }]          signs without a pattern tried before
+ *     all `signs` patterned ones of their kind,
+ *   twoHandChecked: number                 two-hand signs checked,
+ *   unchecked: [sign names]                signs without a fingers pattern,
+ *     two-hand signs without one for either hand included
+ * }
+ */
+export function lintSigns(registry, { filter = null, ignoreFingers = [] } = {}) {
+  const signs = registry.oneHandSigns.filter(sign => !filter || filter(sign));
+  const patterned = signs.filter(sign => sign.fingers);
+  const guarded = sign => typeof sign.match === "function";
+
+  const states = handStates(patterned).map(state => {
+    const candidates = patterned.filter(sign => fitsState(sign, state, ignoreFingers));
+    const certain = candidates.findIndex(sign => !guarded(sign));
+    const reachable = certain === -1 ? candidates : candidates.slice(0, certain + 1);
+    return { ...state, candidates: candidates.map(s => s.name), reachable: reachable.map(s => s.name) };
+  });
+  const handState = ({ fingers, palm, points }) => ({ fingers, palm, points });
+
+  const unreachable = [];
+  const shadowedPredicates = [];
+  for (const sign of patterned) {
+    const own = states.filter(state => state.candidates.includes(sign.name));
+    const earlier = new Set();
+    let preempted = 0;
+    for (const state of own) {
+      const before = state.candidates.slice(0, state.candidates.indexOf(sign.name));
+      if (before.length > 0) preempted++;
+      // A sign can only be pre-empted by the earlier ones that can fire here
+      for (const name of before.filter(name => state.reachable.includes(name))) earlier.add(name);
+    }
+
+    if (!own.some(state => state.reachable.includes(sign.name))) {
+      unreachable.push({ sign: sign.name, shadowedBy: [...earlier] });
+      continue;
+    }
+    if (guarded(sign) && preempted > 0) {
+      shadowedPredicates.push({ sign: sign.name, shadowedBy: [...earlier], states: preempted });
+    }
+  }
+
+  const twoHand = lintTwoHandSigns(registry, filter, ignoreFingers);
+  return {
+    states,
+    unreachable: [...unreachable, ...twoHand.unreachable],
+    ambiguous: states
+      .filter(state => state.reachable.length > 1)
+      .map(state => ({ ...handState(state), signs: state.reachable })),
+    uncovered: patterned.length > 0
+      ? states.filter(state => state.candidates.length === 0).map(handState)
+      : [],
+    shadowedPredicates,
+    preempting: [...preempting(signs, sign => sign.fingers), ...twoHand.preempting],
+    twoHandChecked: twoHand.checked,
+    unchecked: [...signs.filter(sign => !sign.fingers).map(sign => sign.name), ...twoHand.unchecked],
+  };
+}
+
+/**
+ * The findings of lintSigns as messages, most severe first. Unreachable
+ * signs are errors; signs that can pre-empt all others, ambiguous states and
+ * pre-emptable predicates are warnings, since list order may resolve them
+ * as intended; uncovered states are informational.
+ * @param {object} report - From lintSigns.
+ * @returns {Array<{level: "error"|"warning"|"info", message: string}>}
+ */
+export function lintMessages(report) {
+  return [
+    ...report.unreachable.map(({ sign, shadowedBy }) => ({
+      level: "error",
+      message: shadowedBy.length
+        ? `${sign} can never fire: ${shadowedBy.join(", ")} always matches first`
+        : `${sign} can never fire: its pattern fits no hand state`,
+    })),
+    ...report.preempting.map(({ sign, signs }) => ({
+      level: "warning",
+      message: `${sign} has no fingers pattern and is tried first: wherever its match predicate holds, it pre-empts all ${signs} checked signs`,
+    })),
+    ...report.ambiguous.map(({ signs, ...state }) => ({
+      level: "warning",
+      message: `${describeState(state)}: ${signs.join(", ")} all fit; predicates and list order decide`,
+    })),
+    ...report.shadowedPredicates.map(({ sign, shadowedBy, states }) => ({
+      level: "warning",
+      message: `${sign}'s match predicate can be pre-empted by ${shadowedBy.join(", ")} in ${states} hand state${states === 1 ? "" : "s"}`,
+    })),
+    ...report.uncovered.map(state => ({
+      level: "info",
+      message: `${describeState(state)}: no sign`,
+    })),
+  ];
+}
+
+/**
+ * Lints every group of a registry and prints the findings to the console,
+ * e.g. in development whenever a pack or custom signs are loaded.
+ * @param {SignRegistry} registry
+ * @param {object} [options] - { ignoreFingers }.
+ * @returns {number} - The number of errors.
+ */
+export function logLintReport(registry, { ignoreFingers = [] } = {}) {
+  let errors = 0;
+  for (const group of SIGN_GROUPS) {
+    const messages = lintMessages(lintSigns(registry, { filter: group.filter, ignoreFingers }));
+    if (messages.length === 0) continue;
+
+    const count = level => messages.filter(m => m.level === level).length;
+    errors += count("error");
+    const pack = registry.pack ? registry.pack.id : "custom";
+    console.groupCollapsed(
+      `Sign rules (${pack}, ${group.name}): ${count("error")} errors, ${count("warning")} warnings, ${count("info")} notes`
+    );
+    for (const { level, message } of messages) {
+      if (level === "error") console.error(message);
+      else if (level === "warning") console.warn(message);
+      else console.info(message);
+    }
+    console.groupEnd();
+  }
+  return errors;
+}
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SIGN_GROUPS, describeFingers, describeState, lintMessages, lintSigns } from "./lint.js";
+import { PACKS, loadPack } from "./packs/index.js";
+import { SignRegistry, createDefaultRegistry } from "./registry.js";
+
+const SIGNS = SIGN_GROUPS.find(group => group.name === "signs");
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+
+for (const { id } of PACKS) {
+  test(`every sign of the ${id} pack can fire`, async () => {
+    const registry = createDefaultRegistry(await loadPack(id));
+    for (const group of SIGN_GROUPS) {
+      const errors = lintMessages(lintSigns(registry, { filter: group.filter }))
+        .filter(message => message.level === "error");
+      assert.deepEqual(errors, [], `${id} ${group.name}`);
+    }
+  });
+}
+
+test("palm and points conditions tell signs with the same fingers apart", () => {
+  const report = lintSigns(createDefaultRegistry(), { filter: SIGNS.filter });
+  assert.deepEqual(report.unreachable, []);
+  assert.deepEqual(report.shadowedPredicates, []);
+
+  const state = (fingers, palm, thumb) => report.states.find(s =>
+    describeFingers(s.fingers) === fingers && s.palm === palm && s.points.thumb === thumb);
+  assert.deepEqual(state("all open", "away", "level").reachable, ["NUMBER_5"]);
+  assert.deepEqual(state("all open", "toward", "level").reachable, ["OPEN_PALM"]);
+  assert.deepEqual(state("thumb open", "toward", "up").reachable, ["THUMBS_UP"]);
+  assert.deepEqual(state("thumb open", "toward", "down").reachable, ["THUMBS_DOWN"]);
+  assert.deepEqual(state("thumb open", "toward", "level").candidates, []);
+  assert.equal(describeState(state("thumb open", "toward", "up")), "thumb open, palm toward, thumb up");
+});
+
+test("a sign whose palm condition only narrows an earlier sign's states can never fire", () => {
+  const registry = createDefaultRegistry();
+  registry.register({ name: "HIGH_FIVE", fingers: OPEN, palm: "toward" });
+  const { unreachable } = lintSigns(registry, { filter: SIGNS.filter });
+  assert.deepEqual(unreachable, [{ sign: "HIGH_FIVE", shadowedBy: ["OPEN_PALM"] }]);
+});
+
+test("signs without palm or points conditions are checked on finger states alone", () => {
+  const registry = new SignRegistry().registerAll([
+    { name: "A", fingers: OPEN },
+    { name: "B", fingers: OPEN, match: () => true },
+  ]);
+  const report = lintSigns(registry);
+  assert.equal(report.states.length, 32);
+  assert.deepEqual(report.unreachable, [{ sign: "B", shadowedBy: ["A"] }]);
+});
+
+test("a two-hand sign without relations shadows later ones with the same handshapes", () => {
+  const registry = createDefaultRegistry();
+  registry.register({ name: "WAVE", dominant: "OPEN_PALM", nonDominant: "OPEN_PALM" }, { first: true });
+  const { unreachable } = lintSigns(registry, { filter: SIGNS.filter });
+  assert.deepEqual(unreachable.find(entry => entry.sign === "NUMBER_10"), { sign: "NUMBER_10", shadowedBy: ["WAVE"] });
+  assert.equal(unreachable.find(entry => entry.sign === "NUMBER_9"), undefined);
+});
+
+test("relations keep a two-hand sign from shadowing later ones", () => {
+  const registry = createDefaultRegistry();
+  registry.register({
+    name: "WAVE",
+    dominant: "OPEN_PALM",
+    nonDominant: "OPEN_PALM",
+    relations: { motion: "separating" },
+  }, { first: true });
+  assert.deepEqual(lintSigns(registry, { filter: SIGNS.filter }).unreachable, []);
+});
+
+test("signs without a pattern tried first are reported", () => {
+  const registry = createDefaultRegistry();
+  registry.register({ name: "MY_SIGN", category: "custom", match: () => true }, { first: true });
+  const report = lintSigns(registry, { filter: SIGNS.filter });
+  const patterned = registry.oneHandSigns.filter(sign => SIGNS.filter(sign) && sign.fingers).length;
+  assert.deepEqual(report.preempting, [{ sign: "MY_SIGN", signs: patterned }]);
+  assert.ok(report.unchecked.includes("MY_SIGN"));
+  assert.ok(lintMessages(report).some(message => message.level === "warning" && message.message.startsWith("MY_SIGN ")));
+});
@@ -0,0 +1,95 @@
+function pointDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export function pathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += pointDistance(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+// Resamples a path to `count` points evenly spaced along its length.
+export function resample(points, count) {
+  if (points.length === 0) return [];
+  const step = pathLength(points) / (count - 1);
+  if (step === 0) return Array.from({ length: count }, () => ({ ...points[0] }));
+
+  const result = [{ x: points[0].x, y: points[0].y }];
+  let carried = 0;
+  let prev = points[0];
+
+  for (let i = 1; i < points.length && result.length < count; i++) {
+    let next = points[i];
+    let segment = pointDistance(prev, next);
+
+    while (carried + segment >= step && result.length < count) {
+      const t = (step - carried) / segment;
+      const point = { x: prev.x + t * (next.x - prev.x), y: prev.y + t * (next.y - prev.y) };
+      result.push(point);
+      prev = point;
+      segment = pointDistance(prev, next);
+      carried = 0;
+    }
+    carried += segment;
+    prev = next;
+  }
+
+  while (result.length < count) result.push({ ...points[points.length - 1] });
+  return result;
+}
+
+// Moves the path to start at the origin and scales its larger bounding-box
+// side to 1, so only the shape of the motion is compared.
+export function normalizePath(points) {
+  if (points.length === 0) return [];
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const extent = Math.max(
+    Math.max(...xs) - Math.min(...xs),
+    Math.max(...ys) - Math.min(...ys)
+  ) || 1;
+
+  return points.map(p => ({
+    x: (p.x - points[0].x) / extent,
+    y: (p.y - points[0].y) / extent,
+  }));
+}
+
+export function mirrorPath(points) {
+  return points.map(p => ({ x: -p.x, y: p.y }));
+}
+
+// Dynamic time warping distance, averaged over the warping path length.
+export function dtw(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return Infinity;
+
+  let prev = new Array(m + 1).fill(Infinity);
+  let prevSteps = new Array(m + 1).fill(0);
+  prev[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    const curr = new Array(m + 1).fill(Infinity);
+    const currSteps = new Array(m + 1).fill(0);
+    for (let j = 1; j <= m; j++) {
+      const options = [
+        [prev[j - 1], prevSteps[j - 1]],
+        [prev[j], prevSteps[j]],
+        [curr[j - 1], currSteps[j - 1]],
+      ];
+      let best = options[0];
+      for (const option of options) {
+        if (option[0] < best[0]) best = option;
+      }
+      curr[j] = best[0] + pointDistance(a[i - 1], b[j - 1]);
+      currSteps[j] = best[1] + 1;
+    }
+    prev = curr;
+    prevSteps = currSteps;
+  }
+
+  return prev[m] / prevSteps[m];
+}
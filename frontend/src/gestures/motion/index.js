@@ -0,0 +1,164 @@
+import { OPEN_CURL_THRESHOLD, getFingerStates, getHandFrame } from "../oneHand/fingers.js";
+import { defaultRegistry } from "../registry.js";
+import { dtw, mirrorPath, normalizePath, pathLength, resample } from "./dtw.js";
+
+const DEFAULTS = {
+  bufferMs: 2000,      // History kept per hand
+  samples: 32,         // Points each path is resampled to before DTW
+  maxDistance: 0.22,   // Largest mean DTW distance that still matches
+  windowSteps: 4,      // Window lengths tried between a sign's min and max duration
+  handshapeRatio: 0.7, // Share of frames that must hold the sign's handshape
+  openCurl: OPEN_CURL_THRESHOLD, // Open/closed finger threshold, as for getFingerStates
+  ignoreFingers: [],   // Fingers left out of handshape checks
+};
+
+function matchesFingers(pattern, fingers, ignore) {
+  for (const finger in pattern) {
+    if (ignore.includes(finger)) continue;
+    if (pattern[finger] !== fingers[finger]) return false;
+  }
+  return true;
+}
+
+/**
+ * Recognizes motion signs from a rolling buffer of landmarks per hand.
+ * Trajectories are divided by the palm length at the start of the window,
+ * so they are measured in palm lengths regardless of distance to the camera.
+ */
+export class MotionRecognizer {
+  constructor(registry = defaultRegistry, options = {}) {
+    this.registry = registry;
+    this.options = { ...DEFAULTS, ...options };
+    this.buffers = new Map();
+    this.templates = new WeakMap(); // Keyed by registry entry, which a pack switch replaces
+  }
+
+  reset() {
+    this.buffers.clear();
+  }
+
+  /**
+   * Adds one frame and returns the motion signs that completed on it.
+   * @param {object} hands - Landmarks keyed by hand role, e.g. { dominant, nonDominant }; null when absent.
+   * @param {number} timestamp - Frame time in milliseconds.
+   * @param {object} [handedness] - MediaPipe's "Left"/"Right" label per role, which
+   *   picks the template as drawn or mirrored; with no label both are tried.
+   * @param {Function} [filter] - Only motion signs for which filter(sign) is true are tried.
+   * @returns {Array<{name: string, hand: string, start: number, end: number, distance: number, confidence: number}>}
+   */
+  push(hands, timestamp, handedness = {}, filter = null) {
+    const detected = [];
+
+    for (const [role, landmarks] of Object.entries(hands)) {
+      if (!landmarks) {
+        this.buffers.delete(role);
+        continue;
+      }
+
+      const buffer = this._append(role, landmarks, timestamp);
+      const sign = this._matchBuffer(buffer, handedness[role], filter);
+      if (sign) {
+        detected.push({ ...sign, hand: role });
+        // Start over so the same motion is not reported again.
+        this.buffers.set(role, []);
+      }
+    }
+
+    return detected;
+  }
+
+  _append(role, landmarks, timestamp) {
+    const buffer = this.buffers.get(role) || [];
+    const { scale } = getHandFrame(landmarks);
+
+    buffer.push({
+      t: timestamp,
+      scale,
+      fingers: getFingerStates(landmarks, undefined, this.options.openCurl),
+      points: landmarks.map(p => ({ x: p.x, y: p.y, z: p.z || 0 })),
+    });
+    while (buffer.length && timestamp - buffer[0].t > this.options.bufferMs) {
+      buffer.shift();
+    }
+
+    this.buffers.set(role, buffer);
+    return buffer;
+  }
+
+  _matchBuffer(buffer, label, filter) {
+    let best = null;
+
+    for (const sign of this.registry.motionSigns) {
+      if (filter && !filter(sign)) continue;
+      const candidate = this._matchSign(sign, buffer, label);
+      if (candidate && (!best || candidate.distance < best.distance)) {
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  _matchSign(sign, buffer, label) {
+    const { motion } = sign;
+    const [minMs, maxMs] = motion.durationMs || [300, this.options.bufferMs];
+    const end = buffer[buffer.length - 1];
+    const { windowSteps } = this.options;
+    let best = null;
+
+    for (let step = 0; step <= windowSteps; step++) {
+      const duration = minMs + ((maxMs - minMs) * step) / windowSteps;
+      const startIndex = buffer.findIndex(frame => end.t - frame.t <= duration);
+      const frames = buffer.slice(startIndex);
+      if (frames.length < 4 || end.t - frames[0].t < minMs) continue;
+
+      const distance = this._compare(sign, frames, label);
+      const maxDistance = motion.maxDistance || this.options.maxDistance;
+      if (distance <= maxDistance && (!best || distance < best.distance)) {
+        best = {
+          name: sign.name,
+          start: frames[0].t,
+          end: end.t,
+          distance,
+          confidence: 1 - distance / maxDistance,
+        };
+      }
+    }
+
+    return best;
+  }
+
+  _compare(sign, frames, label) {
+    const { motion } = sign;
+
+    if (motion.fingers) {
+      const held = frames.filter(f => matchesFingers(motion.fingers, f.fingers, this.options.ignoreFingers)).length;
+      if (held / frames.length < this.options.handshapeRatio) return Infinity;
+    }
+    if (motion.minScaleGrowth &&
+        frames[frames.length - 1].scale / frames[0].scale < motion.minScaleGrowth) {
+      return Infinity;
+    }
+
+    const { scale } = frames[0];
+    const path = frames.map(f => ({
+      x: f.points[motion.point].x / scale,
+      y: f.points[motion.point].y / scale,
+    }));
+    if (pathLength(path) < (motion.minTravel || 0)) return Infinity;
+
+    const { samples } = this.options;
+    const observed = normalizePath(resample(path, samples));
+    const template = this._template(sign);
+    if (label === "Left") return dtw(observed, template);
+    if (label === "Right") return dtw(observed, mirrorPath(template));
+    return Math.min(dtw(observed, template), dtw(observed, mirrorPath(template)));
+  }
+
+  _template(sign) {
+    if (!this.templates.has(sign)) {
+      this.templates.set(sign, normalizePath(resample(sign.motion.path, this.options.samples)));
+    }
+    return this.templates.get(sign);
+  }
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { dtw, mirrorPath, normalizePath, resample } from "./dtw.js";
+import { MotionRecognizer } from "./index.js";
+import { LABELS, handLandmarks } from "../hand-fixtures.mjs";
+
+const Z = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }];
+
+// Frames of a pointing hand whose wrist traces `path` (in units of `extent`)
+// over about a second, 30 frames a second.
+function trace(path, side, extent = 0.1) {
+  const points = resample(path, 30);
+  return points.map((p, i) => ({
+    t: 1000 + i * 33,
+    landmarks: handLandmarks({ index: true }, { x: 0.4 + p.x * extent, y: 0.5 + p.y * extent, size: 0.1, hand: side }),
+  }));
+}
+
+function recognize(frames, role, label) {
+  const recognizer = new MotionRecognizer();
+  return frames.flatMap(({ t, landmarks }) =>
+    recognizer.push({ [role]: landmarks }, t, label ? { [role]: label } : {}).map(sign => sign.name));
+}
+
+test("dtw is zero for the same shape at any size or speed, and grows with the difference", () => {
+  const small = normalizePath(resample(Z, 32));
+  const large = normalizePath(resample(Z.map(p => ({ x: p.x * 5 + 2, y: p.y * 5 })), 48));
+  assert.ok(dtw(small, large) < 0.05);
+  assert.ok(dtw(small, mirrorPath(small)) > 0.3);
+  assert.equal(dtw(small, []), Infinity);
+});
+
+test("a right hand tracing Z is LETTER_Z; the mirrored trace is not", () => {
+  assert.deepEqual(recognize(trace(Z, "right"), "dominant", LABELS.right), ["LETTER_Z"]);
+  assert.deepEqual(recognize(trace(mirrorPath(Z), "right"), "dominant", LABELS.right), []);
+});
+
+test("a left hand matches the mirrored template, and only that one", () => {
+  assert.deepEqual(recognize(trace(mirrorPath(Z), "left"), "nonDominant", LABELS.left), ["LETTER_Z"]);
+  assert.deepEqual(recognize(trace(Z, "left"), "nonDominant", LABELS.left), []);
+});
+
+test("without a handedness label either direction is accepted", () => {
+  assert.deepEqual(recognize(trace(Z, "right"), "dominant"), ["LETTER_Z"]);
+  assert.deepEqual(recognize(trace(mirrorPath(Z), "left"), "nonDominant"), ["LETTER_Z"]);
+});
@@ -0,0 +1,61 @@
+// Motion signs, matched over a short landmark history of one hand.
+// `point` is the tracked landmark, `path` the template trajectory in image
+// coordinates (y grows downward), drawn for a right hand on an unmirrored
+// image, which MediaPipe labels "Left". It is mirrored for hands labelled
+// "Right": a left hand, or a right one on a mirrored image. `fingers` is the handshape held during the motion, and
+// `minTravel` the shortest path (in palm lengths) that counts as motion.
+export const MOTION_SIGNS = [
+  {
+    name: "LETTER_J",
+    category: "letter",
+    motion: {
+      point: 20, // pinky tip
+      fingers: { index: false, middle: false, ring: false, pinky: true },
+      path: [
+        { x: 0, y: 0 }, { x: 0, y: 0.5 }, { x: -0.1, y: 0.9 },
+        { x: -0.35, y: 1 }, { x: -0.6, y: 0.8 },
+      ],
+      durationMs: [400, 1500],
+      minTravel: 0.8,
+    },
+  },
+  {
+    name: "LETTER_Z",
+    category: "letter",
+    motion: {
+      point: 8, // index tip
+      fingers: { index: true, middle: false, ring: false, pinky: false },
+      path: [
+        { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 },
+      ],
+      durationMs: [500, 2000],
+      minTravel: 1.5,
+    },
+  },
+  {
+    name: "HELLO_WAVE",
+    motion: {
+      point: 12, // middle fingertip
+      fingers: { index: true, middle: true, ring: true, pinky: true },
+      path: [
+        { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 0 },
+      ],
+      durationMs: [600, 2000],
+      minTravel: 1.5,
+    },
+  },
+  {
+    name: "THANK_YOU_FORWARD",
+    motion: {
+      point: 0, // wrist
+      fingers: { index: true, middle: true, ring: true, pinky: true },
+      path: [
+        { x: 0, y: 0 }, { x: 0.05, y: 0.5 }, { x: 0.15, y: 1 },
+      ],
+      durationMs: [300, 1200],
+      minTravel: 0.6,
+      // Moving toward the camera makes the hand appear larger.
+      minScaleGrowth: 1.1,
+    },
+  },
+];
@@ -1,25 +1,233 @@
-export function getFingerStates(landmarks) {
-  const tips = {
-    thumb: 4,
-    index: 8,
-    middle: 12,
-    ring: 16,
-    pinky: 20,
-  };
+// Landmark indices for each finger, base to tip: [MCP, PIP, DIP, TIP]
+// (for the thumb: [CMC, MCP, IP, TIP]).
+export const FINGER_LANDMARKS = {
+  thumb: [1, 2, 3, 4],
+  index: [5, 6, 7, 8],
+  middle: [9, 10, 11, 12],
+  ring: [13, 14, 15, 16],
+  pinky: [17, 18, 19, 20],
+};
 
-  const pip = {
-    thumb: 2,
-    index: 6,
-    middle: 10,
-    ring: 14,
-    pinky: 18,
-  };
+export const FINGER_NAMES = Object.keys(FINGER_LANDMARKS);
+
+const WRIST = 0;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+// Summed joint bend (radians) that counts as a fully curled finger.
+// A closed fist bends roughly 90° at the MCP, 100° at the PIP and 70° at the DIP.
+const MAX_FINGER_BEND = (250 * Math.PI) / 180;
+// The thumb only has two hinge joints past the CMC.
+const MAX_THUMB_BEND = (120 * Math.PI) / 180;
+// Thumb-tip to middle-MCP distance, in palm lengths, for a fully tucked
+// (0) and fully extended (1) thumb.
+const THUMB_TUCKED_REACH = 0.4;
+const THUMB_EXTENDED_REACH = 0.9;
+// Curl below which a finger counts as open.
+export const OPEN_CURL_THRESHOLD = 0.5;
+// Vertical fingertip to last-joint distance, in palm lengths, that counts
+// as pointing up or down.
+export const POINT_MARGIN = 0.2;
+// The values of getPalmFacing() and getFingerDirection().
+export const PALM_FACINGS = ["toward", "away", "up", "down", "side"];
+export const FINGER_DIRECTIONS = ["up", "down", "level"];
 
+function sub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
   return {
-    thumb: landmarks[tips.thumb].x > landmarks[pip.thumb].x,
-    index: landmarks[tips.index].y < landmarks[pip.index].y,
-    middle: landmarks[tips.middle].y < landmarks[pip.middle].y,
-    ring: landmarks[tips.ring].y < landmarks[pip.ring].y,
-    pinky: landmarks[tips.pinky].y < landmarks[pip.pinky].y,
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
   };
-}
\ No newline at end of file
+}
+
+function length(a) {
+  return Math.sqrt(dot(a, a));
+}
+
+function normalize(a) {
+  const len = length(a) || 1;
+  return { x: a.x / len, y: a.y / len, z: a.z / len };
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// Angle between two bone vectors: 0 when the joint is straight.
+function bendAngle(a, b) {
+  const cos = dot(a, b) / ((length(a) * length(b)) || 1);
+  return Math.acos(Math.min(1, Math.max(-1, cos)));
+}
+
+/**
+ * Landmarks with x and z in units of the image height. MediaPipe
+ * normalizes x by the image width and y by its height (z on about the
+ * scale of x), so angles taken from raw landmarks of a non-square image
+ * are skewed; the functions below expect corrected landmarks.
+ * @param {Array} landmarks
+ * @param {number} [aspect] - Image width / height.
+ * @returns {Array}
+ */
+export function correctAspect(landmarks, aspect = 1) {
+  if (!landmarks || aspect === 1) return landmarks;
+  return landmarks.map(({ x, y, z = 0 }) => ({ x: x * aspect, y, z: z * aspect }));
+}
+
+/**
+ * Builds an orthonormal hand-local frame: `up` runs wrist → middle MCP,
+ * `normal` is the palm normal from the index and pinky MCPs (the z
+ * landmarks give it depth), and `side` completes the frame. `scale` is the
+ * palm length, so local coordinates are in palm lengths.
+ */
+export function getHandFrame(landmarks) {
+  const origin = landmarks[WRIST];
+  const palm = sub(landmarks[MIDDLE_MCP], origin);
+  const up = normalize(palm);
+  const across = cross(sub(landmarks[INDEX_MCP], origin), sub(landmarks[PINKY_MCP], origin));
+  // Remove any component along `up` so the frame stays orthogonal.
+  const normal = normalize(sub(across, {
+    x: up.x * dot(across, up),
+    y: up.y * dot(across, up),
+    z: up.z * dot(across, up),
+  }));
+  const side = cross(up, normal);
+
+  return { origin, up, side, normal, scale: length(palm) || 1 };
+}
+
+export function toHandFrame(landmarks, frame = getHandFrame(landmarks)) {
+  return landmarks.map(point => {
+    const rel = sub(point, frame.origin);
+    return {
+      x: dot(rel, frame.side) / frame.scale,
+      y: dot(rel, frame.up) / frame.scale,
+      z: dot(rel, frame.normal) / frame.scale,
+    };
+  });
+}
+
+function fingerBend(landmarks, finger) {
+  const [base, pip, dip, tip] = FINGER_LANDMARKS[finger].map(i => landmarks[i]);
+  const bones = [sub(base, landmarks[WRIST]), sub(pip, base), sub(dip, pip), sub(tip, dip)];
+
+  let total = 0;
+  for (let i = finger === "thumb" ? 1 : 0; i < bones.length - 1; i++) {
+    total += bendAngle(bones[i], bones[i + 1]);
+  }
+  return total;
+}
+
+/**
+ * Curl of one finger from 0 (straight) to 1 (fully curled), from its joint
+ * angles, so it does not depend on wrist rotation or on which hand it is.
+ * The thumb also counts as curled when its tip is tucked against the palm.
+ */
+export function getFingerCurl(landmarks, finger, local = null) {
+  if (finger !== "thumb") {
+    return clamp01(fingerBend(landmarks, finger) / MAX_FINGER_BEND);
+  }
+
+  const points = local || toHandFrame(landmarks);
+  const tip = points[FINGER_LANDMARKS.thumb[3]];
+  const mcp = points[MIDDLE_MCP];
+  const reach = Math.hypot(tip.x - mcp.x, tip.y - mcp.y, tip.z - mcp.z);
+  const tuck = clamp01(
+    (THUMB_EXTENDED_REACH - reach) / (THUMB_EXTENDED_REACH - THUMB_TUCKED_REACH)
+  );
+  const bend = clamp01(fingerBend(landmarks, "thumb") / MAX_THUMB_BEND);
+  return Math.max(tuck, bend);
+}
+
+export function getFingerCurls(landmarks, local = landmarks && toHandFrame(landmarks)) {
+  if (!landmarks) return null;
+
+  const curls = {};
+  for (const finger of FINGER_NAMES) {
+    curls[finger] = getFingerCurl(landmarks, finger, local);
+  }
+  return curls;
+}
+
+// A threshold that is one number for every finger or one per finger.
+export function fingerThreshold(value, finger, fallback) {
+  return value !== null && typeof value === "object" ? value[finger] ?? fallback : value;
+}
+
+export function openThreshold(threshold, finger) {
+  return fingerThreshold(threshold, finger, OPEN_CURL_THRESHOLD);
+}
+
+export function isFingerOpen(landmarks, finger, threshold = OPEN_CURL_THRESHOLD) {
+  return getFingerCurl(landmarks, finger) < openThreshold(threshold, finger);
+}
+
+export function getFingerStates(landmarks, curls = getFingerCurls(landmarks), threshold = OPEN_CURL_THRESHOLD) {
+  if (!curls) return null;
+
+  const states = {};
+  for (const finger of FINGER_NAMES) {
+    states[finger] = curls[finger] < openThreshold(threshold, finger);
+  }
+  return states;
+}
+
+/**
+ * Unit vector out of the palm, in image coordinates (y down, z away from
+ * the camera). The hand-frame normal points out of the back of a hand that
+ * MediaPipe labels "Right" and out of the palm of a "Left" one, so the
+ * label decides the sign; an unlabelled hand is taken as "Right".
+ * @param {object} frame - From getHandFrame().
+ * @param {string|null} [handedness] - MediaPipe's "Left"/"Right" label.
+ */
+export function getPalmDirection(frame, handedness = null) {
+  const sign = handedness === "Left" ? 1 : -1;
+  return { x: frame.normal.x * sign, y: frame.normal.y * sign, z: frame.normal.z * sign };
+}
+
+/**
+ * Where the palm faces: "toward" or "away" from the camera, "up", "down"
+ * or "side", whichever axis the palm direction is closest to.
+ * @param {object} direction - From getPalmDirection().
+ * @returns {string}
+ */
+export function getPalmFacing({ x, y, z }) {
+  const ax = Math.abs(x);
+  const ay = Math.abs(y);
+  const az = Math.abs(z);
+  if (az >= ax && az >= ay) return z < 0 ? "toward" : "away";
+  if (ay >= ax) return y < 0 ? "up" : "down";
+  return "side";
+}
+
+/**
+ * Where a finger points: "up" or "down" when its tip is clearly above or
+ * below its last joint, otherwise "level".
+ * @param {number} [scale] - The palm length, see getHandFrame().
+ * @param {number} [margin] - How far past the joint the tip must be, in palm lengths.
+ */
+export function getFingerDirection(landmarks, finger, scale = getHandFrame(landmarks).scale, margin = POINT_MARGIN) {
+  const [, , joint, tip] = FINGER_LANDMARKS[finger].map(i => landmarks[i]);
+
+  if ((joint.y - tip.y) / scale > margin) return "up";
+  if ((tip.y - joint.y) / scale > margin) return "down";
+  return "level";
+}
+
+export function getFingerDirections(landmarks, scale = landmarks && getHandFrame(landmarks).scale, margin = POINT_MARGIN) {
+  if (!landmarks) return null;
+
+  const directions = {};
+  for (const finger of FINGER_NAMES) {
+    directions[finger] = getFingerDirection(landmarks, finger, scale, margin);
+  }
+  return directions;
+}
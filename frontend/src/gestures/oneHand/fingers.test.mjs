@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  FINGER_NAMES, correctAspect, getFingerCurls, getFingerStates, getHandFrame, getPalmDirection, getPalmFacing,
+} from "./fingers.js";
+import { LABELS, handLandmarks } from "../hand-fixtures.mjs";
+
+const SHAPES = {
+  open: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+  fist: {},
+  point: { index: true },
+  three: { thumb: true, index: true, middle: true },
+  hook: { index: true, pinky: true },
+};
+
+// The finger states of a shape: the listed fingers open, the others closed.
+function closedExcept(open) {
+  return Object.fromEntries(FINGER_NAMES.map(finger => [finger, Boolean(open[finger])]));
+}
+
+function assertCurlsClose(actual, expected, message) {
+  for (const finger of FINGER_NAMES) {
+    assert.ok(Math.abs(actual[finger] - expected[finger]) < 1e-6, `${message}: ${finger}`);
+  }
+}
+
+test("open fingers curl little and closed ones fully", () => {
+  const curls = getFingerCurls(handLandmarks(SHAPES.point));
+  assert.ok(curls.index < 0.2);
+  for (const finger of ["thumb", "middle", "ring", "pinky"]) assert.ok(curls[finger] > 0.8, finger);
+});
+
+test("curls and finger states do not depend on how the hand is turned", () => {
+  const turns = [
+    { roll: 45 }, { roll: 90 }, { roll: 180 }, { roll: -120 },
+    { pitch: 40 }, { pitch: -60 }, { yaw: 50 }, { yaw: 180 },
+    { roll: 30, pitch: 20, yaw: -70 },
+  ];
+  for (const [name, open] of Object.entries(SHAPES)) {
+    const upright = getFingerCurls(handLandmarks(open));
+    assert.deepEqual(getFingerStates(null, upright), closedExcept(open), name);
+    for (const turn of turns) {
+      const turned = getFingerCurls(handLandmarks(open, turn));
+      assertCurlsClose(turned, upright, `${name} ${JSON.stringify(turn)}`);
+    }
+  }
+});
+
+test("a left hand gives the same curls as a right one", () => {
+  for (const [name, open] of Object.entries(SHAPES)) {
+    assertCurlsClose(
+      getFingerCurls(handLandmarks(open, { hand: "left", roll: 30 })),
+      getFingerCurls(handLandmarks(open, { roll: -30 })),
+      name
+    );
+  }
+});
+
+test("landmarks of a wide image give the same curls once corrected for its aspect", () => {
+  const aspect = 16 / 9;
+  const square = getFingerCurls(handLandmarks(SHAPES.hook, { roll: 60 }));
+  const wide = handLandmarks(SHAPES.hook, { roll: 60, aspect });
+  assertCurlsClose(getFingerCurls(correctAspect(wide, aspect)), square, "corrected");
+  assert.ok(Math.abs(getFingerCurls(wide).index - square.index) > 0.01, "raw landmarks are skewed");
+});
+
+test("the palm faces the camera, away from it or up, with either hand", () => {
+  const facing = (placement = {}) => {
+    const landmarks = handLandmarks(SHAPES.open, placement);
+    return getPalmFacing(getPalmDirection(getHandFrame(landmarks), LABELS[placement.hand || "right"]));
+  };
+  assert.equal(facing(), "toward");
+  assert.equal(facing({ hand: "left", roll: 40 }), "toward");
+  assert.equal(facing({ yaw: 180 }), "away");
+  assert.equal(facing({ hand: "left", yaw: 180 }), "away");
+  assert.equal(facing({ pitch: -90 }), "up");
+  assert.equal(facing({ yaw: 90 }), "side");
+});
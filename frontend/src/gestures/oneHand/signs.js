@@ -1,58 +1,83 @@
+// One-hand signs, in priority order: the first sign that matches wins.
+// A sign declares a `fingers` pattern (only the listed fingers are checked),
+// a `match` predicate receiving { fingers, curls, points, palm, landmarks,
+// thresholds }, or both, and optionally `points`, where fingers must point
+// ("up" or "down"), and `palm`, where the palm must face ("toward" or "away"
+// from the camera, "up", "down" or "side"). Unlike a predicate, these show
+// at a glance that THUMBS_UP and THUMBS_DOWN never both match.
+// Finger states come from joint angles, so patterns hold at any wrist angle
+// and for either hand. Numbers are shown with the palm toward the signer,
+// as ASL counts; the same handshapes facing any other way are OPEN_PALM,
+// FIST and POINTING_UP. An optional `pose` refines how the avatar draws the
+// sign (see avatar/pose.js).
+const COUNTING = { yaw: 180 }; // The avatar turns the back of the hand to the viewer
+const THUMB_ONLY = { thumb: true, index: false, middle: false, ring: false, pinky: false };
+
 export const ONE_HAND_SIGNS = [
   {
-    name: "FIVE",
-    fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+    name: "NUMBER_1",
+    fingers: { thumb: false, index: true, middle: false, ring: false, pinky: false },
+    palm: "away",
+    pose: COUNTING,
   },
   {
-    name: "FIST",
-    fingers: { thumb: false, index: false, middle: false, ring: false, pinky: false },
+    name: "NUMBER_2",
+    fingers: { thumb: false, index: true, middle: true, ring: false, pinky: false },
+    palm: "away",
+    pose: COUNTING,
   },
   {
-    name: "ONE",
-    fingers: { thumb: false, index: true, middle: false, ring: false, pinky: false },
+    name: "NUMBER_3",
+    fingers: { thumb: true, index: true, middle: true, ring: false, pinky: false },
+    palm: "away",
+    pose: COUNTING,
   },
   {
-    name: "TWO",
-    fingers: { thumb: false, index: true, middle: true, ring: false, pinky: false },
+    name: "NUMBER_3_ALT",
+    fingers: { thumb: false, index: true, middle: true, ring: true, pinky: false },
+    palm: "away",
+    pose: COUNTING,
   },
   {
-    name: "THREE",
-    fingers: { thumb: false, index: true, middle: true, ring: true, pinky: false },
+    name: "NUMBER_4",
+    fingers: { thumb: false, index: true, middle: true, ring: true, pinky: true },
+    palm: "away",
+    pose: COUNTING,
   },
   {
-    name: "FOUR",
-    fingers: { thumb: true, index: true, middle: true, ring: true, pinky: false },
+    name: "NUMBER_5",
+    fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+    palm: "away",
+    pose: COUNTING,
+  },
+  {
+    name: "NUMBER_0",
+    fingers: { thumb: false, index: false, middle: false, ring: false, pinky: false },
+    palm: "away",
+    pose: COUNTING,
+  },
+  {
+    name: "OPEN_PALM",
+    fingers: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+  },
+  {
+    name: "FIST",
+    fingers: { thumb: false, index: false, middle: false, ring: false, pinky: false },
   },
   {
     name: "THUMBS_UP",
-    match: ({ fingers, landmarks }) => {
-      const tip = landmarks[4]; // thumb tip
-      const ip  = landmarks[3]; // thumb IP
-
-      return (
-        fingers.thumb === true &&
-        fingers.index === false &&
-        fingers.middle === false &&
-        fingers.ring === false &&
-        fingers.pinky === false &&
-        (ip.y - tip.y) > 0.08   // 🔑 clearly upward
-      );
-    }
+    fingers: THUMB_ONLY,
+    points: { thumb: "up" },
+    pose: { roll: -45 },
   },
   {
     name: "THUMBS_DOWN",
-    match: ({ fingers, landmarks }) => {
-      const tip = landmarks[4];
-      const ip  = landmarks[3];
-
-      return (
-        fingers.thumb === true &&
-        fingers.index === false &&
-        fingers.middle === false &&
-        fingers.ring === false &&
-        fingers.pinky === false &&
-        (tip.y - ip.y) > 0.08   // 🔑 clearly downward
-      );
-    }
-  }
-];
\ No newline at end of file
+    fingers: THUMB_ONLY,
+    points: { thumb: "down" },
+    pose: { roll: 135 },
+  },
+  {
+    name: "POINTING_UP",
+    fingers: { thumb: false, index: true, middle: false, ring: false, pinky: false },
+  },
+];
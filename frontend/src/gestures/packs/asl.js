@@ -0,0 +1,17 @@
+import { ONE_HAND_SIGNS } from "../oneHand/signs.js";
+import { LETTER_SIGNS } from "../alphabet/signs.js";
+import { TWO_HAND_SIGNS } from "../twoHand/signs.js";
+import { MOTION_SIGNS } from "../motion/signs.js";
+import { ENGLISH_NAMES } from "./english.js";
+
+// American Sign Language: the one-hand alphabet and the built-in vocabulary.
+// Numbers 6-10 are counted on two hands, an open five plus 1-5 fingers.
+export default {
+  id: "asl",
+  name: "American Sign Language (ASL)",
+  locales: ["en-US"],
+  signs: [...ONE_HAND_SIGNS, ...LETTER_SIGNS, ...TWO_HAND_SIGNS, ...MOTION_SIGNS],
+  displayNames: {
+    "en-US": ENGLISH_NAMES,
+  },
+};
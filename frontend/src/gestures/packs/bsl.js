@@ -0,0 +1,30 @@
+import { ONE_HAND_SIGNS } from "../oneHand/signs.js";
+import { TWO_HAND_SIGNS } from "../twoHand/signs.js";
+import { ENGLISH_NAMES } from "./english.js";
+
+const THUMB_ONLY = { thumb: true, index: false, middle: false, ring: false, pinky: false };
+// EXCELLENT (both thumbs up) is ten in BSL.
+const SHARED = ["HELLO", "THANK_YOU"];
+
+// British Sign Language. Its fingerspelling is two-handed and not covered
+// here, so the pack has no letters. For 6-9 the dominant thumb stands for
+// five while the other hand shows 1-4 fingers.
+export default {
+  id: "bsl",
+  name: "British Sign Language (BSL)",
+  locales: ["en-GB"],
+  signs: [
+    ...ONE_HAND_SIGNS,
+    // Any thumb-only hand, whatever its direction
+    { name: "THUMB", fingers: THUMB_ONLY },
+    ...TWO_HAND_SIGNS.filter(sign => SHARED.includes(sign.name)),
+    { name: "NUMBER_6", dominant: "THUMB", nonDominant: "NUMBER_1" },
+    { name: "NUMBER_7", dominant: "THUMB", nonDominant: "NUMBER_2" },
+    { name: "NUMBER_8", dominant: "THUMB", nonDominant: "NUMBER_3_ALT" },
+    { name: "NUMBER_9", dominant: "THUMB", nonDominant: "NUMBER_4" },
+    { name: "NUMBER_10", dominant: "THUMBS_UP", nonDominant: "THUMBS_UP" },
+  ],
+  displayNames: {
+    "en-GB": { ...ENGLISH_NAMES, THUMB: "Five", THUMBS_UP: "Good" },
+  },
+};
@@ -0,0 +1,19 @@
+// English display names shared by the packs whose spoken language is English.
+// Names not listed here are shown as the sign name in title case.
+export const ENGLISH_NAMES = {
+  NUMBER_0: "Zero",
+  NUMBER_1: "One",
+  NUMBER_2: "Two",
+  NUMBER_3: "Three",
+  NUMBER_3_ALT: "Three",
+  NUMBER_4: "Four",
+  NUMBER_5: "Five",
+  NUMBER_6: "Six",
+  NUMBER_7: "Seven",
+  NUMBER_8: "Eight",
+  NUMBER_9: "Nine",
+  NUMBER_10: "Ten",
+  THANK_YOU: "Thank you",
+  THANK_YOU_FORWARD: "Thank you",
+  HELLO_WAVE: "Hello",
+};
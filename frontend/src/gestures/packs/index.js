@@ -0,0 +1,58 @@
+// Sign-language packs. A pack is a plain object, from one of the modules
+// below or parsed from JSON:
+//   { id, name, locales: ["en-US", ...], signs: [...], displayNames: { locale: { SIGN: "Name" } } }
+// `signs` are registry definitions in registration order (one-hand signs
+// before the two-hand signs that name them); the first locale is the
+// pack's default spoken language. JSON packs cannot carry `match`
+// predicates, but fingers patterns and relations are plain data.
+export const PACKS = [
+  { id: "asl", name: "American Sign Language (ASL)", load: () => import("./asl.js") },
+  { id: "bsl", name: "British Sign Language (BSL)", load: () => import("./bsl.js") },
+  { id: "isl", name: "Indian Sign Language (ISL)", load: () => import("./isl.js") },
+];
+
+/**
+ * Checks that an object is a usable pack.
+ * @param {object} pack
+ * @returns {object} - The pack.
+ */
+export function validatePack(pack) {
+  if (!pack || typeof pack.id !== "string" || !Array.isArray(pack.signs)) {
+    throw new Error("A sign pack needs an id and a list of signs");
+  }
+  if (!Array.isArray(pack.locales) || pack.locales.length === 0) {
+    throw new Error(`Sign pack "${pack.id}" needs at least one spoken locale`);
+  }
+  return pack;
+}
+
+/**
+ * Loads a bundled pack by id, or validates a pack object (e.g. parsed JSON).
+ * @param {string|object} source
+ * @returns {Promise<object>} - The pack.
+ */
+export async function loadPack(source) {
+  if (typeof source !== "string") return validatePack(source);
+
+  const entry = PACKS.find(p => p.id === source);
+  if (!entry) throw new Error(`Unknown sign pack "${source}"`);
+  return validatePack((await entry.load()).default);
+}
+
+/**
+ * A sign's display name in a spoken locale, falling back to another
+ * locale of the same language and then to the pack's default locale.
+ * @param {object} pack
+ * @param {string} name - The sign name.
+ * @param {string} [locale]
+ * @returns {string|null} - null when the pack has no name for the sign.
+ */
+export function getDisplayName(pack, name, locale = pack.locales[0]) {
+  const names = pack.displayNames || {};
+  const language = locale.split("-")[0];
+  const sameLanguage = Object.keys(names).filter(l => l.split("-")[0] === language);
+  for (const candidate of [locale, ...sameLanguage, pack.locales[0]]) {
+    if (names[candidate] && names[candidate][name]) return names[candidate][name];
+  }
+  return null;
+}
@@ -0,0 +1,47 @@
+import { ONE_HAND_SIGNS } from "../oneHand/signs.js";
+import { TWO_HAND_SIGNS } from "../twoHand/signs.js";
+import { ENGLISH_NAMES } from "./english.js";
+
+const SHARED = ["HELLO", "THANK_YOU", "EXCELLENT"];
+const ON_PALM = { contact: { dominant: { any: true } } };
+const ON_PALM_POSE = { dominant: { x: 0.6, y: 0.5, roll: 90 }, nonDominant: { x: 0.65 } };
+const onPalm = (name, dominant) =>
+  ({ name, dominant, nonDominant: "OPEN_PALM", relations: ON_PALM, pose: ON_PALM_POSE });
+
+// Indian Sign Language. Numbers 6-10 are counted on the open non-dominant
+// palm: the dominant hand shows 1-5 fingers touching it. They come before
+// the shared signs, whose HELLO would otherwise take two open hands.
+export default {
+  id: "isl",
+  name: "Indian Sign Language (ISL)",
+  locales: ["hi-IN", "en-IN"],
+  signs: [
+    ...ONE_HAND_SIGNS,
+    onPalm("NUMBER_6", "NUMBER_1"),
+    onPalm("NUMBER_7", "NUMBER_2"),
+    onPalm("NUMBER_8", "NUMBER_3_ALT"),
+    onPalm("NUMBER_9", "NUMBER_4"),
+    onPalm("NUMBER_10", "NUMBER_5"),
+    ...TWO_HAND_SIGNS.filter(sign => SHARED.includes(sign.name)),
+  ],
+  displayNames: {
+    "hi-IN": {
+      NUMBER_0: "शून्य",
+      NUMBER_1: "एक",
+      NUMBER_2: "दो",
+      NUMBER_3: "तीन",
+      NUMBER_3_ALT: "तीन",
+      NUMBER_4: "चार",
+      NUMBER_5: "पाँच",
+      NUMBER_6: "छह",
+      NUMBER_7: "सात",
+      NUMBER_8: "आठ",
+      NUMBER_9: "नौ",
+      NUMBER_10: "दस",
+      HELLO: "नमस्ते",
+      THANK_YOU: "धन्यवाद",
+      EXCELLENT: "बहुत बढ़िया",
+    },
+    "en-IN": ENGLISH_NAMES,
+  },
+};
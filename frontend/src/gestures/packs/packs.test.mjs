@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PACKS, getDisplayName, loadPack, validatePack } from "./index.js";
+import { createDefaultRegistry, describeHand } from "../registry.js";
+import { getPalmCenter } from "../twoHand/relations.js";
+import { LABELS, handLandmarks } from "../hand-fixtures.mjs";
+
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+
+const hand = (open, side, placement) => describeHand(handLandmarks(open, { ...placement, hand: side }), LABELS[side]);
+
+// The left hand open toward the camera, and the right hand showing its back
+// with its index fingertip on that palm.
+const palm = hand(OPEN, "left", { x: 0.65 });
+function touchingPalm(open) {
+  const center = getPalmCenter(palm.landmarks);
+  const probe = handLandmarks(open, { hand: "right", yaw: 180, x: 0, y: 0 });
+  return hand(open, "right", { yaw: 180, x: center.x - probe[8].x, y: center.y - probe[8].y });
+}
+
+test("every bundled pack loads, validates and fills a registry", async () => {
+  for (const entry of PACKS) {
+    const pack = await loadPack(entry.id);
+    assert.equal(pack.id, entry.id);
+    assert.equal(pack.name, entry.name);
+    const registry = createDefaultRegistry(pack);
+    assert.equal(registry.pack, pack);
+    assert.ok(registry.get("NUMBER_10"), entry.id);
+  }
+});
+
+test("unknown ids and malformed packs are rejected", async () => {
+  await assert.rejects(loadPack("xyz"), /Unknown sign pack "xyz"/);
+  assert.throws(() => validatePack({ id: "x" }), /needs an id and a list of signs/);
+  assert.throws(() => validatePack({ id: "x", signs: [], locales: [] }), /at least one spoken locale/);
+  const custom = { id: "mine", signs: [], locales: ["fr-FR"] };
+  assert.equal(await loadPack(custom), custom);
+});
+
+test("display names fall back to the same language, then to the pack's first locale", async () => {
+  const isl = await loadPack("isl");
+  assert.equal(getDisplayName(isl, "NUMBER_2", "hi-IN"), "दो");
+  assert.equal(getDisplayName(isl, "NUMBER_2", "en-GB"), "Two");
+  assert.equal(getDisplayName(isl, "NUMBER_2", "de-DE"), "दो");
+  assert.equal(getDisplayName(isl, "NOT_A_SIGN"), null);
+});
+
+test("ISL counts 6-10 on the open palm, and two open hands apart are HELLO", async () => {
+  const registry = createDefaultRegistry(await loadPack("isl"));
+  assert.equal(registry.matchTwoHand(touchingPalm({ index: true, middle: true }), palm), "NUMBER_7");
+  assert.equal(registry.matchTwoHand(touchingPalm(OPEN), palm), "NUMBER_10");
+  assert.equal(registry.matchTwoHand(hand(OPEN, "right", { x: 0.3 }), palm), "HELLO");
+});
+
+test("BSL adds fingers to a five shown by the thumb", async () => {
+  const registry = createDefaultRegistry(await loadPack("bsl"));
+  const thumb = hand({ thumb: true }, "right", { x: 0.3, roll: -45 });
+  assert.equal(registry.matchOneHand(thumb), "THUMBS_UP");
+  assert.ok(registry.satisfies("THUMB", thumb));
+  const two = hand({ index: true, middle: true }, "left", { x: 0.7, yaw: 180 });
+  assert.equal(registry.matchTwoHand(thumb, two), "NUMBER_7");
+  assert.equal(registry.get("LETTER_A"), null);
+});
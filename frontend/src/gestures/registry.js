@@ -0,0 +1,417 @@
+import {
+  OPEN_CURL_THRESHOLD, correctAspect, fingerThreshold, getFingerCurls, getFingerDirections, getFingerStates, getHandFrame,
+  getPalmDirection, getPalmFacing, openThreshold, toHandFrame,
+} from "./oneHand/fingers.js";
+import ASL_PACK from "./packs/asl.js";
+import { describeRelations, relationsMatch } from "./twoHand/relations.js";
+import { ROLES } from "./tracking.js";
+import { DEFAULT_THRESHOLDS } from "./thresholds.js";
+
+export { DEFAULT_THRESHOLDS } from "./thresholds.js";
+
+// How quickly a finger's agreement with a pattern falls off around the
+// open/closed threshold: a curl 0.1 past it on the wrong side scores ~0.23.
+const FINGER_SHARPNESS = 12;
+
+// Also checks `points` patterns, which map fingers to directions.
+function matchesFingerPattern(pattern, fingers, ignore = []) {
+  for (const finger in pattern) {
+    if (ignore.includes(finger)) continue;
+    if (pattern[finger] !== fingers[finger]) return false;
+  }
+  return true;
+}
+
+// Geometric mean over the pattern's fingers of how clearly each finger is
+// on the required side of the open/closed threshold. Margins are relative
+// to the finger's curl range, so a signer whose fingers move less scores
+// the same for the same share of their movement.
+function fingerAgreement(pattern, curls, thresholds = DEFAULT_THRESHOLDS) {
+  let logSum = 0;
+  let count = 0;
+  for (const finger in pattern) {
+    if (thresholds.ignoreFingers.includes(finger)) continue;
+    const open = openThreshold(thresholds.openCurl, finger);
+    const range = fingerThreshold(thresholds.curlRange, finger, 1);
+    const margin = (pattern[finger] ? open - curls[finger] : curls[finger] - open) / range;
+    logSum += Math.log(1 / (1 + Math.exp(-FINGER_SHARPNESS * margin)));
+    count++;
+  }
+  return count ? Math.exp(logSum / count) : 1;
+}
+
+function byConfidence(a, b) {
+  return b.confidence - a.confidence;
+}
+
+// `handedness` is MediaPipe's "Left"/"Right" label, when known; `aspect`
+// is the image's width / height. `landmarks` are kept as given, for drawing.
+// `thresholds` override DEFAULT_THRESHOLDS. `scale` is the palm length in
+// image heights (see getHandFrame).
+export function describeHand(landmarks, handedness = null, aspect = 1, thresholds = null) {
+  if (!landmarks) return null;
+  thresholds = thresholds ? { ...DEFAULT_THRESHOLDS, ...thresholds } : DEFAULT_THRESHOLDS;
+  const shape = correctAspect(landmarks, aspect);
+  const frame = getHandFrame(shape);
+  const local = toHandFrame(shape, frame);
+  const curls = getFingerCurls(shape, local);
+  return {
+    fingers: getFingerStates(shape, curls, thresholds.openCurl),
+    curls,
+    points: getFingerDirections(shape, frame.scale, thresholds.pointMargin),
+    palm: getPalmFacing(getPalmDirection(frame, handedness)),
+    local,
+    landmarks,
+    handedness,
+    aspect,
+    thresholds,
+    scale: frame.scale,
+  };
+}
+
+/**
+ * Single source of truth for the sign vocabulary. One-hand signs are
+ * matched against a hand's finger states and landmarks; two-hand signs
+ * reference one-hand signs by name for each hand; motion signs describe a
+ * handshape plus a trajectory and are matched by the MotionRecognizer.
+ */
+export class SignRegistry {
+  constructor() {
+    this.oneHandSigns = [];
+    this.twoHandSigns = [];
+    this.motionSigns = [];
+    this.byName = new Map();
+    this.pack = null;
+  }
+
+  /**
+   * Replaces the signs of the current language pack with those of another.
+   * Signs registered outside a pack, such as custom signs, are kept and
+   * still tried first.
+   * @param {object} pack - See gestures/packs/index.js.
+   * @returns {SignRegistry}
+   */
+  usePack(pack) {
+    for (const kind of ["twoHand", "motion", "oneHand"]) {
+      for (const sign of this[`${kind}Signs`].filter(s => s.pack)) {
+        this.unregister(sign.name);
+      }
+    }
+    for (const sign of pack.signs) {
+      this.register({ ...sign, pack: pack.id });
+    }
+    this.pack = pack;
+    return this;
+  }
+
+  /**
+   * Adds a sign at the lowest (or, with `first`, the highest) priority of its kind.
+   * @param {object} sign - { name, fingers?, points?, palm?, match? }, { name, dominant?, nonDominant?, relations?, match?, hands: 2 }
+   *   or { name, motion: { point, path, fingers?, durationMs?, minTravel? } },
+   *   where `relations` lists required two-hand relations (see twoHand/relations.js),
+   *   each with an optional `category` ("sign" by default, "letter" for fingerspelling)
+   *   an optional `confidence(hand)` in [0, 1] that scales the sign's score
+   *   and an optional `pose` for drawing it (see avatar/).
+   * @param {object} [options] - { first: true } to try this sign before the others.
+   * @returns {SignRegistry}
+   */
+  register(sign, { first = false } = {}) {
+    if (!sign || typeof sign.name !== "string" || !sign.name) {
+      throw new Error("Sign definition needs a name");
+    }
+    if (this.byName.has(sign.name)) {
+      throw new Error(`Sign "${sign.name}" is already registered`);
+    }
+
+    let kind = "oneHand";
+    if (sign.motion) {
+      kind = "motion";
+      if (!Array.isArray(sign.motion.path) || sign.motion.path.length < 2 ||
+          !Number.isInteger(sign.motion.point)) {
+        throw new Error(`Sign "${sign.name}": motion needs a landmark point and a path of 2+ points`);
+      }
+    } else if (ROLES.some(role => role in sign) || "relations" in sign || sign.hands === 2) {
+      kind = "twoHand";
+      for (const role of ROLES) {
+        if (!(role in sign)) continue;
+        const part = this.byName.get(sign[role]);
+        if (!part || part.kind !== "oneHand") {
+          throw new Error(`Sign "${sign.name}": unknown one-hand sign "${sign[role]}" for ${role} hand`);
+        }
+      }
+      if (!sign.dominant && !sign.nonDominant && !sign.relations && typeof sign.match !== "function") {
+        throw new Error(`Sign "${sign.name}" needs hand signs, relations or a match function`);
+      }
+    } else if (!sign.fingers && typeof sign.match !== "function") {
+      throw new Error(`Sign "${sign.name}" needs a fingers pattern or a match function`);
+    }
+
+    const entry = { category: "sign", ...sign, kind, hands: kind === "twoHand" ? 2 : 1 };
+    const list = this[`${kind}Signs`];
+    if (first) list.unshift(entry); else list.push(entry);
+    this.byName.set(entry.name, entry);
+    return this;
+  }
+
+  /**
+   * Removes a sign. Two-hand signs built on a one-hand sign must be removed first.
+   * @param {string} name
+   * @returns {boolean} - False when no such sign was registered.
+   */
+  unregister(name) {
+    const entry = this.byName.get(name);
+    if (!entry) return false;
+
+    const dependant = this.twoHandSigns.find(s => s.dominant === name || s.nonDominant === name);
+    if (dependant) {
+      throw new Error(`Sign "${name}" is used by two-hand sign "${dependant.name}"`);
+    }
+
+    const list = this[`${entry.kind}Signs`];
+    list.splice(list.indexOf(entry), 1);
+    this.byName.delete(name);
+    return true;
+  }
+
+  registerAll(signs) {
+    for (const sign of signs) this.register(sign);
+    return this;
+  }
+
+  get(name) {
+    return this.byName.get(name) || null;
+  }
+
+  /**
+   * Checks one one-hand sign against a hand, regardless of priority.
+   * @param {string} name - The one-hand sign name.
+   * @param {object} hand - { fingers, curls, points, palm, local, landmarks, thresholds, scale } as built by describeHand.
+   * @returns {boolean}
+   */
+  satisfies(name, hand) {
+    const sign = this.byName.get(name);
+    if (!sign || sign.kind !== "oneHand" || !hand) return false;
+    const thresholds = hand.thresholds || DEFAULT_THRESHOLDS;
+    if (sign.fingers && !matchesFingerPattern(sign.fingers, hand.fingers, thresholds.ignoreFingers)) return false;
+    if (sign.points && !matchesFingerPattern(sign.points, hand.points)) return false;
+    if (sign.palm && sign.palm !== hand.palm) return false;
+    if (typeof sign.match === "function" && !sign.match(hand)) return false;
+    return true;
+  }
+
+  /**
+   * Checks one two-hand sign against a pair of hands, regardless of priority.
+   * @param {string} name - The two-hand sign name.
+   * @param {object} dominant - describeHand() of the dominant hand.
+   * @param {object} nonDominant - describeHand() of the non-dominant hand.
+   * @param {object} [relations] - describeRelations() of the pair; computed when omitted.
+   * @returns {boolean}
+   */
+  satisfiesTwoHand(name, dominant, nonDominant, relations = null) {
+    const sign = this.byName.get(name);
+    if (!sign || sign.kind !== "twoHand" || !dominant || !nonDominant) return false;
+    if (sign.dominant && !this.satisfies(sign.dominant, dominant)) return false;
+    if (sign.nonDominant && !this.satisfies(sign.nonDominant, nonDominant)) return false;
+    relations = relations || describeRelations(dominant, nonDominant);
+    return this._pairSatisfies(sign, { dominant, nonDominant, relations });
+  }
+
+  /**
+   * Why a hand does or does not satisfy a one-hand sign, check by check.
+   * @param {string} name - The one-hand sign name.
+   * @param {object} hand - describeHand() of the hand.
+   * @returns {object|null} - { name, satisfied, fingers: [{ finger, expected, open,
+   *   curl, threshold, ignored }], failed: [finger], points: [{ finger, expected,
+   *   actual }], palm: { expected, actual }, match } for a known sign, where
+   *   `fingers` and `points` list the pattern's fingers, `palm` is null without
+   *   a palm condition and `match` is the predicate's result (null without one).
+   */
+  explainOneHand(name, hand) {
+    const sign = this.byName.get(name);
+    if (!sign || sign.kind !== "oneHand" || !hand) return null;
+    const thresholds = hand.thresholds || DEFAULT_THRESHOLDS;
+
+    const fingers = Object.entries(sign.fingers || {}).map(([finger, expected]) => ({
+      finger,
+      expected,
+      open: hand.fingers[finger],
+      curl: hand.curls[finger],
+      threshold: openThreshold(thresholds.openCurl, finger),
+      ignored: thresholds.ignoreFingers.includes(finger),
+    }));
+    const failed = fingers.filter(f => !f.ignored && f.open !== f.expected).map(f => f.finger);
+    const points = Object.entries(sign.points || {})
+      .map(([finger, expected]) => ({ finger, expected, actual: hand.points[finger] }));
+    const palm = sign.palm ? { expected: sign.palm, actual: hand.palm } : null;
+    const match = typeof sign.match === "function" ? Boolean(sign.match(hand)) : null;
+    const satisfied = failed.length === 0 && points.every(p => p.actual === p.expected) &&
+      (!palm || palm.actual === palm.expected) && match !== false;
+    return { name, satisfied, fingers, failed, points, palm, match };
+  }
+
+  /**
+   * Two-hand counterpart of explainOneHand.
+   * @param {string} name - The two-hand sign name.
+   * @param {object} dominant - describeHand() of the dominant hand.
+   * @param {object} nonDominant - describeHand() of the non-dominant hand.
+   * @param {object} [relations] - describeRelations() of the pair; computed when omitted.
+   * @returns {object|null} - { name, satisfied, dominant, nonDominant, relations,
+   *   failedRelations, match }: each hand's explainOneHand (null when the sign
+   *   does not constrain it), whether the required relations hold (null
+   *   without any) and which of them do not, and the predicate's result.
+   */
+  explainTwoHand(name, dominant, nonDominant, relations = null) {
+    const sign = this.byName.get(name);
+    if (!sign || sign.kind !== "twoHand" || !dominant || !nonDominant) return null;
+    relations = relations || describeRelations(dominant, nonDominant);
+
+    const hands = {
+      dominant: sign.dominant ? this.explainOneHand(sign.dominant, dominant) : null,
+      nonDominant: sign.nonDominant ? this.explainOneHand(sign.nonDominant, nonDominant) : null,
+    };
+    const failedRelations = Object.entries(sign.relations || {})
+      .filter(([key, expected]) => !relationsMatch({ [key]: expected }, relations))
+      .map(([key]) => key);
+    const match = typeof sign.match === "function"
+      ? Boolean(sign.match({ dominant, nonDominant, relations }))
+      : null;
+    return {
+      name,
+      satisfied: ROLES.every(role => !hands[role] || hands[role].satisfied) &&
+        failedRelations.length === 0 && match !== false,
+      ...hands,
+      relations: sign.relations ? failedRelations.length === 0 : null,
+      failedRelations,
+      match,
+    };
+  }
+
+  /**
+   * Scores how well a hand fits a one-hand sign, from 0 to 1. Finger
+   * patterns score by how far each curl is from the open/closed threshold;
+   * a failing `match` predicate, `points` or `palm` condition scores 0.
+   * @param {string} name - The one-hand sign name.
+   * @param {object} hand - describeHand() of the hand.
+   * @returns {number}
+   */
+  scoreOneHand(name, hand) {
+    const sign = this.byName.get(name);
+    if (!sign || sign.kind !== "oneHand" || !hand) return 0;
+    if (sign.points && !matchesFingerPattern(sign.points, hand.points)) return 0;
+    if (sign.palm && sign.palm !== hand.palm) return 0;
+    if (typeof sign.match === "function" && !sign.match(hand)) return 0;
+
+    let score = sign.fingers ? fingerAgreement(sign.fingers, hand.curls, hand.thresholds || DEFAULT_THRESHOLDS) : 1;
+    if (typeof sign.confidence === "function") score *= sign.confidence(hand);
+    return score;
+  }
+
+  /**
+   * Checks a two-hand sign's relations and `match` predicate, not its handshapes.
+   * @param {object} sign - A two-hand registry entry.
+   * @param {object} pair - { dominant, nonDominant, relations }.
+   * @returns {boolean}
+   */
+  _pairSatisfies(sign, pair) {
+    if (sign.relations && !relationsMatch(sign.relations, pair.relations)) return false;
+    return typeof sign.match !== "function" || sign.match(pair);
+  }
+
+  /**
+   * Scores a two-hand sign as the geometric mean of its hands' scores.
+   * A sign whose relations or `match` predicate fail scores 0.
+   * @param {string} name - The two-hand sign name.
+   * @param {object} dominant - describeHand() of the dominant hand.
+   * @param {object} nonDominant - describeHand() of the non-dominant hand.
+   * @param {object} [relations] - describeRelations() of the pair; computed when omitted.
+   * @returns {number}
+   */
+  scoreTwoHand(name, dominant, nonDominant, relations = null) {
+    const sign = this.byName.get(name);
+    if (!sign || sign.kind !== "twoHand" || !dominant || !nonDominant) return 0;
+    const pair = { dominant, nonDominant, relations: relations || describeRelations(dominant, nonDominant) };
+    if (!this._pairSatisfies(sign, pair)) return 0;
+
+    const dominantScore = sign.dominant ? this.scoreOneHand(sign.dominant, dominant) : 1;
+    const otherScore = sign.nonDominant ? this.scoreOneHand(sign.nonDominant, nonDominant) : 1;
+    let score = Math.sqrt(dominantScore * otherScore);
+    if (typeof sign.confidence === "function") score *= sign.confidence(pair);
+    return score;
+  }
+
+  /**
+   * Matches a hand and ranks the alternatives.
+   * @param {object} hand - describeHand() of the hand.
+   * @param {Function} [filter] - Only signs for which filter(sign) is true are tried.
+   * @param {number} [limit] - Number of candidates to return.
+   * @returns {{ label: string|null, confidence: number, candidates: Array<{label: string, confidence: number}> }}
+   *   `label` is the highest-priority matching sign, as for matchOneHand.
+   */
+  rankOneHand(hand, filter = null, limit = 3) {
+    const label = this.matchOneHand(hand, filter);
+    const candidates = this.oneHandSigns
+      .filter(s => !filter || filter(s))
+      .map(s => ({ label: s.name, confidence: this.scoreOneHand(s.name, hand) }))
+      .sort(byConfidence);
+    return {
+      label,
+      confidence: label ? this.scoreOneHand(label, hand) : 0,
+      candidates: candidates.slice(0, limit),
+    };
+  }
+
+  /**
+   * Two-hand counterpart of rankOneHand.
+   * @param {object} [relations] - describeRelations() of the pair; computed when omitted.
+   */
+  rankTwoHand(dominant, nonDominant, filter = null, limit = 3, relations = null) {
+    relations = relations || describeRelations(dominant, nonDominant);
+    const label = this.matchTwoHand(dominant, nonDominant, filter, relations);
+    const candidates = this.twoHandSigns
+      .filter(s => !filter || filter(s))
+      .map(s => ({ label: s.name, confidence: this.scoreTwoHand(s.name, dominant, nonDominant, relations) }))
+      .sort(byConfidence);
+    return {
+      label,
+      confidence: label ? this.scoreTwoHand(label, dominant, nonDominant, relations) : 0,
+      candidates: candidates.slice(0, limit),
+    };
+  }
+
+  /**
+   * @param {object} hand - describeHand() of the hand.
+   * @param {Function} [filter] - Only signs for which filter(sign) is true are tried.
+   * @returns {string|null} - The highest-priority matching one-hand sign.
+   */
+  matchOneHand(hand, filter = null) {
+    const sign = this.oneHandSigns.find(s =>
+      (!filter || filter(s)) && this.satisfies(s.name, hand)
+    );
+    return sign ? sign.name : null;
+  }
+
+  /**
+   * @param {object} dominant - describeHand() of the dominant hand.
+   * @param {object} nonDominant - describeHand() of the non-dominant hand.
+   * @param {Function} [filter] - Only signs for which filter(sign) is true are tried.
+   * @param {object} [relations] - describeRelations() of the pair; computed when omitted.
+   * @returns {string|null} - The highest-priority matching two-hand sign.
+   */
+  matchTwoHand(dominant, nonDominant, filter = null, relations = null) {
+    if (!dominant || !nonDominant) return null;
+    const pair = { dominant, nonDominant, relations: relations || describeRelations(dominant, nonDominant) };
+    const sign = this.twoHandSigns.find(s =>
+      (!filter || filter(s)) &&
+      (!s.dominant || this.satisfies(s.dominant, dominant)) &&
+      (!s.nonDominant || this.satisfies(s.nonDominant, nonDominant)) &&
+      this._pairSatisfies(s, pair)
+    );
+    return sign ? sign.name : null;
+  }
+}
+
+export function createDefaultRegistry(pack = ASL_PACK) {
+  return new SignRegistry().usePack(pack);
+}
+
+export const defaultRegistry = createDefaultRegistry();
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_THRESHOLDS, SignRegistry, createDefaultRegistry, describeHand } from "./registry.js";
+import { LABELS, handLandmarks } from "./hand-fixtures.mjs";
+
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+const POINT = { thumb: false, index: true, middle: false, ring: false, pinky: false };
+const THUMB = { thumb: true, index: false, middle: false, ring: false, pinky: false };
+const FIST = { thumb: false, index: false, middle: false, ring: false, pinky: false };
+const LEVEL = { thumb: "level", index: "level", middle: "level", ring: "level", pinky: "level" };
+
+// A hand as describeHand() would build it, for rules that only look at
+// fingers and orientation; by default its palm faces the camera.
+const hand = (fingers, { points = {}, palm = "toward" } = {}) => ({ fingers, points: { ...LEVEL, ...points }, palm });
+
+test("the first sign in list order whose rule holds wins", () => {
+  const registry = new SignRegistry().registerAll([
+    { name: "INDEX", fingers: { index: true } },
+    { name: "POINT", fingers: POINT },
+  ]);
+  assert.equal(registry.matchOneHand(hand(POINT)), "INDEX");
+  assert.ok(registry.satisfies("POINT", hand(POINT)));
+  assert.equal(registry.matchOneHand(hand({ ...POINT, index: false })), null);
+});
+
+test("a sign whose match predicate fails gives way to the next one", () => {
+  let holds = false;
+  const registry = new SignRegistry().registerAll([
+    { name: "GUARDED", fingers: OPEN, match: () => holds },
+    { name: "OPEN", fingers: OPEN },
+  ]);
+  assert.equal(registry.matchOneHand(hand(OPEN)), "OPEN");
+  holds = true;
+  assert.equal(registry.matchOneHand(hand(OPEN)), "GUARDED");
+});
+
+test("thumbs up and down are told apart by where the thumb points, not list order", () => {
+  const registry = createDefaultRegistry();
+  assert.equal(registry.matchOneHand(hand(THUMB, { points: { thumb: "up" } })), "THUMBS_UP");
+  assert.equal(registry.matchOneHand(hand(THUMB, { points: { thumb: "down" } })), "THUMBS_DOWN");
+  assert.equal(registry.matchOneHand(hand(THUMB), sign => sign.category !== "letter"), null);
+});
+
+test("numbers show the back of the hand; facing any other way the same handshapes are signs", () => {
+  const registry = createDefaultRegistry();
+  const expected = [[OPEN, "NUMBER_5", "OPEN_PALM"], [FIST, "NUMBER_0", "FIST"], [POINT, "NUMBER_1", "POINTING_UP"]];
+  for (const [fingers, number, sign] of expected) {
+    assert.equal(registry.matchOneHand(hand(fingers, { palm: "away" })), number);
+    for (const palm of ["toward", "up", "down", "side"]) {
+      assert.equal(registry.matchOneHand(hand(fingers, { palm })), sign, `${sign} ${palm}`);
+    }
+  }
+});
+
+test("thumbs up and pointing up are recognized at any wrist angle and with either hand", () => {
+  const registry = createDefaultRegistry();
+  for (const side of ["right", "left"]) {
+    const match = (open, placement) =>
+      registry.matchOneHand(describeHand(handLandmarks(open, { size: 0.3, hand: side, ...placement }), LABELS[side]));
+    for (const pitch of [0, 30, -30]) {
+      assert.equal(match({ thumb: true }, { roll: -45, pitch }), "THUMBS_UP", `${side} ${pitch}`);
+      assert.equal(match({ thumb: true }, { roll: 135, pitch }), "THUMBS_DOWN", `${side} ${pitch}`);
+    }
+    for (const turn of [{ roll: 30 }, { roll: -30 }, { pitch: 30 }, { yaw: 45 }]) {
+      assert.equal(match(POINT, turn), "POINTING_UP", `${side} ${JSON.stringify(turn)}`);
+    }
+    assert.equal(match(POINT, { yaw: 180 }), "NUMBER_1", side);
+  }
+});
+
+test("a sign name can only be registered once, and two-hand signs need known handshapes", () => {
+  const registry = createDefaultRegistry();
+  assert.throws(() => registry.register({ name: "NUMBER_5", fingers: OPEN }), /already registered/);
+  assert.throws(() => registry.register({ name: "PAIR", dominant: "NOPE", nonDominant: "FIST" }), /unknown one-hand sign/);
+  assert.throws(() => registry.register({ name: "NOTHING" }), /fingers pattern or a match function/);
+});
+
+test("each hand of a two-hand sign is matched by its role", () => {
+  const registry = createDefaultRegistry();
+  const away = (open, side, x) => describeHand(handLandmarks(open, { x, yaw: 180, hand: side }), LABELS[side]);
+  assert.equal(registry.matchTwoHand(away(POINT, "right", 0.3), away(OPEN, "left", 0.7)), "NUMBER_6");
+  assert.equal(registry.matchTwoHand(away(OPEN, "right", 0.3), away(POINT, "left", 0.7)), null);
+});
+
+test("open hands are NUMBER_10 showing their backs and HELLO facing the camera", () => {
+  const registry = createDefaultRegistry();
+  const open = (side, x, turn) => describeHand(handLandmarks(OPEN, { ...turn, x, hand: side }), LABELS[side]);
+  assert.equal(registry.matchTwoHand(open("right", 0.3, { yaw: 180 }), open("left", 0.7, { yaw: 180 })), "NUMBER_10");
+  assert.equal(registry.matchTwoHand(open("right", 0.3), open("left", 0.7)), "HELLO");
+});
+
+test("thresholds given to describeHand decide open fingers and pointing", () => {
+  const registry = createDefaultRegistry();
+  const thumbUp = handLandmarks({ thumb: true }, { roll: -45, size: 0.3, hand: "right" });
+  assert.equal(registry.matchOneHand(describeHand(thumbUp, LABELS.right)), "THUMBS_UP");
+  const strict = describeHand(thumbUp, LABELS.right, 1, { pointMargin: 2 });
+  assert.equal(strict.points.thumb, "level");
+  assert.equal(strict.thresholds.openCurl, DEFAULT_THRESHOLDS.openCurl);
+  assert.equal(registry.scoreOneHand("THUMBS_UP", strict), 0);
+
+  const loose = describeHand(handLandmarks(FIST, { hand: "right" }), LABELS.right, 1, { openCurl: 1.1 });
+  assert.deepEqual(loose.fingers, { thumb: true, index: true, middle: true, ring: true, pinky: true });
+});
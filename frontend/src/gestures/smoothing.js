@@ -0,0 +1,198 @@
+// One-Euro filter (Casiez et al., CHI 2012): a low-pass filter whose cutoff
+// rises with speed, so jitter on a still hand is smoothed away while fast
+// movements are followed with little lag.
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff; // Hz, cutoff for a still signal
+    this.beta = beta;           // How much the cutoff grows with speed
+    this.dCutoff = dCutoff;     // Hz, cutoff for the speed estimate
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+    this.t = null;
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} timestamp - In milliseconds.
+   * @returns {number} - The filtered value.
+   */
+  filter(value, timestamp) {
+    if (this.t === null) {
+      this.value = value;
+      this.t = timestamp;
+      return value;
+    }
+
+    const dt = (timestamp - this.t) / 1000;
+    if (dt <= 0) return this.value;
+    this.t = timestamp;
+
+    const speed = (value - this.value) / dt;
+    this.speed += smoothingFactor(dt, this.dCutoff) * (speed - this.speed);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+    return this.value;
+  }
+}
+
+function smoothingFactor(dt, cutoff) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * One-Euro filters every coordinate of every landmark, per hand.
+ * A hand that disappears loses its filter state, so it does not glide in
+ * from its old position when it comes back.
+ */
+export class LandmarkSmoother {
+  constructor(options = {}) {
+    this.options = options;
+    this.filters = new Map();
+  }
+
+  reset() {
+    this.filters.clear();
+  }
+
+  /**
+   * Drops the filter state of hands that are gone.
+   * @param {Array} keys - The keys of the hands still present.
+   */
+  retain(keys) {
+    for (const key of this.filters.keys()) {
+      if (!keys.includes(key)) this.filters.delete(key);
+    }
+  }
+
+  /**
+   * @param {string|number} key - Identifies the hand, e.g. its track ID.
+   * @param {Array|null} landmarks - The hand's landmarks, null when absent.
+   * @param {number} timestamp - In milliseconds.
+   * @returns {Array|null} - Smoothed copies of the landmarks.
+   */
+  smooth(key, landmarks, timestamp) {
+    if (!landmarks) {
+      this.filters.delete(key);
+      return null;
+    }
+
+    if (!this.filters.has(key)) {
+      this.filters.set(key, landmarks.map(() => ({
+        x: new OneEuroFilter(this.options),
+        y: new OneEuroFilter(this.options),
+        z: new OneEuroFilter(this.options),
+      })));
+    }
+    const filters = this.filters.get(key);
+
+    return landmarks.map((p, i) => ({
+      x: filters[i].x.filter(p.x, timestamp),
+      y: filters[i].y.filter(p.y, timestamp),
+      z: filters[i].z.filter(p.z || 0, timestamp),
+    }));
+  }
+}
+
+const LABEL_DEFAULTS = {
+  window: 5,       // Frames that vote
+  enterVotes: 3,   // Votes a label needs to become the gesture
+  exitVotes: 2,    // Votes the gesture needs to stay
+  timeoutMs: 500,  // Hands missing this long end the gesture
+};
+
+/**
+ * Turns per-frame labels into a steady gesture with majority voting and
+ * enter/exit hysteresis: a label must win `enterVotes` of the last `window`
+ * frames to start, and the gesture then holds until it drops below
+ * `exitVotes`. Frames without hands do not vote, so short tracking dropouts
+ * are bridged, but once hands have been gone for `timeoutMs` the gesture ends.
+ *
+ * `push` returns the transitions of the frame as events:
+ *   { type: "start", label, start }
+ *   { type: "end", label, start, end, reason: "changed"|"timeout"|"reset" }
+ */
+export class LabelSmoother {
+  constructor(options = {}) {
+    this.options = { ...LABEL_DEFAULTS, ...options };
+    this.votes = [];
+    this.current = null;
+    this.lastSeen = null;
+  }
+
+  /**
+   * Ends the current gesture, if any, and forgets the votes.
+   * @param {number} [timestamp]
+   * @returns {Array<object>} - The "end" event, if a gesture was active.
+   */
+  reset(timestamp = this.lastSeen) {
+    const events = this.current ? [this._end(timestamp, "reset")] : [];
+    this.votes = [];
+    this.lastSeen = null;
+    return events;
+  }
+
+  /**
+   * @param {string|null} label - This frame's label, null when nothing matched.
+   * @param {number} timestamp - In milliseconds.
+   * @param {boolean} [handsVisible] - False when no hand was tracked this frame.
+   * @returns {Array<object>} - Start/end events, in order.
+   */
+  push(label, timestamp, handsVisible = true) {
+    const events = [];
+
+    if (!handsVisible) {
+      if (this.lastSeen !== null && timestamp - this.lastSeen >= this.options.timeoutMs) {
+        if (this.current) events.push(this._end(timestamp, "timeout"));
+        this.votes = [];
+        this.lastSeen = null;
+      }
+      return events;
+    }
+
+    this.lastSeen = timestamp;
+    this.votes.push(label);
+    if (this.votes.length > this.options.window) this.votes.shift();
+
+    if (this.current && this._count(this.current.label) < this.options.exitVotes) {
+      events.push(this._end(timestamp, "changed"));
+    }
+    if (!this.current) {
+      const leader = this._leader();
+      if (leader && this._count(leader) >= this.options.enterVotes) {
+        this.current = { label: leader, start: timestamp };
+        events.push({ type: "start", label: leader, start: timestamp });
+      }
+    }
+
+    return events;
+  }
+
+  get label() {
+    return this.current ? this.current.label : null;
+  }
+
+  _count(label) {
+    return this.votes.filter(v => v === label).length;
+  }
+
+  // Most voted non-null label; the most recent one wins a tie.
+  _leader() {
+    let leader = null;
+    for (let i = this.votes.length - 1; i >= 0; i--) {
+      const label = this.votes[i];
+      if (label && (!leader || this._count(label) > this._count(leader))) leader = label;
+    }
+    return leader;
+  }
+
+  _end(timestamp, reason) {
+    const { label, start } = this.current;
+    this.current = null;
+    return { type: "end", label, start, end: timestamp, reason };
+  }
+}
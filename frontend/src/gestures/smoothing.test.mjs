@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LabelSmoother, LandmarkSmoother, OneEuroFilter } from "./smoothing.js";
+
+// Pushes one label per 33 ms frame and collects the events.
+function pushAll(smoother, labels, start = 0) {
+  return labels.flatMap((label, i) => smoother.push(label, start + i * 33));
+}
+
+test("a label starts after enterVotes of the window", () => {
+  const smoother = new LabelSmoother();
+  assert.deepEqual(pushAll(smoother, ["A", "A"]), []);
+  assert.deepEqual(smoother.push("A", 66), [{ type: "start", label: "A", start: 66 }]);
+  assert.equal(smoother.label, "A");
+});
+
+test("a single stray frame neither starts nor ends a gesture", () => {
+  const smoother = new LabelSmoother();
+  const events = pushAll(smoother, ["A", "A", "A", "B", "A", "A", null, "A"]);
+  assert.deepEqual(events.map(e => `${e.type} ${e.label}`), ["start A"]);
+  assert.equal(smoother.label, "A");
+});
+
+test("the gesture ends once it drops below exitVotes, and the next one starts", () => {
+  const smoother = new LabelSmoother();
+  const events = pushAll(smoother, ["A", "A", "A", "B", "B", "B", "B"]);
+  assert.deepEqual(events.map(e => `${e.type} ${e.label}${e.reason ? ` ${e.reason}` : ""}`), [
+    "start A",
+    "end A changed",
+    "start B",
+  ]);
+});
+
+test("frames without hands bridge a dropout until timeoutMs", () => {
+  const smoother = new LabelSmoother({ timeoutMs: 500 });
+  pushAll(smoother, ["A", "A", "A"]);
+  assert.deepEqual(smoother.push(null, 300, false), []);
+  assert.equal(smoother.label, "A");
+  assert.deepEqual(smoother.push(null, 566, false), [
+    { type: "end", label: "A", start: 66, end: 566, reason: "timeout" },
+  ]);
+  assert.equal(smoother.label, null);
+});
+
+test("reset ends the gesture and forgets the votes", () => {
+  const smoother = new LabelSmoother();
+  pushAll(smoother, ["A", "A", "A"]);
+  assert.deepEqual(smoother.reset(), [{ type: "end", label: "A", start: 66, end: 66, reason: "reset" }]);
+  assert.deepEqual(smoother.reset(), []);
+  assert.deepEqual(pushAll(smoother, ["A", "A"], 1000), []);
+});
+
+test("the One-Euro filter smooths jitter and follows its input's level", () => {
+  const filter = new OneEuroFilter({ minCutoff: 1 });
+  assert.equal(filter.filter(0, 0), 0);
+  const jittered = filter.filter(1, 33);
+  assert.ok(jittered > 0 && jittered < 0.5);
+  let value = jittered;
+  for (let t = 66; t < 3000; t += 33) value = filter.filter(1, t);
+  assert.ok(Math.abs(value - 1) < 1e-3);
+});
+
+test("a hand that disappears loses its filter state", () => {
+  const smoother = new LandmarkSmoother({ minCutoff: 1 });
+  smoother.smooth(1, [{ x: 0, y: 0, z: 0 }], 0);
+  assert.equal(smoother.smooth(1, null, 33), null);
+  assert.deepEqual(smoother.smooth(1, [{ x: 1, y: 1, z: 1 }], 66), [{ x: 1, y: 1, z: 1 }]);
+});
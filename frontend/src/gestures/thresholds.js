@@ -0,0 +1,12 @@
+import { OPEN_CURL_THRESHOLD, POINT_MARGIN } from "./oneHand/fingers.js";
+
+// Tunable recognition thresholds. describeHand attaches them to every hand
+// it builds, so sign predicates and hand relations read them from there.
+// A calibration profile replaces the per-finger ones with the signer's own.
+export const DEFAULT_THRESHOLDS = {
+  openCurl: OPEN_CURL_THRESHOLD, // Curl below which a finger is open, or one per finger
+  curlRange: 1,                  // Curl between the signer's open and closed finger, or one per finger
+  ignoreFingers: [],             // Fingers left out of finger patterns, e.g. ones the signer cannot move
+  pointMargin: POINT_MARGIN,     // Tip past its last joint for a finger to point up or down, in palm lengths
+  handsClose: 0.15,              // Wrist distance of "close" hands, in image widths
+};
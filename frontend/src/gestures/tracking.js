@@ -0,0 +1,202 @@
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+const DEFAULTS = {
+  maxDistance: 0.25,      // Farthest a hand can be from its predicted position, in image widths
+  maxMissingMs: 300,      // A lost hand is held at its last position this long
+  velocitySmoothing: 0.5, // Weight of the newest frame in the velocity estimate
+  dominantHand: "right",  // The signer's dominant hand, "right" or "left"
+  mirrored: false,        // Whether the input image is mirrored (selfie view)
+};
+
+export const ROLES = ["dominant", "nonDominant"];
+
+function palmCenter(landmarks) {
+  let x = 0;
+  let y = 0;
+  for (const i of PALM_POINTS) {
+    x += landmarks[i].x;
+    y += landmarks[i].y;
+  }
+  return { x: x / PALM_POINTS.length, y: y / PALM_POINTS.length };
+}
+
+/**
+ * Follows hands across frames so each keeps an ID and a role.
+ *
+ * Detections are matched to tracks by nearest neighbour on the palm center,
+ * predicted forward with the track's velocity so crossing hands do not
+ * swap. A hand that drops out for up to `maxMissingMs` is held at its last
+ * position and picks its track up again when it comes back.
+ *
+ * Each track's handedness is the majority of MediaPipe's labels over its
+ * lifetime, and decides whether it is the dominant or the non-dominant
+ * hand. Roles stick to tracks, so a hand cannot change role mid-sign.
+ */
+export class HandTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.nextId = 1;
+    this.reset();
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+
+  /**
+   * Changes tracking options; a new dominant hand or mirroring re-decides roles.
+   * @param {object} changes - Any of the DEFAULTS keys.
+   */
+  configure(changes) {
+    this.options = { ...this.options, ...changes };
+    for (const track of this.tracks) track.role = null;
+    this._assignRoles(this.tracks);
+  }
+
+  /**
+   * Matches this frame's hands to the tracks.
+   * @param {object} results - The results from MediaPipe Hands.
+   * @param {number} timestamp - In milliseconds.
+   * @returns {Array<{id: number, role: string, handedness: string|null, landmarks: Array, held: boolean}>}
+   *   Tracked hands, including held ones (`held` is true when not seen this frame).
+   */
+  update(results, timestamp) {
+    const detections = (results.multiHandLandmarks || []).map((landmarks, i) => ({
+      landmarks,
+      center: palmCenter(landmarks),
+      handedness: results.multiHandedness && results.multiHandedness[i],
+    }));
+
+    const matched = new Set();
+    for (const [track, detection] of this._match(detections, timestamp)) {
+      this._follow(track, detection, timestamp);
+      matched.add(track);
+      detection.track = track;
+    }
+
+    this.tracks = this.tracks.filter(track =>
+      matched.has(track) || timestamp - track.lastSeen <= this.options.maxMissingMs
+    );
+    for (const detection of detections) {
+      if (!detection.track && this.tracks.length < ROLES.length) {
+        const track = this._start(detection, timestamp);
+        matched.add(track);
+      }
+    }
+
+    this._assignRoles(this.tracks);
+    return this.tracks.map(track => ({
+      id: track.id,
+      role: track.role,
+      handedness: track.handedness,
+      landmarks: track.landmarks,
+      held: !matched.has(track),
+    }));
+  }
+
+  // Greedy nearest-neighbour matching on predicted palm centers.
+  _match(detections, timestamp) {
+    const pairs = [];
+    for (const track of this.tracks) {
+      const dt = timestamp - track.lastSeen;
+      const predicted = {
+        x: track.center.x + track.velocity.x * dt,
+        y: track.center.y + track.velocity.y * dt,
+      };
+      for (const detection of detections) {
+        const cost = Math.hypot(detection.center.x - predicted.x, detection.center.y - predicted.y);
+        if (cost <= this.options.maxDistance) pairs.push({ track, detection, cost });
+      }
+    }
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const result = [];
+    const usedTracks = new Set();
+    const usedDetections = new Set();
+    for (const { track, detection } of pairs) {
+      if (usedTracks.has(track) || usedDetections.has(detection)) continue;
+      usedTracks.add(track);
+      usedDetections.add(detection);
+      result.push([track, detection]);
+    }
+    return result;
+  }
+
+  _start(detection, timestamp) {
+    const track = {
+      id: this.nextId++,
+      role: null,
+      votes: { Left: 0, Right: 0 },
+      velocity: { x: 0, y: 0 },
+    };
+    this._follow(track, detection, timestamp);
+    this.tracks.push(track);
+    return track;
+  }
+
+  _follow(track, detection, timestamp) {
+    if (track.center) {
+      const dt = timestamp - track.lastSeen;
+      if (dt > 0) {
+        const a = this.options.velocitySmoothing;
+        track.velocity = {
+          x: (1 - a) * track.velocity.x + a * (detection.center.x - track.center.x) / dt,
+          y: (1 - a) * track.velocity.y + a * (detection.center.y - track.center.y) / dt,
+        };
+      }
+    }
+    track.center = detection.center;
+    track.landmarks = detection.landmarks;
+    track.lastSeen = timestamp;
+
+    const { label, score = 1 } = detection.handedness || {};
+    if (label in track.votes) track.votes[label] += score;
+    const { Left, Right } = track.votes;
+    track.handedness = Left === Right ? null : (Left > Right ? "Left" : "Right");
+  }
+
+  // MediaPipe labels assume a mirrored image, so on a plain camera image
+  // its "Left" is the signer's right hand.
+  _isDominant(track) {
+    if (!track.handedness) return null;
+    const hand = track.handedness.toLowerCase();
+    const signerHand = this.options.mirrored ? hand : (hand === "left" ? "right" : "left");
+    return signerHand === this.options.dominantHand;
+  }
+
+  _assignRoles(tracks) {
+    if (tracks.length === 1) {
+      const [track] = tracks;
+      if (!track.role) track.role = this._isDominant(track) === false ? "nonDominant" : "dominant";
+      return;
+    }
+    if (tracks.length !== 2) return;
+
+    const [a, b] = tracks;
+    if (a.role && b.role && a.role !== b.role) return;
+    if (a.role && !b.role) {
+      b.role = a.role === "dominant" ? "nonDominant" : "dominant";
+      return;
+    }
+    if (b.role && !a.role) {
+      a.role = b.role === "dominant" ? "nonDominant" : "dominant";
+      return;
+    }
+
+    // Both new, or both claiming the same role: decide by handedness, and
+    // when that does not tell them apart, by which side of the image each
+    // is on (the signer's right hand shows on the left of a plain camera image).
+    let dominant;
+    const aDominant = this._isDominant(a);
+    const bDominant = this._isDominant(b);
+    if (aDominant !== null && bDominant !== null && aDominant !== bDominant) {
+      dominant = aDominant ? a : b;
+    } else {
+      const onLeft = (this.options.dominantHand === "right") !== this.options.mirrored;
+      const aIsLeft = a.center.x < b.center.x;
+      dominant = aIsLeft === onLeft ? a : b;
+    }
+    dominant.role = "dominant";
+    (dominant === a ? b : a).role = "nonDominant";
+  }
+}
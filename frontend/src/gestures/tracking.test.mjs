@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { HandTracker } from "./tracking.js";
+
+// A hand whose 21 landmarks all sit at (x, y), which is also its palm center.
+const handAt = (x, y = 0.5) => Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+
+function frame(hands) {
+  return {
+    multiHandLandmarks: hands.map(hand => handAt(hand.x, hand.y)),
+    multiHandedness: hands.map(hand => ({ label: hand.label, score: 0.9 })),
+  };
+}
+
+const byRole = tracked => Object.fromEntries(tracked.map(track => [track.role, track]));
+
+test("MediaPipe's Left is the signer's right hand on a plain camera image", () => {
+  const tracker = new HandTracker();
+  const { dominant, nonDominant } = byRole(tracker.update(frame([
+    { x: 0.7, label: "Right" },
+    { x: 0.3, label: "Left" },
+  ]), 0));
+  assert.equal(dominant.handedness, "Left");
+  assert.equal(nonDominant.handedness, "Right");
+});
+
+test("mirroring and a left dominant hand swap the roles", () => {
+  const hands = [{ x: 0.7, label: "Right" }, { x: 0.3, label: "Left" }];
+  for (const options of [{ mirrored: true }, { dominantHand: "left" }]) {
+    const { dominant } = byRole(new HandTracker(options).update(frame(hands), 0));
+    assert.equal(dominant.handedness, "Right", JSON.stringify(options));
+  }
+});
+
+test("crossing hands keep their IDs and roles", () => {
+  const tracker = new HandTracker();
+  let tracked = tracker.update(frame([{ x: 0.3, label: "Left" }, { x: 0.7, label: "Right" }]), 0);
+  const ids = byRole(tracked);
+  // The hands move towards each other and pass, with MediaPipe's labels swapped
+  for (let i = 1; i <= 8; i++) {
+    const step = 0.05 * i;
+    tracked = tracker.update(frame([{ x: 0.7 - step, label: "Left" }, { x: 0.3 + step, label: "Left" }]), i * 33);
+  }
+  const { dominant, nonDominant } = byRole(tracked);
+  assert.equal(dominant.id, ids.dominant.id);
+  assert.equal(nonDominant.id, ids.nonDominant.id);
+  assert.ok(dominant.landmarks[0].x > nonDominant.landmarks[0].x);
+});
+
+test("a hand that drops out is held until maxMissingMs", () => {
+  const tracker = new HandTracker({ maxMissingMs: 300 });
+  const [first] = tracker.update(frame([{ x: 0.4, label: "Left" }]), 0);
+  const [held] = tracker.update(frame([]), 200);
+  assert.equal(held.id, first.id);
+  assert.equal(held.held, true);
+  const [back] = tracker.update(frame([{ x: 0.42, label: "Left" }]), 266);
+  assert.deepEqual([back.id, back.held], [first.id, false]);
+  tracker.update(frame([]), 300);
+  assert.deepEqual(tracker.update(frame([]), 600), []);
+});
+
+test("a single hand is dominant unless its handedness says otherwise", () => {
+  assert.equal(new HandTracker().update(frame([{ x: 0.5, label: "Left" }]), 0)[0].role, "dominant");
+  assert.equal(new HandTracker().update(frame([{ x: 0.5, label: "Right" }]), 0)[0].role, "nonDominant");
+  assert.equal(new HandTracker().update({ multiHandLandmarks: [handAt(0.5)] }, 0)[0].role, "dominant");
+});
@@ -1,3 +1,21 @@
+import { correctAspect, getHandFrame, getPalmDirection, getPalmFacing } from "../oneHand/fingers.js";
+import { DEFAULT_THRESHOLDS } from "../thresholds.js";
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+const PALM_POINTS = [0, 5, 9, 13, 17];
+const FINGERTIPS = { thumb: 4, index: 8, middle: 12, ring: 16, pinky: 20 };
+
+// Distances below are in palm lengths (wrist to middle MCP).
+const CONTACT_RADIUS = 0.6;       // Fingertip to the other palm's center
+const TIPS_TOUCH_RADIUS = 0.4;    // Fingertip clusters of both hands
+const STACK_DISTANCE = 1.5;       // Palm centers of stacked hands
+const LEVEL_MARGIN = 0.3;         // Height difference that counts as above
+const DEPTH_RATIO = 1.15;         // Apparent size ratio that counts as in front
+const MIN_SPEED = 0.5;            // Palm lengths per second that count as moving
+const SAME_DIRECTION = 0.7;       // Cosine between hand velocities moving together
+
 export function getHandCenter(landmarks) {
   const wrist = landmarks[0];
   return { x: wrist.x, y: wrist.y };
@@ -11,4 +29,217 @@ export function distanceBetweenHands(handA, handB) {
 
 export function areHandsClose(handA, handB, threshold = 0.15) {
   return distanceBetweenHands(handA, handB) < threshold;
-}
\ No newline at end of file
+}
+
+// Screen position of the palm: the mean of the wrist and the four knuckles.
+export function getPalmCenter(landmarks) {
+  const x = PALM_POINTS.reduce((sum, i) => sum + landmarks[i].x, 0) / PALM_POINTS.length;
+  const y = PALM_POINTS.reduce((sum, i) => sum + landmarks[i].y, 0) / PALM_POINTS.length;
+  return { x, y };
+}
+
+function boundingBox(landmarks) {
+  const xs = landmarks.map(p => p.x);
+  const ys = landmarks.map(p => p.y);
+  return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+}
+
+function span(a0, a1, b0, b1) {
+  return Math.max(0, Math.min(a1, b1) - Math.max(a0, b0));
+}
+
+// Intersection of the hands' bounding boxes over the smaller box, 0 to 1.
+export function handOverlap(landmarksA, landmarksB) {
+  const a = boundingBox(landmarksA);
+  const b = boundingBox(landmarksB);
+  const area = box => (box.right - box.left) * (box.bottom - box.top);
+  const shared = span(a.left, a.right, b.left, b.right) * span(a.top, a.bottom, b.top, b.bottom);
+  return shared / (Math.min(area(a), area(b)) || 1);
+}
+
+// Out of the palm, from the aspect-corrected landmarks describeHand saw.
+function palmDirection(hand) {
+  return getPalmDirection(getHandFrame(correctAspect(hand.landmarks, hand.aspect)), hand.handedness);
+}
+
+// Which fingertips (and the pinky edge, for chopping signs) of one hand lie
+// on the other hand's palm.
+function contactsOn(hand, other, otherCenter, otherScale) {
+  const contact = { any: false };
+  const points = { ...FINGERTIPS, edge: PINKY_MCP };
+  for (const [name, index] of Object.entries(points)) {
+    const p = hand.landmarks[index];
+    contact[name] = Math.hypot(p.x - otherCenter.x, p.y - otherCenter.y) < CONTACT_RADIUS * otherScale;
+    contact.any = contact.any || contact[name];
+  }
+  return contact;
+}
+
+function tipsCenter(landmarks) {
+  const tips = Object.values(FINGERTIPS).map(i => landmarks[i]);
+  return {
+    x: tips.reduce((sum, p) => sum + p.x, 0) / tips.length,
+    y: tips.reduce((sum, p) => sum + p.y, 0) / tips.length,
+  };
+}
+
+/**
+ * Spatial relations between two hands in one frame.
+ * @param {object} dominant - describeHand() of the dominant hand.
+ * @param {object} nonDominant - describeHand() of the non-dominant hand.
+ * @param {string|null} [motion] - Relative motion label from HandPairMotion.
+ * @returns {object} - {
+ *   contact: { dominant, nonDominant }  each { thumb, index, middle, ring, pinky, edge, any }:
+ *                             which parts of that hand touch the other palm,
+ *   fingertipsTouching,       the fingertips of both hands meet,
+ *   close, overlap (0-1), stacked, crossed,
+ *   above, inFront            "dominant", "nonDominant" or null when level,
+ *   palms: { dominant, nonDominant }  "toward", "away", "up", "down" or "side",
+ *   palmsFacing               the palms face each other,
+ *   motion                    "approaching", "separating", "together",
+ *                             "independent", "still" or null when unknown
+ * }
+ */
+export function describeRelations(dominant, nonDominant, motion = null) {
+  const dominantCenter = getPalmCenter(dominant.landmarks);
+  const otherCenter = getPalmCenter(nonDominant.landmarks);
+  const dominantScale = getHandFrame(dominant.landmarks).scale;
+  const otherScale = getHandFrame(nonDominant.landmarks).scale;
+  const scale = (dominantScale + otherScale) / 2;
+
+  const dx = otherCenter.x - dominantCenter.x;
+  const dy = otherCenter.y - dominantCenter.y;
+  const gap = Math.hypot(dx, dy);
+
+  const dominantBox = boundingBox(dominant.landmarks);
+  const otherBox = boundingBox(nonDominant.landmarks);
+  const narrower = Math.min(dominantBox.right - dominantBox.left, otherBox.right - otherBox.left);
+  const sideBySide = span(dominantBox.left, dominantBox.right, otherBox.left, otherBox.right) / (narrower || 1);
+
+  const dominantTips = tipsCenter(dominant.landmarks);
+  const otherTips = tipsCenter(nonDominant.landmarks);
+
+  const dominantPalm = palmDirection(dominant);
+  const otherPalm = palmDirection(nonDominant);
+  const toOther = { x: dx / (gap || 1), y: dy / (gap || 1) };
+
+  let above = null;
+  if (Math.abs(dy) > LEVEL_MARGIN * scale) above = dy > 0 ? "dominant" : "nonDominant";
+  let inFront = null;
+  if (dominantScale / otherScale > DEPTH_RATIO) inFront = "dominant";
+  else if (otherScale / dominantScale > DEPTH_RATIO) inFront = "nonDominant";
+
+  // Hands are crossed when their knuckles are in the opposite order to their wrists.
+  const [screenLeft, screenRight] = dominant.landmarks[WRIST].x < nonDominant.landmarks[WRIST].x
+    ? [dominant, nonDominant]
+    : [nonDominant, dominant];
+
+  return {
+    contact: {
+      dominant: contactsOn(dominant, nonDominant, otherCenter, otherScale),
+      nonDominant: contactsOn(nonDominant, dominant, dominantCenter, dominantScale),
+    },
+    fingertipsTouching:
+      Math.hypot(dominantTips.x - otherTips.x, dominantTips.y - otherTips.y) < TIPS_TOUCH_RADIUS * scale,
+    close: areHandsClose(
+      getHandCenter(dominant.landmarks),
+      getHandCenter(nonDominant.landmarks),
+      (dominant.thresholds || DEFAULT_THRESHOLDS).handsClose
+    ),
+    overlap: handOverlap(dominant.landmarks, nonDominant.landmarks),
+    stacked: sideBySide >= 0.5 && Math.abs(dy) > Math.abs(dx) && gap < STACK_DISTANCE * scale,
+    crossed: screenLeft.landmarks[MIDDLE_MCP].x > screenRight.landmarks[MIDDLE_MCP].x,
+    above,
+    inFront,
+    palms: { dominant: getPalmFacing(dominantPalm), nonDominant: getPalmFacing(otherPalm) },
+    palmsFacing:
+      dominantPalm.x * toOther.x + dominantPalm.y * toOther.y > 0.5 &&
+      -(otherPalm.x * toOther.x + otherPalm.y * toOther.y) > 0.5,
+    motion,
+  };
+}
+
+/**
+ * Checks relations against a sign's requirements. Every key of `required`
+ * must match: objects are compared key by key, arrays list accepted values
+ * and anything else must be equal, e.g.
+ *   { contact: { dominant: { index: true } }, above: ["dominant", "nonDominant"] }
+ * @param {object} required
+ * @param {object} relations - From describeRelations.
+ * @returns {boolean}
+ */
+export function relationsMatch(required, relations) {
+  for (const [key, expected] of Object.entries(required)) {
+    const actual = relations ? relations[key] : undefined;
+    if (Array.isArray(expected)) {
+      if (!expected.includes(actual)) return false;
+    } else if (expected && typeof expected === "object") {
+      if (!relationsMatch(expected, actual)) return false;
+    } else if (actual !== expected) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Tracks how two hands move relative to each other from frame to frame,
+ * with velocities in palm lengths per second, smoothed over a few frames.
+ */
+export class HandPairMotion {
+  constructor({ smoothing = 0.5 } = {}) {
+    this.smoothing = smoothing;
+    this.reset();
+  }
+
+  reset() {
+    this.previous = null;
+    this.velocity = null;
+  }
+
+  /**
+   * @param {object} dominant - describeHand() of the dominant hand.
+   * @param {object} nonDominant - describeHand() of the non-dominant hand.
+   * @param {number} timestamp - In milliseconds.
+   * @returns {string|null} - The motion label, null until two frames are seen.
+   */
+  update(dominant, nonDominant, timestamp) {
+    const scale = (getHandFrame(dominant.landmarks).scale + getHandFrame(nonDominant.landmarks).scale) / 2;
+    const current = {
+      t: timestamp,
+      a: getPalmCenter(dominant.landmarks),
+      b: getPalmCenter(nonDominant.landmarks),
+    };
+    current.gap = distanceBetweenHands(current.a, current.b);
+
+    const previous = this.previous;
+    this.previous = current;
+    const dt = previous ? (timestamp - previous.t) / 1000 : 0;
+    if (dt <= 0) return null;
+
+    const rate = (a, b) => (a - b) / dt / scale;
+    const sample = {
+      ax: rate(current.a.x, previous.a.x),
+      ay: rate(current.a.y, previous.a.y),
+      bx: rate(current.b.x, previous.b.x),
+      by: rate(current.b.y, previous.b.y),
+      gap: rate(current.gap, previous.gap),
+    };
+    if (!this.velocity) {
+      this.velocity = sample;
+    } else {
+      for (const key in sample) {
+        this.velocity[key] += this.smoothing * (sample[key] - this.velocity[key]);
+      }
+    }
+
+    const { ax, ay, bx, by, gap } = this.velocity;
+    const speedA = Math.hypot(ax, ay);
+    const speedB = Math.hypot(bx, by);
+    if (speedA < MIN_SPEED && speedB < MIN_SPEED) return "still";
+    if (gap < -MIN_SPEED) return "approaching";
+    if (gap > MIN_SPEED) return "separating";
+    if ((ax * bx + ay * by) / ((speedA * speedB) || 1) > SAME_DIRECTION) return "together";
+    return "independent";
+  }
+}
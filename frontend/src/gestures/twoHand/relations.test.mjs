@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { HandPairMotion, describeRelations, getPalmCenter, relationsMatch } from "./relations.js";
+import { createDefaultRegistry, describeHand } from "../registry.js";
+import { LABELS, handLandmarks } from "../hand-fixtures.mjs";
+
+const registry = createDefaultRegistry();
+
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+const FLAT = { index: true, middle: true, ring: true, pinky: true };
+
+const hand = (open, side, placement) => describeHand(handLandmarks(open, { ...placement, hand: side }), LABELS[side]);
+
+// The left (non-dominant) hand held open with its palm up and fingers across.
+const palmUp = hand(OPEN, "left", { x: 0.3, pitch: -90, roll: -90 });
+
+// A right (dominant) hand turned by `turn`, moved so that landmark `point` sits just
+// above the upturned palm's center.
+function onPalm(open, turn, point) {
+  const center = getPalmCenter(palmUp.landmarks);
+  const probe = handLandmarks(open, { ...turn, hand: "right", x: 0, y: 0 });
+  return hand(open, "right", { ...turn, x: center.x - probe[point].x, y: center.y - 0.01 - probe[point].y });
+}
+
+// A hand moved across the image by (dx, dy).
+function moved(hand, dx, dy = 0) {
+  return { ...hand, landmarks: hand.landmarks.map(p => ({ ...p, x: p.x + dx, y: p.y + dy })) };
+}
+
+test("arrays list accepted values, objects are matched key by key", () => {
+  const relations = { above: "dominant", contact: { dominant: { index: true, edge: false } }, motion: null };
+  assert.ok(relationsMatch({ above: ["dominant", "nonDominant"] }, relations));
+  assert.ok(relationsMatch({ contact: { dominant: { index: true } } }, relations));
+  assert.ok(!relationsMatch({ contact: { dominant: { edge: true } } }, relations));
+  assert.ok(!relationsMatch({ motion: ["separating"] }, relations));
+  assert.ok(!relationsMatch({ above: "dominant" }, null));
+  assert.ok(relationsMatch({}, null));
+});
+
+test("HELP rests a thumbs-up hand on the other's upturned palm", () => {
+  const right = hand({ thumb: true }, "right", { x: getPalmCenter(palmUp.landmarks).x, y: 0.6, roll: -45 });
+  const relations = describeRelations(right, palmUp);
+  assert.equal(relations.stacked, true);
+  assert.equal(relations.above, "dominant");
+  assert.deepEqual(relations.palms, { dominant: "toward", nonDominant: "up" });
+  assert.equal(registry.matchTwoHand(right, palmUp), "HELP");
+});
+
+test("STOP lands the dominant hand's edge on the other palm", () => {
+  const right = onPalm(FLAT, { roll: -90, yaw: 90 }, 17);
+  const relations = describeRelations(right, palmUp);
+  assert.equal(relations.contact.dominant.edge, true);
+  assert.equal(relations.palms.dominant, "side");
+  assert.equal(registry.matchTwoHand(right, palmUp), "STOP");
+});
+
+test("hands pointing at each other touch fingertips, side by side hands do not", () => {
+  const touching = describeRelations(
+    hand(OPEN, "right", { x: 0.67, size: 0.1, roll: -90 }),
+    hand(OPEN, "left", { x: 0.33, size: 0.1, roll: -90 })
+  );
+  assert.equal(touching.fingertipsTouching, true);
+
+  const apart = describeRelations(hand(OPEN, "right", { x: 0.75 }), hand(OPEN, "left", { x: 0.25 }));
+  assert.equal(apart.fingertipsTouching, false);
+  assert.equal(apart.stacked, false);
+  assert.equal(apart.above, null);
+  assert.equal(apart.crossed, false);
+});
+
+test("palms are read from the aspect-corrected hands, as describeHand reads them", () => {
+  const aspect = 16 / 9;
+  const left = describeHand(handLandmarks(OPEN, { x: 0.3, yaw: 180, hand: "left", aspect }), LABELS.left, aspect);
+  const right = describeHand(handLandmarks(OPEN, { x: 0.7, yaw: 180, aspect }), LABELS.right, aspect);
+  assert.deepEqual(describeRelations(right, left).palms, { dominant: right.palm, nonDominant: left.palm });
+  assert.deepEqual(describeRelations(right, left).palms, { dominant: "away", nonDominant: "away" });
+});
+
+test("relative motion of the hands, once two frames are seen", () => {
+  const left = hand(OPEN, "left", { x: 0.3 });
+  const right = hand(OPEN, "right", { x: 0.7 });
+  const track = (dLeft, dRight, dyLeft = 0, dyRight = 0) => {
+    const motion = new HandPairMotion();
+    let label;
+    for (let i = 0; i < 5; i++) {
+      label = motion.update(moved(right, dRight * i, dyRight * i), moved(left, dLeft * i, dyLeft * i), i * 33);
+      if (i === 0) assert.equal(label, null);
+    }
+    return label;
+  };
+  assert.equal(track(0, 0), "still");
+  assert.equal(track(-0.02, 0.02), "separating");
+  assert.equal(track(0.02, -0.02), "approaching");
+  assert.equal(track(0.02, 0.02), "together");
+  assert.equal(track(0, 0, 0.005, -0.005), "independent");
+});
@@ -1,27 +1,79 @@
+// Two-hand signs, in priority order. `dominant` and `nonDominant` name the
+// one-hand sign each hand must satisfy (see tracking.js for how hands get
+// their roles); `relations` lists required relations between the hands
+// (see relations.js), and an optional `match` predicate receives
+// { dominant, nonDominant, relations }, each hand as built by describeHand.
+// `pose` places each hand for the avatar when side by side is not the sign
+// (positions in image coordinates, see avatar/index.js).
+const BASE_HAND_POSE = { x: 0.5, y: 0.7, roll: 90, pitch: -90 }; // Palm up, fingers across
 export const TWO_HAND_SIGNS = [
   {
-    name: "6",
-    left: "FIVE",
-    right: "ONE",
+    // Thumbs-up hand resting on the other, upturned palm
+    name: "HELP",
+    dominant: "THUMBS_UP",
+    nonDominant: "OPEN_PALM",
+    relations: { stacked: true, above: "dominant", palms: { nonDominant: "up" } },
+    pose: { dominant: { x: 0.5, y: 0.5 }, nonDominant: BASE_HAND_POSE },
   },
   {
-    name: "7",
-    left: "FIVE",
-    right: "TWO",
+    // Flat hand chopping down onto the other palm, edge first
+    name: "STOP",
+    dominant: "LETTER_B",
+    nonDominant: "OPEN_PALM",
+    relations: {
+      above: "dominant",
+      contact: { dominant: { edge: true } },
+      palms: { dominant: "side", nonDominant: "up" },
+    },
+    pose: { dominant: { x: 0.45, y: 0.55, roll: -90, yaw: 90 }, nonDominant: BASE_HAND_POSE },
   },
   {
-    name: "8",
-    left: "FIVE",
-    right: "THREE",
+    // Flat-O hands tapping their fingertips together
+    name: "MORE",
+    dominant: "LETTER_O",
+    nonDominant: "LETTER_O",
+    relations: { fingertipsTouching: true },
+    pose: { dominant: { x: 0.4, roll: 90 }, nonDominant: { x: 0.6, roll: 90 } },
   },
   {
-    name: "9",
-    left: "FIVE",
-    right: "FOUR",
+    name: "THANK_YOU",
+    dominant: "FIST",
+    nonDominant: "FIST",
   },
   {
-    name: "10",
-    left: "FIVE",
-    right: "FIVE",
+    name: "EXCELLENT",
+    dominant: "THUMBS_UP",
+    nonDominant: "THUMBS_UP",
   },
-];
\ No newline at end of file
+  {
+    name: "NUMBER_6",
+    dominant: "NUMBER_1",
+    nonDominant: "NUMBER_5",
+  },
+  {
+    name: "NUMBER_7",
+    dominant: "NUMBER_2",
+    nonDominant: "NUMBER_5",
+  },
+  {
+    name: "NUMBER_8",
+    dominant: "NUMBER_3_ALT",
+    nonDominant: "NUMBER_5",
+  },
+  {
+    name: "NUMBER_9",
+    dominant: "NUMBER_4",
+    nonDominant: "NUMBER_5",
+  },
+  {
+    name: "NUMBER_10",
+    dominant: "NUMBER_5",
+    nonDominant: "NUMBER_5",
+  },
+  {
+    // The same open hands as NUMBER_10, when not showing their backs
+    name: "HELLO",
+    dominant: "OPEN_PALM",
+    nonDominant: "OPEN_PALM",
+  },
+];
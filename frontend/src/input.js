@@ -0,0 +1,434 @@
+// ========================================
+// SIGNLENS - INPUT SOURCES
+// ========================================
+// Where frames come from: a camera, a video file or a folder of images.
+// Each source has a `kind`, start(onFrame) and stop(). onFrame(image, info)
+// is called once per frame with something MediaPipe can read and
+// { timestamp, time?, index?, name?, expected? }; sources wait for the
+// promise it returns before moving on, so a slow pipeline drops frames
+// (camera, playing video) or holds the source (images, or a video played
+// with `everyFrame`).
+
+const FRAME_RESULTS_FORMAT = 'signlens-frame-results';
+const FRAME_RESULTS_VERSION = 1;
+
+const IMAGE_FILE = /\.(png|jpe?g|webp|gif|bmp|avif)$/i;
+
+/**
+ * Calls back once per new frame of a video element until stopped: per
+ * decoded frame where requestVideoFrameCallback is supported, otherwise per
+ * animation frame while the video time moves. Waits for each callback.
+ * @param {HTMLVideoElement} video
+ * @param {Function} onFrame
+ * @returns {Function} - Stops the loop.
+ */
+function frameLoop(video, onFrame) {
+    let running = true;
+    let lastTime = null;
+    const useVideoFrames = 'requestVideoFrameCallback' in video;
+    const schedule = () => {
+        if (!running) return;
+        if (useVideoFrames) {
+            video.requestVideoFrameCallback(tick);
+        } else {
+            requestAnimationFrame(tick);
+        }
+    };
+    const tick = async () => {
+        if (!running) return;
+        // A camera stream's time always moves; a paused file's does not
+        if (video.readyState >= 2 && video.currentTime !== lastTime) {
+            lastTime = video.currentTime;
+            try {
+                await onFrame();
+            } catch (error) {
+                console.error('Frame processing failed:', error);
+            }
+        }
+        schedule();
+    };
+    schedule();
+    return () => {
+        running = false;
+    };
+}
+
+function waitFor(target, event) {
+    return new Promise((resolve, reject) => {
+        target.addEventListener(event, resolve, { once: true });
+        target.addEventListener('error', () => reject(target.error || new Error(`Could not load ${event}`)), { once: true });
+    });
+}
+
+// Path of a file picked with its folder, relative to the folder's parent.
+function filePath(file) {
+    return file.webkitRelativePath || file.name;
+}
+
+/**
+ * The label of an image from its folder, e.g. "dataset/NUMBER_1/001.jpg" is
+ * expected to show NUMBER_1. Images directly in the chosen folder have none.
+ * @param {string} path - The file's path relative to the chosen folder's parent.
+ * @returns {string|null}
+ */
+export function labelFromPath(path) {
+    const parts = path.split('/');
+    return parts.length > 2 ? parts[parts.length - 2] : null;
+}
+
+/**
+ * A camera, chosen by device ID or the browser's default.
+ */
+export class CameraSource {
+    constructor(video, { deviceId = null, width = 640, height = 480 } = {}) {
+        this.kind = 'camera';
+        this.video = video;
+        this.config = { deviceId, width, height };
+        this.stream = null;
+        this.stopLoop = null;
+    }
+
+    /**
+     * Lists the cameras. Labels are empty until camera access is granted,
+     * so those get a numbered name.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    static async devices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    }
+
+    get name() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        return track ? track.label : 'Camera';
+    }
+
+    get width() {
+        return this.video.videoWidth || this.config.width;
+    }
+
+    get height() {
+        return this.video.videoHeight || this.config.height;
+    }
+
+    /**
+     * @param {Function} onFrame
+     */
+    async start(onFrame) {
+        const { deviceId, width, height } = this.config;
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { ...(deviceId ? { deviceId: { exact: deviceId } } : {}), width, height },
+            audio: false
+        });
+        this.video.removeAttribute('src');
+        this.video.srcObject = this.stream;
+        await this.video.play();
+        this.stopLoop = frameLoop(this.video, () => onFrame(this.video, { timestamp: performance.now() }));
+    }
+
+    async stop() {
+        if (this.stopLoop) this.stopLoop();
+        this.stopLoop = null;
+        if (this.stream) {
+            for (const track of this.stream.getTracks()) track.stop();
+        }
+        this.stream = null;
+        this.video.srcObject = null;
+    }
+}
+
+/**
+ * A video file played in the video element, with pause and seek. Frame
+ * timestamps are the video's own time, so they run backwards after seeking
+ * back; listen with onSeek() to start the detector's history over.
+ */
+export class VideoFileSource {
+    constructor(video, file, { everyFrame = false } = {}) {
+        this.kind = 'video';
+        this.video = video;
+        this.file = file;
+        this.config = { everyFrame };
+        this.listeners = { end: [], seek: [] };
+        this.url = null;
+        this.stopLoop = null;
+        this.playing = false; // Whether the user has it playing, even while held for a frame
+        this.onEnded = () => {
+            this.playing = false;
+            this._emit('end');
+        };
+    }
+
+    /**
+     * Registers a callback run when playback reaches the end.
+     * @param {Function} listener
+     * @returns {Function} - Removes the listener.
+     */
+    onEnd(listener) {
+        return this._listen('end', listener);
+    }
+
+    /**
+     * Registers a callback run when the position is changed with seek().
+     * @param {Function} listener - Called with the new time in seconds.
+     * @returns {Function} - Removes the listener.
+     */
+    onSeek(listener) {
+        return this._listen('seek', listener);
+    }
+
+    get name() {
+        return this.file.name;
+    }
+
+    get width() {
+        return this.video.videoWidth;
+    }
+
+    get height() {
+        return this.video.videoHeight;
+    }
+
+    get duration() {
+        return this.video.duration || 0;
+    }
+
+    get currentTime() {
+        return this.video.currentTime;
+    }
+
+    get paused() {
+        return !this.playing;
+    }
+
+    /**
+     * Processes every frame instead of keeping real time: playback pauses
+     * while each frame is processed.
+     * @param {boolean} everyFrame
+     */
+    setEveryFrame(everyFrame) {
+        this.config.everyFrame = everyFrame;
+    }
+
+    /**
+     * @param {Function} onFrame
+     */
+    async start(onFrame) {
+        this.url = URL.createObjectURL(this.file);
+        this.video.srcObject = null;
+        this.video.muted = true;
+        this.video.src = this.url;
+        await waitFor(this.video, 'loadeddata');
+        this.video.addEventListener('ended', this.onEnded);
+
+        this.stopLoop = frameLoop(this.video, async () => {
+            const time = this.video.currentTime;
+            const info = { timestamp: time * 1000, time };
+            if (!this.config.everyFrame || this.video.paused) {
+                await onFrame(this.video, info);
+                return;
+            }
+            this.video.pause();
+            await onFrame(this.video, info);
+            if (this.playing) await this.video.play();
+        });
+        await this.play();
+    }
+
+    async play() {
+        if (this.video.ended) this.seek(0);
+        this.playing = true;
+        await this.video.play();
+    }
+
+    pause() {
+        this.playing = false;
+        this.video.pause();
+    }
+
+    /**
+     * @param {number} time - Seconds from the start.
+     */
+    seek(time) {
+        const clamped = Math.max(0, Math.min(this.duration, time));
+        this.video.currentTime = clamped;
+        this._emit('seek', clamped);
+    }
+
+    async stop() {
+        if (this.stopLoop) this.stopLoop();
+        this.stopLoop = null;
+        this.video.removeEventListener('ended', this.onEnded);
+        this.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        if (this.url) URL.revokeObjectURL(this.url);
+        this.url = null;
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
+
+/**
+ * The images of a folder (from <input webkitdirectory>), one at a time in
+ * path order. Each image is an independent still: `expected` is its label
+ * from labelFromPath().
+ */
+export class ImageFolderSource {
+    constructor(files) {
+        this.kind = 'images';
+        this.files = [...files]
+            .filter(file => file.type.startsWith('image/') || IMAGE_FILE.test(file.name))
+            .sort((a, b) => filePath(a).localeCompare(filePath(b)));
+        this.listeners = { end: [] };
+        this.running = false;
+        this.failed = [];  // Paths of the images that could not be decoded or processed
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * Registers a callback run after the last image, or when stopped.
+     * @param {Function} listener
+     * @returns {Function} - Removes the listener.
+     */
+    onEnd(listener) {
+        return this._listen('end', listener);
+    }
+
+    get name() {
+        const first = this.files[0];
+        return first ? filePath(first).split('/')[0] : 'Images';
+    }
+
+    get count() {
+        return this.files.length;
+    }
+
+    /**
+     * @param {Function} onFrame
+     */
+    async start(onFrame) {
+        this.running = true;
+        this.failed = [];
+        // Not awaited: start() returns once the images are under way
+        this._run(onFrame);
+    }
+
+    async stop() {
+        this.running = false;
+    }
+
+    async _run(onFrame) {
+        for (let index = 0; index < this.files.length && this.running; index++) {
+            const file = this.files[index];
+            const url = URL.createObjectURL(file);
+            try {
+                const image = new Image();
+                image.src = url;
+                await image.decode();
+                this.width = image.naturalWidth;
+                this.height = image.naturalHeight;
+                const path = filePath(file);
+                await onFrame(image, { timestamp: index * 1000, index, name: path, expected: labelFromPath(path) });
+            } catch (error) {
+                console.error(`Could not process ${file.name}:`, error);
+                this.failed.push(filePath(file));
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        }
+        this.running = false;
+        this._emit('end');
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
+
+/**
+ * The per-frame results of a video or image folder run, for annotating
+ * recordings and evaluating the detector on datasets.
+ */
+export class FrameResultLog {
+    /**
+     * @param {object} source - { kind, name } of the input source.
+     */
+    constructor(source) {
+        this.source = { kind: source.kind, name: source.name };
+        this.frames = [];
+    }
+
+    /**
+     * Adds one processed frame.
+     * @param {object} info - The frame info from the source.
+     * @param {object} results - MediaPipe Hands results.
+     * @param {object|null} detection - The stabilized detection.
+     * @param {object|null} raw - This frame's detection alone (handTracker.rawDetection).
+     */
+    add(info, results, detection, raw) {
+        const landmarks = results.multiHandLandmarks || [];
+        this.frames.push({
+            ...(info.index !== undefined ? { index: info.index } : {}),
+            ...(info.time !== undefined ? { time: Math.round(info.time * 1000) / 1000 } : {}),
+            ...(info.name ? { name: info.name } : {}),
+            ...(info.expected ? { expected: info.expected } : {}),
+            hands: landmarks.length,
+            label: detection ? detection.label : null,
+            confidence: detection ? detection.confidence : 0,
+            raw: raw && raw.label ? { label: raw.label, confidence: raw.confidence } : null,
+            multiHandLandmarks: landmarks.map(hand => hand.map(({ x, y, z }) => ({ x, y, z }))),
+            multiHandedness: (results.multiHandedness || []).map(({ label, score }) => ({ label, score })),
+            // The frame size, for the detector's aspect correction when evaluating
+            ...(results.image && results.image.width > 0 && results.image.height > 0
+                ? { image: { width: results.image.width, height: results.image.height } }
+                : {})
+        });
+    }
+
+    /**
+     * @returns {object} - The log, ready for JSON.stringify.
+     */
+    export() {
+        return {
+            format: FRAME_RESULTS_FORMAT,
+            version: FRAME_RESULTS_VERSION,
+            created: new Date().toISOString(),
+            source: this.source,
+            frames: this.frames
+        };
+    }
+}
+
+/**
+ * Saves a frame result log as a JSON file.
+ * @param {FrameResultLog} log
+ */
+export function downloadFrameResults(log) {
+    const data = JSON.stringify(log.export(), null, 2);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `signlens-frames-${log.source.name.replace(/[^\w.-]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
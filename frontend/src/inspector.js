@@ -0,0 +1,329 @@
+// ========================================
+// SIGNLENS - DEBUG INSPECTOR
+// ========================================
+// Shows what the detector sees, for tuning thresholds without console
+// logging: each finger colored by its open/closed state, the hands' roles,
+// the curls and thumb measures against their thresholds, why the frame's
+// sign matched or what its rivals failed, and a timeline of the votes the
+// stability buffer counts. Reads the detector's hand tracker, so it works
+// the same when frames are processed in the worker.
+
+import { describeHand } from './gestures/registry.js';
+import { FINGER_LANDMARKS, FINGER_NAMES, openThreshold } from './gestures/oneHand/fingers.js';
+
+const STATE_COLORS = { open: '#00E676', closed: '#FF9100', ignored: '#9E9E9E' };
+const ROLE_COLORS = { dominant: '#00B0FF', nonDominant: '#E040FB' };
+const ROLE_NAMES = { dominant: 'Dominant', nonDominant: 'Non-dominant' };
+const PALM = [[0, 5], [5, 9], [9, 13], [13, 17], [0, 17]];
+const THUMB_TIP = 4;
+const THUMB_IP = 3;
+const MIDDLE_MCP = 9;
+
+// Bones of one finger as landmark index pairs.
+function fingerBones(finger) {
+    const [base, ...joints] = FINGER_LANDMARKS[finger];
+    // The thumb's chain starts at the wrist, the other fingers' at their knuckle
+    const chain = finger === 'thumb' ? [0, base, ...joints] : [base, ...joints];
+    return chain.slice(1).map((index, i) => [chain[i], index]);
+}
+
+// A stable color per sign name.
+function labelColor(label) {
+    let hash = 0;
+    for (const char of label) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return `hsl(${hash % 360}, 70%, 55%)`;
+}
+
+function format(value) {
+    return value.toFixed(2);
+}
+
+/**
+ * Thumb measures the sign rules use: its tip's reach from the middle
+ * knuckle and how far the tip rises above its IP joint, in palm lengths.
+ * @param {object} hand - describeHand() of the hand.
+ * @returns {{reach: number, rise: number, margin: number}} - `margin` is the
+ *   rise the thumb needs to point up (or, negated, down), as thumbs up and
+ *   thumbs down require.
+ */
+export function thumbMeasures(hand) {
+    const tip = hand.local[THUMB_TIP];
+    const mcp = hand.local[MIDDLE_MCP];
+    return {
+        reach: Math.hypot(tip.x - mcp.x, tip.y - mcp.y, tip.z - mcp.z),
+        rise: (hand.landmarks[THUMB_IP].y - hand.landmarks[THUMB_TIP].y) / hand.scale,
+        margin: hand.thresholds.pointMargin
+    };
+}
+
+/**
+ * Why a sign did or did not match, as one line per check.
+ * @param {object} explanation - From SignRegistry.explainOneHand or explainTwoHand.
+ * @returns {string[]} - Empty when the sign is satisfied.
+ */
+export function describeFailures(explanation) {
+    if (!explanation || explanation.satisfied) return [];
+    const handLines = (result, prefix = '') => {
+        if (!result) return [];
+        const lines = result.fingers
+            .filter(f => result.failed.includes(f.finger))
+            .map(f => `${prefix}${f.finger} should be ${f.expected ? 'open' : 'closed'}: ` +
+                `curl ${format(f.curl)} ${f.open ? '<' : '≥'} ${format(f.threshold)}`);
+        for (const p of (result.points || []).filter(p => p.actual !== p.expected)) {
+            lines.push(`${prefix}${p.finger} should point ${p.expected}, points ${p.actual}`);
+        }
+        if (result.palm && result.palm.actual !== result.palm.expected) {
+            lines.push(`${prefix}palm should face ${result.palm.expected}, faces ${result.palm.actual}`);
+        }
+        if (result.match === false) lines.push(`${prefix}${result.name} shape check failed`);
+        return lines;
+    };
+
+    if (!('failedRelations' in explanation)) return handLines(explanation);
+    return [
+        ...handLines(explanation.dominant, `dominant (${explanation.dominant?.name}): `),
+        ...handLines(explanation.nonDominant, `non-dominant (${explanation.nonDominant?.name}): `),
+        ...(explanation.failedRelations.length ? [`relations not met: ${explanation.failedRelations.join(', ')}`] : []),
+        ...(explanation.match === false ? ['two-hand check failed'] : [])
+    ];
+}
+
+export class DebugInspector {
+    /**
+     * @param {ImprovedGestureDetector} detector
+     * @param {object} [options] - { length } frames kept for the timeline.
+     */
+    constructor(detector, { length = 120 } = {}) {
+        this.detector = detector;
+        this.length = length;
+        this.timeline = [];
+    }
+
+    reset() {
+        this.timeline = [];
+    }
+
+    /**
+     * Adds the frame the detector just processed to the timeline.
+     * @param {number} timestamp - In milliseconds.
+     */
+    record(timestamp) {
+        const { handTracker, config } = this.detector;
+        const raw = handTracker.rawDetection;
+        const label = raw && raw.label ? raw.label : null;
+        this.timeline.push({
+            timestamp,
+            hands: handTracker.tracks.filter(track => !track.held).length,
+            label,
+            // What the stability buffer counted: confident labels only
+            vote: label && raw.confidence >= config.MIN_CONFIDENCE ? label : null,
+            stable: handTracker.lastDetection ? handTracker.lastDetection.label : null
+        });
+        if (this.timeline.length > this.length) this.timeline.shift();
+    }
+
+    /**
+     * What the detector saw in the last frame.
+     * @returns {object} - { hands: [{ role, handedness, hand, thumb }], decision }
+     *   where `decision` is null without a classified hand, otherwise
+     *   { label, confidence, minConfidence, signs: [explanation + { score, failures,
+     *   preferred }], votes: { label, count, window, enter, exit, stable } }.
+     */
+    snapshot() {
+        const { handTracker, config } = this.detector;
+        const hands = handTracker.tracks
+            .filter(track => handTracker[`${track.role}Hand`])
+            .map(track => {
+                const hand = describeHand(
+                    handTracker[`${track.role}Hand`], track.handedness, handTracker.aspect, config.THRESHOLDS
+                );
+                return { role: track.role, handedness: track.handedness, hand, thumb: thumbMeasures(hand) };
+            });
+        return { hands, decision: this._decision(hands) };
+    }
+
+    /**
+     * Draws the hands with each finger colored by its state, and their roles.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} [snapshot] - From snapshot(), to reuse one.
+     */
+    drawOverlay(ctx, snapshot = this.snapshot()) {
+        const { width, height } = ctx.canvas;
+        for (const { role, handedness, hand } of snapshot.hands) {
+            const { landmarks, fingers, thresholds } = hand;
+            drawConnectors(ctx, landmarks, PALM, { color: '#FFFFFF', lineWidth: 2 });
+            for (const finger of FINGER_NAMES) {
+                const state = thresholds.ignoreFingers.includes(finger)
+                    ? 'ignored'
+                    : fingers[finger] ? 'open' : 'closed';
+                drawConnectors(ctx, landmarks, fingerBones(finger), { color: STATE_COLORS[state], lineWidth: 4 });
+            }
+            drawLandmarks(ctx, landmarks, { color: ROLE_COLORS[role], lineWidth: 1, radius: 3 });
+
+            const wrist = landmarks[0];
+            ctx.save();
+            ctx.font = 'bold 14px sans-serif';
+            ctx.fillStyle = ROLE_COLORS[role];
+            ctx.fillText(
+                `${ROLE_NAMES[role]}${handedness ? ` (${handedness})` : ''}`,
+                wrist.x * width - 30,
+                Math.min(wrist.y * height + 20, height - 4)
+            );
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Plots the timeline: the label each frame voted for (top, faded when
+     * below the minimum confidence) and the stable sign (bottom).
+     * @param {HTMLCanvasElement} canvas
+     */
+    drawTimeline(canvas) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const slot = width / this.length;
+        const band = (height - 14) / 2;
+        ctx.clearRect(0, 0, width, height);
+
+        const offset = this.length - this.timeline.length;
+        this.timeline.forEach((entry, i) => {
+            const x = (offset + i) * slot;
+            if (entry.hands > 0) {
+                ctx.globalAlpha = entry.vote || !entry.label ? 1 : 0.35;
+                ctx.fillStyle = entry.label ? labelColor(entry.label) : '#444';
+                ctx.fillRect(x, 0, Math.ceil(slot), band);
+                ctx.globalAlpha = 1;
+            }
+            if (entry.stable) {
+                ctx.fillStyle = labelColor(entry.stable);
+                ctx.fillRect(x, band + 2, Math.ceil(slot), band);
+            }
+        });
+
+        // Name each stable sign where it starts
+        ctx.font = '10px monospace';
+        ctx.fillStyle = '#FFFFFF';
+        this.timeline.forEach((entry, i) => {
+            if (entry.stable && entry.stable !== this.timeline[i - 1]?.stable) {
+                ctx.fillText(entry.stable, (offset + i) * slot, height - 2);
+            }
+        });
+    }
+
+    /**
+     * Fills a container with the hands' measures and the decision.
+     * @param {HTMLElement} container
+     * @param {object} [snapshot] - From snapshot(), to reuse one.
+     */
+    render(container, snapshot = this.snapshot()) {
+        const element = (tag, text = '', className = '') => {
+            const node = document.createElement(tag);
+            node.textContent = text;
+            if (className) node.className = className;
+            return node;
+        };
+
+        const sections = snapshot.hands.map(({ role, handedness, hand, thumb }) => {
+            const section = element('div', '', 'inspector-hand');
+            const title = element('strong', `${ROLE_NAMES[role]}${handedness ? ` · ${handedness}` : ''}`);
+            title.style.color = ROLE_COLORS[role];
+            section.appendChild(title);
+
+            const table = element('table');
+            table.appendChild(element('tr')).append(
+                element('th', 'Finger'), element('th', 'Curl'), element('th', 'Open below'), element('th', 'State')
+            );
+            for (const finger of FINGER_NAMES) {
+                const ignored = hand.thresholds.ignoreFingers.includes(finger);
+                const state = ignored ? 'ignored' : hand.fingers[finger] ? 'open' : 'closed';
+                const row = table.appendChild(element('tr'));
+                row.append(
+                    element('td', finger),
+                    element('td', format(hand.curls[finger])),
+                    element('td', format(openThreshold(hand.thresholds.openCurl, finger))),
+                    element('td', state)
+                );
+                row.lastChild.style.color = STATE_COLORS[state];
+            }
+            section.appendChild(table);
+            section.appendChild(element('small',
+                `Palm: ${hand.palm}. Thumb reach ${format(thumb.reach)} palm lengths; tip ${thumb.rise >= 0 ? 'above' : 'below'} ` +
+                `IP by ${format(Math.abs(thumb.rise))} (thumbs up/down need ${format(thumb.margin)})`
+            ));
+            return section;
+        });
+
+        const list = element('ul', '', 'inspector-decision');
+        const { decision } = snapshot;
+        if (decision) {
+            const { label, confidence, minConfidence, votes } = decision;
+            list.appendChild(element('li', label
+                ? `Frame: ${label} at ${format(confidence)}` +
+                  (confidence < minConfidence ? `, below the minimum ${format(minConfidence)}: not counted` : '')
+                : 'Frame: no sign matched', label && confidence >= minConfidence ? 'ok' : 'fail'));
+            if (votes.label) {
+                list.appendChild(element('li',
+                    `Votes: ${votes.label} ${votes.count}/${votes.window}, ` +
+                    `${votes.stable ? `held while ≥ ${votes.exit}` : `starts at ${votes.enter}`}`
+                ));
+            }
+            for (const sign of decision.signs) {
+                const score = `${sign.name} (${format(sign.score)})`;
+                if (sign.satisfied) {
+                    list.appendChild(element('li', sign.name === label
+                        ? `✓ ${score} matched`
+                        : `✓ ${score} fits too, but ${sign.preferred} comes first`, 'ok'));
+                    continue;
+                }
+                const item = list.appendChild(element('li', `✗ ${score}`, 'fail'));
+                const reasons = item.appendChild(element('ul'));
+                for (const line of sign.failures) reasons.appendChild(element('li', line));
+            }
+        }
+
+        container.replaceChildren(...sections, list);
+    }
+
+    _decision(hands) {
+        const { handTracker, registry, config } = this.detector;
+        const raw = handTracker.rawDetection;
+        if (!raw || !raw.hands || hands.length === 0) return null;
+
+        const byRole = Object.fromEntries(hands.map(({ role, hand }) => [role, hand]));
+        const twoHand = raw.hands.length === 2;
+        const scores = new Map((raw.candidates || []).map(c => [c.label, c.confidence]));
+        const names = [...new Set([raw.label, ...scores.keys()])].filter(Boolean);
+
+        const signs = names.map(name => {
+            const explanation = twoHand
+                ? registry.explainTwoHand(name, byRole.dominant, byRole.nonDominant, raw.relations)
+                : registry.explainOneHand(name, byRole[raw.hands[0]]);
+            if (!explanation) return null;
+            return {
+                ...explanation,
+                score: name === raw.label ? raw.confidence : scores.get(name) || 0,
+                failures: describeFailures(explanation),
+                preferred: raw.label
+            };
+        }).filter(Boolean);
+
+        // The stability buffer's view: the leading label of the last window
+        const recent = this.timeline.filter(entry => entry.hands > 0).slice(-config.VOTE_WINDOW);
+        const stable = handTracker.lastDetection ? handTracker.lastDetection.label : null;
+        const leader = stable || recent.map(entry => entry.vote).filter(Boolean).pop() || null;
+        return {
+            label: raw.label,
+            confidence: raw.confidence,
+            minConfidence: config.MIN_CONFIDENCE,
+            signs,
+            votes: {
+                label: leader,
+                count: leader ? recent.filter(entry => entry.vote === leader).length : 0,
+                window: config.VOTE_WINDOW,
+                enter: config.ENTER_VOTES,
+                exit: config.EXIT_VOTES,
+                stable: Boolean(stable)
+            }
+        };
+    }
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImprovedGestureDetector } from './gesture-detection.js';
+import { DebugInspector, describeFailures, thumbMeasures } from './inspector.js';
+import { createDefaultRegistry, describeHand } from './gestures/registry.js';
+import { LABELS, handLandmarks } from './gestures/hand-fixtures.mjs';
+
+const POINT = { index: true };
+const OPEN = { thumb: true, index: true, middle: true, ring: true, pinky: true };
+
+const registry = createDefaultRegistry();
+
+// A right hand as describeHand() sees it; by default its palm faces the camera.
+const rightHand = (open, turn = {}) => describeHand(handLandmarks(open, { size: 0.3, ...turn }), LABELS.right);
+
+function results(...hands) {
+    return {
+        multiHandLandmarks: hands.map(([landmarks]) => landmarks),
+        multiHandedness: hands.map(([, side]) => ({ label: LABELS[side], score: 0.9 }))
+    };
+}
+
+test('thumb measures use the pointing margin of the hand\'s thresholds', () => {
+    const up = rightHand({ thumb: true }, { roll: -45 });
+    const down = rightHand({ thumb: true }, { roll: 135 });
+    assert.equal(thumbMeasures(up).margin, up.thresholds.pointMargin);
+    assert.ok(thumbMeasures(up).rise > up.thresholds.pointMargin);
+    assert.ok(thumbMeasures(down).rise < -down.thresholds.pointMargin);
+    assert.ok(thumbMeasures(up).reach > thumbMeasures(rightHand({})).reach);
+});
+
+test('failures name the fingers, directions and palm a sign needs', () => {
+    const down = rightHand({ thumb: true }, { roll: 135 });
+    assert.deepEqual(describeFailures(registry.explainOneHand('THUMBS_UP', down)), ['thumb should point up, points down']);
+    assert.deepEqual(describeFailures(registry.explainOneHand('THUMBS_DOWN', down)), []);
+
+    const open = rightHand(OPEN);
+    assert.deepEqual(describeFailures(registry.explainOneHand('NUMBER_5', open)), ['palm should face away, faces toward']);
+    const [line, ...rest] = describeFailures(registry.explainOneHand('NUMBER_1', rightHand(OPEN, { yaw: 180 })));
+    assert.match(line, /^thumb should be closed: curl \d\.\d\d < \d\.\d\d$/);
+    assert.equal(rest.length, 3);
+});
+
+test('two-hand failures are given per hand', () => {
+    const away = (open, side, x) => describeHand(handLandmarks(open, { x, yaw: 180, hand: side }), LABELS[side]);
+    const explanation = registry.explainTwoHand('NUMBER_6', away(OPEN, 'right', 0.3), away(OPEN, 'left', 0.7));
+    assert.equal(explanation.satisfied, false);
+    const failures = describeFailures(explanation);
+    assert.ok(failures.length > 0);
+    assert.ok(failures.every(line => line.startsWith('dominant (NUMBER_1): ')), failures.join('\n'));
+});
+
+test('the snapshot explains the frame the detector just processed', () => {
+    const detector = new ImprovedGestureDetector({}, registry);
+    const inspector = new DebugInspector(detector);
+    for (const t of [0, 33, 66]) {
+        detector.process(results([handLandmarks(POINT, { x: 0.3, yaw: 180 }), 'right']), t);
+        inspector.record(t);
+    }
+
+    const { hands, decision } = inspector.snapshot();
+    assert.equal(hands.length, 1);
+    assert.equal(hands[0].role, 'dominant');
+    assert.equal(hands[0].hand.palm, 'away');
+    assert.equal(decision.label, 'NUMBER_1');
+    const matched = decision.signs.find(sign => sign.name === 'NUMBER_1');
+    assert.ok(matched.satisfied);
+    assert.deepEqual(matched.failures, []);
+    assert.deepEqual(decision.votes, {
+        label: 'NUMBER_1', count: 3, window: detector.config.VOTE_WINDOW,
+        enter: detector.config.ENTER_VOTES, exit: detector.config.EXIT_VOTES, stable: true
+    });
+});
+
+test('the timeline keeps the last frames and only counts confident votes', () => {
+    const detector = new ImprovedGestureDetector({ MIN_CONFIDENCE: 1.1 }, registry);
+    const inspector = new DebugInspector(detector, { length: 2 });
+    for (const t of [0, 33, 66]) {
+        detector.process(results([handLandmarks(OPEN, { x: 0.3 }), 'right']), t);
+        inspector.record(t);
+    }
+    assert.deepEqual(inspector.timeline.map(entry => entry.timestamp), [33, 66]);
+    assert.ok(inspector.timeline.every(entry => entry.label === 'OPEN_PALM' && entry.vote === null && entry.hands === 1));
+
+    inspector.reset();
+    assert.deepEqual(inspector.timeline, []);
+});
@@ -2,6 +2,31 @@
 // SIGNLENS - MAIN APPLICATION
 // ========================================
 
+import { SignLens } from './signlens.js';
+import { downloadTranscript, formatGestureName, renderTranscript } from './output.js';
+import { Conversation, downloadConversation, renderConversation } from './conversation.js';
+import { SignAvatar, drawHands } from './avatar.js';
+import { PracticeProgress, PracticeSession, buildLessons } from './practice.js';
+import { SpeechOutput } from './tts.js';
+import { DebugInspector } from './inspector.js';
+import { assetBase, loadMediaPipe } from './assets.js';
+import {
+    CameraSource, FrameResultLog, ImageFolderSource, VideoFileSource, downloadFrameResults
+} from './input.js';
+import { CustomSignSet, SampleRecorder } from './gestures/custom/index.js';
+import { SessionRecorder, validateSession } from './session.js';
+import { PACKS, loadPack } from './gestures/packs/index.js';
+import { signFrame } from './gestures/avatar/index.js';
+import { describeHand } from './gestures/registry.js';
+import { logLintReport } from './gestures/lint.js';
+import { FINGER_LANDMARKS } from './gestures/oneHand/fingers.js';
+import {
+    CALIBRATION_STEPS, CalibrationSession, calibrationThresholds, loadCalibration, saveCalibration
+} from './calibration.js';
+import {
+    Settings, detectorConfig, downloadProfile, handsOptions, parseResolution, renderSettings
+} from './settings.js';
+
 // DOM Elements
 const videoElement = document.getElementById('webcam');
 const canvasElement = document.getElementById('output-canvas');
@@ -9,6 +34,18 @@ const canvasCtx = canvasElement.getContext('2d');
 const gestureText = document.getElementById('gesture-text');
 const debugText = document.getElementById('debug-text');
 
+// MediaPipe is served from the page's asset base, or the CDN when it is not
+// there (see assets.js), and has to be loaded before anything below uses its globals
+const ASSET_BASE = await loadMediaPipe(assetBase()).catch(error => {
+    gestureText.textContent = 'Error: ' + error.message;
+    gestureText.style.color = '#ff0000';
+    throw error;
+});
+
+// Served from a development machine, or opened with ?dev: extra checks in the console
+const DEV_MODE = ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname) ||
+    new URLSearchParams(location.search).has('dev');
+
 // Speech Recognition (Optional)
 let recognition = null;
 if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
@@ -20,17 +57,25 @@ if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
 
     recognition.onresult = (event) => {
         let finalTranscript = '';
+        let interimTranscript = '';
         for (let i = event.resultIndex; i < event.results.length; i++) {
             const transcript = event.results[i][0].transcript;
             if (event.results[i].isFinal) {
                 finalTranscript += transcript + ' ';
+            } else {
+                interimTranscript += transcript;
             }
         }
         if (finalTranscript) {
             document.getElementById('speech-output').textContent = finalTranscript;
+            conversation.add('speech', finalTranscript);
+            if (document.getElementById('avatar-speech')?.checked) signAvatar?.enqueue(finalTranscript);
         }
+        conversation.setInterim('speech', interimTranscript);
     };
 
+    recognition.onend = () => conversation.setInterim('speech', '');
+
     recognition.onerror = (event) => {
         console.error('Speech recognition error:', event.error);
     };
@@ -54,54 +99,831 @@ document.getElementById('stop-listening')?.addEventListener('click', () => {
 // ========================================
 // GESTURE DETECTOR SETUP
 // ========================================
-const gestureDetector = new ImprovedGestureDetector();
+// User settings, applied live to MediaPipe, the detector and the camera (see SETTINGS)
+const settings = new Settings();
+// The signer's hand calibration, which replaces the settings' finger thresholds (see HAND CALIBRATION)
+let calibrationProfile = loadCalibration();
+
+// Signs that edit the transcript instead of being added to it
+const TRANSCRIPT_CONTROL_SIGNS = {
+    THUMBS_DOWN: 'deleteLast'
+};
+
+// Runs the input source, MediaPipe (in a worker where supported), the
+// detector and the transcript, and draws each frame on the canvas; the
+// panels below are built on its detector, transcript and events.
+const lens = new SignLens({
+    video: videoElement,
+    canvas: canvasElement,
+    detector: currentDetectorConfig(null),
+    hands: currentHandsOptions(null),
+    controlSigns: TRANSCRIPT_CONTROL_SIGNS,
+    assetBase: ASSET_BASE,
+    overlay: showsLandmarks()
+});
+const gestureDetector = lens.detector;
+const pipeline = lens.pipeline;
+const transcript = lens.transcript;
+
+// How long a recognized motion sign stays on screen (ms)
+const MOTION_SIGN_DISPLAY_MS = 1500;
+let lastMotionSign = null;
 
 // ========================================
-// MEDIAPIPE HANDS SETUP
+// FINGERSPELLING
+// ========================================
+const spelledWord = document.getElementById('spelled-word');
+const spellingToggle = document.getElementById('toggle-spelling');
+
+spellingToggle?.addEventListener('click', () => {
+    setSpelling(gestureDetector.config.MODE !== 'spelling');
+});
+
+function setSpelling(spelling) {
+    // Adds the word being spelled, if any
+    lens.configure({ MODE: spelling ? 'spelling' : 'signs' });
+    if (spellingToggle) spellingToggle.textContent = `Spelling Mode: ${spelling ? 'On' : 'Off'}`;
+    if (spelledWord) spelledWord.textContent = '';
+}
+
+// ========================================
+// TRANSCRIPT
+// ========================================
+// Signs and spelled words are added by the lens: held signs once, when
+// they start, motion signs when they complete.
+const transcriptElement = document.getElementById('transcript');
+
+if (transcriptElement) {
+    transcript.onChange(() => renderTranscript(transcriptElement, transcript));
+    renderTranscript(transcriptElement, transcript);
+}
+
+document.getElementById('transcript-undo')?.addEventListener('click', () => transcript.undo());
+document.getElementById('transcript-delete')?.addEventListener('click', () => transcript.deleteLast());
+document.getElementById('transcript-clear')?.addEventListener('click', () => transcript.clear());
+document.getElementById('transcript-export')?.addEventListener('click', () => {
+    downloadTranscript(transcript, document.getElementById('transcript-format').value);
+});
+
+document.addEventListener('keydown', (event) => {
+    if (event.target.closest('input, select, textarea, button')) return;
+
+    if (event.key === 'z' && (event.ctrlKey || event.metaKey)) {
+        transcript.undo();
+    } else if (event.key === 'Backspace' || event.key === 'Delete') {
+        transcript.deleteLast();
+    } else if (event.key === 'Enter') {
+        transcript.endSentence();
+    } else if (event.key === 'Escape') {
+        transcript.clear();
+    } else {
+        return;
+    }
+    event.preventDefault();
+});
+
+// ========================================
+// CONVERSATION
+// ========================================
+// Finished sign sentences and recognized speech as alternating turns,
+// with the sentence being signed and the words being spoken shown live.
+const conversation = new Conversation();
+const conversationElement = document.getElementById('conversation');
+
+conversation.restore();
+conversation.onChange(() => conversation.save());
+if (conversationElement) {
+    conversation.onChange(() => renderConversation(conversationElement, conversation));
+    renderConversation(conversationElement, conversation);
+}
+
+transcript.onSentence((sentence, text) => conversation.add('sign', text, sentence.start));
+transcript.onChange(() => {
+    const current = transcript.sentences[transcript.sentences.length - 1];
+    conversation.setInterim('sign', transcript.sentenceOpen ? transcript.sentenceText(current) : '');
+});
+
+document.getElementById('conversation-clear')?.addEventListener('click', () => conversation.clear());
+document.getElementById('conversation-export')?.addEventListener('click', () => {
+    downloadConversation(conversation, document.getElementById('conversation-format').value);
+});
+
+// ========================================
+// TEXT TO SPEECH
+// ========================================
+const speechOutput = new SpeechOutput();
+const ttsVoiceSelect = document.getElementById('tts-voice');
+
+transcript.onToken(token => speechOutput.word(token.text));
+transcript.onSentence((sentence, text) => speechOutput.sentence(text));
+
+function populateVoices() {
+    if (!ttsVoiceSelect) return;
+    const voices = speechOutput.getVoices();
+    ttsVoiceSelect.replaceChildren(new Option('Default voice', ''));
+    for (const voice of voices) {
+        ttsVoiceSelect.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+    }
+    ttsVoiceSelect.value = voices.some(v => v.voiceURI === speechOutput.config.voiceURI)
+        ? speechOutput.config.voiceURI
+        : '';
+}
+
+speechOutput.onVoicesChanged(populateVoices);
+
+document.getElementById('tts-mode')?.addEventListener('change', (event) => {
+    speechOutput.configure({ mode: event.target.value });
+});
+document.getElementById('tts-lang')?.addEventListener('change', (event) => {
+    setSpokenLocale(event.target.value);
+});
+ttsVoiceSelect?.addEventListener('change', (event) => {
+    speechOutput.configure({ voiceURI: event.target.value || null });
+});
+document.getElementById('tts-rate')?.addEventListener('input', (event) => {
+    const rate = parseFloat(event.target.value);
+    speechOutput.configure({ rate });
+    document.getElementById('tts-rate-value').textContent = rate.toFixed(1);
+});
+document.getElementById('tts-speak')?.addEventListener('click', () => {
+    for (const sentence of transcript.sentences) {
+        speechOutput.speak(transcript.sentenceText(sentence));
+    }
+});
+document.getElementById('tts-stop')?.addEventListener('click', () => speechOutput.stop());
+
+// ========================================
+// SIGN LANGUAGE PACKS
+// ========================================
+const signLanguageSelect = document.getElementById('sign-language');
+
+for (const pack of PACKS) {
+    signLanguageSelect?.appendChild(new Option(pack.name, pack.id));
+}
+
+signLanguageSelect?.addEventListener('change', async (event) => {
+    try {
+        await selectSignLanguage(event.target.value);
+    } catch (error) {
+        console.error('Could not load sign language pack:', error);
+    }
+});
+
+/**
+ * Switches the recognized vocabulary and the spoken language together.
+ * @param {string} id - A pack id from PACKS.
+ */
+async function selectSignLanguage(id) {
+    const pack = await loadPack(id);
+    await lens.usePack(pack);
+    checkSignRules();
+
+    // Not every pack has a one-hand alphabet to spell with
+    const hasLetters = pack.signs.some(sign => sign.category === 'letter');
+    if (!hasLetters && gestureDetector.config.MODE === 'spelling') setSpelling(false);
+    if (spellingToggle) spellingToggle.disabled = !hasLetters;
+
+    setSpokenLocale(pack.locales[0]);
+    stopPractice();
+    populateLessons();
+}
+
+/**
+ * In development, reports sign rules that shadow or depend on each other
+ * (see gestures/lint.js), as the current calibration sees them.
+ */
+function checkSignRules() {
+    if (!DEV_MODE) return;
+    logLintReport(gestureDetector.registry, { ignoreFingers: gestureDetector.config.THRESHOLDS.ignoreFingers });
+}
+
+/**
+ * Sets the language used for speech recognition, speech output and sign names.
+ * @param {string} locale - BCP 47 language tag.
+ */
+function setSpokenLocale(locale) {
+    if (recognition) recognition.lang = locale;
+    speechOutput.configure({ lang: locale, voiceURI: null });
+    lens.options.lang = locale;
+
+    const ttsLangSelect = document.getElementById('tts-lang');
+    if (ttsLangSelect) {
+        if (![...ttsLangSelect.options].some(option => option.value === locale)) {
+            ttsLangSelect.appendChild(new Option(locale, locale));
+        }
+        ttsLangSelect.value = locale;
+    }
+    populateVoices();
+}
+
+/**
+ * Display name of a sign in the active pack and spoken language.
+ * @param {string} name - The sign name.
+ * @returns {string}
+ */
+function displayName(name) {
+    return lens.displayName(name);
+}
+
+// ========================================
+// TEXT TO SIGN
+// ========================================
+// Plays typed text or recognized speech back as signs for the signer.
+const avatarCanvas = document.getElementById('avatar-canvas');
+const avatarCaption = document.getElementById('avatar-caption');
+const signAvatar = avatarCanvas
+    ? new SignAvatar(avatarCanvas, gestureDetector.registry, {
+        displayName,
+        dominantHand: settings.get('dominantHand')
+    })
+    : null;
+
+if (signAvatar) {
+    signAvatar.onStep(step => renderAvatarCaption(step));
+    signAvatar.onEnd(() => { avatarCaption.textContent = ''; });
+}
+
+/**
+ * Captions the sign being played; a fingerspelled word shows which letter is on screen.
+ * @param {object} step - From planSigns().
+ */
+function renderAvatarCaption(step) {
+    avatarCaption.replaceChildren();
+    if (!step.spelled) {
+        avatarCaption.textContent = step.text;
+        return;
+    }
+
+    [...step.word.toLocaleUpperCase()].forEach((char, i) => {
+        const letter = document.createElement('span');
+        letter.textContent = char;
+        if (i === step.letter) letter.className = step.name ? 'avatar-letter' : 'avatar-missing';
+        avatarCaption.appendChild(letter);
+    });
+}
+
+function playAvatarText() {
+    const input = document.getElementById('avatar-text');
+    if (signAvatar && input.value.trim()) signAvatar.play(input.value);
+}
+
+document.getElementById('avatar-play')?.addEventListener('click', playAvatarText);
+document.getElementById('avatar-text')?.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') playAvatarText();
+});
+document.getElementById('avatar-stop')?.addEventListener('click', () => signAvatar?.stop());
+
+// ========================================
+// PRACTICE
 // ========================================
+// Prompts one sign of a lesson at a time, drawn as a reference pose, and
+// scores the live hands against it until the sign is held long enough.
+const practice = new PracticeSession(gestureDetector.registry);
+const practiceProgress = new PracticeProgress();
+const practiceLessonSelect = document.getElementById('practice-lesson');
+const practiceReference = document.getElementById('practice-reference');
+// Pause on a finished sign before the next one is prompted (ms)
+const PRACTICE_NEXT_DELAY_MS = 1500;
+let practiceLessons = [];
+let practiceNextTimer = null;
+// Wrong fingers of the last frame, by role, for the camera overlay
+let practiceWrongFingers = {};
+
+practice.onResult(result => {
+    practiceProgress.record(currentPackId(), result);
+    practiceWrongFingers = {};
+    renderPracticeProgress();
+
+    const feedback = document.getElementById('practice-feedback');
+    feedback.textContent = result.passed
+        ? `Well done! ${formatPercent(result.accuracy)} accuracy in ${(result.timeMs / 1000).toFixed(1)}s`
+        : 'Skipped';
+    feedback.classList.toggle('passed', result.passed);
+
+    practiceNextTimer = setTimeout(() => {
+        practiceNextTimer = null;
+        startPracticeSign(result.name);
+    }, PRACTICE_NEXT_DELAY_MS);
+});
+
+function currentPackId() {
+    const { pack } = gestureDetector.registry;
+    return pack ? pack.id : 'default';
+}
+
+function currentLesson() {
+    return practiceLessons.find(lesson => lesson.id === practiceLessonSelect?.value) || practiceLessons[0];
+}
+
+/**
+ * Rebuilds the lesson list from the signs of the active pack.
+ */
+function populateLessons() {
+    if (!practiceLessonSelect) return;
+    const selected = practiceLessonSelect.value;
+    practiceLessons = buildLessons(gestureDetector.registry);
+
+    practiceLessonSelect.replaceChildren();
+    for (const lesson of practiceLessons) {
+        practiceLessonSelect.appendChild(new Option(`${lesson.name} (${lesson.signs.length})`, lesson.id));
+    }
+    if (practiceLessons.some(lesson => lesson.id === selected)) practiceLessonSelect.value = selected;
+    renderPracticeProgress();
+}
+
+/**
+ * Prompts the next sign of the current lesson.
+ * @param {string} [previous] - The sign just practised, not to be repeated right away.
+ */
+function startPracticeSign(previous = null) {
+    const lesson = currentLesson();
+    const name = lesson && practiceProgress.next(currentPackId(), lesson.signs, previous);
+    if (!name) return;
+
+    practice.start(name, performance.now());
+    document.getElementById('practice-target').textContent = displayName(name);
+    document.getElementById('practice-feedback').textContent = '';
+    document.getElementById('practice-feedback').classList.remove('passed');
+
+    const sign = gestureDetector.registry.get(name);
+    drawHands(practiceReference.getContext('2d'), signFrame(sign, gestureDetector.registry, 0, {
+        dominantHand: gestureDetector.config.DOMINANT_HAND,
+        aspect: practiceReference.width / practiceReference.height
+    }));
+}
+
+function startPractice() {
+    startPracticeSign();
+    document.getElementById('practice-start').textContent = 'Stop Practice';
+    document.getElementById('practice-skip').disabled = false;
+}
+
+function stopPractice() {
+    clearTimeout(practiceNextTimer);
+    practiceNextTimer = null;
+    practice.stop();
+    practiceWrongFingers = {};
+    if (!practiceReference) return;
+
+    practiceReference.getContext('2d').clearRect(0, 0, practiceReference.width, practiceReference.height);
+    document.getElementById('practice-start').textContent = 'Start Practice';
+    document.getElementById('practice-skip').disabled = true;
+    document.getElementById('practice-target').textContent = 'Choose a lesson and start.';
+    document.getElementById('practice-feedback').textContent = '';
+    document.getElementById('practice-accuracy').value = 0;
+    document.getElementById('practice-hold').value = 0;
+}
+
+function isPracticing() {
+    return Boolean(practice.target || practiceNextTimer);
+}
+
+/**
+ * Scores the current frame against the practice target and shows how close it is.
+ * @param {number} now - Frame time in milliseconds.
+ */
+function updatePractice(now) {
+    if (!practice.target) return;
+
+    const { dominantHand, nonDominantHand, tracks, aspect } = gestureDetector.handTracker;
+    const handedness = role => (tracks.find(track => track.role === role) || {}).handedness || null;
+    const state = practice.update({
+        dominant: describeHand(dominantHand, handedness('dominant'), aspect, gestureDetector.config.THRESHOLDS),
+        nonDominant: describeHand(nonDominantHand, handedness('nonDominant'), aspect, gestureDetector.config.THRESHOLDS)
+    }, now);
+    if (!state) return;
+
+    // The attempt may have just ended, in which case onResult has shown the outcome
+    if (!practice.target) return;
+
+    practiceWrongFingers = state.wrong;
+    document.getElementById('practice-accuracy').value = state.accuracy;
+    document.getElementById('practice-hold').value = state.progress;
+
+    const wrong = Object.values(state.wrong).flat();
+    document.getElementById('practice-feedback').textContent = wrong.length > 0
+        ? `Check your ${[...new Set(wrong)].join(', ')}`
+        : state.shapeOk ? '' : 'Fingers are right - check the hand position';
+}
+
+/**
+ * Draws the bones of the fingers that do not match the target in red.
+ */
+function drawPracticeOverlay() {
+    const { dominantHand, nonDominantHand } = gestureDetector.handTracker;
+    const landmarksByRole = { dominant: dominantHand, nonDominant: nonDominantHand };
+
+    for (const [role, fingers] of Object.entries(practiceWrongFingers)) {
+        const landmarks = landmarksByRole[role];
+        if (!landmarks || fingers.length === 0) continue;
 
-// Initialize MediaPipe Hands
-const hands = new Hands({
-    locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+        const bones = fingers.flatMap(finger => {
+            const [base, ...joints] = FINGER_LANDMARKS[finger];
+            // The thumb's chain starts at the wrist, the other fingers' at their knuckle
+            const chain = finger === 'thumb' ? [0, base, ...joints] : [base, ...joints];
+            return chain.slice(1).map((index, i) => [chain[i], index]);
+        });
+        drawConnectors(canvasCtx, landmarks, bones, { color: '#FF3030', lineWidth: 5 });
+    }
+}
+
+function renderPracticeProgress() {
+    const list = document.getElementById('practice-progress');
+    const lesson = currentLesson();
+    if (!list || !lesson) return;
+
+    list.replaceChildren();
+    for (const name of lesson.signs) {
+        const { attempts, passes, bestAccuracy } = practiceProgress.get(currentPackId(), name);
+        const item = document.createElement('li');
+        item.textContent = attempts
+            ? `${displayName(name)} ${passes}/${attempts} · ${formatPercent(bestAccuracy)}`
+            : displayName(name);
+        item.classList.toggle('mastered', passes > 0);
+        list.appendChild(item);
+    }
+}
+
+populateLessons();
+
+practiceLessonSelect?.addEventListener('change', () => {
+    renderPracticeProgress();
+    if (isPracticing()) {
+        stopPractice();
+        startPractice();
     }
 });
 
-// Configure Hands
-hands.setOptions({
-    maxNumHands: 2,              // Detect up to 2 hands
-    modelComplexity: 1,          // 0 = lite, 1 = full (better accuracy)
-    minDetectionConfidence: 0.5, // Lower = more sensitive
-    minTrackingConfidence: 0.5   // Lower = more sensitive
+document.getElementById('practice-start')?.addEventListener('click', () => {
+    if (isPracticing()) {
+        stopPractice();
+    } else {
+        startPractice();
+    }
+});
+
+document.getElementById('practice-skip')?.addEventListener('click', () => {
+    if (practice.target) practice.skip(performance.now());
+});
+
+document.getElementById('practice-reset')?.addEventListener('click', () => {
+    if (!confirm('Reset practice progress for all signs?')) return;
+    practiceProgress.reset();
+    renderPracticeProgress();
 });
 
+// ========================================
+// HAND CALIBRATION
+// ========================================
+// Shows one reference shape at a time and samples the signer's finger curls
+// to fit the open/closed thresholds to their hand.
+const calibration = new CalibrationSession();
+const calibrationReference = document.getElementById('calibration-reference');
+const calibrationPrompt = document.getElementById('calibration-prompt');
+const calibrationProgress = document.getElementById('calibration-progress');
+
+/**
+ * Detector config from the settings, with the calibrated thresholds when there is a calibration.
+ * @param {object|null} [source] - The input source it is for; the lens's current one by default.
+ * @returns {object}
+ */
+function currentDetectorConfig(source = lens.source) {
+    const config = detectorConfig(settings.values);
+    if (calibrationProfile) {
+        config.THRESHOLDS = { ...config.THRESHOLDS, ...calibrationThresholds(calibrationProfile) };
+    }
+    if (!isCameraInput(source)) config.MIRRORED = false;
+    return config;
+}
+
+/**
+ * Uses, saves and shows a calibration, or goes back to the settings' thresholds when null.
+ * @param {object|null} profile
+ */
+function setCalibration(profile) {
+    calibrationProfile = profile;
+    saveCalibration(profile);
+    lens.configure(currentDetectorConfig());
+    renderCalibration();
+}
+
+function setCalibrationStatus(message) {
+    const status = document.getElementById('calibration-status');
+    if (status) status.textContent = message;
+}
+
+calibration.onStep((step, index) => {
+    calibrationPrompt.textContent = `${index + 1}/${CALIBRATION_STEPS.length}: ${step.prompt}`;
+    drawHands(calibrationReference.getContext('2d'), signFrame(
+        { kind: 'oneHand', fingers: step.fingers, pose: step.pose },
+        gestureDetector.registry,
+        0,
+        {
+            dominantHand: gestureDetector.config.DOMINANT_HAND,
+            aspect: calibrationReference.width / calibrationReference.height
+        }
+    ));
+});
+
+calibration.onComplete(profile => {
+    endCalibration();
+    setCalibration(profile);
+    setCalibrationStatus(profile.ignoreFingers.length > 0
+        ? `Calibrated. Not checking: ${profile.ignoreFingers.join(', ')} (could not be told open from closed).`
+        : 'Calibrated.');
+});
+
+function endCalibration() {
+    calibration.stop();
+    calibrationReference.getContext('2d').clearRect(0, 0, calibrationReference.width, calibrationReference.height);
+    calibrationProgress.value = 0;
+    document.getElementById('calibration-start').textContent = 'Calibrate';
+    document.getElementById('calibration-skip').disabled = true;
+}
+
+/**
+ * Samples the current frame while calibrating.
+ * @param {Array|null} landmarks - The signer's hand.
+ * @param {number} now - Frame time in milliseconds.
+ */
+function updateCalibration(landmarks, now) {
+    if (!calibration.running) return;
+    const state = calibration.update(describeHand(landmarks, null, gestureDetector.handTracker.aspect), now);
+    if (state && calibration.running) calibrationProgress.value = state.progress;
+}
+
+/**
+ * Shows the calibration per finger; unchecking a finger leaves it out of matching.
+ */
+function renderCalibration() {
+    const table = document.getElementById('calibration-summary');
+    if (!table) return;
+    table.hidden = !calibrationProfile;
+    if (!calibration.running) {
+        calibrationPrompt.textContent = calibrationProfile
+            ? `Calibrated on ${new Date(calibrationProfile.created).toLocaleDateString()}.`
+            : 'Not calibrated.';
+    }
+    if (!calibrationProfile) return;
+
+    const format = value => value === null ? '-' : value.toFixed(2);
+    const body = table.querySelector('tbody');
+    body.replaceChildren();
+    for (const [finger, result] of Object.entries(calibrationProfile.fingers)) {
+        const row = document.createElement('tr');
+        row.classList.toggle('unreliable', !result.reliable);
+        for (const text of [finger, format(result.open), format(result.closed), format(result.threshold)]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        const checked = document.createElement('input');
+        checked.type = 'checkbox';
+        checked.checked = !calibrationProfile.ignoreFingers.includes(finger);
+        checked.addEventListener('change', () => {
+            const ignoreFingers = calibrationProfile.ignoreFingers.filter(f => f !== finger);
+            if (!checked.checked) ignoreFingers.push(finger);
+            setCalibration({ ...calibrationProfile, ignoreFingers });
+        });
+        const cell = document.createElement('td');
+        cell.appendChild(checked);
+        row.appendChild(cell);
+        body.appendChild(row);
+    }
+}
+
+renderCalibration();
+
+document.getElementById('calibration-start')?.addEventListener('click', (event) => {
+    if (calibration.running) {
+        endCalibration();
+        renderCalibration();
+        setCalibrationStatus('Calibration cancelled.');
+        return;
+    }
+    event.target.textContent = 'Cancel';
+    document.getElementById('calibration-skip').disabled = false;
+    setCalibrationStatus('Hold each shape until the bar fills.');
+    calibration.start(performance.now());
+});
+
+document.getElementById('calibration-skip')?.addEventListener('click', () => calibration.skip(performance.now()));
+
+document.getElementById('calibration-clear')?.addEventListener('click', () => {
+    if (calibration.running) endCalibration();
+    setCalibration(null);
+    setCalibrationStatus('Using the thresholds from Settings.');
+});
+
+// ========================================
+// CUSTOM SIGNS
+// ========================================
+const customSigns = new CustomSignSet(gestureDetector.registry);
+const sampleRecorder = new SampleRecorder();
+const customSignStatus = document.getElementById('custom-sign-status');
+const customSignList = document.getElementById('custom-sign-list');
+
+// Seconds to get into position before recording starts
+const RECORD_COUNTDOWN_S = 3;
+
+function setCustomSignStatus(message) {
+    if (customSignStatus) customSignStatus.textContent = message;
+}
+
+function renderCustomSigns() {
+    if (!customSignList) return;
+    customSignList.replaceChildren();
+
+    for (const sign of customSigns.signs) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = `${formatGestureName(sign.name)} (${sign.hands} hand${sign.hands > 1 ? 's' : ''}, ${sign.count} samples)`;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary btn-small';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', async () => {
+            try {
+                await customSigns.remove(sign.name);
+            } catch (error) {
+                setCustomSignStatus(`Could not delete "${formatGestureName(sign.name)}": ${error.message}`);
+                return;
+            }
+            pipeline.reloadCustomSigns();
+            setCustomSignStatus(`Deleted "${formatGestureName(sign.name)}".`);
+            renderCustomSigns();
+        });
+
+        item.append(name, remove);
+        customSignList.appendChild(item);
+    }
+}
+
+document.getElementById('custom-sign-record')?.addEventListener('click', () => {
+    const label = document.getElementById('custom-sign-label').value;
+    if (!label.trim()) {
+        setCustomSignStatus('Enter a name for the sign first.');
+        return;
+    }
+
+    sampleRecorder.count = parseInt(document.getElementById('custom-sign-count').value, 10) || 30;
+    let remaining = RECORD_COUNTDOWN_S;
+    setCustomSignStatus(`Get ready... ${remaining}`);
+
+    const countdown = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            setCustomSignStatus(`Get ready... ${remaining}`);
+            return;
+        }
+        clearInterval(countdown);
+        setCustomSignStatus('Recording... hold the sign');
+        sampleRecorder.start(label);
+    }, 1000);
+});
+
+async function recordCustomSample(hands) {
+    const progress = sampleRecorder.push(hands);
+    if (!progress) return;
+
+    if (!progress.done) {
+        setCustomSignStatus(`Recording... ${Math.round(progress.progress * 100)}%`);
+        return;
+    }
+
+    try {
+        const name = await customSigns.addSamples(sampleRecorder.label, progress.samples);
+        pipeline.reloadCustomSigns();
+        setCustomSignStatus(`Saved ${progress.samples.length} samples of "${formatGestureName(name)}".`);
+        renderCustomSigns();
+    } catch (error) {
+        setCustomSignStatus(`Could not save sign: ${error.message}`);
+    }
+}
+
+document.getElementById('custom-sign-export')?.addEventListener('click', () => {
+    const data = JSON.stringify(customSigns.exportDataset(), null, 2);
+    const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'signlens-custom-signs.json';
+    link.click();
+    URL.revokeObjectURL(url);
+});
+
+const customSignFile = document.getElementById('custom-sign-file');
+document.getElementById('custom-sign-import')?.addEventListener('click', () => customSignFile.click());
+customSignFile?.addEventListener('change', async () => {
+    const file = customSignFile.files[0];
+    if (!file) return;
+    try {
+        await customSigns.importDataset(JSON.parse(await file.text()));
+        pipeline.reloadCustomSigns();
+        setCustomSignStatus(`Imported ${file.name}.`);
+        renderCustomSigns();
+    } catch (error) {
+        setCustomSignStatus(`Import failed: ${error.message}`);
+    }
+    customSignFile.value = '';
+});
+
+// ========================================
+// MEDIAPIPE HANDS SETUP
+// ========================================
+
+// MediaPipe Hands is started by the lens in initializeApp().
+
+// ========================================
+// DEBUG INSPECTOR
+// ========================================
+const inspector = new DebugInspector(gestureDetector);
+const debugInfo = document.getElementById('debug-info');
+const debugTimeline = document.getElementById('debug-timeline');
+const debugInspector = document.getElementById('debug-inspector');
+
+// The lens draws the landmarks when the overlay setting is on, unless the
+// inspector does, which draws its own
+function showsLandmarks() {
+    return settings.get('overlay') && !settings.get('inspector');
+}
+
+/**
+ * Shows or hides the debug panel and the inspector's overlay.
+ * @param {boolean} enabled
+ */
+function showInspector(enabled) {
+    if (debugInfo) debugInfo.hidden = !enabled;
+    inspector.reset();
+}
+
+showInspector(settings.get('inspector'));
+
+/**
+ * Records the frame the detector just processed and inspects it.
+ * @param {number} now - The frame timestamp.
+ * @returns {object|null} - The inspector's snapshot, null while it is off.
+ */
+function inspectFrame(now) {
+    if (!settings.get('inspector')) return null;
+    inspector.record(now);
+    return inspector.snapshot();
+}
+
+/**
+ * Updates the debug panel with a snapshot from inspectFrame().
+ * @param {object} snapshot
+ */
+function renderInspector(snapshot) {
+    if (debugInspector) inspector.render(debugInspector, snapshot);
+    if (debugTimeline) inspector.drawTimeline(debugTimeline);
+}
+
 // ========================================
 // MEDIAPIPE RESULTS CALLBACK
 // ========================================
-hands.onResults((results) => {
-    // Clear canvas
-    canvasCtx.save();
-    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-    
-    // Draw video frame
-    canvasCtx.drawImage(results.image, 0, 0, canvasElement.width, canvasElement.height);
+lens.on('frame', ({ results, frame, info, replayed, word }) => {
+    handleResults(results, frame, word);
+    if (info) logInputFrame(info, results, frame);
+    if (!replayed) renderPipelineStats();
+});
+
+lens.on('error', ({ error, during }) => {
+    // Start failures are shown by initializeApp()
+    if (during !== 'frame') return;
+    console.error('Gesture detection error:', error);
+    gestureText.textContent = 'Detection Error';
+    gestureText.style.color = '#ff0000';
+});
+
+const debugStats = document.getElementById('debug-stats');
+
+/**
+ * Shows the frame rate, latency and skipped frames in the debug panel.
+ */
+function renderPipelineStats() {
+    if (!debugStats) return;
+    const { fps, latencyMs, inferenceMs, classifyMs, skipped } = pipeline.stats.summary;
+    const where = pipeline.mode === 'worker' ? 'worker' : 'main thread';
+    debugStats.textContent = `${fps.toFixed(1)} fps, latency ${latencyMs.toFixed(0)} ms ` +
+        `(inference ${inferenceMs.toFixed(0)} ms, classification ${classifyMs.toFixed(1)} ms) ` +
+        `on the ${where}, ${skipped} frames skipped/s`;
+}
+
+/**
+ * Acts on one frame, live or replayed, once the lens has drawn and
+ * transcribed it: the app's overlays, panels and recorders.
+ * @param {object} results - MediaPipe Hands results (replayed frames have no image).
+ * @param {object} frame - { timestamp, detection } from the pipeline.
+ * @param {string} word - The word being spelled.
+ */
+function handleResults(results, frame, word) {
+    const now = frame.timestamp;
+    const inspection = inspectFrame(now);
 
-    // Draw hand landmarks if detected
     if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        for (const landmarks of results.multiHandLandmarks) {
-            // Draw connections (lines between landmarks)
-            drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, {
-                color: '#00FF00',
-                lineWidth: 2
-            });
-            
-            // Draw landmarks (points)
-            drawLandmarks(canvasCtx, landmarks, {
-                color: '#FF0000',
-                lineWidth: 1,
-                radius: 3
-            });
-        }
+        // The lens draws the landmarks unless the inspector is on, which draws its own
+        if (inspection) inspector.drawOverlay(canvasCtx, inspection);
 
         // Debug: Show number of hands detected
         if (debugText) {
@@ -113,90 +935,463 @@ hands.onResults((results) => {
         }
     }
 
-    canvasCtx.restore();
+    if (inspection) renderInspector(inspection);
+
+    sessionRecorder.push(results, now);
+
+    const { detection } = frame;
+    const { motionSigns, dominantHand, nonDominantHand } = gestureDetector.handTracker;
+
+    // Feed the custom sign recorder while it is capturing samples
+    recordCustomSample([dominantHand, nonDominantHand].filter(Boolean));
+
+    updatePractice(now);
+    drawPracticeOverlay();
+    updateCalibration(dominantHand || nonDominantHand, now);
+
+    if (spelledWord) spelledWord.textContent = word;
+
+    if (motionSigns.length > 0) {
+        // Motion signs are momentary, so keep them on screen for a while.
+        lastMotionSign = motionSigns[motionSigns.length - 1];
+        updateGestureUI({
+            label: lastMotionSign.name,
+            confidence: lastMotionSign.confidence,
+            candidates: []
+        });
+    } else if (!lastMotionSign || now - lastMotionSign.end > MOTION_SIGN_DISPLAY_MS) {
+        lastMotionSign = null;
+        updateGestureUI(detection);
+    }
+}
+
+// ========================================
+// SESSION RECORDING & REPLAY
+// ========================================
+const sessionRecorder = new SessionRecorder();
+const sessionStatus = document.getElementById('session-status');
+const sessionFile = document.getElementById('session-file');
+let sessionReplay = null; // AbortController of the running replay
 
-    // ========================================
-    // GESTURE DETECTION (INTEGRATED)
-    // ========================================
+function setSessionStatus(message) {
+    if (sessionStatus) sessionStatus.textContent = message;
+}
+
+document.getElementById('session-record')?.addEventListener('click', (event) => {
+    if (!sessionRecorder.recording) {
+        sessionRecorder.start();
+        event.target.textContent = 'Stop & Save Session';
+        setSessionStatus('Recording landmarks...');
+        return;
+    }
+
+    const session = sessionRecorder.stop({ pack: gestureDetector.registry.pack?.id });
+    event.target.textContent = 'Record Session';
+    setSessionStatus(`Saved ${session.frames.length} frames. Add the signs you made as "expected" to use it as a regression test.`);
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(session)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `signlens-session-${session.startedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+});
+
+document.getElementById('session-replay')?.addEventListener('click', () => {
+    if (sessionReplay) {
+        sessionReplay.abort();
+        return;
+    }
+    sessionFile.click();
+});
+
+sessionFile?.addEventListener('change', async () => {
+    const file = sessionFile.files[0];
+    sessionFile.value = '';
+    if (!file) return;
+
+    let session;
     try {
-        const gesture = gestureDetector.process(results);
-        updateGestureUI(gesture);
+        session = validateSession(JSON.parse(await file.text()));
     } catch (error) {
-        console.error('Gesture detection error:', error);
-        gestureText.textContent = 'Detection Error';
-        gestureText.style.color = '#ff0000';
+        setSessionStatus(`Cannot replay ${file.name}: ${error.message}`);
+        return;
     }
+
+    const speed = parseFloat(document.getElementById('session-speed').value) || 1;
+    const replayButton = document.getElementById('session-replay');
+    sessionReplay = new AbortController();
+    replayButton.textContent = 'Stop Replay';
+    setSessionStatus(`Replaying ${file.name} at ${speed}x...`);
+
+    // Frames from the input source are ignored until the replay ends
+    await lens.replay(session, { speed, signal: sessionReplay.signal });
+
+    setSessionStatus(sessionReplay.signal.aborted ? 'Replay stopped.' : 'Replay finished.');
+    sessionReplay = null;
+    replayButton.textContent = 'Replay Session';
 });
 
 // ========================================
 // UI UPDATE FUNCTION
 // ========================================
-function updateGestureUI(gesture) {
+function updateGestureUI(detection) {
   const gestureTextElement = document.getElementById('gesture-text');
+  const confidenceElement = document.getElementById('gesture-confidence');
   
   if (!gestureTextElement) {
     console.error('Gesture text element not found!');
     return;
   }
   
-  if (!gesture) {
+  if (!detection) {
     gestureTextElement.textContent = "No gesture detected";
     gestureTextElement.style.color = "#999";
+    if (confidenceElement) confidenceElement.textContent = "";
     return;
   }
 
-  const displayName = formatGestureName(gesture);
-  gestureTextElement.textContent = displayName;
+  if (confidenceElement) {
+    const alternatives = detection.candidates
+      .filter(c => c.label !== detection.label && c.confidence > 0)
+      .map(c => `${displayName(c.label)} ${formatPercent(c.confidence)}`);
+    confidenceElement.textContent = `Confidence ${formatPercent(detection.confidence)}` +
+      (alternatives.length ? ` · Alternatives: ${alternatives.join(', ')}` : "");
+  }
+
+  gestureTextElement.textContent = displayName(detection.label);
   gestureTextElement.style.color = "#00ff00";
+}
 
-  gestureTextElement.classList.add('gesture-detected');
+// Pulse the gesture text once when a new gesture starts
+lens.on('gesture', ({ motion }) => {
+  if (motion) return;
+  gestureText.classList.add('gesture-detected');
   setTimeout(() => {
-    gestureTextElement.classList.remove('gesture-detected');
+    gestureText.classList.remove('gesture-detected');
   }, 300);
+});
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
 }
 
-function formatGestureName(gesture) {
-  return gesture
-    .split('_')
-    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
-    .join(' ');
+// ========================================
+// SETTINGS
+// ========================================
+// Settings that need MediaPipe Hands options changed
+const HANDS_SETTINGS = [
+    'maxNumHands', 'modelComplexity', 'minDetectionConfidence', 'minTrackingConfidence', 'mirror'
+];
+// Settings read by the gesture detector
+const DETECTOR_SETTINGS = [
+    'dominantHand', 'minConfidence', 'voteWindow', 'enterVotes', 'exitVotes',
+    'openCurl', 'pointMargin', 'handsClose', 'mirror'
+];
+const settingsStatus = document.getElementById('settings-status');
+
+function setSettingsStatus(message) {
+    if (settingsStatus) settingsStatus.textContent = message;
 }
 
+settings.onChange(async (changed, values) => {
+    if (changed.some(key => HANDS_SETTINGS.includes(key))) lens.setHandsOptions(currentHandsOptions());
+    if (changed.some(key => DETECTOR_SETTINGS.includes(key))) lens.configure(currentDetectorConfig());
+    if (changed.includes('dominantHand')) signAvatar?.configure({ dominantHand: values.dominantHand });
+    if (changed.includes('inspector')) showInspector(values.inspector);
+    if (changed.includes('overlay') || changed.includes('inspector')) lens.options.overlay = showsLandmarks();
+
+    if (changed.includes('resolution') && isCameraInput()) {
+        try {
+            await useCamera();
+        } catch (error) {
+            console.error('Could not restart the camera:', error);
+            setSettingsStatus(`Camera restart failed: ${error.message}`);
+        }
+    }
+});
+
+const settingsPanel = document.getElementById('settings-panel');
+if (settingsPanel) renderSettings(settingsPanel, settings, setSettingsStatus);
+
+document.getElementById('settings-export')?.addEventListener('click', () => downloadProfile(settings));
+
+document.getElementById('settings-reset')?.addEventListener('click', () => {
+    settings.reset();
+    setSettingsStatus('Settings reset to defaults.');
+});
+
+const settingsFile = document.getElementById('settings-file');
+document.getElementById('settings-import')?.addEventListener('click', () => settingsFile.click());
+settingsFile?.addEventListener('change', async () => {
+    const file = settingsFile.files[0];
+    if (!file) return;
+    try {
+        const problems = settings.importProfile(JSON.parse(await file.text()));
+        setSettingsStatus(problems.length > 0
+            ? `Imported ${file.name}; defaults used where: ${problems.join('; ')}`
+            : `Imported ${file.name}.`);
+    } catch (error) {
+        setSettingsStatus(`Import failed: ${error.message}`);
+    }
+    settingsFile.value = '';
+});
+
+
 
 // ========================================
-// CAMERA SETUP
+// INPUT SOURCES
 // ========================================
-const camera = new Camera(videoElement, {
-    onFrame: async () => {
-        await hands.send({ image: videoElement });
-    },
-    width: 640,
-    height: 480
+const CAMERA_STORAGE_KEY = 'signlens-camera';
+const inputStatus = document.getElementById('input-status');
+const cameraSelect = document.getElementById('input-camera');
+const videoControls = document.getElementById('input-video-controls');
+const playButton = document.getElementById('input-play');
+const seekSlider = document.getElementById('input-seek');
+const everyFrameToggle = document.getElementById('input-every-frame');
+const frameResultsButton = document.getElementById('input-export');
+let frameLog = null; // Per-frame results of a video or image folder
+
+function setInputStatus(message) {
+    if (inputStatus) inputStatus.textContent = message;
+}
+
+// Recorded footage is shown as it is; only the camera follows the mirror setting.
+function isCameraInput(source = lens.source) {
+    return !source || source.kind === 'camera';
+}
+
+/**
+ * MediaPipe Hands options from the settings, for an input source.
+ * @param {object|null} [source] - The lens's current source by default.
+ * @returns {object}
+ */
+function currentHandsOptions(source = lens.source) {
+    const options = handsOptions(settings.values);
+    if (!isCameraInput(source)) options.selfieMode = false;
+    return options;
+}
+
+function formatTime(seconds) {
+    const s = Math.floor(seconds || 0);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Switches the lens to another source, starting it when it is stopped,
+ * with the mirror settings for that kind of source.
+ * @param {CameraSource|VideoFileSource|ImageFolderSource} source
+ */
+async function useInput(source) {
+    const log = source.kind === 'camera' ? null : new FrameResultLog(source);
+    frameLog = log;
+
+    lens.setHandsOptions(currentHandsOptions(source));
+    lens.configure(currentDetectorConfig(source));
+
+    if (source.kind === 'video') {
+        source.onEnd(() => {
+            renderInputControls();
+            setInputStatus(`${source.name}: finished, ${log.frames.length} frames processed.`);
+        });
+    }
+    if (source.kind === 'images') {
+        source.onEnd(() => {
+            if (source !== lens.source) return;
+            const failed = source.failed.length > 0
+                ? ` Could not read ${source.failed.length}: ${source.failed.join(', ')}.`
+                : '';
+            setInputStatus(`${source.name}: ${log.frames.length} of ${source.count} images processed.${failed}`);
+        });
+    }
+
+    await lens.useSource(source);
+    setInputStatus(source.kind === 'camera' ? `Camera: ${source.name}` : `Processing ${source.name}...`);
+    renderInputControls();
+}
+
+/**
+ * Logs the result of a video file or image folder frame and shows the progress.
+ * @param {object} info - The frame info, see input.js.
+ * @param {object} results - MediaPipe Hands results.
+ * @param {object} frame - { timestamp, detection } from the pipeline.
+ */
+function logInputFrame(info, results, frame) {
+    const source = lens.source;
+    const raw = gestureDetector.handTracker.rawDetection;
+    frameLog.add(info, results, frame.detection, raw);
+    if (frameResultsButton) frameResultsButton.disabled = false;
+
+    if (source.kind === 'images') {
+        const label = raw && raw.label ? formatGestureName(raw.label) : 'no sign';
+        setInputStatus(`${info.index + 1}/${source.count} ${info.name}: ${label}`);
+    } else if (seekSlider) {
+        seekSlider.value = info.time;
+        document.getElementById('input-time').textContent =
+            `${formatTime(info.time)} / ${formatTime(source.duration)}`;
+    }
+}
+
+function renderInputControls() {
+    const video = lens.source && lens.source.kind === 'video' ? lens.source : null;
+    if (videoControls) videoControls.hidden = !video;
+    if (frameResultsButton) frameResultsButton.disabled = !frameLog || frameLog.frames.length === 0;
+    if (!video) return;
+    if (playButton) playButton.textContent = video.paused ? 'Play' : 'Pause';
+    if (seekSlider) seekSlider.max = video.duration;
+}
+
+/**
+ * Starts the camera chosen in the picker, at the resolution in the settings.
+ */
+async function useCamera() {
+    const deviceId = cameraSelect?.value || localStorage.getItem(CAMERA_STORAGE_KEY) || null;
+    const resolution = parseResolution(settings.get('resolution'));
+    try {
+        await useInput(new CameraSource(videoElement, { deviceId, ...resolution }));
+    } catch (error) {
+        // The saved camera may be unplugged; fall back to the default one
+        if (!deviceId || error.name !== 'OverconstrainedError') throw error;
+        localStorage.removeItem(CAMERA_STORAGE_KEY);
+        await useInput(new CameraSource(videoElement, resolution));
+    }
+    await renderCameraList();
+}
+
+/**
+ * Fills the camera picker. Camera names are only known once access is granted.
+ */
+async function renderCameraList() {
+    if (!cameraSelect) return;
+    const cameras = await CameraSource.devices();
+    const source = lens.source;
+    const selected = source && source.kind === 'camera' && source.stream
+        ? source.stream.getVideoTracks()[0]?.getSettings().deviceId
+        : localStorage.getItem(CAMERA_STORAGE_KEY);
+    cameraSelect.replaceChildren(...cameras.map(camera => new Option(camera.label, camera.deviceId)));
+    if (cameras.some(camera => camera.deviceId === selected)) cameraSelect.value = selected;
+}
+
+cameraSelect?.addEventListener('change', async () => {
+    localStorage.setItem(CAMERA_STORAGE_KEY, cameraSelect.value);
+    try {
+        await useCamera();
+    } catch (error) {
+        setInputStatus(`Could not start the camera: ${error.message}`);
+    }
+});
+
+navigator.mediaDevices?.addEventListener?.('devicechange', () => {
+    renderCameraList().catch(error => console.warn('Could not list cameras:', error));
+});
+
+document.getElementById('input-use-camera')?.addEventListener('click', async () => {
+    try {
+        await useCamera();
+    } catch (error) {
+        setInputStatus(`Could not start the camera: ${error.message}`);
+    }
+});
+
+const videoFile = document.getElementById('input-video-file');
+document.getElementById('input-open-video')?.addEventListener('click', () => videoFile.click());
+videoFile?.addEventListener('change', async () => {
+    const file = videoFile.files[0];
+    videoFile.value = '';
+    if (!file) return;
+    try {
+        await useInput(new VideoFileSource(videoElement, file, { everyFrame: Boolean(everyFrameToggle?.checked) }));
+    } catch (error) {
+        setInputStatus(`Cannot play ${file.name}: ${error.message}`);
+    }
+});
+
+const imageFolder = document.getElementById('input-image-folder');
+document.getElementById('input-open-images')?.addEventListener('click', () => imageFolder.click());
+imageFolder?.addEventListener('change', async () => {
+    const source = new ImageFolderSource(imageFolder.files);
+    imageFolder.value = '';
+    if (source.count === 0) {
+        setInputStatus('No images found in that folder.');
+        return;
+    }
+    try {
+        await useInput(source);
+    } catch (error) {
+        setInputStatus(`Cannot process ${source.name}: ${error.message}`);
+    }
+});
+
+playButton?.addEventListener('click', async () => {
+    const video = lens.source;
+    if (!video || video.kind !== 'video') return;
+    if (video.paused) {
+        try {
+            await video.play();
+        } catch (error) {
+            setInputStatus(`Cannot play ${video.name}: ${error.message}`);
+        }
+    } else {
+        video.pause();
+    }
+    renderInputControls();
+});
+
+seekSlider?.addEventListener('input', () => {
+    if (lens.source && lens.source.kind === 'video') lens.source.seek(parseFloat(seekSlider.value));
+});
+
+everyFrameToggle?.addEventListener('change', () => {
+    if (lens.source && lens.source.kind === 'video') lens.source.setEveryFrame(everyFrameToggle.checked);
+});
+
+frameResultsButton?.addEventListener('click', () => {
+    if (frameLog) downloadFrameResults(frameLog);
 });
 
+// ========================================
+// OFFLINE SUPPORT
+// ========================================
+// The service worker caches the app and the MediaPipe assets (see sw.js)
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register(`sw.js?assets=${encodeURIComponent(ASSET_BASE)}`)
+        .catch(error => console.warn('Offline support unavailable:', error));
+}
+
 // ========================================
 // INITIALIZE APPLICATION
 // ========================================
 async function initializeApp() {
     try {
         console.log('Starting SignLens...');
+        checkSignRules();
         
-        // Start camera
-        await camera.start();
-        console.log('Camera started successfully');
-
-        // Set canvas size to match video
-        canvasElement.width = 640;
-        canvasElement.height = 480;
+        // Load recorded custom signs (storage may be unavailable, e.g. private mode)
+        customSigns.load()
+            .then(renderCustomSigns)
+            .catch(error => console.warn('Custom signs unavailable:', error));
 
+        await startRecognition();
         console.log('SignLens initialized successfully!');
     } catch (error) {
-        console.error('Initialization error:', error);
-        gestureText.textContent = 'Error: ' + error.message;
-        gestureText.style.color = '#ff0000';
+        showStartError(error);
     }
 }
 
+/**
+ * Starts the lens with the camera: MediaPipe (in the worker when possible), then the camera.
+ */
+async function startRecognition() {
+    await useCamera();
+    console.log(`Detection running ${pipeline.mode === 'worker' ? 'in a worker' : 'on the main thread'}`);
+}
+
+function showStartError(error) {
+    console.error('Initialization error:', error);
+    gestureText.textContent = 'Error: ' + error.message;
+    gestureText.style.color = '#ff0000';
+}
+
 // ========================================
 // START APPLICATION
 // ========================================
@@ -220,12 +1415,20 @@ window.addEventListener('resize', () => {
 // ========================================
 // CLEANUP ON PAGE UNLOAD
 // ========================================
-window.addEventListener('beforeunload', () => {
-    if (camera) {
-        camera.stop();
-    }
+// pagehide also fires where beforeunload does not (mobile browsers, pages
+// going into the back/forward cache), so the camera and the recognizer are
+// always released.
+window.addEventListener('pagehide', () => {
+    lens.stop().catch(error => console.warn('Could not stop recognizing:', error));
     if (recognition) {
         recognition.stop();
     }
+    speechOutput.stop();
     console.log('SignLens stopped');
+});
+
+// A page restored from the back/forward cache has no camera or recognizer
+// left: start them again, keeping the transcript and everything else
+window.addEventListener('pageshow', (event) => {
+    if (event.persisted) startRecognition().catch(showStartError);
 });
\ No newline at end of file
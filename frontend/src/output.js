@@ -0,0 +1,386 @@
+// ========================================
+// SIGNLENS - TRANSCRIPT OUTPUT
+// ========================================
+
+import { Speller } from './gestures/alphabet/speller.js';
+
+/**
+ * Formats a sign name for display, e.g. "THUMBS_UP" -> "Thumbs Up".
+ * @param {string} gesture - The sign name from the registry.
+ * @returns {string}
+ */
+export function formatGestureName(gesture) {
+    return gesture
+        .split('_')
+        .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+        .join(' ');
+}
+
+const TRANSCRIPT_DEFAULTS = {
+    sentenceGapMs: 3000, // A pause this long between signs starts a new sentence
+    historyLimit: 50     // Undo steps kept
+};
+
+/**
+ * Accumulates recognized signs as timestamped tokens grouped into sentences.
+ * Every change can be undone, and the whole transcript exported as plain
+ * text, JSON or SRT subtitles.
+ */
+export class Transcript {
+    constructor(config = {}) {
+        this.config = { ...TRANSCRIPT_DEFAULTS, ...config };
+        this.sentences = [];
+        this.history = [];
+        this.listeners = { change: [], token: [], sentence: [] };
+        this.nextId = 1;
+        this.sentenceOpen = false;
+    }
+
+    /**
+     * Registers a callback run after every change.
+     * @param {Function} listener - Called with the transcript.
+     * @returns {Function} - Removes the listener.
+     */
+    onChange(listener) {
+        return this._listen('change', listener);
+    }
+
+    /**
+     * Registers a callback run when a token is added.
+     * @param {Function} listener - Called with the token.
+     * @returns {Function} - Removes the listener.
+     */
+    onToken(listener) {
+        return this._listen('token', listener);
+    }
+
+    /**
+     * Registers a callback run when a sentence is closed, either explicitly
+     * or because the pause after it grew longer than `sentenceGapMs`.
+     * @param {Function} listener - Called with the sentence and its text.
+     * @returns {Function} - Removes the listener.
+     */
+    onSentence(listener) {
+        return this._listen('sentence', listener);
+    }
+
+    /**
+     * Appends a token, starting a new sentence after a long enough pause.
+     * @param {string} text - Display text of the token.
+     * @param {object} [details] - { timestamp, end, label, source }.
+     * @returns {object} - The new token.
+     */
+    add(text, { timestamp = Date.now(), end = timestamp, label = null, source = 'sign' } = {}) {
+        this._snapshot();
+
+        const token = { id: this.nextId++, text, label, source, start: timestamp, end };
+        const current = this.sentences[this.sentences.length - 1];
+
+        if (this.sentenceOpen && timestamp - current.end > this.config.sentenceGapMs) {
+            this._closeSentence();
+        }
+
+        if (!this.sentenceOpen || !current) {
+            this.sentences.push({ tokens: [token], start: token.start, end: token.end });
+        } else {
+            current.tokens.push(token);
+            current.end = Math.max(current.end, token.end);
+        }
+
+        this.sentenceOpen = true;
+        this._emit('token', token);
+        this._emit();
+        return token;
+    }
+
+    /**
+     * Closes the current sentence; the next token starts a new one.
+     */
+    endSentence() {
+        if (!this.sentenceOpen) return;
+        this._snapshot();
+        this._closeSentence();
+        this._emit();
+    }
+
+    /**
+     * Closes the open sentence once the pause after it is long enough.
+     * Call it periodically so sentences end without waiting for the next sign.
+     * @param {number} [now] - Current time in milliseconds.
+     */
+    tick(now = Date.now()) {
+        const current = this.sentences[this.sentences.length - 1];
+        if (this.sentenceOpen && current && now - current.end > this.config.sentenceGapMs) {
+            this.endSentence();
+        }
+    }
+
+    /**
+     * Removes the most recent token.
+     * @returns {object|null} - The removed token.
+     */
+    deleteLast() {
+        const current = this.sentences[this.sentences.length - 1];
+        if (!current) return null;
+
+        this._snapshot();
+        const token = current.tokens.pop();
+        if (current.tokens.length === 0) {
+            // The sentence is gone, so the next token starts a new one.
+            this.sentences.pop();
+            this.sentenceOpen = false;
+        } else {
+            current.end = current.tokens[current.tokens.length - 1].end;
+        }
+
+        this._emit();
+        return token;
+    }
+
+    /**
+     * Replaces a token's text, or removes the token when the text is empty.
+     * @param {number} id - The token id.
+     * @param {string} text - The new text.
+     */
+    editToken(id, text) {
+        const sentenceIndex = this.sentences.findIndex(s => s.tokens.some(t => t.id === id));
+        if (sentenceIndex === -1) return;
+
+        this._snapshot();
+        const sentence = this.sentences[sentenceIndex];
+        if (text.trim()) {
+            sentence.tokens.find(t => t.id === id).text = text.trim();
+        } else {
+            sentence.tokens = sentence.tokens.filter(t => t.id !== id);
+            if (sentence.tokens.length === 0) {
+                this.sentences.splice(sentenceIndex, 1);
+                if (sentenceIndex === this.sentences.length) this.sentenceOpen = false;
+            }
+        }
+        this._emit();
+    }
+
+    clear() {
+        if (this.sentences.length === 0) return;
+        this._snapshot();
+        this.sentences = [];
+        this.sentenceOpen = false;
+        this._emit();
+    }
+
+    /**
+     * Reverts the last change.
+     * @returns {boolean} - False when there is nothing to undo.
+     */
+    undo() {
+        const previous = this.history.pop();
+        if (!previous) return false;
+
+        this.sentences = previous.sentences;
+        this.sentenceOpen = previous.sentenceOpen;
+        this._emit();
+        return true;
+    }
+
+    get tokens() {
+        return this.sentences.flatMap(s => s.tokens);
+    }
+
+    sentenceText(sentence) {
+        return sentence.tokens.map(t => t.text).join(' ');
+    }
+
+    toText() {
+        return this.sentences.map(s => this.sentenceText(s)).join('\n');
+    }
+
+    toJSON() {
+        return {
+            sentences: this.sentences.map(s => ({
+                text: this.sentenceText(s),
+                start: s.start,
+                end: s.end,
+                tokens: s.tokens.map(({ text, label, source, start, end }) => ({
+                    text, label, source, start, end
+                }))
+            }))
+        };
+    }
+
+    /**
+     * One subtitle cue per sentence, timed from the first token.
+     * @returns {string}
+     */
+    toSRT() {
+        if (this.sentences.length === 0) return '';
+        const origin = this.sentences[0].start;
+
+        return this.sentences.map((s, i) => {
+            // Give short sentences a second on screen, without overlapping the next cue.
+            const next = this.sentences[i + 1];
+            const end = Math.min(Math.max(s.end, s.start + 1000), next ? next.start : Infinity);
+            return `${i + 1}\n${formatSrtTime(s.start - origin)} --> ` +
+                `${formatSrtTime(end - origin)}\n${this.sentenceText(s)}\n`;
+        }).join('\n');
+    }
+
+    _snapshot() {
+        this.history.push({
+            sentences: this.sentences.map(s => ({ ...s, tokens: s.tokens.map(t => ({ ...t })) })),
+            sentenceOpen: this.sentenceOpen
+        });
+        if (this.history.length > this.config.historyLimit) {
+            this.history.shift();
+        }
+    }
+
+    _closeSentence() {
+        this.sentenceOpen = false;
+        const sentence = this.sentences[this.sentences.length - 1];
+        if (sentence) this._emit('sentence', sentence, this.sentenceText(sentence));
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type = 'change', ...args) {
+        const payload = args.length > 0 ? args : [this];
+        for (const listener of this.listeners[type]) listener(...payload);
+    }
+}
+
+/**
+ * Writes what the detector recognizes into a transcript, for the app and
+ * for SignLens: held signs when they start, motion signs when they
+ * complete and, in spelling mode, the fingerspelled words.
+ */
+export class SignTranscriber {
+    /**
+     * @param {Transcript} transcript
+     * @param {object} [options] - { speller, displayName(label) giving a
+     *   sign's token text, controlSigns: { label: Transcript method name }
+     *   for signs that edit the transcript instead of being added to it }.
+     */
+    constructor(transcript, { speller = new Speller(), displayName = formatGestureName, controlSigns = {} } = {}) {
+        this.transcript = transcript;
+        this.speller = speller;
+        this.displayName = displayName;
+        this.controlSigns = controlSigns;
+    }
+
+    /**
+     * Adds a sign, or applies it when it is a control sign. Held signs are
+     * passed here when the detector reports that they started.
+     * @param {string} label - Sign name from the registry.
+     * @param {number} [timestamp]
+     */
+    sign(label, timestamp = Date.now()) {
+        const action = this.controlSigns[label];
+        if (action) {
+            this.transcript[action]();
+        } else {
+            this.transcript.add(this.displayName(label), { timestamp, label });
+        }
+    }
+
+    /**
+     * Takes the signs of one frame: its motion signs, or in spelling mode
+     * the held letter and motion letters, which go to the speller.
+     * @param {string|null} label - The frame's held sign.
+     * @param {Array<object>} motionSigns - Motion signs completed in the frame.
+     * @param {number} timestamp - Frame time in milliseconds.
+     * @param {boolean} spelling - Whether the detector is in spelling mode.
+     * @returns {string} - The word being spelled.
+     */
+    frame(label, motionSigns, timestamp, spelling) {
+        if (!spelling) {
+            for (const sign of motionSigns) this.sign(sign.name);
+            return '';
+        }
+        for (const sign of motionSigns) this.speller.addLetter(sign.name, timestamp);
+        const { word, committed } = this.speller.push(label, timestamp);
+        if (committed) this.transcript.add(committed, { source: 'spelling' });
+        return word;
+    }
+
+    /**
+     * Adds the word being spelled, if any, and starts the next one afresh,
+     * e.g. when leaving spelling mode or stopping.
+     */
+    commitWord() {
+        const word = this.speller.commit();
+        if (word) this.transcript.add(word, { source: 'spelling' });
+        this.speller.reset();
+    }
+}
+
+function formatSrtTime(ms) {
+    const pad = (value, size = 2) => String(Math.floor(value)).padStart(size, '0');
+    return `${pad(ms / 3600000)}:${pad((ms / 60000) % 60)}:${pad((ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+}
+
+const EXPORT_FORMATS = {
+    txt: { type: 'text/plain', serialize: t => t.toText() },
+    json: { type: 'application/json', serialize: t => JSON.stringify(t.toJSON(), null, 2) },
+    srt: { type: 'application/x-subrip', serialize: t => t.toSRT() }
+};
+
+/**
+ * Downloads the transcript in the browser.
+ * @param {Transcript} transcript
+ * @param {string} format - "txt", "json" or "srt".
+ */
+export function downloadTranscript(transcript, format) {
+    const { type, serialize } = EXPORT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([serialize(transcript)], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `signlens-transcript.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Renders the transcript into a container, one paragraph per sentence.
+ * Double-clicking a token lets the user correct or remove it.
+ * @param {HTMLElement} container
+ * @param {Transcript} transcript
+ */
+export function renderTranscript(container, transcript) {
+    container.replaceChildren();
+
+    if (transcript.sentences.length === 0) {
+        container.textContent = 'Recognized signs will appear here.';
+        return;
+    }
+
+    for (const sentence of transcript.sentences) {
+        const line = document.createElement('p');
+        line.className = 'transcript-sentence';
+
+        const time = document.createElement('span');
+        time.className = 'transcript-time';
+        time.textContent = new Date(sentence.start).toLocaleTimeString();
+        line.appendChild(time);
+
+        for (const token of sentence.tokens) {
+            const word = document.createElement('span');
+            word.className = `transcript-token transcript-${token.source}`;
+            word.textContent = token.text;
+            word.title = 'Double-click to edit';
+            word.addEventListener('dblclick', () => {
+                const text = window.prompt('Edit sign (leave empty to remove):', token.text);
+                if (text !== null) transcript.editToken(token.id, text);
+            });
+            line.appendChild(word);
+        }
+
+        container.appendChild(line);
+    }
+
+    container.scrollTop = container.scrollHeight;
+}
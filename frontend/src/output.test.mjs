@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SignTranscriber, Transcript, formatGestureName } from './output.js';
+
+// A transcript of the given [text, timestamp] tokens.
+function transcriptOf(...tokens) {
+    const transcript = new Transcript();
+    tokens.forEach(([text, timestamp]) => transcript.add(text, { timestamp }));
+    return transcript;
+}
+
+test('formatGestureName title-cases sign names', () => {
+    assert.equal(formatGestureName('THUMBS_UP'), 'Thumbs Up');
+});
+
+test('a long pause or endSentence starts a new sentence', () => {
+    const transcript = transcriptOf(['Hello', 0], ['Thanks', 1000], ['Yes', 5000]);
+    assert.equal(transcript.toText(), 'Hello Thanks\nYes');
+
+    transcript.endSentence();
+    transcript.add('No', { timestamp: 5500 });
+    assert.equal(transcript.toText(), 'Hello Thanks\nYes\nNo');
+});
+
+test('deleting the last token of a sentence removes it, and the next token starts a new one', () => {
+    const transcript = transcriptOf(['Hello', 0], ['Yes', 5000]);
+    assert.equal(transcript.deleteLast().text, 'Yes');
+    assert.equal(transcript.sentences.length, 1);
+
+    transcript.add('No', { timestamp: 5500 });
+    assert.equal(transcript.toText(), 'Hello\nNo');
+});
+
+test('editing a token to nothing removes it, and an emptied last sentence is closed', () => {
+    const transcript = transcriptOf(['Hello', 0], ['Yes', 5000]);
+    const [hello, yes] = transcript.tokens;
+
+    transcript.editToken(hello.id, ' Hi ');
+    transcript.editToken(yes.id, '');
+    assert.equal(transcript.toText(), 'Hi');
+
+    transcript.add('No', { timestamp: 5500 });
+    assert.equal(transcript.toText(), 'Hi\nNo');
+});
+
+test('undo reverts each change, including whether the sentence is open', () => {
+    const transcript = transcriptOf(['Hello', 0]);
+    transcript.endSentence();
+    transcript.add('Yes', { timestamp: 500 });
+    transcript.deleteLast();
+    assert.equal(transcript.toText(), 'Hello');
+
+    assert.ok(transcript.undo());
+    assert.equal(transcript.toText(), 'Hello\nYes');
+    assert.ok(transcript.undo());
+    assert.ok(transcript.undo());
+    transcript.add('Again', { timestamp: 500 });
+    assert.equal(transcript.toText(), 'Hello Again');
+
+    transcript.clear();
+    assert.ok(transcript.undo());
+    assert.ok(transcript.undo());
+    assert.ok(transcript.undo());
+    assert.ok(!transcript.undo());
+    assert.equal(transcript.toText(), '');
+});
+
+test('change listeners run on every change until removed', () => {
+    const transcript = new Transcript();
+    let changes = 0;
+    const remove = transcript.onChange(() => changes++);
+    transcript.add('Hello', { timestamp: 0 });
+    transcript.endSentence();
+    remove();
+    transcript.add('Yes', { timestamp: 100 });
+    assert.equal(changes, 2);
+});
+
+test('exports give one SRT cue per sentence, at least a second long', () => {
+    const transcript = transcriptOf(['Hello', 1000], ['Yes', 6000]);
+    assert.equal(
+        transcript.toSRT(),
+        '1\n00:00:00,000 --> 00:00:01,000\nHello\n\n2\n00:00:05,000 --> 00:00:06,000\nYes\n'
+    );
+    assert.deepEqual(transcript.toJSON().sentences.map(s => s.text), ['Hello', 'Yes']);
+});
+
+test('a sentence emptied by deleteLast or editToken is closed without being reported, and undo reopens it', () => {
+    const transcript = new Transcript();
+    const closed = [];
+    transcript.onSentence((sentence, text) => closed.push(text));
+    transcript.add('Hello', { timestamp: 0 });
+    transcript.add('Thanks', { timestamp: 1000 });
+    transcript.add('Yes', { timestamp: 5000 });
+    assert.deepEqual(closed, ['Hello Thanks']);
+
+    transcript.deleteLast();
+    assert.equal(transcript.sentenceOpen, false);
+    transcript.endSentence();
+    transcript.tick(60000);
+    assert.equal(transcript.toText(), 'Hello Thanks');
+
+    const no = transcript.add('No', { timestamp: 5500 });
+    assert.equal(transcript.sentenceOpen, true);
+    transcript.editToken(no.id, '');
+    assert.equal(transcript.sentenceOpen, false);
+    transcript.tick(60000);
+    assert.equal(transcript.toText(), 'Hello Thanks');
+    assert.deepEqual(closed, ['Hello Thanks']);
+
+    assert.ok(transcript.undo());
+    assert.equal(transcript.sentenceOpen, true);
+    transcript.add('Maybe', { timestamp: 6000 });
+    assert.equal(transcript.toText(), 'Hello Thanks\nNo Maybe');
+    assert.deepEqual(closed, ['Hello Thanks']);
+
+    // A sentence closed by the pause after it is reported once
+    transcript.tick(7000);
+    assert.deepEqual(closed, ['Hello Thanks']);
+    transcript.tick(10000);
+    transcript.endSentence();
+    assert.deepEqual(closed, ['Hello Thanks', 'No Maybe']);
+});
+
+test('the sign transcriber adds held and motion signs, and applies control signs', () => {
+    const transcript = new Transcript();
+    const transcriber = new SignTranscriber(transcript, { controlSigns: { THUMBS_DOWN: 'deleteLast' } });
+
+    transcriber.sign('THUMBS_UP');
+    assert.equal(transcriber.frame('THUMBS_UP', [{ name: 'HELLO' }], 100, false), '');
+    assert.equal(transcript.toText(), 'Thumbs Up Hello');
+    assert.deepEqual(transcript.tokens.map(token => token.label), ['THUMBS_UP', 'HELLO']);
+
+    transcriber.sign('THUMBS_DOWN');
+    assert.equal(transcript.toText(), 'Thumbs Up');
+});
+
+test('in spelling mode the transcriber adds spelled words, not signs', () => {
+    const transcript = new Transcript();
+    const transcriber = new SignTranscriber(transcript);
+
+    transcriber.frame('LETTER_H', [], 0, true);
+    assert.equal(transcriber.frame('LETTER_H', [], 500, true), 'H');
+    transcriber.frame('LETTER_I', [], 600, true);
+    assert.equal(transcriber.frame('LETTER_I', [], 1000, true), 'HI');
+    // Motion letters are typed when they complete
+    assert.equal(transcriber.frame(null, [{ name: 'LETTER_J' }], 1100, true), 'HIJ');
+    assert.equal(transcript.toText(), '');
+
+    // A pause ends the word
+    transcriber.frame(null, [], 5000, true);
+    assert.equal(transcriber.frame(null, [], 5100, true), '');
+    assert.deepEqual(transcript.tokens.map(({ text, source }) => [text, source]), [['HIJ', 'spelling']]);
+
+    transcriber.frame('LETTER_A', [], 6000, true);
+    transcriber.frame('LETTER_A', [], 6500, true);
+    transcriber.commitWord();
+    transcriber.commitWord();
+    assert.equal(transcript.toText(), 'HIJ A');
+});
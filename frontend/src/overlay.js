@@ -0,0 +1,40 @@
+// ========================================
+// SIGNLENS - CAMERA OVERLAY
+// ========================================
+// Drawing a processed frame on a canvas, for the app and SignLens. Uses
+// MediaPipe's drawing utilities, loaded as globals (see assets.js).
+
+/**
+ * Draws a frame's camera image over the whole canvas, or fills it black
+ * when there is none (replayed sessions have landmarks only).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} results - MediaPipe Hands results from the pipeline.
+ */
+export function drawCameraImage(ctx, results) {
+    const { width, height } = ctx.canvas;
+    ctx.save();
+    if (results.image) {
+        // Frames from the worker come with the raw video, which selfie view mirrors
+        if (results.mirrorImage) {
+            ctx.translate(width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(results.image, 0, 0, width, height);
+    } else {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws the landmarks of each hand and the bones between them.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<Array<object>>} multiHandLandmarks - Normalized landmarks per hand.
+ */
+export function drawHandLandmarks(ctx, multiHandLandmarks) {
+    for (const landmarks of multiHandLandmarks) {
+        drawConnectors(ctx, landmarks, HAND_CONNECTIONS, { color: '#00FF00', lineWidth: 2 });
+        drawLandmarks(ctx, landmarks, { color: '#FF0000', lineWidth: 1, radius: 3 });
+    }
+}
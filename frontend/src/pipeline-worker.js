@@ -0,0 +1,131 @@
+// ========================================
+// SIGNLENS - DETECTION WORKER
+// ========================================
+// Runs MediaPipe Hands and the gesture detector off the main thread, for
+// FramePipeline (pipeline.js). A classic worker, so the MediaPipe script
+// can be loaded with importScripts(); the detector modules come in with
+// import().
+//
+// Messages in:  init, frame (a transferred ImageBitmap), options,
+//               configure, reset, pack, custom-signs
+// Messages out: ready, error (init failed), result, failed (a frame
+//               could not be processed), events (from configure/reset/pack)
+
+let hands = null;
+let detector = null;
+let customSigns = null;
+let loadPack = null;
+let frame = null;   // { id, timestamp, received } of the frame being inferred
+const events = [];  // Gesture events not yet sent to the main thread
+
+function copyResults(results) {
+    return {
+        multiHandLandmarks: (results.multiHandLandmarks || []).map(hand =>
+            hand.map(({ x, y, z }) => ({ x, y, z }))
+        ),
+        multiHandedness: (results.multiHandedness || []).map(({ index, label, score }) => ({ index, label, score }))
+    };
+}
+
+/**
+ * Loads MediaPipe and a detector configured like the main thread's.
+ * @param {object} message - { handsBase, options, config, pack }.
+ */
+async function init({ handsBase, options, config, pack }) {
+    importScripts(`${handsBase}hands.js`);
+    // The @mediapipe/hands bundle loads its WebAssembly by adding <script>
+    // elements to the document, so without one initialize() never settles.
+    // Say so now rather than leave the pipeline waiting for its timeout.
+    if (typeof document === 'undefined') {
+        throw new Error('This MediaPipe Hands build needs a document and cannot run in a worker');
+    }
+    const [detection, custom, packs] = await Promise.all([
+        import('./gesture-detection.js'),
+        import('./gestures/custom/index.js'),
+        import('./gestures/packs/index.js')
+    ]);
+    loadPack = packs.loadPack;
+
+    detector = new detection.ImprovedGestureDetector(config);
+    if (pack) detector.registry.usePack(await loadPack(pack));
+    detector.onGestureStart(event => events.push({ type: 'start', ...event }));
+    detector.onGestureEnd(event => events.push({ type: 'end', ...event }));
+
+    customSigns = new custom.CustomSignSet(detector.registry);
+    await customSigns.load().catch(error => console.warn('Custom signs unavailable in the worker:', error));
+
+    hands = new Hands({ locateFile: file => `${handsBase}${file}` });
+    hands.setOptions(options);
+    hands.onResults(onResults);
+    await hands.initialize();
+}
+
+function onResults(results) {
+    const inferred = performance.now();
+    const { id, timestamp, received } = frame;
+    let error = null;
+    try {
+        detector.process(results, timestamp);
+    } catch (e) {
+        error = e.message;
+    }
+
+    const { dominantHand, nonDominantHand, tracks, motionSigns, lastDetection, rawDetection } = detector.handTracker;
+    postMessage({
+        type: 'result',
+        id,
+        results: copyResults(results),
+        state: { dominantHand, nonDominantHand, tracks, motionSigns, lastDetection, rawDetection },
+        events: events.splice(0),
+        error,
+        timings: { inferenceMs: inferred - received, classifyMs: performance.now() - inferred }
+    });
+}
+
+// Sends gesture events raised outside a frame, e.g. by reset().
+function flushEvents() {
+    if (events.length > 0) postMessage({ type: 'events', events: events.splice(0) });
+}
+
+self.onmessage = async ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            try {
+                await init(data);
+                postMessage({ type: 'ready' });
+            } catch (error) {
+                postMessage({ type: 'error', message: error.message });
+            }
+            break;
+        case 'frame':
+            frame = { id: data.id, timestamp: data.timestamp, received: performance.now() };
+            try {
+                await hands.send({ image: data.bitmap });
+            } catch (error) {
+                postMessage({ type: 'failed', id: data.id, message: error.message });
+            } finally {
+                data.bitmap.close();
+            }
+            break;
+        case 'options':
+            hands.setOptions(data.options);
+            break;
+        case 'configure':
+            detector.configure(data.changes);
+            flushEvents();
+            break;
+        case 'reset':
+            if (data.hands) hands.reset();
+            detector.reset();
+            flushEvents();
+            break;
+        case 'pack':
+            detector.registry.usePack(await loadPack(data.pack));
+            detector.reset();
+            flushEvents();
+            break;
+        case 'custom-signs':
+            await customSigns.load().catch(error => console.warn('Could not reload custom signs:', error));
+            break;
+    }
+};
@@ -0,0 +1,421 @@
+// ========================================
+// SIGNLENS - FRAME PIPELINE
+// ========================================
+
+import { DEFAULT_ASSET_BASE } from './assets.js';
+import { PACKS } from './gestures/packs/index.js';
+
+const PIPELINE_DEFAULTS = {
+    handsBase: `${DEFAULT_ASSET_BASE}hands/`,
+    useWorker: true,
+    initTimeoutMs: 20000, // Worker start-up allowed before falling back to the main thread
+    frameTimeoutMs: 1000, // Time the worker may take over one frame before it is dropped
+    maxLateFrames: 3,     // Frames dropped in a row before falling back to the main thread
+    mainThreadShare: 0.5, // Share of main-thread time inference may take; frames beyond it are skipped
+    maxGapMs: 500,        // Longest gap between processed frames, however slow inference is
+    statsWindowMs: 1000   // Period the frame rate and timings are averaged over
+};
+
+// Weight of the newest frame in the smoothed processing time.
+const LATENCY_SMOOTHING = 0.2;
+
+// A pack as sent to the worker: bundled packs by id, as their signs may
+// have match functions, which do not survive postMessage; others whole.
+function packMessage(pack) {
+    if (!pack) return null;
+    return PACKS.some(p => p.id === pack.id) ? pack.id : pack;
+}
+
+/**
+ * Frame rate, timings and skipped frames over a sliding window.
+ */
+export class FrameStats {
+    constructor(windowMs = PIPELINE_DEFAULTS.statsWindowMs) {
+        this.windowMs = windowMs;
+        this.frames = [];
+        this.skips = [];
+    }
+
+    /**
+     * @param {number} timestamp - When the frame's result arrived, in milliseconds.
+     * @param {object} timings - { latencyMs, inferenceMs, classifyMs }.
+     */
+    record(timestamp, timings) {
+        this.frames.push({ t: timestamp, ...timings });
+        this._trim(timestamp);
+    }
+
+    /**
+     * @param {number} timestamp - When the frame was skipped.
+     */
+    skip(timestamp) {
+        this.skips.push(timestamp);
+        this._trim(timestamp);
+    }
+
+    /**
+     * @returns {object} - { fps, latencyMs, inferenceMs, classifyMs, skipped }, where
+     *   the timings are averages and `skipped` counts the frames skipped in the window.
+     */
+    get summary() {
+        const frames = this.frames;
+        const average = key => frames.length ? frames.reduce((sum, f) => sum + f[key], 0) / frames.length : 0;
+        const span = frames.length > 1 ? frames[frames.length - 1].t - frames[0].t : 0;
+        return {
+            fps: span > 0 ? ((frames.length - 1) * 1000) / span : 0,
+            latencyMs: average('latencyMs'),
+            inferenceMs: average('inferenceMs'),
+            classifyMs: average('classifyMs'),
+            skipped: this.skips.length
+        };
+    }
+
+    reset() {
+        this.frames = [];
+        this.skips = [];
+    }
+
+    _trim(now) {
+        const since = now - this.windowMs;
+        while (this.frames.length > 0 && this.frames[0].t < since) this.frames.shift();
+        while (this.skips.length > 0 && this.skips[0] < since) this.skips.shift();
+    }
+}
+
+/**
+ * Runs MediaPipe Hands and the gesture detector on camera frames. When the
+ * browser can, both run in a worker (pipeline-worker.js): frames go over as
+ * transferred ImageBitmaps and the camera loop does not wait for results.
+ * Otherwise they run on the main thread as before.
+ *
+ * Only one frame is processed at a time. Frames arriving meanwhile are
+ * skipped, and on the main thread frames are also spaced out so inference
+ * takes at most `mainThreadShare` of the time, measured from recent frames.
+ * A worker frame without a result after `frameTimeoutMs` is dropped, and a
+ * worker that keeps missing that deadline is replaced by the main thread.
+ *
+ * The local detector stays the one the app reads: in worker mode it takes
+ * over the worker's state each frame (see ImprovedGestureDetector.applyRemote),
+ * and configure(), reset() and usePack() keep the two in step.
+ */
+export class FramePipeline {
+    constructor(detector, config = {}) {
+        this.detector = detector;
+        this.config = { ...PIPELINE_DEFAULTS, ...config };
+        this.listeners = { result: [] };
+        this.stats = new FrameStats(this.config.statsWindowMs);
+        this.mode = null;      // "worker" or "main" once started
+        this.worker = null;
+        this.hands = null;
+        this.options = {};
+        this.pending = null;   // The frame being processed
+        this.nextId = 0;
+        this.lastSent = -Infinity;
+        this.processingMs = 0; // Smoothed time from sending a frame to its result
+        this.lateFrames = 0;   // Worker frames dropped in a row
+    }
+
+    /**
+     * Registers a callback run with each processed frame.
+     * @param {Function} listener - Called with the MediaPipe results and
+     *   { timestamp, detection, error }. In worker mode the results carry the
+     *   frame's source as `image`, with `mirrorImage` set when it has to be
+     *   drawn mirrored to match the landmarks.
+     * @returns {Function} - Removes the listener.
+     */
+    onResult(listener) {
+        return this._listen('result', listener);
+    }
+
+    /**
+     * Starts the worker, or MediaPipe on the main thread when the worker is
+     * unsupported or fails to start.
+     * @param {object} options - MediaPipe Hands options, see handsOptions().
+     * @returns {Promise<string>} - The mode: "worker" or "main".
+     */
+    async start(options) {
+        this.options = { ...options };
+        if (this.config.useWorker && typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+            try {
+                await this._startWorker();
+                this.mode = 'worker';
+                return this.mode;
+            } catch (error) {
+                console.warn('Detection worker unavailable, running on the main thread:', error);
+                this.worker?.terminate();
+                this.worker = null;
+            }
+        }
+
+        this._startMainThread();
+        return this.mode;
+    }
+
+    /**
+     * Offers a frame for processing. Resolves once it is handed to the
+     * worker, or processed on the main thread; skipped frames resolve at once.
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} image
+     * @param {number} timestamp - Frame time in milliseconds.
+     */
+    async send(image, timestamp) {
+        const now = performance.now();
+        if (!this.mode || !this._due(now)) {
+            this.stats.skip(now);
+            return;
+        }
+        const done = this._sendFrame(image, timestamp);
+        if (this.mode === 'main') await done;
+    }
+
+    /**
+     * Processes a frame without skipping it, after the frame in flight if any,
+     * e.g. each frame of a video file or each image of a folder.
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} image
+     * @param {number} timestamp - Frame time in milliseconds.
+     * @returns {Promise<object|null>} - { results, frame } as passed to the
+     *   result listeners, or null when the frame could not be processed.
+     */
+    async process(image, timestamp) {
+        if (!this.mode) return null;
+        while (this.pending) await this.pending.done;
+        return this._sendFrame(image, timestamp);
+    }
+
+    /**
+     * Runs the local detector on a frame, e.g. a replayed one.
+     * @param {object} results - MediaPipe Hands results.
+     * @param {number} timestamp - Frame time in milliseconds.
+     * @returns {object} - { timestamp, detection, error }.
+     */
+    detect(results, timestamp) {
+        try {
+            return { timestamp, detection: this.detector.process(results, timestamp), error: null };
+        } catch (error) {
+            return { timestamp, detection: null, error };
+        }
+    }
+
+    /**
+     * @param {object} options - MediaPipe Hands options.
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        if (this.mode === 'worker') this.worker.postMessage({ type: 'options', options: this.options });
+        if (this.mode === 'main') this.hands.setOptions(this.options);
+    }
+
+    /**
+     * Reconfigures the detector, see ImprovedGestureDetector.configure().
+     * @param {object} changes
+     */
+    configure(changes) {
+        this.detector.configure(changes);
+        this._post({ type: 'configure', changes });
+    }
+
+    /**
+     * Starts the detector's history over.
+     * @param {object} [options] - { hands: true } also resets MediaPipe's
+     *   tracking, so the next image is searched for hands from scratch.
+     */
+    reset({ hands = false } = {}) {
+        this.detector.reset();
+        this._post({ type: 'reset', hands });
+        if (hands && this.mode === 'main') this.hands.reset();
+    }
+
+    /**
+     * Switches the detector's sign pack and starts its history over.
+     * @param {object} pack - A loaded pack, see loadPack().
+     */
+    usePack(pack) {
+        this.detector.registry.usePack(pack);
+        this.detector.reset();
+        this._post({ type: 'pack', pack: packMessage(pack) });
+    }
+
+    /**
+     * Reloads the custom signs in the worker after they changed in storage.
+     */
+    reloadCustomSigns() {
+        this._post({ type: 'custom-signs' });
+    }
+
+    /**
+     * Stops the worker, or closes MediaPipe on the main thread, and drops
+     * the frame in flight. start() can be called again afterwards.
+     */
+    async close() {
+        const { worker, hands } = this;
+        this.mode = null;
+        this.worker = null;
+        this.hands = null;
+        if (this.pending) this._drop(this.pending);
+        this.lastSent = -Infinity;
+        this.processingMs = 0;
+        this.lateFrames = 0;
+        this.stats.reset();
+        if (worker) worker.terminate();
+        if (hands) await hands.close();
+    }
+
+    _post(message) {
+        if (this.mode === 'worker') this.worker.postMessage(message);
+    }
+
+    // Whether a frame offered now should be processed.
+    _due(now) {
+        if (this.pending) return false;
+        const gap = this.mode === 'main'
+            ? Math.min(this.config.maxGapMs, this.processingMs / this.config.mainThreadShare)
+            : 0;
+        return now - this.lastSent >= gap;
+    }
+
+    // Sends a frame to MediaPipe; resolves with its result, or null when it is dropped.
+    _sendFrame(image, timestamp) {
+        const sent = performance.now();
+        this.lastSent = sent;
+        const frame = { id: ++this.nextId, image, timestamp, sent };
+        frame.done = new Promise(resolve => {
+            frame.resolve = resolve;
+        });
+        this.pending = frame;
+
+        if (this.mode === 'worker') {
+            createImageBitmap(image).then(
+                bitmap => {
+                    this.worker.postMessage({ type: 'frame', id: frame.id, bitmap, timestamp }, [bitmap]);
+                    frame.timer = setTimeout(() => this._dropLateFrame(frame), this.config.frameTimeoutMs);
+                },
+                // E.g. the video has no frame yet
+                () => this._drop(frame)
+            );
+        } else {
+            this.hands.send({ image })
+                .catch(error => console.error('MediaPipe Hands failed on a frame:', error))
+                .finally(() => this._drop(frame));
+        }
+        return frame.done;
+    }
+
+    _drop(frame) {
+        if (this.pending !== frame) return;
+        clearTimeout(frame.timer);
+        this.pending = null;
+        frame.resolve(null);
+    }
+
+    // Drops a worker frame that missed its deadline, so the next one can go.
+    _dropLateFrame(frame) {
+        if (this.pending !== frame) return;
+        this._drop(frame);
+        this.stats.skip(performance.now());
+        if (++this.lateFrames < this.config.maxLateFrames) return;
+
+        console.warn(`Detection worker missed ${this.lateFrames} frames in a row, running on the main thread`);
+        this.worker.terminate();
+        this.worker = null;
+        this.lateFrames = 0;
+        this._startMainThread();
+    }
+
+    _startMainThread() {
+        this.hands = new Hands({ locateFile: file => `${this.config.handsBase}${file}` });
+        this.hands.setOptions(this.options);
+        this.hands.onResults(results => this._onMainResults(results));
+        this.mode = 'main';
+    }
+
+    _startWorker() {
+        this.worker = new Worker(new URL('./pipeline-worker.js', import.meta.url));
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out')), this.config.initTimeoutMs);
+            this.worker.onerror = event => {
+                clearTimeout(timer);
+                reject(new Error(event.message || 'Worker error'));
+            };
+            this.worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    clearTimeout(timer);
+                    this.worker.onmessage = event => this._onWorkerMessage(event.data);
+                    this.worker.onerror = event => {
+                        console.error('Detection worker error:', event.message);
+                        if (this.pending) this._drop(this.pending);
+                    };
+                    resolve();
+                } else if (data.type === 'error') {
+                    clearTimeout(timer);
+                    reject(new Error(data.message));
+                }
+            };
+            this.worker.postMessage({
+                type: 'init',
+                handsBase: new URL(this.config.handsBase, location.href).href,
+                options: this.options,
+                config: this.detector.config,
+                pack: packMessage(this.detector.registry.pack)
+            });
+        });
+    }
+
+    _onWorkerMessage(data) {
+        if (data.type === 'events') {
+            this.detector.applyRemote({}, data.events);
+            return;
+        }
+        if (!this.pending || data.id !== this.pending.id) return;
+        if (data.type === 'failed') {
+            console.error('Detection worker frame failed:', data.message);
+            this._drop(this.pending);
+            return;
+        }
+
+        const { image, timestamp } = this.pending;
+
+        const detection = data.error ? null : this.detector.applyRemote(data.state, data.events);
+        const results = { ...data.results, image, mirrorImage: Boolean(this.options.selfieMode) };
+        this._finish(results, {
+            timestamp,
+            detection,
+            error: data.error ? new Error(data.error) : null
+        }, data.timings);
+    }
+
+    _onMainResults(results) {
+        // Results arrive while hands.send() runs, so a frame is pending
+        if (!this.pending) return;
+        const { timestamp, sent } = this.pending;
+        const inferred = performance.now();
+        const frame = this.detect(results, timestamp);
+        this._finish(results, frame, {
+            inferenceMs: inferred - sent,
+            classifyMs: performance.now() - inferred
+        });
+    }
+
+    _finish(results, frame, timings) {
+        const pending = this.pending;
+        clearTimeout(pending.timer);
+        this.pending = null;
+        this.lateFrames = 0;
+        const now = performance.now();
+        const latencyMs = now - pending.sent;
+        this.processingMs += LATENCY_SMOOTHING * (latencyMs - this.processingMs);
+        this.stats.record(now, { latencyMs, ...timings });
+        this._emit('result', results, frame);
+        pending.resolve({ results, frame });
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
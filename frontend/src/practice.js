@@ -0,0 +1,297 @@
+// ========================================
+// SIGNLENS - PRACTICE MODE
+// ========================================
+
+import { describeRelations } from './gestures/twoHand/relations.js';
+
+const PRACTICE_DEFAULTS = {
+    holdMs: 1000,       // How long the target sign must be held to pass
+    minAccuracy: 0.6    // Lowest per-frame score that counts as holding the sign
+};
+
+const PROGRESS_FORMAT = 'signlens-practice';
+const STORAGE_KEY = 'signlens-practice';
+
+/**
+ * Lesson sets from the signs in a registry: numbers, the fingerspelling
+ * alphabet, other one-hand signs and two-hand signs. Motion and custom
+ * signs are left out, as a single held pose cannot show them.
+ * @param {SignRegistry} registry
+ * @returns {Array<{id: string, name: string, signs: string[]}>} - Empty lessons are omitted.
+ */
+export function buildLessons(registry) {
+    const oneHand = registry.oneHandSigns.filter(s => s.category !== 'custom');
+    const isNumber = s => s.name.startsWith('NUMBER_');
+
+    return [
+        { id: 'numbers', name: 'Numbers', signs: [...oneHand, ...registry.twoHandSigns].filter(isNumber) },
+        { id: 'alphabet', name: 'Alphabet', signs: oneHand.filter(s => s.category === 'letter') },
+        { id: 'handshapes', name: 'Handshapes', signs: oneHand.filter(s => s.category === 'sign' && !isNumber(s)) },
+        {
+            id: 'two-hand',
+            name: 'Two-hand signs',
+            signs: registry.twoHandSigns.filter(s => s.category === 'sign' && !isNumber(s))
+        }
+    ]
+        .map(lesson => ({ ...lesson, signs: lesson.signs.map(s => s.name).sort(byNumberOrName) }))
+        .filter(lesson => lesson.signs.length > 0);
+}
+
+// NUMBER_2 before NUMBER_10, everything else alphabetically.
+function byNumberOrName(a, b) {
+    const number = name => Number((/^NUMBER_(\d+)/.exec(name) || [])[1]);
+    const na = number(a);
+    const nb = number(b);
+    if (!isNaN(na) && !isNaN(nb) && na !== nb) return na - nb;
+    return a.localeCompare(b);
+}
+
+// Finger states of one hand against a finger pattern: true when right,
+// false when wrong and null for fingers the sign does not check.
+function checkFingers(pattern, hand) {
+    const ignored = hand.thresholds ? hand.thresholds.ignoreFingers : [];
+    const result = {};
+    for (const finger of Object.keys(hand.fingers)) {
+        const checked = pattern && finger in pattern && !ignored.includes(finger);
+        result[finger] = checked ? pattern[finger] === hand.fingers[finger] : null;
+    }
+    return result;
+}
+
+/**
+ * Compares hands with a target sign.
+ * @param {SignRegistry} registry
+ * @param {string} name - The target sign.
+ * @param {object} hands - { dominant, nonDominant }, each describeHand() of the hand or null.
+ *   A one-hand sign is compared with the dominant hand, or the only hand shown.
+ * @returns {object} - { accuracy (0-1), matches, shapeOk, fingers: { role: { finger: true|false|null } },
+ *   wrong: { role: [finger] } } where `shapeOk` is false when the fingers are right
+ *   but the sign's other checks (orientation, contact, relations) are not.
+ */
+export function compareWithSign(registry, name, hands) {
+    const sign = registry.get(name);
+    const result = { accuracy: 0, matches: false, shapeOk: true, fingers: {}, wrong: {} };
+    if (!sign) return result;
+
+    const parts = sign.kind === 'twoHand'
+        ? { dominant: sign.dominant, nonDominant: sign.nonDominant }
+        : { [hands.dominant || !hands.nonDominant ? 'dominant' : 'nonDominant']: name };
+
+    let fingersOk = true;
+    for (const [role, part] of Object.entries(parts)) {
+        const hand = hands[role];
+        if (!hand || !part) continue;
+        const fingers = checkFingers(registry.get(part).fingers, hand);
+        result.fingers[role] = fingers;
+        result.wrong[role] = Object.keys(fingers).filter(f => fingers[f] === false);
+        fingersOk = fingersOk && result.wrong[role].length === 0;
+    }
+
+    if (sign.kind === 'twoHand') {
+        if (!hands.dominant || !hands.nonDominant) return result;
+        const relations = describeRelations(hands.dominant, hands.nonDominant);
+        result.accuracy = registry.scoreTwoHand(name, hands.dominant, hands.nonDominant, relations);
+        result.matches = registry.satisfiesTwoHand(name, hands.dominant, hands.nonDominant, relations);
+    } else {
+        const hand = hands.dominant || hands.nonDominant;
+        if (!hand) return result;
+        result.accuracy = registry.scoreOneHand(name, hand);
+        result.matches = registry.satisfies(name, hand);
+    }
+    result.shapeOk = result.matches || !fingersOk;
+    return result;
+}
+
+/**
+ * One practice attempt at a time: the target has to be held for `holdMs`
+ * with at least `minAccuracy` to pass. Accuracy is averaged over the frames
+ * with hands in view; the hold time is the longest unbroken hold.
+ */
+export class PracticeSession {
+    constructor(registry, config = {}) {
+        this.registry = registry;
+        this.config = { ...PRACTICE_DEFAULTS, ...config };
+        this.listeners = { result: [] };
+        this.target = null;
+    }
+
+    /**
+     * Registers a callback run when an attempt ends, passed or skipped.
+     * @param {Function} listener - Called with the attempt result.
+     * @returns {Function} - Removes the listener.
+     */
+    onResult(listener) {
+        return this._listen('result', listener);
+    }
+
+    /**
+     * Starts an attempt at a sign, abandoning any attempt in progress.
+     * @param {string} name
+     * @param {number} [timestamp]
+     */
+    start(name, timestamp = Date.now()) {
+        this.target = name;
+        this.startedAt = timestamp;
+        this.accuracySum = 0;
+        this.frames = 0;
+        this.holdStart = null;
+        this.held = 0;
+        this.bestHold = 0;
+    }
+
+    /**
+     * Scores one frame against the target.
+     * @param {object} hands - { dominant, nonDominant } as for compareWithSign().
+     * @param {number} timestamp - Frame time in milliseconds.
+     * @returns {object|null} - The comparison plus `held` and `progress` (0-1 of
+     *   the hold), or null when no attempt is running.
+     */
+    update(hands, timestamp) {
+        if (!this.target) return null;
+
+        const comparison = compareWithSign(this.registry, this.target, hands);
+        if (hands.dominant || hands.nonDominant) {
+            this.accuracySum += comparison.accuracy;
+            this.frames++;
+        }
+
+        if (comparison.matches && comparison.accuracy >= this.config.minAccuracy) {
+            if (this.holdStart === null) this.holdStart = timestamp;
+            this.held = timestamp - this.holdStart;
+        } else {
+            this.holdStart = null;
+            this.held = 0;
+        }
+        this.bestHold = Math.max(this.bestHold, this.held);
+
+        const state = { ...comparison, held: this.held, progress: Math.min(1, this.held / this.config.holdMs) };
+        if (this.held >= this.config.holdMs) this._finish(true, timestamp);
+        return state;
+    }
+
+    /**
+     * Gives up on the current target; it counts as a failed attempt.
+     * @param {number} [timestamp]
+     */
+    skip(timestamp = Date.now()) {
+        if (this.target) this._finish(false, timestamp);
+    }
+
+    stop() {
+        this.target = null;
+    }
+
+    _finish(passed, timestamp) {
+        const result = {
+            name: this.target,
+            passed,
+            accuracy: this.frames ? this.accuracySum / this.frames : 0,
+            holdMs: this.bestHold,
+            timeMs: timestamp - this.startedAt
+        };
+        this.target = null;
+        this._emit('result', result);
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
+
+/**
+ * Practice history per sign, kept in local storage across sessions. Signs
+ * are keyed by pack, since the same name can be a different sign in
+ * another language.
+ */
+export class PracticeProgress {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage || null;
+        this.signs = {};
+        this._load();
+    }
+
+    /**
+     * @param {string} pack - The pack ID.
+     * @param {string} name - The sign name.
+     * @returns {object} - { attempts, passes, bestAccuracy, bestTimeMs, lastPracticed }.
+     */
+    get(pack, name) {
+        return this.signs[`${pack}:${name}`] ||
+            { attempts: 0, passes: 0, bestAccuracy: 0, bestTimeMs: null, lastPracticed: null };
+    }
+
+    /**
+     * Adds an attempt result from PracticeSession and saves.
+     * @param {string} pack
+     * @param {object} result
+     */
+    record(pack, result) {
+        const entry = { ...this.get(pack, result.name) };
+        entry.attempts++;
+        entry.lastPracticed = Date.now();
+        if (result.passed) {
+            entry.passes++;
+            entry.bestAccuracy = Math.max(entry.bestAccuracy, result.accuracy);
+            entry.bestTimeMs = entry.bestTimeMs === null ? result.timeMs : Math.min(entry.bestTimeMs, result.timeMs);
+        }
+        this.signs[`${pack}:${result.name}`] = entry;
+        this._save();
+    }
+
+    /**
+     * The sign of a lesson to practise next: never passed first, then the
+     * lowest pass rate, then the longest since practised.
+     * @param {string} pack
+     * @param {string[]} signs
+     * @param {string} [exclude] - A sign not to repeat, e.g. the one just practised.
+     * @returns {string|null}
+     */
+    next(pack, signs, exclude = null) {
+        const candidates = signs.length > 1 ? signs.filter(s => s !== exclude) : signs;
+        const rank = name => {
+            const { attempts, passes, lastPracticed } = this.get(pack, name);
+            return [passes > 0 ? 1 : 0, attempts ? passes / attempts : 0, lastPracticed || 0];
+        };
+        return candidates.reduce((best, name) => {
+            if (best === null) return name;
+            const a = rank(name);
+            const b = rank(best);
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] !== b[i]) return a[i] < b[i] ? name : best;
+            }
+            return best;
+        }, null);
+    }
+
+    reset() {
+        this.signs = {};
+        this._save();
+    }
+
+    _load() {
+        const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+        if (!saved) return;
+        try {
+            const data = JSON.parse(saved);
+            if (data.format === PROGRESS_FORMAT && data.signs) this.signs = data.signs;
+        } catch (error) {
+            console.error('Could not read practice progress:', error);
+        }
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ format: PROGRESS_FORMAT, version: 1, signs: this.signs }));
+        } catch (error) {
+            console.error('Could not save practice progress:', error);
+        }
+    }
+}
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PracticeProgress, PracticeSession, buildLessons, compareWithSign } from './practice.js';
+import { createDefaultRegistry, describeHand } from './gestures/registry.js';
+import { loadPack } from './gestures/packs/index.js';
+import { LABELS, handLandmarks } from './gestures/hand-fixtures.mjs';
+
+const registry = createDefaultRegistry();
+
+// The signer's right hand with the given fingers open, by default showing
+// the back of the hand as numbers do.
+const rightHand = (open, turn = { yaw: 180 }) =>
+    describeHand(handLandmarks(open, { ...turn, x: 0.35, hand: 'right' }), LABELS.right);
+
+// Just enough of the Web Storage API for PracticeProgress.
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('lessons group the pack signs, numbers in counting order', async () => {
+    const lessons = buildLessons(registry);
+    assert.deepEqual(lessons.map(lesson => lesson.id), ['numbers', 'alphabet', 'handshapes', 'two-hand']);
+    const numbers = lessons[0].signs.filter(name => name !== 'NUMBER_3_ALT');
+    assert.deepEqual(numbers.slice(0, 3), ['NUMBER_0', 'NUMBER_1', 'NUMBER_2']);
+    assert.equal(numbers[numbers.length - 1], 'NUMBER_10');
+    assert.ok(lessons[3].signs.includes('HELP'));
+
+    // BSL has no one-hand alphabet, so it has no alphabet lesson.
+    const bsl = buildLessons(createDefaultRegistry(await loadPack('bsl')));
+    assert.ok(!bsl.some(lesson => lesson.id === 'alphabet'));
+});
+
+test('a comparison names the wrong fingers', () => {
+    const right = compareWithSign(registry, 'NUMBER_2', { dominant: rightHand({ index: true, middle: true }) });
+    assert.equal(right.matches, true);
+    assert.deepEqual(right.wrong.dominant, []);
+
+    const wrong = compareWithSign(registry, 'NUMBER_2', { dominant: rightHand({ index: true }) });
+    assert.equal(wrong.matches, false);
+    assert.deepEqual(wrong.wrong.dominant, ['middle']);
+    assert.equal(wrong.shapeOk, true);
+});
+
+test('right fingers facing the wrong way are reported as a shape problem', () => {
+    const result = compareWithSign(registry, 'NUMBER_1', { dominant: rightHand({ index: true }, {}) });
+    assert.equal(result.matches, false);
+    assert.deepEqual(result.wrong.dominant, []);
+    assert.equal(result.shapeOk, false);
+});
+
+test('an attempt passes once the sign is held long enough', () => {
+    const session = new PracticeSession(registry, { holdMs: 500 });
+    const results = [];
+    session.onResult(result => results.push(result));
+    const two = { dominant: rightHand({ index: true, middle: true }) };
+
+    session.start('NUMBER_2', 0);
+    assert.equal(session.update({ dominant: rightHand({ index: true }) }, 100).progress, 0);
+    session.update(two, 200);
+    assert.equal(session.update(two, 450).progress, 0.5);
+    session.update(two, 700);
+
+    assert.equal(results.length, 1);
+    const { accuracy, ...result } = results[0];
+    assert.deepEqual(result, { name: 'NUMBER_2', passed: true, holdMs: 500, timeMs: 700 });
+    assert.ok(accuracy > 0 && accuracy <= 1);
+    assert.equal(session.update(two, 800), null);
+});
+
+test('a skipped attempt counts as failed', () => {
+    const session = new PracticeSession(registry);
+    const results = [];
+    session.onResult(result => results.push(result));
+    session.skip(0);
+    session.start('NUMBER_2', 0);
+    session.skip(300);
+    assert.deepEqual(results.map(r => [r.name, r.passed, r.timeMs]), [['NUMBER_2', false, 300]]);
+});
+
+test('progress is saved per pack and picks the least practised sign next', () => {
+    const storage = memoryStorage();
+    const progress = new PracticeProgress(storage);
+    progress.record('asl', { name: 'NUMBER_1', passed: true, accuracy: 0.9, timeMs: 1500 });
+    progress.record('asl', { name: 'NUMBER_2', passed: false, accuracy: 0.4, timeMs: 3000 });
+
+    const restored = new PracticeProgress(storage);
+    const { lastPracticed, ...one } = restored.get('asl', 'NUMBER_1');
+    assert.deepEqual(one, { attempts: 1, passes: 1, bestAccuracy: 0.9, bestTimeMs: 1500 });
+    assert.ok(lastPracticed > 0);
+    assert.equal(restored.get('bsl', 'NUMBER_1').attempts, 0);
+
+    const signs = ['NUMBER_1', 'NUMBER_2', 'NUMBER_3'];
+    assert.equal(restored.next('asl', signs), 'NUMBER_3');
+    assert.equal(restored.next('asl', signs, 'NUMBER_3'), 'NUMBER_2');
+    assert.equal(restored.next('asl', ['NUMBER_1'], 'NUMBER_1'), 'NUMBER_1');
+});
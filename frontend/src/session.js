@@ -0,0 +1,190 @@
+// ========================================
+// SIGNLENS - SESSION RECORDING & REPLAY
+// ========================================
+
+import { motionDuration, signFrame } from './gestures/avatar/index.js';
+
+export const SESSION_FORMAT = 'signlens-session';
+export const SESSION_VERSION = 1;
+
+const SYNTHETIC_FRAME_MS = 33;
+const SYNTHETIC_PAUSE_MS = 700; // Longer than the detector's HAND_TIMEOUT_MS
+const SYNTHETIC_IMAGE = { width: 640, height: 480 };
+
+// MediaPipe's label for each of a right-handed signer's hands on a plain
+// (not mirrored) camera image, where it reads the hands the other way round.
+const SYNTHETIC_HANDEDNESS = { dominant: 'Left', nonDominant: 'Right' };
+
+/**
+ * Copies the parts of a MediaPipe Hands result the detector uses.
+ * @param {object} results - The results from MediaPipe Hands.
+ * @returns {object} - { multiHandLandmarks, multiHandedness, image }, where
+ *   image keeps only the frame size, for the detector's aspect correction.
+ */
+function copyResults(results) {
+    const copy = {
+        multiHandLandmarks: (results.multiHandLandmarks || []).map(hand =>
+            hand.map(({ x, y, z }) => ({ x, y, z }))
+        ),
+        multiHandedness: (results.multiHandedness || []).map(({ label, score }) => ({ label, score }))
+    };
+    if (results.image && results.image.width > 0 && results.image.height > 0) {
+        copy.image = { width: results.image.width, height: results.image.height };
+    }
+    return copy;
+}
+
+/**
+ * Records the MediaPipe results stream with frame timestamps.
+ */
+export class SessionRecorder {
+    constructor() {
+        this.recording = false;
+        this.frames = [];
+    }
+
+    start() {
+        this.frames = [];
+        this.startedAt = Date.now();
+        this.origin = null;
+        this.recording = true;
+    }
+
+    /**
+     * @param {object} results - The results from MediaPipe Hands.
+     * @param {number} timestamp - Frame time in milliseconds.
+     */
+    push(results, timestamp) {
+        if (!this.recording) return;
+        if (this.origin === null) this.origin = timestamp;
+        this.frames.push({ t: Math.round(timestamp - this.origin), ...copyResults(results) });
+    }
+
+    /**
+     * Stops recording.
+     * @param {object} [extra] - Extra fields for the session, e.g. { expected: [...] }.
+     * @returns {object} - The session, ready for JSON.stringify.
+     */
+    stop(extra = {}) {
+        this.recording = false;
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            startedAt: new Date(this.startedAt).toISOString(),
+            ...extra,
+            frames: this.frames
+        };
+    }
+}
+
+/**
+ * Checks that a parsed file is a session this version can replay.
+ * @param {object} session
+ * @returns {object} - The session.
+ */
+export function validateSession(session) {
+    if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.frames)) {
+        throw new Error('Not a SignLens session file');
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`Session version ${session.version} is newer than supported (${SESSION_VERSION})`);
+    }
+    return session;
+}
+
+/**
+ * Plays a session back in real time or faster, calling onFrame(results, t)
+ * for every frame, where t is milliseconds from the session start.
+ * @param {object} session
+ * @param {Function} onFrame
+ * @param {object} [options] - { speed: playback multiplier, signal: AbortSignal }.
+ * @returns {Promise<void>} - Resolves when playback ends or is aborted.
+ */
+export async function replaySession(session, onFrame, { speed = 1, signal = null } = {}) {
+    validateSession(session);
+    const started = Date.now();
+
+    for (const frame of session.frames) {
+        if (signal?.aborted) return;
+
+        const wait = frame.t / speed - (Date.now() - started);
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+            if (signal?.aborted) return;
+        }
+        onFrame(frame, frame.t);
+    }
+}
+
+/**
+ * Runs a session through a detector as fast as possible, without timers.
+ * @param {object} session
+ * @param {ImprovedGestureDetector} detector - A fresh detector instance.
+ * @returns {object} - { events: [{ t, name, type }], sequence: string[] }, where
+ *   `sequence` lists each static gesture start and motion sign in order.
+ */
+export function runSession(session, detector) {
+    validateSession(session);
+    const events = [];
+
+    for (const frame of session.frames) {
+        detector.process(frame, frame.t);
+
+        for (const sign of detector.handTracker.motionSigns) {
+            events.push({ t: frame.t, name: sign.name, type: 'motion' });
+        }
+        for (const event of detector.handTracker.gestureEvents) {
+            if (event.type === 'start') events.push({ t: frame.t, name: event.label, type: 'static' });
+        }
+    }
+
+    return { events, sequence: events.map(e => e.name) };
+}
+
+/**
+ * Builds a session from the avatar's reference poses (see
+ * gestures/avatar/index.js): each sign held, or played along its motion
+ * path, with a pause without hands in between. The signs themselves are
+ * the session's "expected" sequence.
+ * @param {SignRegistry} registry - Resolves the sign names; its pack is recorded.
+ * @param {string[]} names - The signs to show, in order.
+ * @param {object} [options] - { holdMs: how long each static sign is held,
+ *   detector: ImprovedGestureDetector config for replaying it }.
+ * @returns {object} - The session, ready for JSON.stringify.
+ */
+export function synthesizeSession(registry, names, { holdMs = 600, detector = {} } = {}) {
+    const aspect = SYNTHETIC_IMAGE.width / SYNTHETIC_IMAGE.height;
+    const frames = [];
+    let t = 0;
+    const push = hands => frames.push({
+        t,
+        multiHandLandmarks: hands.map(hand => hand.landmarks),
+        multiHandedness: hands.map(hand => ({ label: SYNTHETIC_HANDEDNESS[hand.role], score: 0.95 })),
+        image: { ...SYNTHETIC_IMAGE }
+    });
+    const pause = () => {
+        for (const end = t + SYNTHETIC_PAUSE_MS; t < end; t += SYNTHETIC_FRAME_MS) push([]);
+    };
+
+    pause();
+    for (const name of names) {
+        const sign = registry.get(name);
+        if (!sign) throw new Error(`Unknown sign "${name}" in pack "${registry.pack.id}"`);
+        const duration = motionDuration(sign) || holdMs;
+        for (let elapsed = 0; elapsed <= duration; elapsed += SYNTHETIC_FRAME_MS, t += SYNTHETIC_FRAME_MS) {
+            push(signFrame(sign, registry, elapsed / duration, { aspect }));
+        }
+        pause();
+    }
+
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        startedAt: new Date(0).toISOString(),
+        synthetic: true,
+        pack: registry.pack.id,
+        detector,
+        expected: [...names],
+        frames
+    };
+}
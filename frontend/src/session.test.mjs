@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImprovedGestureDetector } from './gesture-detection.js';
+import { SESSION_FORMAT, SESSION_VERSION, SessionRecorder, runSession, synthesizeSession, validateSession } from './session.js';
+import { LABELS, handLandmarks } from './gestures/hand-fixtures.mjs';
+import { loadPack } from './gestures/packs/index.js';
+import { createDefaultRegistry } from './gestures/registry.js';
+
+const IMAGE = { width: 640, height: 480 };
+const aspect = IMAGE.width / IMAGE.height;
+
+// How each scripted sign is held: open fingers and turn per hand.
+const POSES = {
+    NUMBER_1: { right: [{ index: true }, { yaw: 180 }] },
+    NUMBER_2: { right: [{ index: true, middle: true }, { yaw: 180 }] },
+    THUMBS_UP: { right: [{ thumb: true }, { roll: -45 }] },
+    FIST: { right: [{}, {}] },
+    NUMBER_10: {
+        left: [{ thumb: true, index: true, middle: true, ring: true, pinky: true }, { yaw: 180 }],
+        right: [{ thumb: true, index: true, middle: true, ring: true, pinky: true }, { yaw: 180 }]
+    }
+};
+
+// One MediaPipe result showing `sign`, or no hands for null.
+function frameOf(sign) {
+    const hands = sign ? Object.entries(POSES[sign]) : [];
+    return {
+        multiHandLandmarks: hands.map(([hand, [open, turn]]) =>
+            handLandmarks(open, { ...turn, hand, x: hand === 'right' ? 0.65 : 0.35, aspect })
+        ),
+        multiHandedness: hands.map(([hand]) => ({ label: LABELS[hand], score: 0.9 })),
+        image: IMAGE
+    };
+}
+
+// A session signing `script` at 30 fps: each sign held for half a second,
+// with a short gap without hands after it.
+function scriptedSession(script) {
+    const recorder = new SessionRecorder();
+    recorder.start();
+    let t = 0;
+    for (const sign of script) {
+        for (let i = 0; i < 15; i++, t += 33) recorder.push(frameOf(sign), t);
+        for (let i = 0; i < 5; i++, t += 33) recorder.push(frameOf(null), t);
+    }
+    return recorder.stop({ expected: script });
+}
+
+test('a replayed session reproduces the signs it was scripted with', () => {
+    const session = scriptedSession(['NUMBER_1', 'NUMBER_2', 'THUMBS_UP', 'FIST', 'NUMBER_10']);
+    const { sequence, events } = runSession(session, new ImprovedGestureDetector());
+    assert.deepEqual(sequence, session.expected);
+    assert.ok(events.every(e => e.type === 'static'));
+});
+
+test('sessions survive JSON and keep only what the detector reads', () => {
+    const session = JSON.parse(JSON.stringify(scriptedSession(['NUMBER_1'])));
+    assert.equal(session.format, SESSION_FORMAT);
+    assert.equal(session.version, SESSION_VERSION);
+    assert.equal(session.frames[0].t, 0);
+    assert.deepEqual(Object.keys(session.frames[0]).sort(), ['image', 'multiHandLandmarks', 'multiHandedness', 't']);
+    assert.deepEqual(session.frames[0].image, IMAGE);
+    assert.deepEqual(runSession(session, new ImprovedGestureDetector()).sequence, ['NUMBER_1']);
+});
+
+test('the recorder only keeps frames while recording', () => {
+    const recorder = new SessionRecorder();
+    recorder.push(frameOf('FIST'), 0);
+    recorder.start();
+    recorder.push(frameOf('FIST'), 1000);
+    recorder.push(frameOf(null), 1040);
+    const session = recorder.stop();
+    recorder.push(frameOf('FIST'), 1080);
+    assert.deepEqual(session.frames.map(f => f.t), [0, 40]);
+});
+
+test('files that are not sessions, or are from a newer version, are rejected', () => {
+    assert.throws(() => validateSession({ frames: [] }), /Not a SignLens session/);
+    assert.throws(
+        () => validateSession({ format: SESSION_FORMAT, version: SESSION_VERSION + 1, frames: [] }),
+        /newer than supported/
+    );
+});
+
+// What each synthetic session signs, per pack and detector mode.
+const SCRIPTS = [
+    ['asl', 'signs', ['NUMBER_0', 'NUMBER_1', 'NUMBER_2', 'NUMBER_3', 'NUMBER_4', 'NUMBER_5', 'THUMBS_UP', 'THUMBS_DOWN',
+        'NUMBER_6', 'NUMBER_7', 'NUMBER_8', 'NUMBER_9', 'NUMBER_10', 'HELP', 'STOP', 'MORE', 'THANK_YOU', 'EXCELLENT']],
+    ['asl', 'spelling', ['LETTER_H', 'LETTER_E', 'LETTER_L', 'LETTER_O']],
+    ['bsl', 'signs', ['NUMBER_1', 'NUMBER_5', 'NUMBER_6', 'NUMBER_7', 'NUMBER_8', 'NUMBER_9', 'NUMBER_10', 'THANK_YOU']],
+    ['isl', 'signs', ['NUMBER_1', 'NUMBER_5', 'NUMBER_6', 'NUMBER_7', 'NUMBER_8', 'NUMBER_9', 'NUMBER_10', 'THANK_YOU', 'EXCELLENT']]
+];
+
+for (const [packId, mode, script] of SCRIPTS) {
+    test(`the avatar's ${packId.toUpperCase()} ${mode} poses replay as scripted`, async () => {
+        const registry = createDefaultRegistry(await loadPack(packId));
+        const session = synthesizeSession(registry, script, { detector: { MODE: mode } });
+        assert.equal(session.pack, packId);
+        assert.deepEqual(session.expected, script);
+
+        const { sequence } = runSession(session, new ImprovedGestureDetector(session.detector, registry));
+        assert.deepEqual(sequence, script);
+    });
+}
+
+test('synthesizing an unknown sign names it', () => {
+    assert.throws(() => synthesizeSession(createDefaultRegistry(), ['NOT_A_SIGN']), /Unknown sign "NOT_A_SIGN" in pack "asl"/);
+});
@@ -0,0 +1,440 @@
+// ========================================
+// SIGNLENS - SETTINGS
+// ========================================
+
+const PROFILE_FORMAT = 'signlens-settings';
+const PROFILE_VERSION = 1;
+const STORAGE_KEY = 'signlens-settings';
+
+/**
+ * Every user-tunable setting: how it is validated, shown and grouped.
+ * Numbers have a range (and are integers when `integer` is set), choices
+ * list their allowed values and booleans are on/off switches.
+ */
+export const SETTINGS_SCHEMA = [
+    // Camera
+    {
+        key: 'resolution', group: 'Camera', label: 'Resolution', type: 'choice', default: '640x480',
+        choices: [
+            { value: '320x240', label: '320 × 240' },
+            { value: '640x480', label: '640 × 480' },
+            { value: '1280x720', label: '1280 × 720' }
+        ]
+    },
+    {
+        key: 'mirror', group: 'Camera', label: 'Mirror view',
+        type: 'boolean', default: false
+    },
+    {
+        key: 'overlay', group: 'Camera', label: 'Show hand overlay',
+        type: 'boolean', default: true
+    },
+
+    // MediaPipe Hands
+    {
+        key: 'maxNumHands', group: 'Hand tracking', label: 'Maximum hands',
+        type: 'number', min: 1, max: 2, integer: true, default: 2
+    },
+    {
+        key: 'modelComplexity', group: 'Hand tracking', label: 'Model', type: 'choice', default: 1,
+        choices: [
+            { value: 0, label: 'Lite (faster)' },
+            { value: 1, label: 'Full (more accurate)' }
+        ]
+    },
+    {
+        key: 'minDetectionConfidence', group: 'Hand tracking', label: 'Detection confidence',
+        type: 'number', min: 0, max: 1, step: 0.05, format: 'percent', default: 0.5
+    },
+    {
+        key: 'minTrackingConfidence', group: 'Hand tracking', label: 'Tracking confidence',
+        type: 'number', min: 0, max: 1, step: 0.05, format: 'percent', default: 0.5
+    },
+
+    // Gesture detector
+    {
+        key: 'dominantHand', group: 'Recognition', label: 'Dominant hand', type: 'choice', default: 'right',
+        choices: [
+            { value: 'right', label: 'Right' },
+            { value: 'left', label: 'Left' }
+        ]
+    },
+    {
+        key: 'minConfidence', group: 'Recognition', label: 'Minimum confidence',
+        type: 'number', min: 0, max: 1, step: 0.05, format: 'percent', default: 0.6
+    },
+    {
+        key: 'voteWindow', group: 'Recognition', label: 'Voting window (frames)',
+        type: 'number', min: 1, max: 15, integer: true, default: 5
+    },
+    {
+        key: 'enterVotes', group: 'Recognition', label: 'Frames to start a sign',
+        type: 'number', min: 1, max: 15, integer: true, default: 3
+    },
+    {
+        key: 'exitVotes', group: 'Recognition', label: 'Frames to keep a sign',
+        type: 'number', min: 1, max: 15, integer: true, default: 2
+    },
+    {
+        key: 'openCurl', group: 'Recognition', label: 'Finger open below curl',
+        type: 'number', min: 0.1, max: 0.9, step: 0.05, default: 0.5
+    },
+    {
+        key: 'pointMargin', group: 'Recognition', label: 'Pointing up/down margin',
+        type: 'number', min: 0, max: 0.5, step: 0.05, default: 0.2
+    },
+    {
+        key: 'handsClose', group: 'Recognition', label: 'Hands close within',
+        type: 'number', min: 0.05, max: 0.5, step: 0.01, default: 0.15
+    },
+
+    // Debugging
+    {
+        key: 'inspector', group: 'Debugging', label: 'Show debug inspector',
+        type: 'boolean', default: false
+    }
+];
+
+export const DEFAULT_SETTINGS = Object.fromEntries(SETTINGS_SCHEMA.map(field => [field.key, field.default]));
+
+const FIELDS = new Map(SETTINGS_SCHEMA.map(field => [field.key, field]));
+
+/**
+ * Checks one value against its field.
+ * @param {string} key
+ * @param {*} value
+ * @returns {*} - The value, as a number for number fields.
+ * @throws {Error} - When the key is unknown or the value is out of range.
+ */
+export function validateSetting(key, value) {
+    const field = FIELDS.get(key);
+    if (!field) throw new Error(`Unknown setting "${key}"`);
+
+    if (field.type === 'boolean') {
+        if (typeof value !== 'boolean') throw new Error(`${field.label} must be on or off`);
+        return value;
+    }
+    if (field.type === 'choice') {
+        const choice = field.choices.find(c => c.value === value);
+        if (!choice) throw new Error(`${field.label} must be one of ${field.choices.map(c => c.value).join(', ')}`);
+        return choice.value;
+    }
+
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${field.label} must be a number`);
+    }
+    if (field.integer && !Number.isInteger(number)) throw new Error(`${field.label} must be a whole number`);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.label} must be between ${field.min} and ${field.max}`);
+    }
+    return number;
+}
+
+// Rules between settings; each returns an error message or null.
+const CROSS_CHECKS = [
+    s => s.enterVotes > s.voteWindow ? 'Frames to start a sign cannot exceed the voting window' : null,
+    s => s.exitVotes > s.voteWindow ? 'Frames to keep a sign cannot exceed the voting window' : null
+];
+
+/**
+ * Validates a whole set of settings, e.g. from storage or an imported profile.
+ * Invalid or missing values fall back to their defaults; unknown keys are dropped.
+ * @param {object} values
+ * @returns {{settings: object, errors: string[]}}
+ */
+export function validateSettings(values) {
+    const settings = { ...DEFAULT_SETTINGS };
+    const errors = [];
+
+    for (const [key, value] of Object.entries(values || {})) {
+        if (!FIELDS.has(key)) continue;
+        try {
+            settings[key] = validateSetting(key, value);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    for (const check of CROSS_CHECKS) {
+        const message = check(settings);
+        if (!message) continue;
+        errors.push(message);
+        // Fall back to defaults for the voting settings together, which are consistent
+        for (const key of ['voteWindow', 'enterVotes', 'exitVotes']) settings[key] = DEFAULT_SETTINGS[key];
+    }
+    return { settings, errors };
+}
+
+/**
+ * @param {string} resolution - "<width>x<height>", as in the settings.
+ * @returns {{width: number, height: number}}
+ */
+export function parseResolution(resolution) {
+    const [width, height] = resolution.split('x').map(Number);
+    return { width, height };
+}
+
+/**
+ * MediaPipe Hands options from the settings.
+ * @param {object} values
+ * @returns {object}
+ */
+export function handsOptions(values) {
+    return {
+        maxNumHands: values.maxNumHands,
+        modelComplexity: values.modelComplexity,              // 0 = lite, 1 = full (better accuracy)
+        minDetectionConfidence: values.minDetectionConfidence, // Lower = more sensitive
+        minTrackingConfidence: values.minTrackingConfidence,
+        selfieMode: values.mirror                              // Flips the image and the landmarks
+    };
+}
+
+/**
+ * ImprovedGestureDetector config from the settings.
+ * @param {object} values
+ * @returns {object}
+ */
+export function detectorConfig(values) {
+    return {
+        DOMINANT_HAND: values.dominantHand,
+        MIRRORED: values.mirror,
+        MIN_CONFIDENCE: values.minConfidence,
+        VOTE_WINDOW: values.voteWindow,
+        ENTER_VOTES: values.enterVotes,
+        EXIT_VOTES: values.exitVotes,
+        THRESHOLDS: {
+            openCurl: values.openCurl,
+            pointMargin: values.pointMargin,
+            handsClose: values.handsClose
+        }
+    };
+}
+
+/**
+ * The user's settings, validated on every change and kept in local storage.
+ * Profiles are exported and imported as JSON files.
+ */
+export class Settings {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage || null;
+        this.values = { ...DEFAULT_SETTINGS };
+        this.listeners = { change: [] };
+        this._load();
+    }
+
+    /**
+     * Registers a callback run after settings change.
+     * @param {Function} listener - Called with the changed keys and all values.
+     * @returns {Function} - Removes the listener.
+     */
+    onChange(listener) {
+        return this._listen('change', listener);
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Validates, applies and saves changes. Nothing is applied when any value is invalid.
+     * @param {object} changes - Setting values by key.
+     * @returns {string[]} - The keys whose value changed.
+     * @throws {Error} - Describing the first invalid value.
+     */
+    update(changes) {
+        const next = { ...this.values };
+        for (const [key, value] of Object.entries(changes)) next[key] = validateSetting(key, value);
+        for (const check of CROSS_CHECKS) {
+            const message = check(next);
+            if (message) throw new Error(message);
+        }
+        return this._apply(next);
+    }
+
+    reset() {
+        return this._apply({ ...DEFAULT_SETTINGS });
+    }
+
+    /**
+     * @param {string} [name] - A name for the profile, e.g. the user or the room.
+     * @returns {object} - A profile for importProfile().
+     */
+    exportProfile(name = 'SignLens settings') {
+        return { format: PROFILE_FORMAT, version: PROFILE_VERSION, name, settings: { ...this.values } };
+    }
+
+    /**
+     * Replaces the settings with a profile's. Settings missing from the
+     * profile are reset to their defaults.
+     * @param {object} profile - From exportProfile().
+     * @returns {string[]} - Problems with individual values, which were replaced by defaults.
+     * @throws {Error} - When the data is not a settings profile.
+     */
+    importProfile(profile) {
+        if (!profile || profile.format !== PROFILE_FORMAT || typeof profile.settings !== 'object') {
+            throw new Error('Not a SignLens settings profile');
+        }
+        if (profile.version > PROFILE_VERSION) {
+            throw new Error(`Profile version ${profile.version} is newer than supported (${PROFILE_VERSION})`);
+        }
+        const { settings, errors } = validateSettings(profile.settings);
+        this._apply(settings);
+        return errors;
+    }
+
+    _apply(next) {
+        const changed = Object.keys(next).filter(key => next[key] !== this.values[key]);
+        this.values = next;
+        if (changed.length === 0) return changed;
+
+        this._save();
+        this._emit('change', changed, { ...this.values });
+        return changed;
+    }
+
+    _load() {
+        const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+        if (!saved) return;
+        try {
+            const data = JSON.parse(saved);
+            const { settings, errors } = validateSettings(data.settings);
+            this.values = settings;
+            if (errors.length > 0) console.warn('Saved settings reset to defaults:', errors);
+        } catch (error) {
+            console.error('Could not read settings:', error);
+        }
+    }
+
+    _save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.exportProfile()));
+        } catch (error) {
+            console.error('Could not save settings:', error);
+        }
+    }
+
+    _listen(type, listener) {
+        this.listeners[type].push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    _emit(type, ...args) {
+        for (const listener of this.listeners[type]) listener(...args);
+    }
+}
+
+/**
+ * Downloads the settings as a profile file in the browser.
+ * @param {Settings} settings
+ * @param {string} [name]
+ */
+export function downloadProfile(settings, name) {
+    const profile = settings.exportProfile(name);
+    const url = URL.createObjectURL(new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'signlens-settings.json';
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function formatValue(field, value) {
+    if (field.format === 'percent') return `${Math.round(value * 100)}%`;
+    return field.integer ? String(value) : value.toFixed(2);
+}
+
+function createControl(field) {
+    if (field.type === 'choice') {
+        const select = document.createElement('select');
+        select.className = 'select';
+        for (const choice of field.choices) select.appendChild(new Option(choice.label, String(choice.value)));
+        return select;
+    }
+
+    const input = document.createElement('input');
+    if (field.type === 'boolean') {
+        input.type = 'checkbox';
+        return input;
+    }
+    input.type = 'range';
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.integer ? 1 : field.step;
+    return input;
+}
+
+function readControl(field, control) {
+    if (field.type === 'boolean') return control.checked;
+    if (field.type === 'choice') return field.choices.find(c => String(c.value) === control.value)?.value;
+    return Number(control.value);
+}
+
+function writeControl(field, control, value) {
+    if (field.type === 'boolean') {
+        control.checked = value;
+    } else {
+        control.value = String(value);
+    }
+}
+
+/**
+ * Builds a control per setting, grouped in fieldsets, and keeps the
+ * controls and the settings in sync both ways.
+ * @param {HTMLElement} container
+ * @param {Settings} settings
+ * @param {Function} [onError] - Called with the message when a change is rejected.
+ * @returns {Function} - Stops syncing the controls with the settings.
+ */
+export function renderSettings(container, settings, onError = () => {}) {
+    container.replaceChildren();
+    const controls = new Map();
+    const groups = new Map();
+
+    for (const field of SETTINGS_SCHEMA) {
+        if (!groups.has(field.group)) {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'settings-group';
+            const legend = document.createElement('legend');
+            legend.textContent = field.group;
+            fieldset.appendChild(legend);
+            container.appendChild(fieldset);
+            groups.set(field.group, fieldset);
+        }
+
+        const label = document.createElement('label');
+        label.className = 'threshold-control';
+        const control = createControl(field);
+        control.id = `setting-${field.key}`;
+        const value = document.createElement('span');
+        value.className = 'settings-value';
+        label.append(field.label, ' ', value, control);
+        groups.get(field.group).appendChild(label);
+        controls.set(field.key, { field, control, value });
+
+        control.addEventListener('input', () => {
+            if (field.type === 'number') value.textContent = formatValue(field, readControl(field, control));
+        });
+        control.addEventListener('change', () => {
+            try {
+                settings.update({ [field.key]: readControl(field, control) });
+            } catch (error) {
+                sync();
+                onError(error.message);
+            }
+        });
+    }
+
+    function sync() {
+        for (const { field, control, value } of controls.values()) {
+            writeControl(field, control, settings.get(field.key));
+            value.textContent = field.type === 'number' ? formatValue(field, settings.get(field.key)) : '';
+        }
+    }
+
+    sync();
+    return settings.onChange(sync);
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_SETTINGS, Settings, detectorConfig, validateSetting, validateSettings } from './settings.js';
+import { DEFAULT_THRESHOLDS } from './gestures/registry.js';
+
+// Just enough of the Web Storage API for Settings.
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('values are checked against their field', () => {
+    assert.equal(validateSetting('voteWindow', '7'), 7);
+    assert.equal(validateSetting('mirror', true), true);
+    assert.equal(validateSetting('modelComplexity', 0), 0);
+    assert.throws(() => validateSetting('voteWindow', 2.5), /whole number/);
+    assert.throws(() => validateSetting('voteWindow', 99), /between 1 and 15/);
+    assert.throws(() => validateSetting('minConfidence', NaN), /must be a number/);
+    assert.throws(() => validateSetting('minConfidence', ''), /must be a number/);
+    assert.throws(() => validateSetting('mirror', 'yes'), /on or off/);
+    assert.throws(() => validateSetting('resolution', '800x600'), /must be one of/);
+    assert.throws(() => validateSetting('volume', 1), /Unknown setting "volume"/);
+});
+
+test('a whole set falls back to defaults for bad, missing and inconsistent values', () => {
+    const { settings, errors } = validateSettings({ minConfidence: 2, mirror: true, volume: 11 });
+    assert.equal(settings.minConfidence, DEFAULT_SETTINGS.minConfidence);
+    assert.equal(settings.mirror, true);
+    assert.ok(!('volume' in settings));
+    assert.equal(errors.length, 1);
+
+    const voting = validateSettings({ voteWindow: 3, enterVotes: 5 });
+    assert.deepEqual(voting.errors, ['Frames to start a sign cannot exceed the voting window']);
+    assert.equal(voting.settings.voteWindow, DEFAULT_SETTINGS.voteWindow);
+    assert.equal(voting.settings.enterVotes, DEFAULT_SETTINGS.enterVotes);
+});
+
+test('an invalid update changes nothing', () => {
+    const settings = new Settings(memoryStorage());
+    assert.throws(() => settings.update({ mirror: true, voteWindow: 0 }), /between 1 and 15/);
+    assert.throws(() => settings.update({ enterVotes: 10 }), /cannot exceed the voting window/);
+    assert.deepEqual(settings.values, DEFAULT_SETTINGS);
+});
+
+test('changes are saved, reported once and survive a reload', () => {
+    const storage = memoryStorage();
+    const settings = new Settings(storage);
+    const reports = [];
+    settings.onChange(changed => reports.push(changed));
+
+    assert.deepEqual(settings.update({ mirror: true, voteWindow: DEFAULT_SETTINGS.voteWindow }), ['mirror']);
+    assert.deepEqual(settings.update({ mirror: true }), []);
+    assert.deepEqual(reports, [['mirror']]);
+    assert.equal(new Settings(storage).get('mirror'), true);
+});
+
+test('profiles round-trip, and anything else is refused', () => {
+    const settings = new Settings(memoryStorage());
+    settings.update({ dominantHand: 'left', openCurl: 0.4 });
+    const profile = JSON.parse(JSON.stringify(settings.exportProfile('Kiosk')));
+
+    const other = new Settings(memoryStorage());
+    assert.deepEqual(other.importProfile(profile), []);
+    assert.deepEqual(other.values, settings.values);
+    assert.throws(() => other.importProfile({ settings: {} }), /Not a SignLens settings profile/);
+    assert.throws(() => other.importProfile({ ...profile, version: 99 }), /newer than supported/);
+    assert.deepEqual(other.importProfile({ ...profile, settings: { openCurl: 5 } }), ['Finger open below curl must be between 0.1 and 0.9']);
+    assert.equal(other.get('dominantHand'), DEFAULT_SETTINGS.dominantHand);
+});
+
+test('the default recognition settings are the detector defaults', () => {
+    const { THRESHOLDS } = detectorConfig(DEFAULT_SETTINGS);
+    for (const [key, value] of Object.entries(THRESHOLDS)) assert.equal(value, DEFAULT_THRESHOLDS[key], key);
+});
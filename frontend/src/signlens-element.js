@@ -0,0 +1,125 @@
+// ========================================
+// SIGNLENS - <sign-lens> ELEMENT
+// ========================================
+// Importing this module defines <sign-lens>, which shows the camera with
+// the hand overlay and the current sign, and dispatches SignLens's events
+// as DOM events with the details in `event.detail`:
+//
+//   <script type="module" src="signlens/src/signlens-element.js"></script>
+//   <sign-lens pack="asl" autostart></sign-lens>
+//   <script>
+//     document.querySelector('sign-lens')
+//         .addEventListener('word', event => console.log(event.detail.text));
+//   </script>
+//
+// Attributes: pack, lang, mode ("signs" or "spelling"), mirror, no-overlay,
+// no-worker, autostart. pack and mode can be changed while it runs; the
+// others apply from the next start(). Removing the element stops it;
+// moving it elsewhere in the document does not.
+
+import { SignLens } from './signlens.js';
+
+const TEMPLATE = `
+    <style>
+        :host { display: inline-block; position: relative; width: 640px; max-width: 100%; }
+        :host([hidden]) { display: none; }
+        video { display: none; }
+        canvas { display: block; width: 100%; height: auto; background: #000; }
+        .output { position: absolute; left: 0; right: 0; bottom: 0; padding: 6px 10px;
+            background: rgba(0, 0, 0, 0.6); color: #fff; font: 600 18px sans-serif; text-align: center; }
+        .output:empty { display: none; }
+    </style>
+    <video part="video" playsinline muted></video>
+    <canvas part="canvas"></canvas>
+    <div part="output" class="output" aria-live="polite"></div>
+`;
+
+const FORWARDED_EVENTS = ['gesture', 'word', 'sentence', 'handsChanged', 'error'];
+
+/**
+ * The <sign-lens> element, a SignLens with its own video, canvas and
+ * output. start(), pause() and stop() are passed on; `lens` is the
+ * SignLens itself, created when the element is first connected.
+ */
+export class SignLensElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['pack', 'mode'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = TEMPLATE;
+        this.lens = null;
+    }
+
+    connectedCallback() {
+        if (!this.lens) this.lens = this._createLens();
+        // Start failures are dispatched as error events
+        if (this.hasAttribute('autostart') && this.lens.state === 'idle') this.start().catch(() => {});
+    }
+
+    disconnectedCallback() {
+        // Moving the element disconnects and reconnects it at once: only stop
+        // when it is still out of the document afterwards
+        queueMicrotask(() => {
+            if (this.isConnected) return;
+            this.stop().catch(error => this._dispatch('error', { error, during: 'stop' }));
+        });
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (!this.lens || previous === value) return;
+        if (name === 'pack') {
+            this.lens.usePack(value || 'asl').catch(error => this._dispatch('error', { error, during: 'pack' }));
+        } else if (name === 'mode') {
+            this.lens.configure({ MODE: value || 'signs' });
+        }
+    }
+
+    /**
+     * @returns {Promise<void>} - Rejects when the camera or MediaPipe cannot
+     *   be started, after dispatching an error event.
+     */
+    start() {
+        if (!this.lens) this.lens = this._createLens();
+        return this.lens.start();
+    }
+
+    pause() {
+        this.lens?.pause();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return this.lens ? this.lens.stop() : Promise.resolve();
+    }
+
+    _createLens() {
+        const root = this.shadowRoot;
+        const lens = new SignLens({
+            video: root.querySelector('video'),
+            canvas: root.querySelector('canvas'),
+            output: root.querySelector('.output'),
+            pack: this.getAttribute('pack') || 'asl',
+            lang: this.getAttribute('lang'),
+            detector: { MODE: this.getAttribute('mode') || 'signs' },
+            hands: { selfieMode: this.hasAttribute('mirror') },
+            overlay: !this.hasAttribute('no-overlay'),
+            useWorker: !this.hasAttribute('no-worker')
+        });
+        for (const type of FORWARDED_EVENTS) {
+            lens.on(type, detail => this._dispatch(type, detail));
+        }
+        return lens;
+    }
+
+    _dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+if (globalThis.customElements && !customElements.get('sign-lens')) {
+    customElements.define('sign-lens', SignLensElement);
+}
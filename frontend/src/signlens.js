@@ -0,0 +1,483 @@
+// ========================================
+// SIGNLENS - EMBEDDING API
+// ========================================
+// SignLens runs the camera, MediaPipe Hands and the detector for a host
+// page and reports what it recognizes as events, without the app's UI:
+//
+//   import { SignLens } from './src/signlens.js';
+//   const lens = new SignLens({ canvas: document.querySelector('canvas') });
+//   lens.on('word', ({ text }) => console.log(text));
+//   await lens.start();
+//
+// The app itself (main.js) is built on it, adding its panels on top.
+// See signlens-element.js for the <sign-lens> custom element.
+
+import { ImprovedGestureDetector } from './gesture-detection.js';
+import { Speller } from './gestures/alphabet/speller.js';
+import { SignTranscriber, Transcript, formatGestureName } from './output.js';
+import { FramePipeline } from './pipeline.js';
+import { drawCameraImage, drawHandLandmarks } from './overlay.js';
+import { CameraSource } from './input.js';
+import { replaySession } from './session.js';
+import { DEFAULT_ASSET_BASE, assetBase, assetUrl, loadMediaPipe } from './assets.js';
+import { DEFAULT_SETTINGS, detectorConfig, handsOptions, parseResolution } from './settings.js';
+import { getDisplayName, loadPack } from './gestures/packs/index.js';
+import { createDefaultRegistry } from './gestures/registry.js';
+
+// `lang` and `overlay` are read whenever they are needed, so a host can
+// change them in `lens.options` at any time.
+const SIGNLENS_DEFAULTS = {
+    video: null,      // Video element the camera plays in (left playing by pause()); an off-screen one when omitted
+    canvas: null,     // Canvas the camera image and hand overlay are drawn on, if any
+    output: null,     // Element showing the current sign's name, if any
+    pack: 'asl',      // Sign pack id or a pack object, see loadPack()
+    lang: null,       // Language of sign names; defaults to the pack's first
+    detector: {},     // ImprovedGestureDetector config, over the app's default settings
+    hands: {},        // MediaPipe Hands options, over the app's default settings
+    camera: {},       // { deviceId, width, height }
+    transcript: {},   // Transcript config, e.g. { sentenceGapMs }
+    speller: {},      // Speller options
+    controlSigns: {}, // Signs that edit the transcript instead of being added to it, see SignTranscriber
+    assetBase: null,  // MediaPipe asset base; the page's signlens-assets meta tag or the bundled assets
+    useWorker: true,  // Run detection in a worker where supported
+    overlay: true     // Draw the hand landmarks on the canvas
+};
+
+const EVENT_TYPES = ['gesture', 'word', 'sentence', 'handsChanged', 'frame', 'error'];
+
+// How often open sentences are checked for having ended
+const SENTENCE_TICK_MS = 500;
+
+// The page's asset base if it sets one, otherwise the assets next to this module,
+// so a page embedding SignLens from elsewhere finds them.
+function defaultAssetBase() {
+    if (document.querySelector('meta[name="signlens-assets"]')) return assetBase();
+    return new URL(`../${DEFAULT_ASSET_BASE}`, import.meta.url).href;
+}
+
+/**
+ * Sign recognition for a host page. start() asks for the camera and starts
+ * recognizing, pause() stops processing frames while keeping the camera,
+ * stop() releases the camera and the recognizer (worker or MediaPipe).
+ * Frames can also come from a video file or an image folder (useSource())
+ * or a recorded session (replay()).
+ *
+ * `detector`, `pipeline`, `transcript` and `speller` are there for hosts
+ * that need more than the events, as the app does.
+ *
+ * Events, registered with on():
+ *   gesture       { label, name, confidence, timestamp, motion } when a held
+ *                 sign starts or a motion sign completes
+ *   word          { text, label, source, start, end } when a sign or a
+ *                 fingerspelled word is added to the transcript
+ *   sentence      { text, tokens, start, end } when a sentence ends
+ *   handsChanged  { count, hands: [{ role, handedness }] }
+ *   frame         { results, frame, info, replayed, word } after each
+ *                 processed frame is drawn and transcribed: the MediaPipe
+ *                 results, the pipeline's { timestamp, detection }, the
+ *                 source's frame info for video files and image folders,
+ *                 whether it was replayed and the word being spelled
+ *   error         { error, during } with during "start", "resume" or "frame"
+ */
+export class SignLens {
+    constructor(options = {}) {
+        this.options = { ...SIGNLENS_DEFAULTS, ...options };
+        this.listeners = Object.fromEntries(EVENT_TYPES.map(type => [type, []]));
+        this.state = 'idle';    // "idle", "starting", "running" or "paused"
+        this.source = null;     // The input source frames come from
+        this.input = null;      // Frame info of the video or image frame being processed
+        this.replaying = false;
+        this.timer = null;
+        this.hands = [];        // Hands seen in the last frame, for handsChanged
+        this.ownVideo = null;   // The off-screen video element, when created here
+        this.loadedPack = null; // The pack source the detector has loaded
+        this.starting = null;   // The running start(), which stop() cancels
+        this.cancelled = false;
+
+        const hands = { ...handsOptions(DEFAULT_SETTINGS), ...this.options.hands };
+        const base = detectorConfig(DEFAULT_SETTINGS);
+        const detector = this.options.detector;
+        this.handsOptions = hands;
+        this.detector = new ImprovedGestureDetector({
+            ...base,
+            MIRRORED: Boolean(hands.selfieMode),
+            ...detector,
+            THRESHOLDS: { ...base.THRESHOLDS, ...detector.THRESHOLDS }
+        }, createDefaultRegistry());
+
+        this.transcript = new Transcript(this.options.transcript);
+        this.speller = new Speller(this.options.speller);
+        this.transcriber = new SignTranscriber(this.transcript, {
+            speller: this.speller,
+            displayName: label => this.displayName(label),
+            controlSigns: this.options.controlSigns
+        });
+        this.pipeline = new FramePipeline(this.detector, { useWorker: this.options.useWorker });
+
+        this.detector.onGestureStart(event => this._onGestureStart(event));
+        this.pipeline.onResult((results, frame) => this._onResult(results, frame));
+        this.transcript.onToken(token => this._emit('word', { ...token }));
+        this.transcript.onSentence((sentence, text) => this._emit('sentence', {
+            text,
+            tokens: sentence.tokens.map(token => ({ ...token })),
+            start: sentence.start,
+            end: sentence.end
+        }));
+    }
+
+    /**
+     * Registers a callback for an event, see the class description.
+     * @param {string} type - "gesture", "word", "sentence", "handsChanged", "frame" or "error".
+     * @param {Function} listener - Called with the event's details.
+     * @returns {Function} - Removes the listener.
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) throw new Error(`Unknown SignLens event "${type}"`);
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Removes a callback registered with on().
+     * @param {string} type
+     * @param {Function} listener
+     */
+    off(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+
+    /**
+     * Opens the camera, or the given input source, and starts recognizing,
+     * or resumes after pause(). Failures, e.g. camera access denied, are
+     * reported as an error event and reject the promise; stop() while
+     * starting just ends it.
+     * @param {object} [source] - An input source (see input.js) to use
+     *   instead of the camera in the options.
+     * @returns {Promise<void>}
+     */
+    async start(source = null) {
+        if (this.state === 'paused') return this.resume();
+        if (this.state !== 'idle') return;
+        this.state = 'starting';
+        this.cancelled = false;
+        this.starting = this._start(source);
+        try {
+            await this.starting;
+        } finally {
+            this.starting = null;
+        }
+    }
+
+    async _start(requested) {
+        try {
+            const base = await loadMediaPipe(this.options.assetBase || defaultAssetBase());
+            this.pipeline.config.handsBase = assetUrl(base, 'hands/');
+            if (this.loadedPack !== this.options.pack) await this.usePack(this.options.pack);
+            await this.pipeline.start(this.handsOptions);
+            if (this.cancelled) throw new Error('Stopped while starting');
+
+            const { width, height } = parseResolution(DEFAULT_SETTINGS.resolution);
+            this.timer = setInterval(() => this.transcript.tick(), SENTENCE_TICK_MS);
+            await this._startSource(requested || new CameraSource(this._video(), { width, height, ...this.options.camera }));
+            if (this.cancelled) throw new Error('Stopped while starting');
+            this.state = 'running';
+        } catch (error) {
+            await this._release();
+            this.state = 'idle';
+            // stop() was called meanwhile: not a failure
+            if (this.cancelled) return;
+            this._emit('error', { error, during: 'start' });
+            throw error;
+        }
+    }
+
+    /**
+     * Switches to another input source: a camera, a video file or an image
+     * folder (see input.js). The current source is stopped and the
+     * detector's history started over. Starts recognizing when stopped.
+     * @param {object} source
+     * @returns {Promise<void>}
+     */
+    async useSource(source) {
+        if (this.state === 'starting') await this.starting.catch(() => {});
+        if (this.state === 'idle') return this.start(source);
+
+        const previous = this.source;
+        this.source = null;
+        if (previous) await previous.stop();
+        this.pipeline.reset({ hands: true });
+        await this._startSource(source);
+    }
+
+    /**
+     * Plays a recorded session (see session.js) through the detector and
+     * the transcript as if it came from the source; frames from the source
+     * are ignored meanwhile. Works whether or not the lens is started.
+     * @param {object} session - A session from SessionRecorder.
+     * @param {object} [options] - { speed, signal }, see replaySession().
+     * @returns {Promise<void>} - Resolves when the replay ends or is aborted.
+     */
+    async replay(session, options = {}) {
+        if (this.replaying) throw new Error('A session is already replaying');
+        this.replaying = true;
+        const timer = this.timer ? null : setInterval(() => this.transcript.tick(), SENTENCE_TICK_MS);
+        // The detector sees the recorded frame times, so results do not depend on speed
+        const base = performance.now();
+        this.pipeline.reset();
+        try {
+            await replaySession(session, (results, t) => {
+                this._onResult(results, this.pipeline.detect(results, base + t), true);
+            }, options);
+        } finally {
+            clearInterval(timer);
+            this.replaying = false;
+            this.pipeline.reset();
+        }
+    }
+
+    /**
+     * Stops processing frames but keeps the camera open, so resume() is quick.
+     * A sign held when pausing is ended. A video element passed in the
+     * options keeps playing: the host page decides what it shows.
+     */
+    pause() {
+        if (this.state !== 'running') return;
+        this.state = 'paused';
+        this.ownVideo?.pause();
+        this.pipeline.reset();
+        this._setOutput('');
+    }
+
+    /**
+     * Continues after pause(), once the off-screen video plays again. When it
+     * cannot, this stays paused, reports an error event and rejects.
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (this.state !== 'paused') return;
+        try {
+            await this.ownVideo?.play();
+        } catch (error) {
+            this._emit('error', { error, during: 'resume' });
+            throw error;
+        }
+        // stop() may have been called meanwhile
+        if (this.state === 'paused') this.state = 'running';
+    }
+
+    /**
+     * Releases the camera and the recognizer. A word being spelled is
+     * committed and the open sentence ended first, so their events still
+     * fire. start() can be called again afterwards.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.state === 'idle') return;
+        if (this.state === 'starting') {
+            // start() releases what it has opened so far
+            this.cancelled = true;
+            await this.starting.catch(() => {});
+            return;
+        }
+        this.state = 'idle';
+
+        this.transcriber.commitWord();
+        this.transcript.endSentence();
+        await this._release();
+        this._setOutput('');
+    }
+
+    /**
+     * Switches the sign pack.
+     * @param {string|object} source - A pack id or a pack object, see loadPack().
+     * @returns {Promise<void>}
+     */
+    async usePack(source) {
+        this.pipeline.usePack(await loadPack(source));
+        this.options.pack = source;
+        this.loadedPack = source;
+        this.speller.reset();
+    }
+
+    /**
+     * Reconfigures the detector, e.g. { MODE: "spelling" }. Leaving or
+     * entering spelling mode adds the word being spelled, if any.
+     * @param {object} changes - See ImprovedGestureDetector.configure().
+     */
+    configure(changes) {
+        this.pipeline.configure(changes);
+        if ('MODE' in changes) this.transcriber.commitWord();
+    }
+
+    /**
+     * Changes MediaPipe Hands options, now and for the next start().
+     * @param {object} options - See handsOptions().
+     */
+    setHandsOptions(options) {
+        this.handsOptions = { ...this.handsOptions, ...options };
+        this.pipeline.setOptions(this.handsOptions);
+    }
+
+    /**
+     * The display name of a sign in the pack's language, e.g. "Thumbs Up".
+     * @param {string} label - Sign name from the registry.
+     * @returns {string}
+     */
+    displayName(label) {
+        const { pack } = this.detector.registry;
+        return (pack && getDisplayName(pack, label, this.options.lang || undefined)) || formatGestureName(label);
+    }
+
+    _video() {
+        if (this.options.video) return this.options.video;
+        if (!this.ownVideo) {
+            // Kept in the document, as detached videos may not deliver frames
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.style.cssText = 'position:fixed;width:1px;height:1px;opacity:0;pointer-events:none;';
+            document.body.appendChild(video);
+            this.ownVideo = video;
+        }
+        return this.ownVideo;
+    }
+
+    // Whether frames from the source are processed: not while paused,
+    // stopped or replaying.
+    _live() {
+        return (this.state === 'running' || this.state === 'starting') && !this.replaying;
+    }
+
+    async _startSource(source) {
+        if (source.kind === 'video') source.onSeek(() => this.pipeline.reset());
+        this.source = source;
+        try {
+            await source.start((image, info) => this._onFrame(source, image, info));
+        } catch (error) {
+            if (this.source === source) this.source = null;
+            throw error;
+        }
+        this._sizeCanvas(source);
+    }
+
+    // Sizes the canvas to the source's frames, once they are known
+    _sizeCanvas({ width, height }) {
+        const { canvas } = this.options;
+        if (!canvas || !width || !height) return;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+    }
+
+    async _onFrame(source, image, info) {
+        if (!this._live() || source !== this.source) return;
+        if (source.kind === 'camera') {
+            await this.pipeline.send(image, info.timestamp);
+            return;
+        }
+
+        // Video files and image folders have every frame processed
+        if (source.kind === 'images') {
+            // Each image is a still of its own
+            this._sizeCanvas(source);
+            this.pipeline.reset({ hands: true });
+        }
+        this.input = info;
+        try {
+            await this.pipeline.process(image, info.timestamp);
+        } finally {
+            if (this.input === info) this.input = null;
+        }
+    }
+
+    _onGestureStart({ label, confidence }) {
+        if (!this._live() && !this.replaying) return;
+        this._emit('gesture', { label, name: this.displayName(label), confidence, timestamp: Date.now(), motion: false });
+        if (this.detector.config.MODE !== 'spelling') this.transcriber.sign(label);
+    }
+
+    _onResult(results, frame, replayed = false) {
+        // Frames in flight when pausing, stopping or starting a replay
+        if (!replayed && !this._live()) return;
+        this._draw(results);
+
+        if (frame.error) {
+            this._emit('error', { error: frame.error, during: 'frame' });
+            return;
+        }
+        const { motionSigns, tracks } = this.detector.handTracker;
+        this._updateHands(tracks);
+
+        for (const sign of motionSigns) {
+            this._emit('gesture', {
+                label: sign.name,
+                name: this.displayName(sign.name),
+                confidence: sign.confidence,
+                timestamp: Date.now(),
+                motion: true
+            });
+        }
+
+        const label = frame.detection ? frame.detection.label : null;
+        const word = this.transcriber.frame(label, motionSigns, frame.timestamp, this.detector.config.MODE === 'spelling');
+
+        const shown = motionSigns.length > 0 ? motionSigns[motionSigns.length - 1].name : label;
+        this._setOutput(shown ? this.displayName(shown) : '');
+
+        // A frame still in flight when a video or image frame was handed over has no info
+        const info = !replayed && this.input && this.input.timestamp === frame.timestamp ? this.input : null;
+        this._emit('frame', { results, frame, info, replayed, word });
+    }
+
+    _updateHands(tracks) {
+        const hands = tracks
+            .filter(track => !track.held)
+            .map(({ role, handedness }) => ({ role, handedness }));
+        const same = hands.length === this.hands.length &&
+            hands.every((hand, i) => hand.role === this.hands[i].role && hand.handedness === this.hands[i].handedness);
+        this.hands = hands;
+        if (!same) this._emit('handsChanged', { count: hands.length, hands: hands.map(hand => ({ ...hand })) });
+    }
+
+    _draw(results) {
+        const { canvas, overlay } = this.options;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        drawCameraImage(ctx, results);
+        if (overlay) drawHandLandmarks(ctx, results.multiHandLandmarks || []);
+    }
+
+    _setOutput(text) {
+        const { output } = this.options;
+        if (output && output.textContent !== text) output.textContent = text;
+    }
+
+    // Releases the source, the recognizer and the timer, whatever state start() got to.
+    async _release() {
+        clearInterval(this.timer);
+        this.timer = null;
+        const source = this.source;
+        this.source = null;
+        this.input = null;
+        try {
+            if (source) await source.stop();
+            await this.pipeline.close();
+        } finally {
+            this.detector.reset();
+            this.speller.reset();
+            if (this.hands.length > 0) this._updateHands([]);
+            this.ownVideo?.remove();
+            this.ownVideo = null;
+        }
+    }
+
+    _emit(type, detail) {
+        for (const listener of this.listeners[type]) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`SignLens ${type} listener failed:`, error);
+            }
+        }
+    }
+}
@@ -0,0 +1,124 @@
+// ========================================
+// SIGNLENS - TEXT TO SPEECH
+// ========================================
+
+const SPEECH_DEFAULTS = {
+    mode: 'sentence', // 'off', 'word' (every new sign) or 'sentence' (on sentence commit)
+    lang: 'en-US',
+    voiceURI: null,   // null = the browser's default voice for `lang`
+    rate: 1,
+    pitch: 1,
+    volume: 1
+};
+
+/**
+ * Speaks recognized signs with the Web Speech synthesis API.
+ *
+ * Utterances go through our own queue and the next one only starts when
+ * the previous has ended, so new signs never cut off a sentence that is
+ * still being spoken.
+ */
+export class SpeechOutput {
+    constructor(config = {}, synth = globalThis.speechSynthesis) {
+        this.config = { ...SPEECH_DEFAULTS, ...config };
+        this.synth = synth || null;
+        this.queue = [];
+        this.speaking = false;
+    }
+
+    get supported() {
+        return Boolean(this.synth) && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Updates voice, rate, language or mode. Applies to the next utterance.
+     * @param {object} changes - Any of the SPEECH_DEFAULTS keys.
+     */
+    configure(changes) {
+        this.config = { ...this.config, ...changes };
+        if (this.config.mode === 'off') this.stop();
+    }
+
+    /**
+     * Voices available for a language, matched on its primary subtag so
+     * 'en-US' also offers 'en-GB' voices.
+     * @param {string} [lang] - BCP 47 language tag; defaults to the configured one.
+     * @returns {SpeechSynthesisVoice[]}
+     */
+    getVoices(lang = this.config.lang) {
+        if (!this.supported) return [];
+        const primary = lang.split('-')[0].toLowerCase();
+        return this.synth.getVoices().filter(v => v.lang.toLowerCase().split(/[-_]/)[0] === primary);
+    }
+
+    /**
+     * Runs a callback whenever the browser's voice list changes (it loads asynchronously).
+     * @param {Function} listener
+     */
+    onVoicesChanged(listener) {
+        if (!this.supported) return;
+        this.synth.addEventListener('voiceschanged', listener);
+        listener();
+    }
+
+    /**
+     * Speaks a newly recognized sign, in 'word' mode only.
+     * @param {string} text
+     */
+    word(text) {
+        if (this.config.mode === 'word') this.speak(text);
+    }
+
+    /**
+     * Speaks a committed sentence, in 'sentence' mode only.
+     * @param {string} text
+     */
+    sentence(text) {
+        if (this.config.mode === 'sentence') this.speak(text);
+    }
+
+    /**
+     * Queues text to be spoken after anything already queued.
+     * @param {string} text
+     */
+    speak(text) {
+        if (!this.supported || !text || !text.trim()) return;
+        this.queue.push(text.trim());
+        this._next();
+    }
+
+    /**
+     * Drops the queue and silences the current utterance.
+     */
+    stop() {
+        this.queue = [];
+        this.speaking = false;
+        if (this.supported) this.synth.cancel();
+    }
+
+    _next() {
+        if (this.speaking || this.queue.length === 0) return;
+
+        const utterance = new SpeechSynthesisUtterance(this.queue.shift());
+        const { lang, voiceURI, rate, pitch, volume } = this.config;
+        utterance.lang = lang;
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+        utterance.volume = volume;
+        utterance.voice = this.synth.getVoices().find(v => v.voiceURI === voiceURI) || null;
+
+        const done = () => {
+            if (this.speaking !== utterance) return;
+            this.speaking = false;
+            this._next();
+        };
+        utterance.onend = done;
+        utterance.onerror = (event) => {
+            console.error('Speech synthesis error:', event.error);
+            done();
+        };
+
+        this.speaking = utterance;
+        this.synth.speak(utterance);
+    }
+}
@@ -0,0 +1,82 @@
+// ========================================
+// SIGNLENS - SERVICE WORKER
+// ========================================
+// Caches the app shell and the MediaPipe assets so SignLens runs offline.
+// Registered by main.js as a classic worker, with the page's asset base
+// as ?assets=...; the files it precaches are listed in src/app-shell.js.
+//
+// MediaPipe files are versioned and large: served from the cache first.
+// App files are fetched from the network first so updates arrive when
+// online, and fall back to the cache offline. Files not in APP_SHELL
+// are cached the first time the app loads them.
+
+importScripts('src/app-shell.js');
+
+const CACHE_VERSION = 3;
+const SHELL_CACHE = `signlens-shell-v${CACHE_VERSION}`;
+const ASSET_CACHE = `signlens-mediapipe-v${CACHE_VERSION}`;
+
+const assetBase = new URL(
+    new URL(location.href).searchParams.get('assets') || 'assets/mediapipe/',
+    self.registration.scope
+).href;
+
+const MEDIAPIPE_URLS = self.MEDIAPIPE_FILES.map(file => new URL(file, assetBase).href);
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(self.APP_SHELL.map(path => new URL(path, self.registration.scope).href));
+
+        // A file missing from the base (e.g. an unused model) should not stop the install
+        const assets = await caches.open(ASSET_CACHE);
+        await Promise.all(MEDIAPIPE_URLS.map(url =>
+            assets.add(url).catch(error => console.warn(`Could not cache ${url}:`, error))
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, ASSET_CACHE];
+        for (const name of await caches.keys()) {
+            if (name.startsWith('signlens-') && !current.includes(name)) await caches.delete(name);
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.url.startsWith(assetBase)) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    } else if (new URL(request.url).origin === location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' && await cache.match(new URL('index.html', self.registration.scope).href));
+        if (cached) return cached;
+        throw error;
+    }
+}
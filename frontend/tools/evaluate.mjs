@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// ========================================
+// SIGNLENS - BATCH EVALUATION
+// ========================================
+//
+// Classifies labeled landmark datasets with ImprovedGestureDetector in Node
+// and reports per-sign precision and recall, a confusion matrix and the
+// rules that shadow each other on the data.
+//
+//   node tools/evaluate.mjs [files or directories...] [--out <path>]
+//       [--baseline <report.json>] [--tolerance <0-1>]
+//       [--config <detector.json>] [--pack <id or pack.json>]
+//       [--custom <custom-signs.json>]
+//
+// Datasets are exported custom sign datasets or frame results exported
+// from an image folder (labeled by sub-folder), see src/evaluation.js;
+// defaults to every *.json file in datasets/. Writes <path>.json and
+// <path>.html (default reports/evaluation). With --baseline, compares with
+// an earlier report and exits with status 1 when a sign's precision or
+// recall dropped by more than the tolerance (default 0). Finding no
+// datasets or no labeled samples in them is an error too.
+//
+// --custom loads custom signs from a dataset exported in the app, so labels
+// of custom signs can be evaluated; use other recordings of them as data.
+// Datasets with labels that are no sign of the pack are refused.
+
+import { mkdir, readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ImprovedGestureDetector } from '../src/gesture-detection.js';
+import {
+    compareReports, datasetSamples, evaluateSamples, isEvaluationReport, renderReportHtml, unknownLabels
+} from '../src/evaluation.js';
+import { CustomSignSet } from '../src/gestures/custom/index.js';
+import { MemorySampleStore } from '../src/gestures/custom/store.js';
+import { loadPack } from '../src/gestures/packs/index.js';
+import { createDefaultRegistry } from '../src/gestures/registry.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const DEFAULT_DIR = path.join(ROOT, 'datasets');
+const DEFAULT_OUT = path.join(ROOT, 'reports', 'evaluation');
+
+const USAGE = 'Usage: node tools/evaluate.mjs [files or directories...] [--out <path>] ' +
+    '[--baseline <report.json>] [--tolerance <0-1>] [--config <detector.json>] ' +
+    '[--pack <id or pack.json>] [--custom <custom-signs.json>]';
+
+function parseArgs(argv) {
+    const options = { targets: [], out: DEFAULT_OUT, baseline: null, tolerance: 0, config: null, pack: null, custom: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--out', '--baseline', '--config', '--pack', '--custom', '--tolerance'].includes(arg)) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument ${arg}`);
+        } else {
+            options.targets.push(arg);
+        }
+    }
+    options.tolerance = Number(options.tolerance);
+    if (!(options.tolerance >= 0 && options.tolerance <= 1)) throw new Error('--tolerance must be a number from 0 to 1');
+    return options;
+}
+
+async function collectFiles(targets) {
+    const files = [];
+    for (const target of targets) {
+        const info = await stat(target);
+        if (info.isDirectory()) {
+            const entries = (await readdir(target)).filter(name => name.endsWith('.json')).sort();
+            files.push(...entries.map(name => path.join(target, name)));
+        } else {
+            files.push(target);
+        }
+    }
+    return files;
+}
+
+async function readJson(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+async function createDetector(options) {
+    const config = options.config ? await readJson(options.config) : {};
+    if (!options.pack && !options.custom) return new ImprovedGestureDetector(config);
+    const source = options.pack && options.pack.endsWith('.json') ? await readJson(options.pack) : options.pack;
+    const registry = source ? createDefaultRegistry(await loadPack(source)) : createDefaultRegistry();
+    if (options.custom) {
+        const customSigns = new CustomSignSet(registry, new MemorySampleStore());
+        await customSigns.importDataset(await readJson(options.custom), { replace: true });
+    }
+    return new ImprovedGestureDetector(config, registry);
+}
+
+function percent(value) {
+    return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report, diff) {
+    const width = Math.max(4, ...Object.keys(report.signs).map(name => name.length));
+    console.log(`${'Sign'.padEnd(width)}  Samples  Precision  Recall`);
+    for (const [name, s] of Object.entries(report.signs)) {
+        console.log(`${name.padEnd(width)}  ${String(s.support).padStart(7)}  ${percent(s.precision).padStart(9)}  ${percent(s.recall).padStart(6)}`);
+    }
+    console.log(`\nAccuracy ${percent(report.accuracy)} on ${report.samples} samples`);
+
+    for (const o of report.overlaps) {
+        const verdict = o.unreachable ? 'UNREACHABLE' : 'SHADOWED';
+        console.log(`${verdict.padEnd(11)} ${o.sign} lost to ${o.shadowedBy} on ${o.count} of the ${o.held} samples its rule held for`);
+    }
+
+    if (!diff) return;
+    console.log(`\nAccuracy vs baseline: ${percent(diff.accuracy.before)} -> ${percent(diff.accuracy.after)}`);
+    for (const s of diff.signs.filter(s => s.regression)) {
+        console.log(`REGRESSED ${s.sign}: precision ${percent(s.precision.before)} -> ${percent(s.precision.after)}, ` +
+            `recall ${percent(s.recall.before)} -> ${percent(s.recall.after)}`);
+    }
+    console.log(`${diff.changed.length} samples changed prediction, ${diff.regressions} signs regressed`);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 1;
+    }
+
+    let baseline = null;
+    if (options.baseline) {
+        try {
+            baseline = await readJson(options.baseline);
+            if (!isEvaluationReport(baseline)) throw new Error('not a report written by this tool');
+        } catch (error) {
+            console.error(`--baseline ${options.baseline}: ${error.message}`);
+            console.error(USAGE);
+            return 1;
+        }
+    }
+
+    let files;
+    try {
+        files = await collectFiles(options.targets.length > 0 ? options.targets : [DEFAULT_DIR]);
+    } catch (error) {
+        if (options.targets.length === 0 && error.code === 'ENOENT') {
+            console.error(`No datasets yet (${path.relative(process.cwd(), DEFAULT_DIR)}/ does not exist).`);
+            return 1;
+        }
+        console.error(`Cannot read datasets: ${error.message}`);
+        return 1;
+    }
+
+    const samples = [];
+    for (const file of files) {
+        const name = path.relative(process.cwd(), file);
+        try {
+            samples.push(...datasetSamples(await readJson(file), name));
+        } catch (error) {
+            console.error(`ERROR ${name}: ${error.message}`);
+            return 1;
+        }
+    }
+    if (samples.length === 0) {
+        console.error('No labeled samples found.');
+        return 1;
+    }
+
+    let detector;
+    try {
+        detector = await createDetector(options);
+    } catch (error) {
+        console.error(`Cannot create the detector: ${error.message}`);
+        return 1;
+    }
+    const unknown = unknownLabels(samples, detector.registry);
+    if (unknown.length > 0) {
+        console.error(`ERROR labels that are no sign of the ${detector.registry.pack.id} pack: ${unknown.join(', ')}`);
+        console.error(options.custom
+            ? `They are not in ${options.custom} either.`
+            : 'Custom signs? Pass their exported dataset with --custom <file>.');
+        return 1;
+    }
+
+    const report = evaluateSamples(samples, detector);
+    const diff = baseline ? compareReports(report, baseline, { tolerance: options.tolerance }) : null;
+
+    await mkdir(path.dirname(options.out), { recursive: true });
+    await writeFile(`${options.out}.json`, JSON.stringify(report, null, 2));
+    await writeFile(`${options.out}.html`, renderReportHtml(report, diff));
+
+    printReport(report, diff);
+    console.log(`\nWrote ${path.relative(process.cwd(), options.out)}.json and .html`);
+    return diff && diff.regressions > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// ========================================
+// SIGNLENS - FETCH MEDIAPIPE ASSETS
+// ========================================
+//
+// Downloads the MediaPipe scripts, model and wasm files the app serves
+// from assets/mediapipe/, so it runs without reaching a CDN.
+//
+//   node tools/fetch-mediapipe.mjs [--from <url>] [--force]
+//
+// --from downloads from another mirror laid out like jsDelivr
+// (<url>/@mediapipe/<package>@<version>/<file>). Existing files are kept
+// unless --force is given. Run it again after changing VERSIONS.
+
+import { mkdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DEFAULT_ASSET_BASE, HANDS_FILES, MEDIAPIPE_SCRIPTS } from '../src/assets.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const DEFAULT_MIRROR = 'https://cdn.jsdelivr.net/npm';
+
+// Pinned so every deployment serves the same model.
+const VERSIONS = {
+    hands: '0.4.1675469240',
+    drawing_utils: '0.3.1675466124'
+};
+
+function parseArgs(argv) {
+    const options = { mirror: DEFAULT_MIRROR, force: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--force') {
+            options.force = true;
+        } else if (argv[i] === '--from') {
+            const mirror = argv[++i];
+            if (!mirror || mirror.startsWith('--')) throw new Error('--from needs a mirror URL');
+            options.mirror = mirror.replace(/\/$/, '');
+        } else {
+            throw new Error(`Unknown argument ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// Every file as { pkg, file }, e.g. { pkg: "hands", file: "hands.js" }.
+function assetList() {
+    const files = MEDIAPIPE_SCRIPTS.map(({ file }) => {
+        const [pkg, name] = file.split('/');
+        return { pkg, file: name };
+    }).filter(({ pkg }) => pkg !== 'hands');
+    return [...files, ...HANDS_FILES.map(file => ({ pkg: 'hands', file }))];
+}
+
+async function exists(file) {
+    try {
+        await stat(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const USAGE = 'Usage: node tools/fetch-mediapipe.mjs [--from <url>] [--force]';
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+    const target = path.join(ROOT, DEFAULT_ASSET_BASE);
+    let fetched = 0;
+
+    for (const { pkg, file } of assetList()) {
+        const destination = path.join(target, pkg, file);
+        if (!options.force && await exists(destination)) continue;
+
+        const url = `${options.mirror}/@mediapipe/${pkg}@${VERSIONS[pkg]}/${file}`;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+
+        await mkdir(path.dirname(destination), { recursive: true });
+        await writeFile(destination, Buffer.from(await response.arrayBuffer()));
+        console.log(`${pkg}/${file}`);
+        fetched++;
+    }
+    console.log(`${fetched} files fetched into ${path.relative(process.cwd(), target) || '.'}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
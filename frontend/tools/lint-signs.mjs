@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// ========================================
+// SIGNLENS - SIGN RULE LINTER
+// ========================================
+//
+// Checks the sign rules of the sign packs against all 32 finger-state
+// combinations, with the palm facings and finger directions the rules
+// declare, and the two-hand signs against all pairs of them (see
+// src/gestures/lint.js): signs that can never fire, states where list
+// order decides, states no sign covers and match predicates an earlier
+// sign can pre-empt.
+//
+//   node tools/lint-signs.mjs [pack ids or pack.json files...]
+//       [--ignore-fingers thumb,pinky] [--verbose]
+//
+// Defaults to every bundled pack. --ignore-fingers checks the rules as a
+// calibration that leaves those fingers out would see them. Uncovered
+// states are only listed with --verbose. Exits with status 1 when any
+// sign can never fire.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { PACKS, loadPack } from '../src/gestures/packs/index.js';
+import { createDefaultRegistry } from '../src/gestures/registry.js';
+import { SIGN_GROUPS, lintMessages, lintSigns } from '../src/gestures/lint.js';
+
+const LABELS = { error: 'ERROR', warning: 'WARN ', info: 'INFO ' };
+
+function parseArgs(argv) {
+    const options = { packs: [], ignoreFingers: [], verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '--ignore-fingers') {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options.ignoreFingers = argv[++i].split(',').map(finger => finger.trim()).filter(Boolean);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument ${arg}`);
+        } else {
+            options.packs.push(arg);
+        }
+    }
+    return options;
+}
+
+async function readPack(source) {
+    if (source.endsWith('.json')) return loadPack(JSON.parse(await readFile(source, 'utf8')));
+    return loadPack(source);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    const sources = options.packs.length > 0 ? options.packs : PACKS.map(pack => pack.id);
+    let errors = 0;
+    let warnings = 0;
+    for (const source of sources) {
+        let registry;
+        try {
+            registry = createDefaultRegistry(await readPack(source));
+        } catch (error) {
+            console.log(`ERROR ${source}: ${error.message}`);
+            errors++;
+            continue;
+        }
+
+        for (const group of SIGN_GROUPS) {
+            const report = lintSigns(registry, { filter: group.filter, ignoreFingers: options.ignoreFingers });
+            if (report.states.every(state => state.candidates.length === 0) &&
+                report.twoHandChecked === 0 && report.unchecked.length === 0) continue;
+
+            const messages = lintMessages(report);
+            const count = level => messages.filter(m => m.level === level).length;
+            errors += count('error');
+            warnings += count('warning');
+            console.log(`${path.basename(source)} ${group.name}: ${count('error')} errors, ` +
+                `${count('warning')} warnings, ${report.uncovered.length} uncovered states`);
+            for (const { level, message } of messages) {
+                if (level !== 'info' || options.verbose) console.log(`  ${LABELS[level]} ${message}`);
+            }
+            if (options.verbose && report.unchecked.length > 0) {
+                console.log(`  INFO  not checked (no fingers pattern): ${report.unchecked.join(', ')}`);
+            }
+        }
+    }
+
+    console.log(`\n${errors} errors, ${warnings} warnings`);
+    return errors > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
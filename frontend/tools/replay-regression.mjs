@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// ========================================
+// SIGNLENS - SESSION REGRESSION SUITE
+// ========================================
+//
+// Replays recorded landmark sessions (saved with "Record Session" in the app)
+// through ImprovedGestureDetector in Node and checks the gesture sequence.
+//
+//   node tools/replay-regression.mjs [files or directories...]
+//
+// Defaults to every *.json file in sessions/. Each session carries:
+//   "expected": ["NUMBER_1", "NUMBER_2", ...]  sign changes in order
+//   "detector": { "MODE": "spelling", ... }      ImprovedGestureDetector config
+//   "pack": "bsl"                                sign pack id (default ASL)
+// "expected" is what the signer meant to sign, written down when recording;
+// it is never taken from the detector's own output.
+// Exits with status 1 when any session does not match, when a session has
+// no "expected" sequence and when there are no sessions at all.
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ImprovedGestureDetector } from '../src/gesture-detection.js';
+import { loadPack } from '../src/gestures/packs/index.js';
+import { createDefaultRegistry } from '../src/gestures/registry.js';
+import { runSession, validateSession } from '../src/session.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const DEFAULT_DIR = path.join(ROOT, 'sessions');
+
+async function collectFiles(targets) {
+    const files = [];
+    for (const target of targets) {
+        const info = await stat(target);
+        if (info.isDirectory()) {
+            const entries = (await readdir(target)).filter(name => name.endsWith('.json')).sort();
+            files.push(...entries.map(name => path.join(target, name)));
+        } else {
+            files.push(target);
+        }
+    }
+    return files;
+}
+
+function describeDifference(expected, actual) {
+    const index = expected.findIndex((name, i) => name !== actual[i]);
+    const at = index === -1 ? expected.length : index;
+    return `first difference at #${at}: expected ${expected[at] ?? '(end)'}, got ${actual[at] ?? '(end)'}`;
+}
+
+async function main() {
+    const targets = process.argv.slice(2);
+
+    let files;
+    try {
+        files = await collectFiles(targets.length > 0 ? targets : [DEFAULT_DIR]);
+    } catch (error) {
+        console.error(`Cannot read sessions: ${error.message}`);
+        return 1;
+    }
+    if (files.length === 0) {
+        console.error('No session files found: nothing was tested.');
+        return 1;
+    }
+
+    let failures = 0;
+    for (const file of files) {
+        const name = path.relative(process.cwd(), file);
+        let session;
+        try {
+            session = validateSession(JSON.parse(await readFile(file, 'utf8')));
+        } catch (error) {
+            console.log(`ERROR ${name}: ${error.message}`);
+            failures++;
+            continue;
+        }
+
+        let detector;
+        try {
+            const registry = session.pack ? createDefaultRegistry(await loadPack(session.pack)) : undefined;
+            detector = new ImprovedGestureDetector(session.detector, registry);
+        } catch (error) {
+            console.log(`ERROR ${name}: ${error.message}`);
+            failures++;
+            continue;
+        }
+        const { sequence } = runSession(session, detector);
+
+        if (!Array.isArray(session.expected)) {
+            failures++;
+            console.log(`FAIL  ${name}: no "expected" sequence (got ${sequence.join(' ') || 'nothing'})`);
+            continue;
+        }
+
+        const passed = session.expected.length === sequence.length &&
+            session.expected.every((sign, i) => sign === sequence[i]);
+        if (passed) {
+            console.log(`PASS  ${name} (${sequence.length} gestures)`);
+        } else {
+            failures++;
+            console.log(`FAIL  ${name}: ${describeDifference(session.expected, sequence)}`);
+            console.log(`      expected: ${session.expected.join(' ')}`);
+            console.log(`      actual:   ${sequence.join(' ')}`);
+        }
+    }
+
+    console.log(`\n${files.length - failures}/${files.length} sessions passed`);
+    return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+// ========================================
+// SIGNLENS - SYNTHETIC SESSIONS
+// ========================================
+//
+// Builds a landmark session from the avatar's reference poses (see
+// synthesizeSession in src/session.js). The signs named on the command
+// line are the session's "expected" sequence, so replaying it with
+// replay-regression.mjs checks that the detector recognizes what was
+// scripted.
+//
+//   node tools/synthetic-session.mjs <sign names...> [--pack <id>]
+//       [--mode signs|spelling] [--hold-ms <ms>] [--out <file>]
+//
+// Writes to stdout without --out. Held signs last --hold-ms (default 600);
+// motion signs the middle of their duration range.
+
+import { writeFile } from 'node:fs/promises';
+
+import { synthesizeSession } from '../src/session.js';
+import { loadPack } from '../src/gestures/packs/index.js';
+import { createDefaultRegistry } from '../src/gestures/registry.js';
+
+const USAGE = 'Usage: node tools/synthetic-session.mjs <sign names...> [--pack <id>] ' +
+    '[--mode signs|spelling] [--hold-ms <ms>] [--out <file>]';
+
+function parseArgs(argv) {
+    const options = { signs: [], pack: 'asl', mode: 'signs', 'hold-ms': 600, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (['--pack', '--mode', '--hold-ms', '--out'].includes(arg)) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument ${arg}`);
+        } else {
+            options.signs.push(arg);
+        }
+    }
+    options['hold-ms'] = Number(options['hold-ms']);
+    if (!(options['hold-ms'] > 0)) throw new Error('--hold-ms must be a positive number');
+    if (!['signs', 'spelling'].includes(options.mode)) throw new Error('--mode must be signs or spelling');
+    if (options.signs.length === 0) throw new Error('Name at least one sign');
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 1;
+    }
+
+    let session;
+    try {
+        const registry = createDefaultRegistry(await loadPack(options.pack));
+        session = synthesizeSession(registry, options.signs, {
+            holdMs: options['hold-ms'],
+            detector: { MODE: options.mode }
+        });
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    const json = JSON.stringify(session);
+    if (options.out) {
+        await writeFile(options.out, json);
+    } else {
+        console.log(json);
+    }
+    return 0;
+}
+
+process.exitCode = await main();